@@ -26,6 +26,8 @@ import DomainDetails from "./pages/DomainDetails";
 import Profile from "./pages/Profile";
 import Settings from "./pages/Settings";
 import Payment from "./pages/Payment";
+import Cart from "./pages/Cart";
+import AdminPricing from "./pages/AdminPricing";
 import NotFound from "./pages/NotFound";
 
 // Load Stripe
@@ -120,6 +122,22 @@ function App() {
                       </ProtectedRoute>
                     }
                   />
+                  <Route
+                    path="/cart"
+                    element={
+                      <ProtectedRoute>
+                        <Cart />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/admin/pricing"
+                    element={
+                      <ProtectedRoute>
+                        <AdminPricing />
+                      </ProtectedRoute>
+                    }
+                  />
                   <Route path="*" element={<NotFound />} />
                 </Routes>
               </main>
@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+import { loadStripe } from "@stripe/stripe-js";
+import {
+  Elements,
+  CardElement,
+  useStripe,
+  useElements,
+} from "@stripe/react-stripe-js";
+import { LockClosedIcon, CheckCircleIcon } from "@heroicons/react/24/outline";
+import { paymentService } from "../../services/paymentService";
+
+const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY);
+
+const CARD_ELEMENT_OPTIONS = {
+  style: {
+    base: {
+      fontSize: "14px",
+      color: "#424770",
+      fontFamily: "system-ui, -apple-system, sans-serif",
+      "::placeholder": {
+        color: "#aab7c4",
+      },
+    },
+    invalid: {
+      color: "#fa755a",
+      iconColor: "#fa755a",
+    },
+  },
+};
+
+// Card form for a purchase started by the AI consultant. Card details go
+// straight to Stripe; the chat only hears which PaymentIntent was paid.
+const CheckoutForm = ({ checkout, onComplete }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [cardholderName, setCardholderName] = useState("");
+  const [processing, setProcessing] = useState(false);
+  const [paid, setPaid] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements || processing) return;
+
+    setProcessing(true);
+    setError(null);
+
+    try {
+      const { error: stripeError, paymentIntent } =
+        await stripe.confirmCardPayment(checkout.clientSecret, {
+          payment_method: {
+            card: elements.getElement(CardElement),
+            billing_details: { name: cardholderName },
+          },
+        });
+
+      if (stripeError) {
+        setError(stripeError.message);
+        return;
+      }
+
+      if (paymentIntent.status === "succeeded") {
+        setPaid(true);
+        try {
+          // Registers the domain; the webhook does the same if this fails
+          await paymentService.confirmPayment(paymentIntent.id);
+        } catch (confirmError) {
+          console.error("Payment confirmation error:", confirmError);
+        }
+        onComplete(paymentIntent.id);
+      }
+    } catch (error) {
+      console.error("Chat checkout error:", error);
+      setError("Payment failed. Please try again.");
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (paid) {
+    return (
+      <div className="flex items-center space-x-2 text-sm text-green-800">
+        <CheckCircleIcon className="h-5 w-5 text-green-600" />
+        <span className="font-medium">
+          Payment received. Registering {checkout.domainName}...
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="flex justify-between items-center text-sm">
+        <span className="font-medium text-gray-900">
+          {checkout.domainName} - {checkout.years} Year
+          {checkout.years > 1 ? "s" : ""}
+        </span>
+        <span className="font-semibold text-primary-600">
+          ${checkout.amount.toFixed(2)} {checkout.currency.toUpperCase()}
+        </span>
+      </div>
+
+      <input
+        type="text"
+        value={cardholderName}
+        onChange={(e) => setCardholderName(e.target.value)}
+        placeholder="Cardholder name"
+        required
+        disabled={processing}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+
+      <div className="px-3 py-2.5 border border-gray-300 rounded-md bg-white">
+        <CardElement options={CARD_ELEMENT_OPTIONS} />
+      </div>
+
+      {error && <div className="text-xs text-red-600">{error}</div>}
+
+      <button
+        type="submit"
+        disabled={!stripe || processing}
+        className="w-full flex items-center justify-center space-x-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-50 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+      >
+        <LockClosedIcon className="h-4 w-4" />
+        <span>
+          {processing ? "Processing..." : `Pay $${checkout.amount.toFixed(2)}`}
+        </span>
+      </button>
+    </form>
+  );
+};
+
+const ChatCheckout = ({ checkout, onComplete }) => (
+  <div className="mt-3 bg-white border border-gray-200 rounded-lg p-4">
+    <div className="flex items-center space-x-2 text-xs text-gray-500 mb-3">
+      <LockClosedIcon className="h-4 w-4" />
+      <span>Secure checkout by Stripe. Never share card details in the chat.</span>
+    </div>
+    <Elements stripe={stripePromise}>
+      <CheckoutForm checkout={checkout} onComplete={onComplete} />
+    </Elements>
+  </div>
+);
+
+export default ChatCheckout;
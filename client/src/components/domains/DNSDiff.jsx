@@ -0,0 +1,68 @@
+import React from 'react';
+
+const formatRecord = (record) => {
+  const value = record.RecordType === 'MX' ? `${record.MXPref} ${record.Address}` : record.Address;
+  return `${record.HostName}  ${record.TTL}  ${record.RecordType}  ${value}`;
+};
+
+const formatChange = ({ before, after }) => {
+  const priority = after.RecordType === 'MX' ? `, priority ${after.MXPref}` : '';
+  return `${formatRecord(before)}  →  TTL ${after.TTL}${priority}`;
+};
+
+const DiffList = ({ title, records, sign, className }) => {
+  if (records.length === 0) return null;
+
+  return (
+    <div>
+      <h4 className="text-xs font-medium text-gray-500 uppercase mb-1">
+        {title} ({records.length})
+      </h4>
+      <ul className="font-mono text-xs space-y-0.5">
+        {records.map((record, index) => (
+          <li key={index} className={`${className} px-2 py-1 rounded break-all`}>
+            {sign} {record}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Added, changed and removed host records between two versions of a zone,
+// as returned by the DNS import and history endpoints
+const DNSDiff = ({ diff, emptyMessage = 'No differences.' }) => {
+  const changeCount = diff.added.length + diff.removed.length + diff.changed.length;
+
+  if (changeCount === 0) {
+    return <p className="text-sm text-gray-500">{emptyMessage}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <DiffList
+        title="Added"
+        records={diff.added.map(formatRecord)}
+        sign="+"
+        className="bg-green-50 text-green-800"
+      />
+      <DiffList
+        title="Changed"
+        records={diff.changed.map(formatChange)}
+        sign="~"
+        className="bg-yellow-50 text-yellow-800"
+      />
+      <DiffList
+        title="Removed"
+        records={diff.removed.map(formatRecord)}
+        sign="−"
+        className="bg-red-50 text-red-800"
+      />
+      {diff.unchanged.length > 0 && (
+        <p className="text-xs text-gray-500">{diff.unchanged.length} record(s) unchanged</p>
+      )}
+    </div>
+  );
+};
+
+export default DNSDiff;
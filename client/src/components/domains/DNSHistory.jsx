@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ClockIcon,
+  ArrowPathIcon,
+  ArrowUturnLeftIcon,
+  ArrowsRightLeftIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { domainService } from '../../services/domainService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import DNSDiff from './DNSDiff';
+
+const sourceLabels = {
+  ui: 'App',
+  api: 'API',
+  ai_agent: 'AI assistant',
+  import: 'Zone import',
+  rollback: 'Rollback',
+  system: 'System'
+};
+
+const sourceColors = {
+  ui: 'bg-blue-100 text-blue-800',
+  api: 'bg-gray-100 text-gray-800',
+  ai_agent: 'bg-purple-100 text-purple-800',
+  import: 'bg-green-100 text-green-800',
+  rollback: 'bg-orange-100 text-orange-800',
+  system: 'bg-gray-100 text-gray-600'
+};
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+// Timeline of a domain's DNS changes. Each change can be inspected, compared
+// with another change or the current records, and rolled back.
+const DNSHistory = ({ domain }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [expanded, setExpanded] = useState({});
+  const [comparison, setComparison] = useState(null);
+  const [rollingBack, setRollingBack] = useState(null);
+
+  useEffect(() => {
+    if (domain?.id) {
+      fetchHistory();
+    }
+  }, [domain?.id]);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await domainService.getDNSHistory(domain.id);
+      setHistory(data.history || []);
+      setSelected([]);
+      setExpanded({});
+    } catch (err) {
+      console.error('❌ DNSHistory - Error fetching history:', err);
+      setError(err.response?.data?.message || 'Failed to load DNS history. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSelected = (entryId) => {
+    setSelected((current) =>
+      current.includes(entryId)
+        ? current.filter((id) => id !== entryId)
+        : [...current, entryId].slice(-2)
+    );
+  };
+
+  const toggleChanges = async (entryId) => {
+    if (expanded[entryId]) {
+      setExpanded(({ [entryId]: _, ...rest }) => rest);
+      return;
+    }
+
+    try {
+      const { diff } = await domainService.getDNSHistoryEntry(domain.id, entryId);
+      setExpanded((current) => ({ ...current, [entryId]: diff }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load this change.');
+    }
+  };
+
+  const compare = async (from, to = 'current') => {
+    try {
+      setError(null);
+      const { diff } = await domainService.compareDNSVersions(domain.id, from, to);
+      setComparison({ from, to, diff });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to compare DNS versions.');
+    }
+  };
+
+  // Compare the two selected changes, older first
+  const compareSelected = () => {
+    const [first, second] = [...selected].sort(
+      (a, b) => history.findIndex((entry) => entry.id === b) - history.findIndex((entry) => entry.id === a)
+    );
+    compare(first, second);
+  };
+
+  const handleRollback = async (entry) => {
+    if (!window.confirm(`Restore the DNS records of ${domain.full_domain} to how they were before change #${entry.id}? All current records will be replaced.`)) {
+      return;
+    }
+
+    try {
+      setRollingBack(entry.id);
+      setError(null);
+      await domainService.rollbackDNS(domain.id, entry.id);
+      setComparison(null);
+      await fetchHistory();
+    } catch (err) {
+      console.error('❌ DNSHistory - Error rolling back:', err);
+      setError(err.response?.data?.message || 'Failed to roll back DNS records. Please try again.');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const versionLabel = (version) => (version === 'current' ? 'current records' : `change #${version}`);
+
+  return (
+    <div className="bg-white">
+      {/* Header */}
+      <div className="px-6 py-4 bg-gradient-to-r from-orange-50 to-amber-50 border-b border-gray-200">
+        <div className="flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 flex items-center">
+              <ClockIcon className="h-6 w-6 mr-2 text-orange-600" />
+              DNS History
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Every change to the DNS records of {domain?.full_domain}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={compareSelected}
+              disabled={selected.length !== 2}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <ArrowsRightLeftIcon className="h-4 w-4 mr-2" />
+              Compare selected
+            </button>
+            <button
+              onClick={fetchHistory}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-orange-600 hover:bg-orange-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <ArrowPathIcon className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="border-l-4 border-red-400 bg-red-50 p-4 mx-6 mt-4 rounded flex">
+          <ExclamationTriangleIcon className="h-5 w-5 text-red-400" />
+          <p className="ml-3 text-sm text-red-700">{error}</p>
+          <button
+            onClick={() => setError(null)}
+            className="ml-auto text-red-400 hover:text-red-600"
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      <div className="p-6 space-y-4">
+        <AnimatePresence>
+          {comparison && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 'auto' }}
+              exit={{ opacity: 0, height: 0 }}
+              className="border border-gray-200 rounded-lg p-4"
+            >
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-medium text-gray-900">
+                  From {versionLabel(comparison.from)} to {versionLabel(comparison.to)}
+                </h3>
+                <button
+                  onClick={() => setComparison(null)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  ✕
+                </button>
+              </div>
+              <DNSDiff diff={comparison.diff} emptyMessage="The records are the same in both versions." />
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {loading && (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        )}
+
+        {!loading && history.length === 0 && (
+          <div className="text-center py-12">
+            <ClockIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No DNS changes yet</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Changes made from now on will show up here.
+            </p>
+          </div>
+        )}
+
+        {!loading && history.length > 0 && (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {history.map((entry) => (
+              <li key={entry.id} className="p-4">
+                <div className="flex items-start">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(entry.id)}
+                    onChange={() => toggleSelected(entry.id)}
+                    className="mt-1 mr-3"
+                    title="Select to compare"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${sourceColors[entry.source] || sourceColors.system}`}>
+                        {sourceLabels[entry.source] || entry.source}
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        #{entry.id} · {formatDateTime(entry.created_at)}
+                        {entry.user && ` · ${entry.user.name}`}
+                      </span>
+                    </div>
+                    <p className="mt-1 text-sm text-gray-900 break-words">{entry.description}</p>
+                    {entry.summary && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        <span className="text-green-700">+{entry.summary.added || 0}</span>{' '}
+                        <span className="text-yellow-700">~{entry.summary.changed || 0}</span>{' '}
+                        <span className="text-red-700">−{entry.summary.removed || 0}</span>
+                      </p>
+                    )}
+                    <div className="mt-2 flex flex-wrap gap-3 text-xs font-medium">
+                      <button onClick={() => toggleChanges(entry.id)} className="text-blue-600 hover:text-blue-800">
+                        {expanded[entry.id] ? 'Hide changes' : 'Show changes'}
+                      </button>
+                      <button onClick={() => compare(entry.id)} className="text-blue-600 hover:text-blue-800">
+                        Compare with current
+                      </button>
+                      <button
+                        onClick={() => handleRollback(entry)}
+                        disabled={rollingBack !== null}
+                        className="inline-flex items-center text-orange-600 hover:text-orange-800 disabled:opacity-50"
+                      >
+                        <ArrowUturnLeftIcon className="h-3.5 w-3.5 mr-1" />
+                        {rollingBack === entry.id ? 'Rolling back...' : 'Roll back to before this change'}
+                      </button>
+                    </div>
+                    {expanded[entry.id] && (
+                      <div className="mt-3">
+                        <DNSDiff diff={expanded[entry.id]} />
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DNSHistory;
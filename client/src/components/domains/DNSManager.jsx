@@ -6,16 +6,21 @@ import {
   ExclamationTriangleIcon,
   CheckCircleIcon,
   ArrowPathIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
   InformationCircleIcon
 } from '@heroicons/react/24/outline';
 import { domainService } from '../../services/domainService';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import DNSZoneImportModal from './DNSZoneImportModal';
 
 const DNSManager = ({ domain }) => {
   const [dnsRecords, setDnsRecords] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
 
   useEffect(() => {
     if (domain?.id) {
@@ -45,6 +50,29 @@ const DNSManager = ({ domain }) => {
     setRefreshing(false);
   };
 
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const zone = await domainService.exportDNSZone(domain.id);
+      const url = URL.createObjectURL(new Blob([zone], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${domain.full_domain}.zone`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('❌ DNSManager - Error exporting zone file:', err);
+      setError(err.response?.data?.message || 'Failed to export DNS records. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleImported = async () => {
+    setShowImport(false);
+    await fetchDNSRecords();
+  };
+
   const getRecordTypeIcon = (type) => {
     switch (type) {
       case 'A':
@@ -103,14 +131,32 @@ const DNSManager = ({ domain }) => {
               View and manage DNS records for {domain?.full_domain}
             </p>
           </div>
-          <button
-            onClick={handleRefresh}
-            disabled={loading || refreshing}
-            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-          >
-            <ArrowPathIcon className={`h-4 w-4 mr-2 ${refreshing ? 'animate-spin' : ''}`} />
-            Refresh
-          </button>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleExport}
+              disabled={loading || exporting}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+            <button
+              onClick={() => setShowImport(true)}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+              Import
+            </button>
+            <button
+              onClick={handleRefresh}
+              disabled={loading || refreshing}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <ArrowPathIcon className={`h-4 w-4 mr-2 ${refreshing ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
         </div>
       </div>
 
@@ -255,6 +301,13 @@ const DNSManager = ({ domain }) => {
           </>
         )}
       </div>
+
+      <DNSZoneImportModal
+        isOpen={showImport}
+        domain={domain}
+        onClose={() => setShowImport(false)}
+        onImported={handleImported}
+      />
     </div>
   );
 };
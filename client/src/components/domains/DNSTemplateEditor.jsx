@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { PlusIcon, TrashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import dnsTemplateService from '../../services/dnsTemplateService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS'];
+const DOMAIN_VARIABLES = ['domain', 'domain_dashes'];
+
+const emptyRecord = () => ({ name: '@', type: 'A', value: '', priority: 10 });
+
+// {{placeholders}} used in the records become required parameters
+const findParameters = (records) => {
+  const names = records
+    .flatMap((record) => [...`${record.name} ${record.value}`.matchAll(/\{\{\s*([a-z0-9_]+)\s*\}\}/gi)])
+    .map((match) => match[1].toLowerCase())
+    .filter((name) => !DOMAIN_VARIABLES.includes(name));
+
+  return [...new Set(names)].map((name) => ({ name, label: name, required: true }));
+};
+
+// Form for a custom DNS template. Values can use {{parameters}}, which are
+// asked for when the template is applied, and {{domain}}.
+const DNSTemplateEditor = ({ onSaved, onCancel }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [records, setRecords] = useState([emptyRecord()]);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const parameters = findParameters(records);
+
+  const updateRecord = (index, field, value) => {
+    setRecords((current) =>
+      current.map((record, i) => (i === index ? { ...record, [field]: value } : record))
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      const template = await dnsTemplateService.createTemplate({
+        name,
+        description,
+        parameters,
+        records: records.map(({ priority, ...record }) => ({
+          ...record,
+          ...(record.type === 'MX' && { priority: parseInt(priority, 10) })
+        }))
+      });
+      onSaved(template);
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to save the template. Please try again.'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Template Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={100}
+            placeholder="My mail setup"
+            className="input"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            maxLength={500}
+            className="input"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Records</label>
+        <div className="space-y-2">
+          {records.map((record, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={record.name}
+                onChange={(e) => updateRecord(index, 'name', e.target.value)}
+                placeholder="@"
+                className="input w-32 font-mono text-xs"
+                title="Name (@ for the domain itself)"
+              />
+              <select
+                value={record.type}
+                onChange={(e) => updateRecord(index, 'type', e.target.value)}
+                className="input w-24 text-xs"
+              >
+                {RECORD_TYPES.map((type) => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+              {record.type === 'MX' && (
+                <input
+                  type="number"
+                  min="0"
+                  max="65535"
+                  value={record.priority}
+                  onChange={(e) => updateRecord(index, 'priority', e.target.value)}
+                  className="input w-20 text-xs"
+                  title="Priority"
+                />
+              )}
+              <input
+                type="text"
+                value={record.value}
+                onChange={(e) => updateRecord(index, 'value', e.target.value)}
+                placeholder="Value, e.g. {{server_ip}}"
+                className="input flex-1 font-mono text-xs"
+                required
+              />
+              <button
+                type="button"
+                onClick={() => setRecords((current) => current.filter((_, i) => i !== index))}
+                disabled={records.length === 1}
+                className="text-red-600 hover:text-red-800 disabled:opacity-30"
+                title="Remove record"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setRecords((current) => [...current, emptyRecord()])}
+          className="mt-2 inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add record
+        </button>
+        <p className="mt-2 text-xs text-gray-500">
+          Use {'{{name}}'} in a name or value for a parameter asked for when the template is applied,
+          or {'{{domain}}'} for the domain itself.
+          {parameters.length > 0 && ` Parameters: ${parameters.map((parameter) => parameter.name).join(', ')}.`}
+        </p>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 flex items-center">
+          <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+          {error}
+        </p>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="btn-outline">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving || !name.trim()}
+          className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+        >
+          {saving && <LoadingSpinner size="sm" className="text-white" />}
+          <span>{saving ? 'Saving...' : 'Save template'}</span>
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DNSTemplateEditor;
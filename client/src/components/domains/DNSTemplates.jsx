@@ -0,0 +1,422 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  Squares2X2Icon,
+  PlusIcon,
+  TrashIcon,
+  ExclamationTriangleIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline';
+import dnsTemplateService from '../../services/dnsTemplateService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import DNSTemplateEditor from './DNSTemplateEditor';
+
+const categoryLabels = {
+  email: 'Email',
+  hosting: 'Website',
+  custom: 'Custom'
+};
+
+const formatRecord = (record) => {
+  const value = record.RecordType === 'MX' ? `${record.MXPref} ${record.Address}` : record.Address;
+  return `${record.HostName}  ${record.RecordType}  ${value}`;
+};
+
+const RecordList = ({ records, className }) => (
+  <ul className="font-mono text-xs space-y-0.5">
+    {records.map((record, index) => (
+      <li key={index} className={`${className} px-2 py-1 rounded break-all`}>
+        {formatRecord(record)}
+      </li>
+    ))}
+  </ul>
+);
+
+// Template library for a domain: pick a built-in or custom template, fill in
+// its parameters, preview the records and conflicts, and apply them in one
+// change. Applied templates are listed so their records can be removed together.
+const DNSTemplates = ({ domain, onChange }) => {
+  const [templates, setTemplates] = useState([]);
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [parameters, setParameters] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [replaceConflicts, setReplaceConflicts] = useState(false);
+  const [showEditor, setShowEditor] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [removing, setRemoving] = useState(null);
+  const [error, setError] = useState(null);
+  const [templateErrors, setTemplateErrors] = useState([]);
+
+  useEffect(() => {
+    if (domain?.id) {
+      fetchTemplates();
+    }
+  }, [domain?.id]);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const [templateList, applied] = await Promise.all([
+        dnsTemplateService.getTemplates(),
+        dnsTemplateService.getAppliedTemplates(domain.id)
+      ]);
+      setTemplates(templateList);
+      setApplications(applied);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load DNS templates. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleError = (err, fallback) => {
+    console.error('DNS template error:', err);
+    setTemplateErrors(err.response?.data?.templateErrors || []);
+    setError(
+      err.response?.data?.message ||
+      err.response?.data?.errors?.[0]?.msg ||
+      fallback
+    );
+  };
+
+  const resetPreview = () => {
+    setPreview(null);
+    setReplaceConflicts(false);
+    setError(null);
+    setTemplateErrors([]);
+  };
+
+  const selectTemplate = (template) => {
+    setSelected(template);
+    setParameters(
+      Object.fromEntries(template.parameters.map((parameter) => [parameter.name, parameter.default || '']))
+    );
+    resetPreview();
+  };
+
+  const handlePreview = async () => {
+    resetPreview();
+    try {
+      setWorking(true);
+      setPreview(await dnsTemplateService.previewTemplate(domain.id, selected.id, parameters));
+    } catch (err) {
+      handleError(err, 'Failed to preview the template. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      await dnsTemplateService.applyTemplate(domain.id, selected.id, parameters, {
+        replaceConflicts,
+        expectedVersion: preview.version
+      });
+      setSelected(null);
+      resetPreview();
+      await fetchTemplates();
+      onChange?.();
+    } catch (err) {
+      // The records changed after the preview; preview again
+      if (err.response?.status === 409) {
+        setPreview(null);
+      }
+      handleError(err, 'Failed to apply the template. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRemove = async (application) => {
+    const replacedCount = application.replaced_records?.length || 0;
+    const notRestored = replacedCount > 0
+      ? ` The ${replacedCount} record(s) it replaced will not be restored.`
+      : '';
+    if (!window.confirm(`Remove the DNS records added by the ${application.template_name} template? Records another applied template also uses are kept.${notRestored}`)) {
+      return;
+    }
+
+    try {
+      setRemoving(application.id);
+      setError(null);
+      await dnsTemplateService.removeAppliedTemplate(domain.id, application.id);
+      await fetchTemplates();
+      onChange?.();
+    } catch (err) {
+      handleError(err, 'Failed to remove the template records. Please try again.');
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Records already added with it stay.`)) {
+      return;
+    }
+
+    try {
+      await dnsTemplateService.deleteTemplate(template.id);
+      if (selected?.id === template.id) {
+        setSelected(null);
+        resetPreview();
+      }
+      await fetchTemplates();
+    } catch (err) {
+      handleError(err, 'Failed to delete the template. Please try again.');
+    }
+  };
+
+  const missingRequired = selected?.parameters.some(
+    (parameter) => parameter.required && !String(parameters[parameter.name] || '').trim()
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-medium text-gray-900 flex items-center">
+            <Squares2X2Icon className="h-4 w-4 mr-1 text-blue-600" />
+            Templates
+          </h3>
+          <button
+            onClick={() => setShowEditor(!showEditor)}
+            className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            {showEditor ? 'Cancel' : 'New template'}
+          </button>
+        </div>
+
+        {showEditor && (
+          <div className="mb-4">
+            <DNSTemplateEditor
+              onSaved={async (template) => {
+                setShowEditor(false);
+                await fetchTemplates();
+                selectTemplate(template);
+              }}
+              onCancel={() => setShowEditor(false)}
+            />
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+          {templates.map((template) => (
+            <div
+              key={template.id}
+              onClick={() => selectTemplate(template)}
+              className={`relative cursor-pointer border rounded-lg p-3 transition-colors ${
+                selected?.id === template.id
+                  ? 'border-blue-500 bg-blue-50'
+                  : 'border-gray-200 hover:border-blue-300'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">{template.name}</span>
+                <span className="text-xs text-gray-500">
+                  {categoryLabels[template.category] || template.category}
+                </span>
+              </div>
+              {template.description && (
+                <p className="mt-1 text-xs text-gray-600">{template.description}</p>
+              )}
+              <p className="mt-1 text-xs text-gray-400">{template.records.length} record(s)</p>
+              {!template.builtIn && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleDeleteTemplate(template);
+                  }}
+                  className="absolute bottom-2 right-2 text-red-500 hover:text-red-700"
+                  title="Delete template"
+                >
+                  <TrashIcon className="h-3.5 w-3.5" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="border-l-4 border-red-400 bg-red-50 p-4 rounded">
+          <p className="text-sm text-red-700 flex items-center">
+            <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+            {error}
+          </p>
+          {templateErrors.length > 0 && (
+            <ul className="mt-2 space-y-0.5 text-xs text-red-700">
+              {templateErrors.map((templateError, index) => (
+                <li key={index}>{templateError}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <AnimatePresence>
+        {selected && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="border border-gray-200 rounded-lg p-4 space-y-4"
+          >
+            <h3 className="text-sm font-medium text-gray-900">
+              Set up {selected.name} on {domain.full_domain}
+            </h3>
+
+            {selected.parameters.length > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {selected.parameters.map((parameter) => (
+                  <div key={parameter.name}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {parameter.label || parameter.name}
+                      {parameter.required ? ' *' : ' (optional)'}
+                    </label>
+                    <input
+                      type="text"
+                      value={parameters[parameter.name] || ''}
+                      onChange={(e) => {
+                        setParameters((current) => ({ ...current, [parameter.name]: e.target.value }));
+                        resetPreview();
+                      }}
+                      placeholder={parameter.placeholder}
+                      className="input font-mono text-xs"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {preview && (
+              <div className="space-y-3">
+                {preview.records.length > 0 && (
+                  <div>
+                    <h4 className="text-xs font-medium text-gray-500 uppercase mb-1">
+                      Records to add ({preview.records.length})
+                    </h4>
+                    <RecordList records={preview.records} className="bg-green-50 text-green-800" />
+                  </div>
+                )}
+                {preview.existing.length > 0 && (
+                  <div>
+                    <h4 className="text-xs font-medium text-gray-500 uppercase mb-1">
+                      Already set up ({preview.existing.length})
+                    </h4>
+                    <RecordList records={preview.existing} className="bg-gray-50 text-gray-600" />
+                  </div>
+                )}
+                {preview.conflicts.length > 0 && (
+                  <div>
+                    <h4 className="text-xs font-medium text-gray-500 uppercase mb-1">
+                      Conflicts ({preview.conflicts.length})
+                    </h4>
+                    <ul className="space-y-2">
+                      {preview.conflicts.map((conflict, index) => (
+                        <li key={index} className="bg-red-50 rounded px-2 py-1">
+                          <p className="text-xs text-red-800">{conflict.message}</p>
+                          <RecordList records={conflict.existing} className="text-red-700" />
+                        </li>
+                      ))}
+                    </ul>
+                    <label className="mt-2 flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={replaceConflicts}
+                        onChange={(e) => setReplaceConflicts(e.target.checked)}
+                        className="mr-2"
+                      />
+                      Replace the conflicting records (removing the template later does not bring them back)
+                    </label>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => {
+                  setSelected(null);
+                  resetPreview();
+                }}
+                className="btn-outline"
+              >
+                Cancel
+              </button>
+              {preview && preview.records.length > 0 ? (
+                <button
+                  onClick={handleApply}
+                  disabled={working || (preview.conflicts.length > 0 && !replaceConflicts)}
+                  className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+                >
+                  {working && <LoadingSpinner size="sm" className="text-white" />}
+                  <span>{working ? 'Applying...' : `Add ${preview.records.length} record(s)`}</span>
+                </button>
+              ) : (
+                <button
+                  onClick={handlePreview}
+                  disabled={working || missingRequired}
+                  className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+                >
+                  {working && <LoadingSpinner size="sm" className="text-white" />}
+                  <span>{working ? 'Checking...' : 'Preview records'}</span>
+                </button>
+              )}
+            </div>
+            {preview && preview.records.length === 0 && (
+              <p className="text-sm text-gray-500">This domain already has every record of this template.</p>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {applications.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-900 mb-3">Applied templates</h3>
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {applications.map((application) => (
+              <li key={application.id} className="p-4 flex items-start justify-between">
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm font-medium text-gray-900 flex items-center">
+                    <CheckCircleIcon className="h-4 w-4 mr-1 text-green-600" />
+                    {application.template_name}
+                    <span className="ml-2 text-xs font-normal text-gray-500">
+                      {new Date(application.created_at).toLocaleDateString()}
+                    </span>
+                  </p>
+                  <div className="mt-2">
+                    <RecordList records={application.records} className="text-gray-700" />
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRemove(application)}
+                  disabled={removing !== null}
+                  className="ml-4 inline-flex items-center text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  <TrashIcon className="h-4 w-4 mr-1" />
+                  {removing === application.id ? 'Removing...' : 'Remove all'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DNSTemplates;
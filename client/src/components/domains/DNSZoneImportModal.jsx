@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowUpTrayIcon,
+  ExclamationTriangleIcon,
+  InformationCircleIcon
+} from '@heroicons/react/24/outline';
+import { domainService } from '../../services/domainService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import DNSDiff from './DNSDiff';
+
+// Import a BIND zone file: the server parses and validates it and returns the
+// changes, which are only applied once the user confirms the preview.
+const DNSZoneImportModal = ({ isOpen, domain, onClose, onImported }) => {
+  const [zone, setZone] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [zoneErrors, setZoneErrors] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setPreview(null);
+    setZoneErrors([]);
+    setError(null);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setZone(await file.text());
+    reset();
+  };
+
+  const handleError = (err, fallback) => {
+    console.error('Zone import error:', err);
+    setZoneErrors(err.response?.data?.zoneErrors || []);
+    setError(
+      err.response?.data?.message ||
+      err.response?.data?.errors?.[0]?.msg ||
+      fallback
+    );
+  };
+
+  const handlePreview = async () => {
+    reset();
+    try {
+      setLoading(true);
+      setPreview(await domainService.importDNSZone(domain.id, zone));
+    } catch (err) {
+      handleError(err, 'Failed to read the zone file. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      await domainService.importDNSZone(domain.id, zone, {
+        apply: true,
+        expectedVersion: preview.version
+      });
+      setZone('');
+      reset();
+      onImported();
+    } catch (err) {
+      // A 409 means the records changed after the preview; show it again
+      if (err.response?.status === 409) {
+        setPreview(null);
+      }
+      handleError(err, 'Failed to import DNS records. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const diff = preview?.diff;
+  const changeCount = diff ? diff.added.length + diff.removed.length + diff.changed.length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto"
+      >
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2">
+              <ArrowUpTrayIcon className="h-5 w-5 text-green-600" />
+              <span>Import Zone File</span>
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 flex items-start space-x-2 text-sm text-blue-800">
+            <InformationCircleIcon className="h-5 w-5 flex-shrink-0" />
+            <span>
+              Paste or upload a BIND zone file exported from your current DNS provider.
+              The imported records replace all DNS records of {domain?.full_domain}.
+              SOA and root NS records are skipped.
+            </span>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Zone File
+              </label>
+              <input
+                type="file"
+                accept=".zone,.txt,.db,text/plain"
+                onChange={handleFile}
+                className="text-xs text-gray-600"
+              />
+            </div>
+            <textarea
+              value={zone}
+              onChange={(e) => {
+                setZone(e.target.value);
+                reset();
+              }}
+              rows={10}
+              placeholder={`$ORIGIN ${domain?.full_domain}.\n@    3600 IN A     192.0.2.1\nwww  3600 IN CNAME ${domain?.full_domain}.`}
+              className="input font-mono text-xs"
+            />
+          </div>
+
+          {error && (
+            <div className="text-sm text-red-600">
+              <p className="flex items-center">
+                <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                {error}
+              </p>
+              {zoneErrors.length > 0 && (
+                <ul className="mt-2 space-y-0.5 font-mono text-xs">
+                  {zoneErrors.map((zoneError, index) => (
+                    <li key={index}>Line {zoneError.line}: {zoneError.message}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {diff && (
+            <div className="space-y-3">
+              <h3 className="text-sm font-medium text-gray-900">
+                {changeCount === 0
+                  ? 'The DNS records already match this zone file.'
+                  : `${changeCount} change(s) will be made`}
+              </h3>
+              {changeCount > 0 && <DNSDiff diff={diff} />}
+              {preview.skipped.map((item) => (
+                <p key={`skipped-${item.line}`} className="text-xs text-yellow-700">
+                  Line {item.line}: {item.type} {item.name} skipped ({item.reason})
+                </p>
+              ))}
+              {preview.warnings.map((warning) => (
+                <p key={`warning-${warning.line}`} className="text-xs text-yellow-700">
+                  Line {warning.line}: {warning.message}
+                </p>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onClose} className="btn-outline">
+              Cancel
+            </button>
+            {diff && changeCount > 0 ? (
+              <button
+                onClick={handleApply}
+                disabled={loading}
+                className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+              >
+                {loading && <LoadingSpinner size="sm" className="text-white" />}
+                <span>{loading ? 'Importing...' : `Apply ${changeCount} change(s)`}</span>
+              </button>
+            ) : (
+              <button
+                onClick={handlePreview}
+                disabled={loading || !zone.trim()}
+                className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+              >
+                {loading && <LoadingSpinner size="sm" className="text-white" />}
+                <span>{loading ? 'Checking...' : 'Preview changes'}</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default DNSZoneImportModal;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import {
+  ScaleIcon,
+  ExclamationTriangleIcon,
+  SparklesIcon
+} from '@heroicons/react/24/outline';
+
+const formatPrice = (value) => `$${Number(value).toLocaleString('en-US')}`;
+
+const confidenceColors = {
+  high: 'text-green-700 bg-green-100',
+  medium: 'text-yellow-700 bg-yellow-100',
+  low: 'text-gray-700 bg-gray-100'
+};
+
+const verdictColors = {
+  below_range: 'text-green-700',
+  standard_price: 'text-green-700',
+  within_range: 'text-blue-700',
+  above_range: 'text-red-700',
+  registered: 'text-gray-600',
+  unknown: 'text-gray-600'
+};
+
+// Estimated value of a domain from POST /api/ai/appraise. The parent owns the
+// appraisal state so results survive re-renders of lists like search results.
+const DomainAppraisal = ({ domainName, appraisal, loading, error, onAppraise, compact = false }) => {
+  if (!appraisal) {
+    return (
+      <div className={compact ? '' : 'space-y-3'}>
+        {!compact && (
+          <p className="text-sm text-gray-600">
+            Estimate what {domainName} could sell for, based on its length, extension,
+            keywords and comparable sales.
+          </p>
+        )}
+        <button
+          onClick={onAppraise}
+          disabled={loading}
+          className={`btn-outline text-sm inline-flex items-center ${compact ? '' : 'w-full justify-center'}`}
+        >
+          <ScaleIcon className="h-4 w-4 mr-1" />
+          {loading ? 'Estimating...' : 'Estimate value'}
+        </button>
+        {error && (
+          <p className="text-sm text-red-600 mt-2 flex items-center">
+            <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+            {error}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  const { range, confidence, verdict, comparables = [], registration } = appraisal;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className={compact ? 'pt-3 border-t border-gray-100 text-sm' : 'space-y-4'}
+    >
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-xs font-medium text-gray-500 uppercase">Estimated value</div>
+          <div className={`${compact ? 'text-lg' : 'text-2xl'} font-bold text-gray-900`}>
+            {formatPrice(range.low)} – {formatPrice(range.high)}
+          </div>
+        </div>
+        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${confidenceColors[confidence.level]}`}>
+          {confidence.level} confidence
+        </span>
+      </div>
+
+      {registration?.isPremium && (
+        <div className="text-sm text-yellow-700">
+          Premium registration price: {formatPrice(registration.price)}
+        </div>
+      )}
+
+      {verdict && (
+        <p className={`text-sm ${verdictColors[verdict.code] || 'text-gray-600'}`}>
+          {verdict.message}
+        </p>
+      )}
+
+      {appraisal.rationale && (
+        <div className={`flex items-start text-gray-700 ${compact ? 'mt-2' : 'text-sm'}`}>
+          <SparklesIcon className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0 text-blue-600" />
+          <p className="whitespace-pre-line">{appraisal.rationale}</p>
+        </div>
+      )}
+
+      {!compact && comparables.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-900 mb-2">Comparable sales</h3>
+          <ul className="divide-y divide-gray-100">
+            {comparables.map((sale) => (
+              <li key={sale.domain} className="flex justify-between py-1.5 text-sm">
+                <span className="text-gray-700">{sale.domain}</span>
+                <span className="text-gray-900 font-medium">
+                  {formatPrice(sale.price)}
+                  <span className="text-gray-500 font-normal ml-1">({sale.year})</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!compact && (
+        <p className="text-xs text-gray-500">
+          Estimates are indicative and based on a sample of public sales, not an offer to buy.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default DomainAppraisal;
@@ -0,0 +1,103 @@
+import React from 'react';
+import {
+  CheckCircleIcon,
+  ClockIcon,
+  MinusCircleIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+
+const STATUSES = {
+  propagated: { label: 'Up to date', icon: CheckCircleIcon, className: 'bg-green-50 border-green-200 text-green-800' },
+  outdated: { label: 'Old value', icon: ClockIcon, className: 'bg-yellow-50 border-yellow-200 text-yellow-800' },
+  missing: { label: 'Not found', icon: MinusCircleIcon, className: 'bg-gray-50 border-gray-200 text-gray-700' },
+  error: { label: 'No answer', icon: XCircleIcon, className: 'bg-red-50 border-red-200 text-red-800' }
+};
+
+const AUTHORITATIVE_REGION = 'Authoritative';
+
+// Resolver results grouped by region, the domain's own nameservers first
+const groupByRegion = (results) => {
+  const groups = results.reduce((regions, result) => {
+    const region = result.region || 'Other';
+    return { ...regions, [region]: [...(regions[region] || []), result] };
+  }, {});
+
+  return Object.entries(groups).sort(([a], [b]) => {
+    if (a === AUTHORITATIVE_REGION) return -1;
+    if (b === AUTHORITATIVE_REGION) return 1;
+    return a.localeCompare(b);
+  });
+};
+
+// Where a DNS record is visible: one tile per public resolver and
+// authoritative nameserver from the last propagation check
+const PropagationMap = ({ results = [] }) => {
+  if (results.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        This record has not been checked on public resolvers yet.
+      </p>
+    );
+  }
+
+  const upToDate = results.filter((result) => result.status === 'propagated').length;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-700">
+          Up to date on <span className="font-medium">{upToDate} of {results.length}</span> resolvers
+        </p>
+        <div className="hidden md:flex items-center space-x-3 text-xs text-gray-500">
+          {Object.entries(STATUSES).map(([status, { label, icon: Icon }]) => (
+            <span key={status} className="flex items-center">
+              <Icon className="h-3 w-3 mr-1" />
+              {label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {groupByRegion(results).map(([region, regionResults]) => (
+        <div key={region}>
+          <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+            {region === AUTHORITATIVE_REGION ? 'Authoritative nameservers' : region}
+          </h4>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2">
+            {regionResults.map((result) => {
+              const status = STATUSES[result.status] || STATUSES.error;
+              const Icon = status.icon;
+
+              return (
+                <div
+                  key={result.id}
+                  className={`border rounded-md p-3 ${status.className}`}
+                  title={result.address}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium truncate">{result.name}</span>
+                    <Icon className="h-4 w-4 flex-shrink-0 ml-2" />
+                  </div>
+                  <div className="mt-1 text-xs">
+                    {status.label}
+                    {result.responseTime !== undefined && ` · ${result.responseTime} ms`}
+                  </div>
+                  {result.values?.length > 0 && (
+                    <code className="mt-1 block text-xs font-mono truncate">
+                      {result.values.join(', ')}
+                    </code>
+                  )}
+                  {result.error && (
+                    <div className="mt-1 text-xs font-mono">{result.error}</div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PropagationMap;
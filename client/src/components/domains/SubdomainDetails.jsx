@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowPathIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import subdomainService from '../../services/subdomainService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import PropagationMap from './PropagationMap';
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+// A subdomain's record and where it has propagated, with an on-demand check
+// against the public resolvers and the domain's nameservers
+const SubdomainDetails = ({ domain, subdomain }) => {
+  const [propagation, setPropagation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchDetails();
+  }, [subdomain.id]);
+
+  const fetchDetails = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await subdomainService.getSubdomainDetails(domain.id, subdomain.id);
+      setPropagation(response.data?.propagation || null);
+    } catch (err) {
+      console.error('Failed to fetch subdomain details:', err);
+      setError(err.response?.data?.message || 'Failed to load subdomain details. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCheck = async () => {
+    try {
+      setChecking(true);
+      setError(null);
+      const response = await subdomainService.checkPropagation(domain.id, subdomain.id);
+      setPropagation(response.data?.propagation || null);
+    } catch (err) {
+      console.error('Failed to check DNS propagation:', err);
+      setError(err.response?.data?.message || 'Failed to check DNS propagation. Please try again.');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Results stored for an earlier value of the record no longer apply
+  const isCurrent =
+    propagation &&
+    propagation.record_type === subdomain.record_type &&
+    propagation.expected_value === subdomain.target_value;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-sm font-medium text-gray-900">DNS Propagation</h3>
+          <p className="text-xs text-gray-500 mt-1">
+            {subdomain.subdomain_name}.{domain.full_domain} {subdomain.record_type}{' '}
+            <code className="bg-gray-100 px-1 rounded">{subdomain.target_value}</code>
+            {isCurrent && propagation.last_check_at && ` · checked ${formatDateTime(propagation.last_check_at)}`}
+          </p>
+        </div>
+        <button
+          onClick={handleCheck}
+          disabled={loading || checking}
+          className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {checking ? (
+            <LoadingSpinner size="sm" className="mr-1" />
+          ) : (
+            <ArrowPathIcon className="h-4 w-4 mr-1" />
+          )}
+          {checking ? 'Checking...' : 'Check now'}
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 flex items-center">
+          <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+          {error}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner size="md" />
+        </div>
+      ) : (
+        <PropagationMap results={isCurrent ? propagation.resolver_results : []} />
+      )}
+    </div>
+  );
+};
+
+export default SubdomainDetails;
@@ -7,19 +7,25 @@ import {
   GlobeAltIcon,
   ServerIcon,
   ExclamationTriangleIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  Squares2X2Icon,
+  SignalIcon
 } from '@heroicons/react/24/outline';
 import subdomainService from '../../services/subdomainService';
 import LoadingSpinner from '../ui/LoadingSpinner';
 import SubdomainForm from './SubdomainForm';
+import DNSTemplates from './DNSTemplates';
+import SubdomainDetails from './SubdomainDetails';
 
 const SubdomainManager = ({ domain }) => {
   const [subdomains, setSubdomains] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
   const [editingSubdomain, setEditingSubdomain] = useState(null);
   const [deleting, setDeleting] = useState(null);
+  const [expandedSubdomain, setExpandedSubdomain] = useState(null);
 
   useEffect(() => {
     if (domain?.id) {
@@ -149,17 +155,31 @@ const SubdomainManager = ({ domain }) => {
               Manage subdomains for {domain?.full_domain}
             </p>
           </div>
-          <button
-            onClick={() => {
-              setEditingSubdomain(null);
-              setShowForm(!showForm);
-            }}
-            disabled={loading}
-            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-          >
-            <PlusIcon className="h-4 w-4 mr-2" />
-            {showForm ? 'Cancel' : 'Add Subdomain'}
-          </button>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => {
+                setShowForm(false);
+                setShowTemplates(!showTemplates);
+              }}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Squares2X2Icon className="h-4 w-4 mr-2" />
+              {showTemplates ? 'Hide Templates' : 'Templates'}
+            </button>
+            <button
+              onClick={() => {
+                setEditingSubdomain(null);
+                setShowTemplates(false);
+                setShowForm(!showForm);
+              }}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              {showForm ? 'Cancel' : 'Add Subdomain'}
+            </button>
+          </div>
         </div>
       </div>
 
@@ -210,6 +230,22 @@ const SubdomainManager = ({ domain }) => {
         )}
       </AnimatePresence>
 
+      {/* DNS Templates */}
+      <AnimatePresence>
+        {showTemplates && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="border-b border-gray-200"
+          >
+            <div className="p-6">
+              <DNSTemplates domain={domain} onChange={fetchSubdomains} />
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Content */}
       <div className="p-6">
         {loading && !showForm && (
@@ -218,7 +254,7 @@ const SubdomainManager = ({ domain }) => {
           </div>
         )}
 
-        {!loading && subdomains.length === 0 && !showForm && (
+        {!loading && subdomains.length === 0 && !showForm && !showTemplates && (
           <div className="text-center py-12">
             <GlobeAltIcon className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900">No subdomains</h3>
@@ -264,7 +300,7 @@ const SubdomainManager = ({ domain }) => {
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
                 <AnimatePresence>
-                  {subdomains.map((subdomain) => (
+                  {subdomains.flatMap((subdomain) => [
                     <motion.tr
                       key={subdomain.id}
                       initial={{ opacity: 0, y: 20 }}
@@ -285,6 +321,7 @@ const SubdomainManager = ({ domain }) => {
                             </div>
                             <div className="text-sm text-gray-500">
                               Created {new Date(subdomain.created_at).toLocaleDateString()}
+                              {subdomain.template_application_id && ' by a template'}
                             </div>
                           </div>
                         </div>
@@ -310,6 +347,15 @@ const SubdomainManager = ({ domain }) => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <div className="flex items-center justify-end space-x-2">
+                          <button
+                            onClick={() =>
+                              setExpandedSubdomain(expandedSubdomain === subdomain.id ? null : subdomain.id)
+                            }
+                            className={`${expandedSubdomain === subdomain.id ? 'text-blue-900' : 'text-gray-500'} hover:text-blue-900 transition-colors`}
+                            title="DNS propagation"
+                          >
+                            <SignalIcon className="h-4 w-4" />
+                          </button>
                           <button
                             onClick={() => handleEditClick(subdomain)}
                             disabled={loading || deleting === subdomain.id}
@@ -332,8 +378,21 @@ const SubdomainManager = ({ domain }) => {
                           </button>
                         </div>
                       </td>
-                    </motion.tr>
-                  ))}
+                    </motion.tr>,
+                    expandedSubdomain === subdomain.id && (
+                      <motion.tr
+                        key={`${subdomain.id}-details`}
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="bg-gray-50"
+                      >
+                        <td colSpan={6} className="px-6 py-4">
+                          <SubdomainDetails domain={domain} subdomain={subdomain} />
+                        </td>
+                      </motion.tr>
+                    )
+                  ])}
                 </AnimatePresence>
               </tbody>
             </table>
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { ArrowsRightLeftIcon, InformationCircleIcon } from '@heroicons/react/24/outline';
+import { domainService } from '../../services/domainService';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const AUTH_CODE_PATTERN = /^[\x21-\x7E]{6,32}$/;
+const YEAR_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+const TransferDomainModal = ({ isOpen, onClose, onTransferStarted }) => {
+  const [domain, setDomain] = useState('');
+  const [authCode, setAuthCode] = useState('');
+  const [years, setYears] = useState(1);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const domainName = domain.trim().toLowerCase();
+    if (!domainName.includes('.')) {
+      setError('Please enter a full domain name, e.g. example.com');
+      return;
+    }
+
+    if (!AUTH_CODE_PATTERN.test(authCode.trim())) {
+      setError('Auth code must be 6-32 characters without spaces');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const checkout = await domainService.transferDomain(domainName, authCode.trim(), years);
+      onTransferStarted(domainName, checkout);
+    } catch (err) {
+      console.error('Transfer error:', err);
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.errors?.[0]?.msg ||
+        'Failed to start the transfer. Please try again.'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg max-w-lg w-full mx-4"
+      >
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2">
+              <ArrowsRightLeftIcon className="h-5 w-5 text-primary-600" />
+              <span>Transfer a Domain</span>
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 flex items-start space-x-2 text-sm text-blue-800">
+            <InformationCircleIcon className="h-5 w-5 flex-shrink-0" />
+            <span>
+              Unlock the domain at your current registrar and request its EPP
+              authorization code before starting the transfer.
+            </span>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Domain Name *
+            </label>
+            <input
+              type="text"
+              value={domain}
+              onChange={(e) => setDomain(e.target.value)}
+              placeholder="example.com"
+              className="input"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Authorization (EPP) Code *
+            </label>
+            <input
+              type="password"
+              value={authCode}
+              onChange={(e) => setAuthCode(e.target.value)}
+              placeholder="Auth code from your current registrar"
+              className="input font-mono"
+              autoComplete="off"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Years to Add
+            </label>
+            <select
+              value={years}
+              onChange={(e) => setYears(parseInt(e.target.value))}
+              className="input"
+            >
+              {YEAR_OPTIONS.map((option) => (
+                <option key={option} value={option}>
+                  {option} year{option > 1 ? 's' : ''}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Added to the domain's current expiration date once the transfer completes.
+            </p>
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600">{error}</p>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onClose} className="btn-outline">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+            >
+              {loading && <LoadingSpinner size="sm" className="text-white" />}
+              <span>{loading ? 'Checking...' : 'Continue to Payment'}</span>
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default TransferDomainModal;
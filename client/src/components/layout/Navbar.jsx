@@ -10,6 +10,8 @@ import {
   Menu,
   X,
   Crown,
+  DollarSign,
+  ShoppingCart,
 } from "lucide-react";
 import { useAuth } from "../../contexts/AuthContext";
 import { cn } from "../../utils/cn";
@@ -35,6 +37,7 @@ const Navbar = () => {
       protected: true,
     },
     { to: "/my-domains", label: "My Domains", icon: Crown, protected: true },
+    { to: "/cart", label: "Cart", icon: ShoppingCart, protected: true },
   ];
 
   const isActivePath = (path) => location.pathname === path;
@@ -114,6 +117,15 @@ const Navbar = () => {
                       <Settings className="w-4 h-4 mr-2" />
                       Settings
                     </Link>
+                    {user?.role === "admin" && (
+                      <Link
+                        to="/admin/pricing"
+                        className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        <DollarSign className="w-4 h-4 mr-2" />
+                        Pricing Admin
+                      </Link>
+                    )}
                     <hr className="my-1" />
                     <button
                       onClick={handleLogout}
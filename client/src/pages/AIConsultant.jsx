@@ -10,30 +10,42 @@ import {
   LightBulbIcon,
   ChartBarIcon,
   GlobeAltIcon,
+  ChatBubbleLeftRightIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  StopIcon,
+  ExclamationTriangleIcon,
 } from "@heroicons/react/24/outline";
+import toast from "react-hot-toast";
 import { aiService } from "../services/aiService";
 import { domainService } from "../services/domainService";
 import { useAuth } from "../contexts/AuthContext";
 import { useProfileCheck } from "../utils/profileValidation";
+import ChatCheckout from "../components/ai/ChatCheckout";
+
+const createWelcomeMessage = () => ({
+  id: "welcome",
+  type: "ai",
+  content:
+    "Hello! I'm your AI Domain Consultant. I can help you with:\n\n• Finding the perfect domain name for your business\n• Analyzing domain value and market trends\n• Suggesting domain investment opportunities\n• Providing SEO and branding advice\n\nWhat would you like to know about domains today?",
+  timestamp: new Date(),
+});
 
 const AIConsultant = () => {
   const navigate = useNavigate();
   const { isAuthenticated, user } = useAuth();
   const { checkProfileAndProceed } = useProfileCheck(user, navigate);
-  const [messages, setMessages] = useState([
-    {
-      id: 1,
-      type: "ai",
-      content:
-        "Hello! I'm your AI Domain Consultant. I can help you with:\n\n• Finding the perfect domain name for your business\n• Analyzing domain value and market trends\n• Suggesting domain investment opportunities\n• Providing SEO and branding advice\n\nWhat would you like to know about domains today?",
-      timestamp: new Date(),
-    },
-  ]);
+  const [messages, setMessages] = useState([createWelcomeMessage()]);
   const [inputMessage, setInputMessage] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [suggestions, setSuggestions] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [showConversations, setShowConversations] = useState(false);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -43,6 +55,78 @@ const AIConsultant = () => {
     scrollToBottom();
   }, [messages]);
 
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadConversations();
+    }
+  }, [isAuthenticated]);
+
+  const loadConversations = async () => {
+    try {
+      const result = await aiService.getUserConversations(1, 20);
+      setConversations(result.conversations || []);
+    } catch (error) {
+      console.error("Failed to load conversations:", error);
+    }
+  };
+
+  const startNewConversation = () => {
+    abortControllerRef.current?.abort();
+    setConversationId(null);
+    setMessages([createWelcomeMessage()]);
+    setSuggestions([]);
+    setShowConversations(false);
+  };
+
+  const openConversation = async (id) => {
+    try {
+      const result = await aiService.getConversationHistory(id);
+      abortControllerRef.current?.abort();
+      setConversationId(id);
+      setMessages([
+        createWelcomeMessage(),
+        ...result.messages.map((message) => ({
+          id: message.id,
+          type: message.role === "user" ? "user" : "ai",
+          content: message.content,
+          timestamp: new Date(message.created_at),
+          domains: message.domains || [],
+          filteredDomains: message.metadata?.filteredDomains || [],
+        })),
+      ]);
+      setSuggestions([]);
+      setShowConversations(false);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleRenameConversation = async (conversation) => {
+    const title = window.prompt("Rename conversation", conversation.title);
+    if (!title || !title.trim() || title.trim() === conversation.title) return;
+
+    try {
+      await aiService.renameConversation(conversation.id, title.trim());
+      loadConversations();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteConversation = async (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title}"?`)) return;
+
+    try {
+      await aiService.deleteConversation(conversation.id);
+      if (conversation.id === conversationId) {
+        startNewConversation();
+      }
+      loadConversations();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
   const quickSuggestions = [
     {
       icon: LightBulbIcon,
@@ -67,7 +151,7 @@ const AIConsultant = () => {
   ];
 
   const handleSendMessage = async (messageText = inputMessage) => {
-    if (!messageText.trim()) return;
+    if (!messageText.trim() || isLoading) return;
 
     const userMessage = {
       id: Date.now(),
@@ -76,59 +160,85 @@ const AIConsultant = () => {
       timestamp: new Date(),
     };
 
-    setMessages((prev) => [...prev, userMessage]);
+    // Placeholder reply that fills in as progress events stream in
+    const aiMessageId = Date.now() + 1;
+    const updateAiMessage = (update) =>
+      setMessages((prev) =>
+        prev.map((message) =>
+          message.id === aiMessageId
+            ? { ...message, ...(typeof update === "function" ? update(message) : update) }
+            : message
+        )
+      );
+
+    setMessages((prev) => [
+      ...prev,
+      userMessage,
+      {
+        id: aiMessageId,
+        type: "ai",
+        content: "",
+        timestamp: new Date(),
+        domains: [],
+        isStreaming: true,
+        status: "Thinking...",
+      },
+    ]);
     setInputMessage("");
     setIsLoading(true);
 
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
-      const response = await aiService.chatWithAI(messageText);
+      const response = await aiService.streamChatWithAI(messageText, conversationId, {
+        signal: abortController.signal,
+        onEvent: (event, data) => {
+          if (event === "conversation") {
+            // The first message of a new chat starts a conversation on the server
+            setConversationId(data.conversationId);
+          } else if (event === "status") {
+            updateAiMessage({ status: data.message });
+          } else if (event === "domain") {
+            updateAiMessage((message) => ({ domains: [...message.domains, data] }));
+          } else if (event === "token") {
+            updateAiMessage((message) => ({ content: message.content + data.text }));
+          }
+        },
+      });
 
       // Debug: Log the complete response
       console.log("🔍 Complete AI Response:", response);
-      console.log("🔍 Response.requiresPaymentDetails:", response.requiresPaymentDetails);
-      console.log("🔍 Response.paymentCompleted:", response.paymentCompleted);
+      console.log("🔍 Response.checkout:", !!response.checkout);
       console.log("🔍 Response.redirectToPayment:", response.redirectToPayment);
       console.log("🔍 Response.requiresPayment:", response.requiresPayment);
       console.log("🔍 Response.paymentUrl:", response.paymentUrl);
       console.log("🔍 Response.domains:", response.domains);
 
       const aiMessage = {
-        id: Date.now() + 1,
-        type: "ai",
         content: response.message,
         timestamp: new Date(),
+        isStreaming: false,
+        status: null,
         suggestions: response.suggestions || [],
         domains: response.domains || [],
-        // Add payment-related fields
-        requiresPaymentDetails: response.requiresPaymentDetails,
-        paymentCompleted: response.paymentCompleted,
-        awaitingPaymentDetails: response.requiresPaymentDetails && !response.paymentCompleted,
+        // Suggestions left out because they resemble well-known brands
+        filteredDomains: response.filteredDomains || [],
+        // Secure checkout for a purchase started in the chat
+        checkout: response.checkout || null,
         // Add profile update related fields
         requiresProfileUpdate: response.requiresProfileUpdate,
         missingFields: response.missingFields || []
       };
 
-      setMessages((prev) => [...prev, aiMessage]);
+      updateAiMessage(aiMessage);
 
       if (response.suggestions) {
         setSuggestions(response.suggestions);
       }
 
-      // Handle payment completion success
-      if (response.paymentCompleted) {
-        console.log("🎉 Payment completed successfully!");
-        // Show success message and redirect to domains page after delay
-        setTimeout(() => {
-          navigate("/my-domains");
-        }, 3000);
-        return; // Don't process any redirect logic
-      }
-
-      // Handle payment details request - no redirection, just show the message
-      if (response.requiresPaymentDetails) {
-        console.log("💳 AI is requesting payment details from user");
-        // The AI message already contains instructions for the user
-        // No redirection needed - user will provide details in next message
+      // Purchases are paid in the checkout rendered with the message
+      if (response.checkout) {
         return;
       }
 
@@ -148,7 +258,7 @@ const AIConsultant = () => {
         const domain = response.domains[0];
         const paymentUrl = `/payment?domain=${encodeURIComponent(
           domain.name
-        )}&amount=${domain.price}&transaction=${
+        )}&amount=${domain.price}&years=${domain.years || 1}&transaction=${
           response.transactionId || "N/A"
         }`;
         console.log("🔄 Redirecting to payment page (fallback):", paymentUrl);
@@ -157,8 +267,6 @@ const AIConsultant = () => {
         }, 2000);
       } else {
         console.log("❌ No redirection triggered. Response flags:", {
-          requiresPaymentDetails: response.requiresPaymentDetails,
-          paymentCompleted: response.paymentCompleted,
           redirectToPayment: response.redirectToPayment,
           requiresPayment: response.requiresPayment,
           hasPaymentUrl: !!response.paymentUrl,
@@ -167,6 +275,16 @@ const AIConsultant = () => {
         });
       }
     } catch (error) {
+      if (error.name === "AbortError") {
+        updateAiMessage((message) => ({
+          content: message.content || "Request cancelled.",
+          isStreaming: false,
+          status: null,
+          isCancelled: true,
+        }));
+        return;
+      }
+
       console.error("Chat error:", error);
 
       let errorContent =
@@ -187,19 +305,24 @@ const AIConsultant = () => {
           "🌐 Unable to connect to the AI service. Please check your internet connection and try again.";
       }
 
-      const errorMessage = {
-        id: Date.now() + 1,
-        type: "ai",
+      updateAiMessage({
         content: errorContent,
-        timestamp: new Date(),
+        domains: [],
         isError: true,
-      };
-      setMessages((prev) => [...prev, errorMessage]);
+        isStreaming: false,
+        status: null,
+      });
     } finally {
       setIsLoading(false);
+      abortControllerRef.current = null;
+      loadConversations();
     }
   };
 
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
@@ -211,6 +334,44 @@ const AIConsultant = () => {
     handleSendMessage(suggestion.text);
   };
 
+  // The server records the checkout outcome in the conversation, so the
+  // consultant knows about it in later replies
+  const handleCheckoutComplete = async (messageId, paymentIntentId) => {
+    setMessages((prev) =>
+      prev.map((message) =>
+        message.id === messageId ? { ...message, checkoutCompleted: true } : message
+      )
+    );
+
+    try {
+      const outcome = await aiService.reportCheckoutOutcome(
+        conversationId,
+        paymentIntentId
+      );
+
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: Date.now(),
+          type: "ai",
+          content: outcome.message,
+          timestamp: new Date(),
+          domains: outcome.domains || [],
+          paymentCompleted: outcome.paymentCompleted,
+        },
+      ]);
+
+      if (outcome.paymentCompleted) {
+        setTimeout(() => {
+          navigate("/my-domains");
+        }, 3000);
+      }
+    } catch (error) {
+      console.error("Checkout outcome error:", error);
+      toast.error("Payment received, but the chat couldn't be updated. Check My Domains for your new domain.");
+    }
+  };
+
   const proceedWithDomainPurchase = async (domain) => {
     try {
       console.log("🛒 Attempting to purchase domain:", domain.name);
@@ -319,11 +480,14 @@ const AIConsultant = () => {
     }
   };
 
-  const MessageBubble = ({ message }) => {
+  // Rendered as a plain function, not a component, so streamed updates don't
+  // remount (and re-animate) every bubble
+  const renderMessage = (message) => {
     const isUser = message.type === "user";
 
     return (
       <motion.div
+        key={message.id}
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         className={`flex ${isUser ? "justify-end" : "justify-start"} mb-4`}
@@ -358,7 +522,21 @@ const AIConsultant = () => {
                 : "bg-white border border-gray-200 text-gray-800"
             }`}
           >
-            <div className="whitespace-pre-wrap text-sm">{message.content}</div>
+            {message.content && (
+              <div className="whitespace-pre-wrap text-sm">{message.content}</div>
+            )}
+
+            {/* Streaming progress */}
+            {message.isStreaming && (
+              <div className="flex items-center space-x-2 text-xs text-gray-500 mt-1">
+                <div className="loading-dots">
+                  <div></div>
+                  <div></div>
+                  <div></div>
+                </div>
+                <span>{message.status}</span>
+              </div>
+            )}
 
             {/* Profile Update Required */}
             {message.requiresProfileUpdate && (
@@ -385,17 +563,14 @@ const AIConsultant = () => {
               </div>
             )}
 
-            {/* Payment Details Request Indicator */}
-            {message.awaitingPaymentDetails && (
-              <div className="mt-3 bg-blue-50 border border-blue-200 rounded-lg p-3">
-                <div className="flex items-center space-x-2 text-sm text-blue-800">
-                  <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></div>
-                  <span className="font-medium">Waiting for payment details...</span>
-                </div>
-                <div className="text-xs text-blue-600 mt-1">
-                  Please provide your payment information in the format shown above
-                </div>
-              </div>
+            {/* Secure checkout for a purchase started in the chat */}
+            {message.checkout && !message.checkoutCompleted && (
+              <ChatCheckout
+                checkout={message.checkout}
+                onComplete={(paymentIntentId) =>
+                  handleCheckoutComplete(message.id, paymentIntentId)
+                }
+              />
             )}
 
             {/* Payment Completion Indicator */}
@@ -437,9 +612,15 @@ const AIConsultant = () => {
                         <p className="text-sm text-gray-600">
                           {domain.price ? '$' + domain.price + '/year' : 'Not available'}
                         </p>
+                        {domain.brandRisk && (
+                          <p className="mt-1 flex items-center text-xs text-yellow-700">
+                            <ExclamationTriangleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+                            {domain.brandRisk.reason}. Check trademarks before buying.
+                          </p>
+                        )}
                       </div>
                       <div className="space-x-2">
-                        {domain.available && (
+                        {domain.available && domain.status !== "awaiting_payment" && (
                           <button
                             onClick={() =>
                               handleDomainAction(domain, "purchase")
@@ -456,6 +637,21 @@ const AIConsultant = () => {
               </div>
             )}
 
+            {message.filteredDomains && message.filteredDomains.length > 0 && (
+              <div className="mt-3 text-xs text-gray-600 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                <p className="font-medium text-yellow-800 mb-1">
+                  Left out because they resemble existing brands:
+                </p>
+                <ul className="space-y-0.5">
+                  {message.filteredDomains.map((domain) => (
+                    <li key={domain.name}>
+                      <span className="font-medium">{domain.name}</span>: {domain.reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             <div className="text-xs opacity-70 mt-2">
               {message.timestamp.toLocaleTimeString([], {
                 hour: "2-digit",
@@ -489,6 +685,80 @@ const AIConsultant = () => {
             </div>
           </div>
 
+          {/* Conversations */}
+          {isAuthenticated && (
+            <div className="border-b border-gray-200 bg-gray-50 px-6 py-3">
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => setShowConversations((prev) => !prev)}
+                  className="flex items-center space-x-2 text-sm font-medium text-gray-700 hover:text-primary-600"
+                >
+                  <ChatBubbleLeftRightIcon className="h-5 w-5" />
+                  <span className="truncate max-w-xs">
+                    {conversations.find((c) => c.id === conversationId)?.title ||
+                      "New conversation"}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    ({conversations.length})
+                  </span>
+                </button>
+                <button
+                  onClick={startNewConversation}
+                  className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700"
+                >
+                  <PlusIcon className="h-4 w-4" />
+                  <span>New chat</span>
+                </button>
+              </div>
+
+              {showConversations && (
+                <div className="mt-3 max-h-60 overflow-y-auto space-y-1">
+                  {conversations.length === 0 && (
+                    <p className="text-sm text-gray-500">
+                      No saved conversations yet.
+                    </p>
+                  )}
+                  {conversations.map((conversation) => (
+                    <div
+                      key={conversation.id}
+                      className={`flex items-center justify-between rounded-lg px-3 py-2 text-sm ${
+                        conversation.id === conversationId
+                          ? "bg-primary-50 text-primary-700"
+                          : "hover:bg-gray-100 text-gray-700"
+                      }`}
+                    >
+                      <button
+                        onClick={() => openConversation(conversation.id)}
+                        className="flex-1 text-left truncate"
+                      >
+                        {conversation.title}
+                        <span className="ml-2 text-xs text-gray-400">
+                          {new Date(conversation.updated_at).toLocaleDateString()}
+                        </span>
+                      </button>
+                      <div className="flex items-center space-x-2 ml-2">
+                        <button
+                          onClick={() => handleRenameConversation(conversation)}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Rename"
+                        >
+                          <PencilIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteConversation(conversation)}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Delete"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Debug Info (temporary) */}
           {import.meta.env.VITE_DEV_MODE === "true" && (
             <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4">
@@ -574,32 +844,9 @@ const AIConsultant = () => {
             style={{ maxHeight: "500px" }}
           >
             <AnimatePresence>
-              {messages.map((message) => (
-                <MessageBubble key={message.id} message={message} />
-              ))}
+              {messages.map(renderMessage)}
             </AnimatePresence>
 
-            {isLoading && (
-              <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                className="flex justify-start mb-4"
-              >
-                <div className="flex items-center space-x-3">
-                  <div className="w-8 h-8 bg-gradient-to-r from-purple-500 to-pink-500 rounded-full flex items-center justify-center">
-                    <SparklesIcon className="h-4 w-4 text-white" />
-                  </div>
-                  <div className="bg-white border border-gray-200 px-4 py-2 rounded-2xl">
-                    <div className="loading-dots">
-                      <div></div>
-                      <div></div>
-                      <div></div>
-                    </div>
-                  </div>
-                </div>
-              </motion.div>
-            )}
-
             <div ref={messagesEndRef} />
           </div>
 
@@ -618,13 +865,23 @@ const AIConsultant = () => {
                   style={{ minHeight: "44px", maxHeight: "120px" }}
                 />
               </div>
-              <button
-                onClick={() => handleSendMessage()}
-                disabled={!inputMessage.trim() || isLoading}
-                className="btn-primary flex items-center justify-center w-12 h-12 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                <PaperAirplaneIcon className="h-5 w-5" />
-              </button>
+              {isLoading ? (
+                <button
+                  onClick={handleCancel}
+                  title="Stop generating"
+                  className="flex items-center justify-center w-12 h-12 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-700"
+                >
+                  <StopIcon className="h-5 w-5" />
+                </button>
+              ) : (
+                <button
+                  onClick={() => handleSendMessage()}
+                  disabled={!inputMessage.trim()}
+                  className="btn-primary flex items-center justify-center w-12 h-12 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <PaperAirplaneIcon className="h-5 w-5" />
+                </button>
+              )}
             </div>
             <div className="text-xs text-gray-500 mt-2">
               Press Enter to send, Shift+Enter for new line
@@ -0,0 +1,379 @@
+import React, { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import {
+  CurrencyDollarIcon,
+  PlusIcon,
+  TrashIcon,
+  CalculatorIcon,
+  ShieldExclamationIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../contexts/AuthContext";
+import { adminService } from "../services/adminService";
+import LoadingSpinner from "../components/ui/LoadingSpinner";
+
+const emptyRule = {
+  rule_type: "tld",
+  tld: "",
+  markup_type: "percentage",
+  markup_value: "",
+  min_margin: "",
+  min_cost: "",
+  description: "",
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message ||
+  error.response?.data?.errors?.[0]?.msg ||
+  fallback;
+
+const AdminPricing = () => {
+  const { user } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [newRule, setNewRule] = useState(emptyRule);
+  const [preview, setPreview] = useState({ domain: "", cost: "", premium: false });
+  const [previewResult, setPreviewResult] = useState(null);
+
+  const isAdmin = user?.role === "admin";
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchRules();
+    }
+  }, [isAdmin]);
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true);
+      const data = await adminService.getPricingRules();
+      setRules(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load pricing rules"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateRule = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      rule_type: newRule.rule_type,
+      markup_type: newRule.markup_type,
+      markup_value: parseFloat(newRule.markup_value) || 0,
+      min_margin: parseFloat(newRule.min_margin) || 0,
+      description: newRule.description || undefined,
+    };
+    if (newRule.rule_type !== "global" && newRule.tld) {
+      payload.tld = newRule.tld;
+    }
+    if (newRule.rule_type === "premium" && newRule.min_cost !== "") {
+      payload.min_cost = parseFloat(newRule.min_cost);
+    }
+
+    try {
+      setSaving(true);
+      await adminService.createPricingRule(payload);
+      toast.success("Pricing rule created");
+      setNewRule(emptyRule);
+      fetchRules();
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to create pricing rule"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdateRule = async (rule, updates) => {
+    try {
+      const updated = await adminService.updatePricingRule(rule.id, updates);
+      setRules((prev) => prev.map((r) => (r.id === rule.id ? updated : r)));
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update pricing rule"));
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm("Delete this pricing rule?")) return;
+
+    try {
+      await adminService.deletePricingRule(rule.id);
+      setRules((prev) => prev.filter((r) => r.id !== rule.id));
+      toast.success("Pricing rule deleted");
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to delete pricing rule"));
+    }
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    try {
+      const result = await adminService.previewPrice(
+        preview.domain,
+        preview.cost,
+        preview.premium
+      );
+      setPreviewResult(result);
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to preview price"));
+    }
+  };
+
+  const formatMarkup = (rule) =>
+    rule.markup_type === "fixed"
+      ? `$${parseFloat(rule.markup_value).toFixed(2)}`
+      : `${parseFloat(rule.markup_value)}%`;
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <ShieldExclamationIcon className="h-12 w-12 text-red-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            Admin Access Required
+          </h3>
+          <p className="text-gray-600">
+            You don't have permission to manage pricing.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center space-x-2">
+            <CurrencyDollarIcon className="h-8 w-8 text-primary-600" />
+            <span>Pricing Configuration</span>
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Markup rules applied to registrar costs. Premium rules win over
+            per-TLD rules, which win over the global default.
+          </p>
+        </div>
+
+        {/* Rules Table */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-lg border border-gray-200 mb-8 overflow-x-auto"
+        >
+          {loading ? (
+            <div className="p-8 flex justify-center">
+              <LoadingSpinner />
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {["Type", "TLD", "Markup", "Min Margin", "Min Cost", "Active", ""].map(
+                    (heading) => (
+                      <th
+                        key={heading}
+                        className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase"
+                      >
+                        {heading}
+                      </th>
+                    )
+                  )}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rules.map((rule) => (
+                  <tr key={rule.id}>
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900 capitalize">
+                      {rule.rule_type}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {rule.tld ? `.${rule.tld}` : "All"}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {formatMarkup(rule)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      ${parseFloat(rule.min_margin || 0).toFixed(2)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {rule.min_cost ? `$${parseFloat(rule.min_cost).toFixed(2)}` : "-"}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={rule.is_active}
+                        onChange={(e) =>
+                          handleUpdateRule(rule, { is_active: e.target.checked })
+                        }
+                      />
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        onClick={() => handleDeleteRule(rule)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {rules.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-8 text-center text-gray-500">
+                      No pricing rules configured. Domains are sold at registrar cost.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          )}
+        </motion.div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {/* New Rule */}
+          <form
+            onSubmit={handleCreateRule}
+            className="bg-white rounded-lg border border-gray-200 p-6 space-y-4"
+          >
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+              <PlusIcon className="h-5 w-5" />
+              <span>Add Rule</span>
+            </h2>
+            <div className="grid grid-cols-2 gap-4">
+              <select
+                value={newRule.rule_type}
+                onChange={(e) => setNewRule({ ...newRule, rule_type: e.target.value })}
+                className="input"
+              >
+                <option value="global">Global default</option>
+                <option value="tld">Per TLD</option>
+                <option value="premium">Premium domains</option>
+              </select>
+              <input
+                type="text"
+                placeholder={newRule.rule_type === "premium" ? "TLD (optional)" : "TLD, e.g. com"}
+                value={newRule.tld}
+                disabled={newRule.rule_type === "global"}
+                onChange={(e) => setNewRule({ ...newRule, tld: e.target.value })}
+                className="input disabled:bg-gray-100"
+              />
+              <select
+                value={newRule.markup_type}
+                onChange={(e) => setNewRule({ ...newRule, markup_type: e.target.value })}
+                className="input"
+              >
+                <option value="percentage">Percentage (%)</option>
+                <option value="fixed">Fixed ($)</option>
+              </select>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder="Markup value"
+                value={newRule.markup_value}
+                onChange={(e) => setNewRule({ ...newRule, markup_value: e.target.value })}
+                className="input"
+                required
+              />
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder="Min margin ($)"
+                value={newRule.min_margin}
+                onChange={(e) => setNewRule({ ...newRule, min_margin: e.target.value })}
+                className="input"
+              />
+              {newRule.rule_type === "premium" && (
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  placeholder="Applies from cost ($)"
+                  value={newRule.min_cost}
+                  onChange={(e) => setNewRule({ ...newRule, min_cost: e.target.value })}
+                  className="input"
+                />
+              )}
+            </div>
+            <input
+              type="text"
+              placeholder="Description (optional)"
+              value={newRule.description}
+              onChange={(e) => setNewRule({ ...newRule, description: e.target.value })}
+              className="input"
+            />
+            <button type="submit" disabled={saving} className="btn-primary w-full disabled:opacity-50">
+              {saving ? "Saving..." : "Add Rule"}
+            </button>
+          </form>
+
+          {/* Price Preview */}
+          <form
+            onSubmit={handlePreview}
+            className="bg-white rounded-lg border border-gray-200 p-6 space-y-4"
+          >
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+              <CalculatorIcon className="h-5 w-5" />
+              <span>Price Preview</span>
+            </h2>
+            <div className="grid grid-cols-2 gap-4">
+              <input
+                type="text"
+                placeholder="example.com"
+                value={preview.domain}
+                onChange={(e) => setPreview({ ...preview, domain: e.target.value })}
+                className="input"
+                required
+              />
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder="Registrar cost ($)"
+                value={preview.cost}
+                onChange={(e) => setPreview({ ...preview, cost: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={preview.premium}
+                onChange={(e) => setPreview({ ...preview, premium: e.target.checked })}
+              />
+              <span>Premium domain</span>
+            </label>
+            <button type="submit" className="btn-outline w-full">
+              Calculate
+            </button>
+            {previewResult && (
+              <div className="bg-gray-50 rounded-lg p-4 text-sm space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Registrar cost</span>
+                  <span>${previewResult.cost.toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Markup</span>
+                  <span>${previewResult.markup.toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between font-semibold">
+                  <span>Selling price</span>
+                  <span>${previewResult.sellingPrice.toFixed(2)}</span>
+                </div>
+                <div className="text-xs text-gray-500 pt-1">
+                  Rule applied: {previewResult.ruleType || "none"}
+                </div>
+              </div>
+            )}
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPricing;
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { useNavigate, Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import {
+  ShoppingCartIcon,
+  TrashIcon,
+  ShieldCheckIcon,
+} from "@heroicons/react/24/outline";
+import { useAuth } from "../contexts/AuthContext";
+import { cartService } from "../services/cartService";
+import { useProfileCheck } from "../utils/profileValidation";
+import LoadingSpinner from "../components/ui/LoadingSpinner";
+import ProfileCompleteModal from "../components/ui/ProfileCompleteModal";
+
+const YEAR_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message ||
+  error.response?.data?.errors?.[0]?.msg ||
+  fallback;
+
+const Cart = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [cart, setCart] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [updatingItem, setUpdatingItem] = useState(null);
+  const [checkingOut, setCheckingOut] = useState(false);
+  const [unavailable, setUnavailable] = useState([]);
+  const [profileModalState, setProfileModalState] = useState({
+    isOpen: false,
+    missingFields: [],
+    onConfirm: null,
+  });
+
+  const { checkProfileAndProceed } = useProfileCheck(
+    user,
+    navigate,
+    ({ missingFields, onConfirm }) =>
+      setProfileModalState({ isOpen: true, missingFields, onConfirm })
+  );
+
+  useEffect(() => {
+    fetchCart();
+  }, []);
+
+  const fetchCart = async () => {
+    try {
+      setLoading(true);
+      setCart(await cartService.getCart());
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to load your cart"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpdateItem = async (item, updates) => {
+    const years = updates.years ?? item.years;
+    const whoisPrivacy = updates.whoisPrivacy ?? item.whois_privacy;
+
+    try {
+      setUpdatingItem(item.id);
+      setCart(await cartService.addItem(item.full_domain, years, whoisPrivacy));
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to update cart item"));
+    } finally {
+      setUpdatingItem(null);
+    }
+  };
+
+  const handleRemoveItem = async (item) => {
+    try {
+      setUpdatingItem(item.id);
+      setCart(await cartService.removeItem(item.id));
+      setUnavailable((prev) => prev.filter((entry) => entry.id !== item.id));
+    } catch (error) {
+      toast.error(getErrorMessage(error, "Failed to remove cart item"));
+    } finally {
+      setUpdatingItem(null);
+    }
+  };
+
+  const handleCheckout = async () => {
+    const canProceed = await checkProfileAndProceed(null, "your cart");
+    if (!canProceed) return;
+
+    try {
+      setCheckingOut(true);
+      setUnavailable([]);
+      const checkout = await cartService.checkout(cart.total);
+
+      navigate("/payment?cart=1", {
+        state: { checkout, cart: checkout.cart },
+      });
+    } catch (error) {
+      const data = error.response?.data?.data;
+      if (data?.cart) {
+        setCart(data.cart);
+      }
+      if (data?.unavailable) {
+        setUnavailable(data.unavailable);
+      }
+      toast.error(getErrorMessage(error, "Checkout failed. Please try again."));
+    } finally {
+      setCheckingOut(false);
+    }
+  };
+
+  const isUnavailable = (item) =>
+    unavailable.some((entry) => entry.id === item.id);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const items = cart?.items || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center space-x-2">
+            <ShoppingCartIcon className="h-8 w-8 text-primary-600" />
+            <span>Your Cart</span>
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Prices and availability are checked again when you check out.
+          </p>
+        </div>
+
+        {items.length === 0 ? (
+          <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
+            <ShoppingCartIcon className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">
+              Your cart is empty
+            </h3>
+            <p className="text-gray-600 mb-6">
+              Search for a domain and add it to your cart.
+            </p>
+            <Link to="/search" className="btn-primary">
+              Search Domains
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {items.map((item) => (
+              <motion.div
+                key={item.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className={`bg-white rounded-lg border p-4 ${
+                  isUnavailable(item) ? "border-red-300" : "border-gray-200"
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h3 className="font-semibold text-lg">{item.full_domain}</h3>
+                    {isUnavailable(item) && (
+                      <p className="text-sm text-red-600">
+                        No longer available - remove it to continue
+                      </p>
+                    )}
+                    {item.is_premium && (
+                      <span className="text-xs font-medium text-yellow-700">
+                        Premium domain
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    <select
+                      value={item.years}
+                      disabled={updatingItem === item.id}
+                      onChange={(e) =>
+                        handleUpdateItem(item, { years: parseInt(e.target.value) })
+                      }
+                      className="input w-auto"
+                    >
+                      {YEAR_OPTIONS.map((years) => (
+                        <option key={years} value={years}>
+                          {years} year{years > 1 ? "s" : ""}
+                        </option>
+                      ))}
+                    </select>
+                    <div className="text-right w-24">
+                      <div className="text-xl font-bold text-gray-900">
+                        ${parseFloat(item.price).toFixed(2)}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRemoveItem(item)}
+                      disabled={updatingItem === item.id}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                </div>
+                <label className="mt-3 flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={item.whois_privacy}
+                    disabled={updatingItem === item.id}
+                    onChange={(e) =>
+                      handleUpdateItem(item, { whoisPrivacy: e.target.checked })
+                    }
+                    className="h-4 w-4 text-primary-600 rounded border-gray-300"
+                  />
+                  <ShieldCheckIcon className="h-4 w-4 text-green-600" />
+                  <span>WHOIS privacy protection (free)</span>
+                </label>
+              </motion.div>
+            ))}
+
+            <div className="bg-white rounded-lg border border-gray-200 p-6">
+              <div className="flex justify-between items-center text-lg mb-4">
+                <span className="font-semibold text-gray-900">
+                  Total ({cart.itemCount} domain{cart.itemCount > 1 ? "s" : ""})
+                </span>
+                <span className="text-2xl font-bold text-primary-600">
+                  ${cart.total.toFixed(2)} USD
+                </span>
+              </div>
+              <button
+                onClick={handleCheckout}
+                disabled={checkingOut || unavailable.length > 0}
+                className="btn-primary w-full disabled:opacity-50"
+              >
+                {checkingOut ? "Checking availability..." : "Proceed to Checkout"}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <ProfileCompleteModal
+        isOpen={profileModalState.isOpen}
+        onClose={() =>
+          setProfileModalState({ isOpen: false, missingFields: [], onConfirm: null })
+        }
+        onGoToProfile={() => {
+          if (profileModalState.onConfirm) {
+            profileModalState.onConfirm();
+          }
+          setProfileModalState({ isOpen: false, missingFields: [], onConfirm: null });
+        }}
+        missingFields={profileModalState.missingFields}
+        domainName="your cart"
+      />
+    </div>
+  );
+};
+
+export default Cart;
@@ -9,11 +9,15 @@ import {
   CurrencyDollarIcon,
   ExclamationTriangleIcon,
   CheckCircleIcon,
-  ClockIcon
+  ClockIcon,
+  ScaleIcon
 } from '@heroicons/react/24/outline';
 import { domainService } from '../services/domainService';
+import { aiService } from '../services/aiService';
+import DomainAppraisal from '../components/domains/DomainAppraisal';
 import SubdomainManager from '../components/domains/SubdomainManager';
 import DNSManager from '../components/domains/DNSManager';
+import DNSHistory from '../components/domains/DNSHistory';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 
 const DomainDetails = () => {
@@ -21,6 +25,9 @@ const DomainDetails = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('subdomains');
+  const [appraisal, setAppraisal] = useState(null);
+  const [appraising, setAppraising] = useState(false);
+  const [appraisalError, setAppraisalError] = useState(null);
   const { id } = useParams();
   const navigate = useNavigate();
 
@@ -48,6 +55,25 @@ const DomainDetails = () => {
     }
   };
 
+  const handleRenewDomain = () => {
+    navigate(
+      `/payment?domain=${encodeURIComponent(domain.full_domain)}&renewDomainId=${domain.id}&years=1`
+    );
+  };
+
+  const handleAppraise = async () => {
+    try {
+      setAppraising(true);
+      setAppraisalError(null);
+      setAppraisal(await aiService.appraiseDomain(domain.full_domain || domain.name));
+    } catch (err) {
+      console.error('Failed to appraise domain:', err);
+      setAppraisalError(err.message);
+    } finally {
+      setAppraising(false);
+    }
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'active':
@@ -55,6 +81,7 @@ const DomainDetails = () => {
       case 'expiring':
         return <ExclamationTriangleIcon className="h-5 w-5 text-yellow-600" />;
       case 'expired':
+      case 'renewal_failed':
         return <ExclamationTriangleIcon className="h-5 w-5 text-red-600" />;
       case 'pending':
         return <ClockIcon className="h-5 w-5 text-blue-600" />;
@@ -70,6 +97,7 @@ const DomainDetails = () => {
       case 'expiring':
         return 'text-yellow-600 bg-yellow-100';
       case 'expired':
+      case 'renewal_failed':
         return 'text-red-600 bg-red-100';
       case 'pending':
         return 'text-blue-600 bg-blue-100';
@@ -163,13 +191,13 @@ const DomainDetails = () => {
               <div className="flex items-center mt-2">
                 {getStatusIcon(domain.status)}
                 <span className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(domain.status)}`}>
-                  {domain.status.charAt(0).toUpperCase() + domain.status.slice(1)}
+                  {domain.status.charAt(0).toUpperCase() + domain.status.slice(1).replace('_', ' ')}
                 </span>
               </div>
             </div>
             
-            {(domain.status === 'expiring' || domain.status === 'expired') && (
-              <button className="btn-primary">
+            {(domain.status === 'expiring' || domain.status === 'expired' || domain.status === 'renewal_failed') && (
+              <button onClick={handleRenewDomain} className="btn-primary">
                 Renew Domain
               </button>
             )}
@@ -193,7 +221,7 @@ const DomainDetails = () => {
                   <div className="flex items-center">
                     {getStatusIcon(domain.status)}
                     <span className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(domain.status)}`}>
-                      {domain.status.charAt(0).toUpperCase() + domain.status.slice(1)}
+                      {domain.status.charAt(0).toUpperCase() + domain.status.slice(1).replace('_', ' ')}
                     </span>
                   </div>
                 </div>
@@ -265,6 +293,26 @@ const DomainDetails = () => {
               </div>
             </div>
 
+            {/* Estimated Value */}
+            <div className="bg-white rounded-lg shadow-lg overflow-hidden mt-6">
+              <div className="px-6 py-4 bg-gradient-to-r from-yellow-50 to-amber-50 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                  <ScaleIcon className="h-5 w-5 mr-2 text-amber-600" />
+                  Estimated Value
+                </h2>
+              </div>
+
+              <div className="p-6">
+                <DomainAppraisal
+                  domainName={domain.full_domain || domain.name}
+                  appraisal={appraisal}
+                  loading={appraising}
+                  error={appraisalError}
+                  onAppraise={handleAppraise}
+                />
+              </div>
+            </div>
+
             {/* Quick Actions */}
             <div className="bg-white rounded-lg shadow-lg overflow-hidden mt-6">
               <div className="px-6 py-4 bg-gradient-to-r from-green-50 to-emerald-50 border-b border-gray-200">
@@ -284,8 +332,11 @@ const DomainDetails = () => {
                 <button className="w-full btn-outline text-sm">
                   Domain Parking
                 </button>
-                {(domain.status === 'expiring' || domain.status === 'expired') && (
-                  <button className="w-full btn-primary text-sm">
+                {(domain.status === 'expiring' || domain.status === 'expired' || domain.status === 'renewal_failed') && (
+                  <button
+                    onClick={handleRenewDomain}
+                    className="w-full btn-primary text-sm"
+                  >
                     Renew Domain
                   </button>
                 )}
@@ -319,6 +370,16 @@ const DomainDetails = () => {
                   >
                     DNS Settings
                   </button>
+                  <button
+                    onClick={() => setActiveTab('history')}
+                    className={`py-4 px-6 text-sm font-medium border-b-2 transition-colors ${
+                      activeTab === 'history'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    DNS History
+                  </button>
                 </nav>
               </div>
 
@@ -326,6 +387,7 @@ const DomainDetails = () => {
               <div className="bg-gray-50">
                 {activeTab === 'subdomains' && <SubdomainManager domain={domain} />}
                 {activeTab === 'dns' && <DNSManager domain={domain} />}
+                {activeTab === 'history' && <DNSHistory domain={domain} />}
               </div>
             </div>
           </div>
@@ -8,9 +8,13 @@ import {
   XCircleIcon,
   ClockIcon,
 } from "@heroicons/react/24/outline";
+import toast from "react-hot-toast";
 import { domainService } from "../services/domainService";
+import { cartService } from "../services/cartService";
+import { aiService } from "../services/aiService";
 import { useProfileCheck } from "../utils/profileValidation";
 import ProfileCompleteModal from "../components/ui/ProfileCompleteModal";
+import DomainAppraisal from "../components/domains/DomainAppraisal";
 
 const DomainSearch = () => {
   const navigate = useNavigate();
@@ -248,6 +252,35 @@ const DomainSearch = () => {
     }
   };
 
+  const [cartDomains, setCartDomains] = useState(new Set());
+
+  const handleAddToCart = async (domainName) => {
+    try {
+      const cart = await cartService.addItem(domainName);
+      setCartDomains(new Set(cart.items.map((item) => item.full_domain)));
+      toast.success(`${domainName} added to your cart`);
+    } catch (error) {
+      console.error("Add to cart error:", error);
+      toast.error(
+        error.response?.data?.message || `Could not add ${domainName} to your cart`
+      );
+    }
+  };
+
+  // Appraisals by domain name; kept here because DomainCard remounts on every render
+  const [appraisals, setAppraisals] = useState({});
+
+  const handleAppraise = async (domainName) => {
+    setAppraisals((prev) => ({ ...prev, [domainName]: { loading: true } }));
+    try {
+      const appraisal = await aiService.appraiseDomain(domainName);
+      setAppraisals((prev) => ({ ...prev, [domainName]: { appraisal } }));
+    } catch (error) {
+      console.error("Appraisal error:", error);
+      setAppraisals((prev) => ({ ...prev, [domainName]: { error: error.message } }));
+    }
+  };
+
   const getDomainStatus = (domain) => {
     if (domain.available) {
       return {
@@ -265,11 +298,14 @@ const DomainSearch = () => {
   const DomainCard = ({
     domain,
     onPurchase,
+    onAddToCart,
+    inCart,
     onToggleSelect,
     isSelected,
     showSelect = false,
   }) => {
     const { status, color, icon: Icon } = getDomainStatus(domain);
+    const appraisalState = appraisals[domain.name] || {};
 
     return (
       <motion.div
@@ -303,18 +339,36 @@ const DomainSearch = () => {
             </div>
             <div className="text-sm text-gray-500">{domain.available ? '/year' : '' }</div>
             {domain.available && (
-              <button
-                onClick={() => onPurchase(domain.name)}
-                className="mt-2 btn-primary text-sm"
-              >
-                Purchase
-              </button>
+              <div className="mt-2 flex items-center justify-end space-x-2">
+                <button
+                  onClick={() => (inCart ? navigate("/cart") : onAddToCart(domain.name))}
+                  className="btn-outline text-sm"
+                >
+                  {inCart ? "In Cart" : "Add to Cart"}
+                </button>
+                <button
+                  onClick={() => onPurchase(domain.name)}
+                  className="btn-primary text-sm"
+                >
+                  Purchase
+                </button>
+              </div>
             )}
           </div>
         </div>
         {domain.description && (
           <p className="mt-3 text-sm text-gray-600">{domain.description}</p>
         )}
+        <div className="mt-3">
+          <DomainAppraisal
+            domainName={domain.name}
+            appraisal={appraisalState.appraisal}
+            loading={appraisalState.loading}
+            error={appraisalState.error}
+            onAppraise={() => handleAppraise(domain.name)}
+            compact
+          />
+        </div>
       </motion.div>
     );
   };
@@ -457,6 +511,8 @@ const DomainSearch = () => {
                           key={`available-${domain.name}-${index}`}
                           domain={domain}
                           onPurchase={handlePurchase}
+                          onAddToCart={handleAddToCart}
+                          inCart={cartDomains.has(domain.name.toLowerCase())}
                         />
                       ))}
                   </div>
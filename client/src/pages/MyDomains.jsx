@@ -12,8 +12,10 @@ import {
   MagnifyingGlassIcon,
   FunnelIcon,
   ArrowRightIcon,
+  ArrowsRightLeftIcon,
 } from "@heroicons/react/24/outline";
 import { domainService } from "../services/domainService";
+import TransferDomainModal from "../components/domains/TransferDomainModal";
 
 const MyDomains = () => {
   const [domains, setDomains] = useState([]);
@@ -26,6 +28,7 @@ const MyDomains = () => {
   const [dnsRecords, setDnsRecords] = useState([]);
   const [dnsError, setDnsError] = useState(null);
   const [renewalError, setRenewalError] = useState(null);
+  const [showTransferModal, setShowTransferModal] = useState(false);
   const navigate = useNavigate();
 
   const statusFilters = [
@@ -71,22 +74,20 @@ const MyDomains = () => {
     }
   };
 
-  const handleRenewDomain = async (domainName) => {
-    try {
-      setRenewalError(null); // Clear any previous renewal errors
-      const result = await domainService.renewDomain(domainName);
-      
-      if (result && result.error) {
-        setRenewalError(`Failed to renew ${domainName}: ${result.message}`);
-        return;
-      }
-      
-      fetchDomains(); // Refresh the list
-      // Show success message inline (you could add a success state here if needed)
-    } catch (error) {
-      console.error("Renewal error:", error);
-      setRenewalError(`Failed to renew ${domainName}. Please try again.`);
-    }
+  const handleRenewDomain = (domain) => {
+    setRenewalError(null); // Clear any previous renewal errors
+    // Renewal is paid through the same OTP + Stripe checkout as purchases
+    navigate(
+      `/payment?domain=${encodeURIComponent(domain.full_domain)}&renewDomainId=${domain.id}&years=1`
+    );
+  };
+
+  const handleTransferStarted = (domainName, checkout) => {
+    setShowTransferModal(false);
+    // The transfer is submitted to the registrar once payment completes
+    navigate(`/payment?domain=${encodeURIComponent(domainName)}&transfer=1`, {
+      state: { checkout },
+    });
   };
 
   const handleManageDNS = async (domainId, domainName) => {
@@ -226,9 +227,11 @@ const MyDomains = () => {
               <Cog6ToothIcon className="h-4 w-4" />
               <span>DNS Settings</span>
             </button>
-            {(domain.status === "expiring" || domain.status === "expired") && (
+            {(domain.status === "expiring" ||
+              domain.status === "expired" ||
+              domain.status === "renewal_failed") && (
               <button
-                onClick={() => handleRenewDomain(domain.name)}
+                onClick={() => handleRenewDomain(domain)}
                 className="btn-secondary text-sm"
               >
                 Renew Domain
@@ -529,13 +532,22 @@ const MyDomains = () => {
             <h1 className="text-3xl font-bold text-gray-900">My Domains</h1>
             <p className="text-gray-600 mt-1">Manage your domain portfolio</p>
           </div>
-          <button 
-            className="btn-primary flex items-center space-x-2"
-            onClick={() => navigate('/search')}
-          >
-            <PlusIcon className="h-4 w-4" />
-            <span>Add Domain</span>
-          </button>
+          <div className="flex items-center space-x-3">
+            <button
+              className="btn-outline flex items-center space-x-2"
+              onClick={() => setShowTransferModal(true)}
+            >
+              <ArrowsRightLeftIcon className="h-4 w-4" />
+              <span>Transfer Domain</span>
+            </button>
+            <button 
+              className="btn-primary flex items-center space-x-2"
+              onClick={() => navigate('/search')}
+            >
+              <PlusIcon className="h-4 w-4" />
+              <span>Add Domain</span>
+            </button>
+          </div>
         </div>
 
         {/* Renewal Error Display */}
@@ -688,6 +700,11 @@ const MyDomains = () => {
         )}
 
         <DNSModal />
+        <TransferDomainModal
+          isOpen={showTransferModal}
+          onClose={() => setShowTransferModal(false)}
+          onTransferStarted={handleTransferStarted}
+        />
       </div>
     </div>
   );
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useLocation } from "react-router-dom";
 import { loadStripe } from "@stripe/stripe-js";
 import {
   Elements,
@@ -10,25 +10,42 @@ import {
   useElements,
 } from "@stripe/react-stripe-js";
 import { motion } from "framer-motion";
+import toast from "react-hot-toast";
 import {
   CreditCardIcon,
   LockClosedIcon,
   CheckCircleIcon,
   XCircleIcon,
+  DocumentArrowDownIcon,
 } from "@heroicons/react/24/outline";
 import { paymentService } from "../services/paymentService";
 import { otpService } from "../services/otpService";
+import { domainService } from "../services/domainService";
 import LoadingSpinner from "../components/ui/LoadingSpinner";
 import OTPModal from "../components/ui/OTPModal";
 
 // Initialize Stripe
 const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY);
 
-const PaymentForm = ({ domain, amount, onSuccess, onError }) => {
+const PaymentForm = ({
+  domain,
+  amount,
+  renewal,
+  transfer,
+  cart,
+  years,
+  registrationPrices,
+  onYearsChange,
+  initialPaymentIntent,
+  onSuccess,
+  onError,
+}) => {
   const stripe = useStripe();
   const elements = useElements();
   const [processing, setProcessing] = useState(false);
-  const [paymentIntent, setPaymentIntent] = useState(null);
+  const [paymentIntent, setPaymentIntent] = useState(
+    initialPaymentIntent || null
+  );
   const [cardholderName, setCardholderName] = useState("");
   const [billingEmail, setBillingEmail] = useState("");
   const [country, setCountry] = useState("US");
@@ -41,14 +58,19 @@ const PaymentForm = ({ domain, amount, onSuccess, onError }) => {
   const [verifiedPaymentData, setVerifiedPaymentData] = useState(null);
   const [otpTimeRemaining, setOtpTimeRemaining] = useState(0);
 
+  // Always display what the server will actually charge
+  const total = paymentIntent?.amount ? parseFloat(paymentIntent.amount) : amount;
+
   useEffect(() => {
     // Create payment intent when component mounts
     const createPaymentIntent = async () => {
       try {
         const intent = await paymentService.createPaymentIntent(
           domain,
-          Math.round(amount * 100), // Convert to cents
-          "usd"
+          amount, // Informational only, the server prices the order
+          "usd",
+          {},
+          years
         );
         setPaymentIntent(intent);
       } catch (error) {
@@ -57,10 +79,11 @@ const PaymentForm = ({ domain, amount, onSuccess, onError }) => {
       }
     };
 
-    if (domain && amount) {
+    // Renewals, transfers and cart checkouts get their payment intent from their own endpoints
+    if (domain && amount && !initialPaymentIntent) {
       createPaymentIntent();
     }
-  }, [domain, amount, onError]);
+  }, [domain, amount, years, initialPaymentIntent, onError]);
 
   const handleSubmit = async (event) => {
     event.preventDefault();
@@ -100,7 +123,8 @@ const PaymentForm = ({ domain, amount, onSuccess, onError }) => {
         country,
         postalCode,
         domain,
-        amount,
+        amount: total,
+        years,
         paymentIntentId: paymentIntent.id,
       };
 
@@ -195,10 +219,12 @@ const PaymentForm = ({ domain, amount, onSuccess, onError }) => {
         console.log("🔍 Frontend: Payment confirmed with Stripe, confirming with backend...");
         
         // Confirm payment with our backend
-        await paymentService.confirmPayment(confirmedPayment.id);
+        const confirmation = await paymentService.confirmPayment(
+          confirmedPayment.id
+        );
         
         console.log("🔍 Frontend: Payment confirmed with backend, calling onSuccess...");
-        onSuccess(confirmedPayment);
+        onSuccess(confirmedPayment, confirmation);
       }
     } catch (error) {
       console.error("❌ Frontend: Payment confirmation error:", error);
@@ -233,23 +259,78 @@ const PaymentForm = ({ domain, amount, onSuccess, onError }) => {
         <h3 className="text-lg font-semibold text-gray-900 mb-3">
           Order Summary
         </h3>
+        {cart ? (
+        <div className="space-y-2">
+          {cart.items.map((item) => (
+            <div key={item.id} className="flex justify-between items-center">
+              <span className="text-gray-600">
+                <span className="font-medium text-gray-900">{item.full_domain}</span>
+                {" "}- {item.years} Year{item.years > 1 ? "s" : ""}
+                {item.whois_privacy ? ", WHOIS privacy" : ""}
+              </span>
+              <span className="font-medium">
+                ${parseFloat(item.price).toFixed(2)}
+              </span>
+            </div>
+          ))}
+          <hr className="my-3" />
+          <div className="flex justify-between items-center text-lg">
+            <span className="font-semibold text-gray-900">Total</span>
+            <span className="text-2xl font-bold text-primary-600">
+              ${total.toFixed(2)} USD
+            </span>
+          </div>
+        </div>
+        ) : (
         <div className="space-y-2">
           <div className="flex justify-between items-center">
-            <span className="text-gray-600">Domain Registration</span>
+            <span className="text-gray-600">
+              {renewal
+                ? "Domain Renewal"
+                : transfer
+                ? "Domain Transfer"
+                : "Domain Registration"}
+            </span>
             <span className="font-medium">{domain}</span>
           </div>
           <div className="flex justify-between items-center">
-            <span className="text-gray-600">Registration Period</span>
-            <span className="font-medium">1 Year</span>
+            <span className="text-gray-600">
+              {renewal ? "Renewal Period" : "Registration Period"}
+            </span>
+            {registrationPrices && !renewal && !transfer ? (
+              <select
+                value={years}
+                onChange={(e) => {
+                  setPaymentIntent(null);
+                  onYearsChange(parseInt(e.target.value));
+                }}
+                disabled={processing || otpLoading || !!verifiedPaymentData}
+                className="px-3 py-1 border border-gray-300 rounded-lg bg-white text-sm font-medium focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {registrationPrices.map((option) => (
+                  <option key={option.years} value={option.years}>
+                    {option.years} Year{option.years > 1 ? "s" : ""} - $
+                    {option.price.toFixed(2)}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <span className="font-medium">
+                {renewal
+                  ? `${renewal.years} Year${renewal.years > 1 ? "s" : ""}`
+                  : `${years} Year${years > 1 ? "s" : ""}`}
+              </span>
+            )}
           </div>
           <hr className="my-3" />
           <div className="flex justify-between items-center text-lg">
             <span className="font-semibold text-gray-900">Total</span>
             <span className="text-2xl font-bold text-primary-600">
-              ${amount.toFixed(2)} USD
+              ${total.toFixed(2)} USD
             </span>
           </div>
         </div>
+        )}
       </div>
 
       {/* Billing Information */}
@@ -503,7 +584,7 @@ const PaymentForm = ({ domain, amount, onSuccess, onError }) => {
         ) : verifiedPaymentData ? (
           <>
             <CreditCardIcon className="h-5 w-5" />
-            <span>Complete Payment ${amount.toFixed(2)}</span>
+            <span>Complete Payment ${total.toFixed(2)}</span>
           </>
         ) : (
           <>
@@ -533,12 +614,21 @@ const PaymentForm = ({ domain, amount, onSuccess, onError }) => {
 const Payment = () => {
   const { transactionId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const [domain, setDomain] = useState("");
   const [amount, setAmount] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState(false);
   const [paymentDetails, setPaymentDetails] = useState(null);
+  const [renewal, setRenewal] = useState(null);
+  const [checkoutIntent, setCheckoutIntent] = useState(null);
+  const [transfer, setTransfer] = useState(false);
+  const [cart, setCart] = useState(null);
+  const [cartResults, setCartResults] = useState([]);
+  const [years, setYears] = useState(1);
+  const [registrationPrices, setRegistrationPrices] = useState(null);
+  const [receiptTransactionId, setReceiptTransactionId] = useState(null);
 
   useEffect(() => {
     // For now, we'll get domain and amount from URL params or localStorage
@@ -546,28 +636,99 @@ const Payment = () => {
     const urlParams = new URLSearchParams(window.location.search);
     const domainParam = urlParams.get("domain");
     const amountParam = urlParams.get("amount");
-
-    if (domainParam && amountParam) {
+    const renewDomainId = urlParams.get("renewDomainId");
+    const transferCheckout = location.state?.checkout;
+
+    if (urlParams.get("cart") && transferCheckout && location.state?.cart) {
+      // Cart checkouts are priced and re-validated by the cart endpoint
+      const checkoutCart = location.state.cart;
+      setDomain(checkoutCart.items.map((item) => item.full_domain).join(", "));
+      setCart(checkoutCart);
+      setCheckoutIntent(transferCheckout);
+      setAmount(parseFloat(transferCheckout.amount));
+      setLoading(false);
+    } else if (domainParam && urlParams.get("transfer") && transferCheckout) {
+      // Transfers are priced when the auth code is submitted
+      setDomain(domainParam);
+      setTransfer(true);
+      setCheckoutIntent(transferCheckout);
+      setAmount(parseFloat(transferCheckout.amount));
+      setLoading(false);
+    } else if (domainParam && renewDomainId) {
+      // Renewals are priced on the server
+      const years = parseInt(urlParams.get("years")) || 1;
+      setDomain(domainParam);
+      setRenewal({ domainId: renewDomainId, years });
+
+      domainService
+        .renewDomain(renewDomainId, years)
+        .then((intent) => {
+          setCheckoutIntent(intent);
+          setAmount(parseFloat(intent.amount));
+        })
+        .catch((error) => {
+          console.error("Error starting domain renewal:", error);
+          setError(
+            error.response?.data?.message ||
+              "Failed to start domain renewal. Please try again."
+          );
+        })
+        .finally(() => setLoading(false));
+    } else if (domainParam && amountParam) {
       setDomain(domainParam);
       setAmount(parseFloat(amountParam));
+      setYears(parseInt(urlParams.get("years")) || 1);
       setLoading(false);
+
+      // The term can still be changed here; prices for every term come from the server
+      domainService
+        .getRegistrationPricing(domainParam)
+        .then((pricing) => setRegistrationPrices(pricing.prices))
+        .catch((error) =>
+          console.error("Error loading registration pricing:", error)
+        );
     } else {
       // Fallback: try to get from previous page or redirect
       setError("Invalid payment link. Please start from domain search.");
       setTimeout(() => navigate("/search"), 3000);
     }
-  }, [transactionId, navigate]);
+  }, [transactionId, navigate, location.state]);
 
-  const handlePaymentSuccess = (paymentIntent) => {
+  const handlePaymentSuccess = (paymentIntent, confirmation) => {
     setPaymentDetails(paymentIntent);
+    setCartResults(confirmation?.results || []);
+    // Cart checkouts share one invoice, any of their transactions will do
+    setReceiptTransactionId(
+      confirmation?.transaction?.id || confirmation?.transactions?.[0]?.id || null
+    );
     setSuccess(true);
 
+    // Leave time to read which cart domains could not be registered
+    if (cart && confirmation?.results?.some((result) => !result.success)) {
+      return;
+    }
+
     // Redirect to success page after a delay
     setTimeout(() => {
       navigate("/my-domains");
     }, 3000);
   };
 
+  const handleDownloadReceipt = async () => {
+    try {
+      const pdf = await paymentService.downloadReceipt(receiptTransactionId);
+      const url = window.URL.createObjectURL(pdf);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `receipt-${receiptTransactionId}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Failed to download receipt:", error);
+      toast.error("Could not download the receipt. It has also been emailed to you.");
+    }
+  };
+
   const handlePaymentError = (errorMessage) => {
     setError(errorMessage);
   };
@@ -592,10 +753,33 @@ const Payment = () => {
           <h2 className="text-2xl font-bold text-gray-900 mb-2">
             Payment Successful!
           </h2>
+          {cart ? (
+            <div className="text-left mb-4 space-y-1">
+              {(cartResults.length > 0
+                ? cartResults
+                : cart.items.map((item) => ({ domain: item.full_domain, success: true }))
+              ).map((result) => (
+                <div
+                  key={result.domain}
+                  className="flex items-center justify-between text-sm"
+                >
+                  <span className="font-medium">{result.domain}</span>
+                  <span className={result.success ? "text-green-600" : "text-yellow-600"}>
+                    {result.success ? "Registered" : "Pending registration"}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ) : (
           <p className="text-gray-600 mb-4">
             Your domain <strong>{domain}</strong> has been successfully
-            purchased.
+            {renewal
+              ? " renewed."
+              : transfer
+              ? " submitted for transfer. We'll let you know once it completes."
+              : ` purchased for ${years} year${years > 1 ? "s" : ""}.`}
           </p>
+          )}
           <div className="bg-gray-50 rounded-lg p-4 mb-6">
             <div className="text-sm text-gray-600">Transaction ID</div>
             <div className="font-mono text-sm">
@@ -606,6 +790,15 @@ const Payment = () => {
             You'll receive a confirmation email shortly. Redirecting to your
             domains...
           </p>
+          {receiptTransactionId && (
+            <button
+              onClick={handleDownloadReceipt}
+              className="btn-secondary w-full mb-3 flex items-center justify-center"
+            >
+              <DocumentArrowDownIcon className="h-5 w-5 mr-2" />
+              Download Receipt
+            </button>
+          )}
           <button
             onClick={() => navigate("/my-domains")}
             className="btn-primary w-full"
@@ -651,7 +844,13 @@ const Payment = () => {
           className="text-center mb-8"
         >
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            Complete Your Purchase
+            {renewal
+              ? "Renew Your Domain"
+              : transfer
+              ? "Transfer Your Domain"
+              : cart
+              ? "Checkout Your Cart"
+              : "Complete Your Purchase"}
           </h1>
           <p className="text-gray-600">Secure payment powered by Stripe</p>
         </motion.div>
@@ -667,6 +866,13 @@ const Payment = () => {
             <PaymentForm
               domain={domain}
               amount={amount}
+              renewal={renewal}
+              transfer={transfer}
+              cart={cart}
+              years={years}
+              registrationPrices={registrationPrices}
+              onYearsChange={setYears}
+              initialPaymentIntent={checkoutIntent}
               onSuccess={handlePaymentSuccess}
               onError={handlePaymentError}
             />
@@ -0,0 +1,62 @@
+import api from "./api";
+
+export const adminService = {
+  // Get all pricing rules
+  getPricingRules: async () => {
+    try {
+      const response = await api.get("/admin/pricing-rules");
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error fetching pricing rules:", error.message);
+      throw error;
+    }
+  },
+
+  // Create pricing rule
+  createPricingRule: async (rule) => {
+    try {
+      const response = await api.post("/admin/pricing-rules", rule);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error creating pricing rule:", error.message);
+      throw error;
+    }
+  },
+
+  // Update pricing rule
+  updatePricingRule: async (ruleId, updates) => {
+    try {
+      const response = await api.put(`/admin/pricing-rules/${ruleId}`, updates);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error updating pricing rule:", error.message);
+      throw error;
+    }
+  },
+
+  // Delete pricing rule
+  deletePricingRule: async (ruleId) => {
+    try {
+      const response = await api.delete(`/admin/pricing-rules/${ruleId}`);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error deleting pricing rule:", error.message);
+      throw error;
+    }
+  },
+
+  // Preview the selling price for a domain at a given registrar cost
+  previewPrice: async (domain, cost, premium = false) => {
+    try {
+      const response = await api.get("/admin/pricing-rules/preview", {
+        params: { domain, cost, premium },
+      });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error previewing price:", error.message);
+      throw error;
+    }
+  },
+};
+
+export default adminService;
@@ -107,6 +107,73 @@ export const aiService = {
     }
   },
 
+  // Chat with AI consultant, receiving progress as Server-Sent Events.
+  // onEvent(event, data) is called for "conversation", "status", "domain"
+  // and "token" events; resolves with the final response. Abort the signal
+  // to cancel the request.
+  streamChatWithAI: async (message, conversationId = null, { onEvent, signal } = {}) => {
+    let response;
+    try {
+      const token = localStorage.getItem("token");
+      response = await fetch(`${api.defaults.baseURL}/ai/chat/stream`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+          "ngrok-skip-browser-warning": "1",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ message, conversationId }),
+        signal,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      throw new Error(
+        "Unable to connect to AI service. Please ensure the server is running and try again."
+      );
+    }
+
+    if (response.status === 401) {
+      throw new Error("Please log in to continue using the AI consultant.");
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(
+        data.message || data.errors?.[0]?.msg || "Failed to process your message"
+      );
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split("\n\n");
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        let event = "message";
+        let data = "";
+        block.split("\n").forEach((line) => {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          if (line.startsWith("data:")) data += line.slice(5).trim();
+        });
+
+        const payload = data ? JSON.parse(data) : null;
+        if (event === "done") return payload;
+        if (event === "error") throw new Error(payload.message);
+        onEvent?.(event, payload);
+      }
+    }
+
+    throw new Error("The AI response ended unexpectedly. Please try again.");
+  },
+
   // Get conversation history
   getConversationHistory: async (conversationId) => {
     try {
@@ -135,6 +202,34 @@ export const aiService = {
     }
   },
 
+  // Start a new conversation
+  createConversation: async (title = null) => {
+    try {
+      const response = await api.post("/ai/conversations", { title });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("Failed to create conversation:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to create conversation"
+      );
+    }
+  },
+
+  // Rename conversation
+  renameConversation: async (conversationId, title) => {
+    try {
+      const response = await api.patch(`/ai/conversations/${conversationId}`, {
+        title,
+      });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("Failed to rename conversation:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to rename conversation"
+      );
+    }
+  },
+
   // Delete conversation
   deleteConversation: async (conversationId) => {
     try {
@@ -148,6 +243,23 @@ export const aiService = {
     }
   },
 
+  // Tell the consultant how a checkout shown in the chat ended; resolves
+  // with the assistant message recording the outcome
+  reportCheckoutOutcome: async (conversationId, paymentIntentId) => {
+    try {
+      const response = await api.post(
+        `/ai/conversations/${conversationId}/checkout`,
+        { paymentIntentId }
+      );
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("Failed to report checkout outcome:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to report checkout outcome"
+      );
+    }
+  },
+
   // Get domain name ideas
   getDomainIdeas: async (keywords, industry, targetAudience) => {
     try {
@@ -189,12 +301,27 @@ export const aiService = {
     }
   },
 
+  // Estimate a domain's resale value from its features and comparable sales
+  appraiseDomain: async (domain) => {
+    try {
+      const response = await api.post("/ai/appraise", { domain });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("Failed to appraise domain:", error);
+      throw new Error(
+        error.response?.data?.message || "Failed to estimate domain value"
+      );
+    }
+  },
+
   // Generate business name suggestions
-  generateBusinessNames: async (description, industry) => {
+  // options: { tlds: ["com", "io"], count: 8 }
+  generateBusinessNames: async (description, industry, options = {}) => {
     try {
       const response = await api.post("/ai/business-names", {
         description,
         industry,
+        ...options,
       });
       return response.data.success ? response.data.data : response.data;
     } catch (error) {
@@ -16,6 +16,8 @@ const api = axios.create({
   headers: {
     "Content-Type": "application/json",
     "ngrok-skip-browser-warning": "1",
+    // Lets the server tell changes made in the app from direct API calls
+    "X-Change-Source": "ui",
   },
 });
 
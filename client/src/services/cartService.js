@@ -0,0 +1,60 @@
+import api from "./api";
+
+export const cartService = {
+  // Get the current user's cart
+  getCart: async () => {
+    try {
+      const response = await api.get("/cart");
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error fetching cart:", error.message);
+      throw error;
+    }
+  },
+
+  // Add a domain to the cart, or update its options if it is already there
+  addItem: async (domain, years = 1, whoisPrivacy = true) => {
+    try {
+      const response = await api.post("/cart", { domain, years, whoisPrivacy });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error adding domain to cart:", error.message);
+      throw error;
+    }
+  },
+
+  // Remove a single item from the cart
+  removeItem: async (itemId) => {
+    try {
+      const response = await api.delete(`/cart/${itemId}`);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error removing cart item:", error.message);
+      throw error;
+    }
+  },
+
+  // Remove every item from the cart
+  clearCart: async () => {
+    try {
+      const response = await api.delete("/cart");
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error clearing cart:", error.message);
+      throw error;
+    }
+  },
+
+  // Re-validate the cart and create one payment intent for every item
+  checkout: async (expectedTotal) => {
+    try {
+      const response = await api.post("/cart/checkout", { expectedTotal });
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error checking out cart:", error.message);
+      throw error;
+    }
+  },
+};
+
+export default cartService;
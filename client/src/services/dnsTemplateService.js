@@ -0,0 +1,93 @@
+import api from './api';
+
+const dnsTemplateService = {
+  // Built-in templates and the user's own
+  getTemplates: async () => {
+    try {
+      const response = await api.get('/dns-templates');
+      return response.data.data.templates;
+    } catch (error) {
+      console.error('❌ Error fetching DNS templates:', error);
+      throw error;
+    }
+  },
+
+  // Save a custom template: { name, description, parameters, records }
+  createTemplate: async (template) => {
+    try {
+      const response = await api.post('/dns-templates', template);
+      return response.data.data.template;
+    } catch (error) {
+      console.error('❌ Error saving DNS template:', error);
+      throw error;
+    }
+  },
+
+  // Delete a custom template ("user:<id>")
+  deleteTemplate: async (templateId) => {
+    try {
+      const id = String(templateId).replace(/^user:/, '');
+      const response = await api.delete(`/dns-templates/${id}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('❌ Error deleting DNS template:', error);
+      throw error;
+    }
+  },
+
+  // Templates applied to a domain, each with the records it created
+  getAppliedTemplates: async (domainId) => {
+    try {
+      const response = await api.get(`/domains/${domainId}/dns/templates`);
+      return response.data.data.applications;
+    } catch (error) {
+      console.error('❌ Error fetching applied DNS templates:', error);
+      throw error;
+    }
+  },
+
+  // Records a template would add, those already there, and conflicts
+  previewTemplate: async (domainId, templateId, parameters) => {
+    try {
+      const response = await api.post(`/domains/${domainId}/dns/templates`, {
+        templateId,
+        parameters,
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('❌ Error previewing DNS template:', error);
+      throw error;
+    }
+  },
+
+  // Apply a template. Conflicting records are only replaced with
+  // replaceConflicts; expectedVersion is the preview's version.
+  applyTemplate: async (domainId, templateId, parameters, { replaceConflicts = false, expectedVersion } = {}) => {
+    try {
+      const response = await api.post(`/domains/${domainId}/dns/templates`, {
+        templateId,
+        parameters,
+        apply: true,
+        replaceConflicts,
+        expectedVersion,
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('❌ Error applying DNS template:', error);
+      throw error;
+    }
+  },
+
+  // Remove all records an applied template created
+  removeAppliedTemplate: async (domainId, applicationId) => {
+    try {
+      const response = await api.delete(`/domains/${domainId}/dns/templates/${applicationId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('❌ Error removing applied DNS template:', error);
+      throw error;
+    }
+  },
+};
+
+export default dnsTemplateService;
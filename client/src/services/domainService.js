@@ -57,6 +57,17 @@ export const domainService = {
     }
   },
 
+  // Get registration prices for every supported term (1-10 years)
+  getRegistrationPricing: async (domain) => {
+    try {
+      const response = await api.get(`/domains/pricing/${domain}`);
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error fetching registration pricing:", error.message);
+      throw error;
+    }
+  },
+
   // Get domain details by domain name
   getDomainDetails: async (domain) => {
     try {
@@ -183,6 +194,86 @@ export const domainService = {
     }
   },
 
+  // Download DNS records as a BIND zone file (text)
+  exportDNSZone: async (domainId) => {
+    try {
+      const response = await api.get(`/domains/${domainId}/dns/export`, {
+        responseType: "text",
+      });
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error exporting DNS zone:", error.message);
+      throw error;
+    }
+  },
+
+  // Preview (apply: false) or apply a zone file import. Applying with the
+  // preview's version fails with 409 if the records changed in between.
+  importDNSZone: async (domainId, zone, { apply = false, expectedVersion } = {}) => {
+    try {
+      const response = await api.post(`/domains/${domainId}/dns/import`, {
+        zone,
+        apply,
+        expectedVersion,
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error("❌ Error importing DNS zone:", error.message);
+      throw error;
+    }
+  },
+
+  // DNS change timeline, newest first
+  getDNSHistory: async (domainId, { limit = 50, offset = 0 } = {}) => {
+    try {
+      const response = await api.get(`/domains/${domainId}/dns/history`, {
+        params: { limit, offset },
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error("❌ Error fetching DNS history:", error.message);
+      throw error;
+    }
+  },
+
+  // One DNS change with its records before and after, and their diff
+  getDNSHistoryEntry: async (domainId, entryId) => {
+    try {
+      const response = await api.get(`/domains/${domainId}/dns/history/${entryId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error("❌ Error fetching DNS change:", error.message);
+      throw error;
+    }
+  },
+
+  // Diff two versions: change IDs (records after that change) or "current"
+  compareDNSVersions: async (domainId, from, to = "current") => {
+    try {
+      const response = await api.get(`/domains/${domainId}/dns/history/compare`, {
+        params: { from, to },
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error("❌ Error comparing DNS versions:", error.message);
+      throw error;
+    }
+  },
+
+  // Restore the records as they were before (or after) a change
+  rollbackDNS: async (domainId, entryId, state = "before") => {
+    try {
+      const response = await api.post(
+        `/domains/${domainId}/dns/history/${entryId}/rollback`,
+        { state }
+      );
+      return response.data.data;
+    } catch (error) {
+      console.error("❌ Error rolling back DNS records:", error.message);
+      throw error;
+    }
+  },
+
   // Add DNS record (creates a subdomain)
   addDNSRecord: async (domainId, record) => {
     try {
@@ -226,11 +317,12 @@ export const domainService = {
   },
 
   // Transfer domain
-  transferDomain: async (domain, authCode) => {
+  transferDomain: async (domain, authCode, years = 1) => {
     try {
       const response = await api.post("/domains/transfer", {
         domain,
         authCode,
+        years,
       });
       return response.data.success ? response.data.data : response.data;
     } catch (error) {
@@ -239,6 +331,17 @@ export const domainService = {
     }
   },
 
+  // Get inbound transfers and their status
+  getTransfers: async () => {
+    try {
+      const response = await api.get("/domains/transfers");
+      return response.data.success ? response.data.data : response.data;
+    } catch (error) {
+      console.error("❌ Error fetching transfers:", error.message);
+      throw error;
+    }
+  },
+
   // Renew domain
   renewDomain: async (domainId, years = 1) => {
     try {
@@ -6,7 +6,8 @@ export const paymentService = {
     domain,
     amount,
     currency = "usd",
-    metadata = {}
+    metadata = {},
+    years = 1
   ) => {
     try {
       const response = await api.post("/payments/create-intent", {
@@ -14,6 +15,7 @@ export const paymentService = {
         amount,
         currency,
         metadata,
+        years,
       });
       return response.data.success ? response.data.data : response.data;
     } catch (error) {
@@ -35,6 +37,15 @@ export const paymentService = {
     return response.data.success ? response.data.data : response.data;
   },
 
+  // Download the invoice for a paid transaction ("pdf" or "html")
+  downloadReceipt: async (transactionId, format = "pdf") => {
+    const response = await api.get(`/payments/${transactionId}/receipt`, {
+      params: { format },
+      responseType: "blob",
+    });
+    return response.data;
+  },
+
   // Get payment methods
   getPaymentMethods: async () => {
     const response = await api.get("/payments/payment-methods");
@@ -66,6 +66,19 @@ const subdomainService = {
     }
   },
 
+  // Check a subdomain's record on public resolvers and its nameservers now
+  checkPropagation: async (domainId, subdomainId) => {
+    try {
+      console.log(`🔍 Checking DNS propagation of subdomain: ${subdomainId} for domain: ${domainId}`);
+      const response = await api.post(`/domains/${domainId}/subdomains/${subdomainId}/propagation`);
+      console.log(`✅ Checked DNS propagation:`, response.data);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error checking DNS propagation:', error);
+      throw error;
+    }
+  },
+
   // Validate subdomain name format
   validateSubdomainName: (name) => {
     const subdomainRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
@@ -0,0 +1,47 @@
+-- Create tables for the persistent shopping cart
+-- Each user has a single cart. Items are priced when added and re-priced at
+-- checkout, where one Stripe PaymentIntent covers every item in the cart.
+
+CREATE TABLE IF NOT EXISTS carts (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS cart_items (
+  id BIGSERIAL PRIMARY KEY,
+  cart_id BIGINT NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  full_domain VARCHAR(255) NOT NULL,
+  years INTEGER NOT NULL DEFAULT 1 CHECK (years BETWEEN 1 AND 10),
+  whois_privacy BOOLEAN NOT NULL DEFAULT true,
+  is_premium BOOLEAN DEFAULT false,
+  cost DECIMAL(10,2) NOT NULL, -- Registrar cost for the whole term
+  price DECIMAL(10,2) NOT NULL, -- Selling price for the whole term
+  currency VARCHAR(3) DEFAULT 'USD',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT unique_cart_item_domain UNIQUE(cart_id, full_domain)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_items_cart_id
+ON cart_items(cart_id);
+
+-- Checkout transactions share one PaymentIntent and carry the cart ID in metadata
+CREATE INDEX IF NOT EXISTS idx_transactions_cart_id
+ON transactions((metadata->>'cartId'))
+WHERE metadata->>'cartId' IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_carts_updated_at ON carts;
+CREATE TRIGGER update_carts_updated_at BEFORE UPDATE ON carts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_cart_items_updated_at ON cart_items;
+CREATE TRIGGER update_cart_items_updated_at BEFORE UPDATE ON cart_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE carts IS 'One shopping cart per user';
+COMMENT ON TABLE cart_items IS 'Domains waiting to be registered through cart checkout';
+COMMENT ON COLUMN cart_items.price IS 'Selling price for the whole registration term, refreshed at checkout';
+COMMENT ON COLUMN cart_items.whois_privacy IS 'Enable free WhoisGuard privacy on registration';
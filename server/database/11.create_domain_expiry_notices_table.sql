@@ -0,0 +1,29 @@
+-- Create table for domain expiry reminders and auto-renewal attempts
+-- domainExpiryService records every reminder it sends so each one goes out
+-- once per expiration date. Renewing the domain moves the expiration date,
+-- which starts a fresh set of reminders for the next term.
+-- A no_card notice tells the owner that auto-renewal is waiting for a saved
+-- card; the auto-renewal itself is retried until one is saved.
+
+CREATE TABLE IF NOT EXISTS domain_expiry_notices (
+  id BIGSERIAL PRIMARY KEY,
+  domain_id BIGINT NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+  notice_type VARCHAR(30) NOT NULL CHECK (notice_type IN ('reminder_60', 'reminder_30', 'reminder_7', 'reminder_1', 'auto_renew', 'no_card')),
+  expiration_date TIMESTAMPTZ NOT NULL, -- Expiration date the notice was sent for
+  result VARCHAR(20), -- sent, failed, renewed or renewal_failed
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT unique_domain_expiry_notice UNIQUE(domain_id, notice_type, expiration_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_domain_expiry_notices_domain_id
+ON domain_expiry_notices(domain_id);
+
+-- The expiry job scans domains by expiration date
+CREATE INDEX IF NOT EXISTS idx_domains_expiration_date
+ON domains(expiration_date)
+WHERE expiration_date IS NOT NULL;
+
+COMMENT ON TABLE domain_expiry_notices IS 'Expiry reminders and auto-renewal attempts, one per domain, type and expiration date';
+COMMENT ON COLUMN domain_expiry_notices.notice_type IS 'reminder_60, reminder_30, reminder_7, reminder_1, auto_renew or no_card';
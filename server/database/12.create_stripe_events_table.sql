@@ -0,0 +1,36 @@
+-- Create table for processed Stripe webhook events
+-- Stripe delivers events at least once, so every event is recorded by its ID
+-- before it is handled. Redelivered events are skipped unless the previous
+-- attempt failed, in which case the retry processes it again.
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id VARCHAR(255) PRIMARY KEY, -- Stripe event ID (evt_...)
+  type VARCHAR(100) NOT NULL,
+  object_id VARCHAR(255), -- ID of the PaymentIntent, charge or dispute in the event
+  status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'processed', 'failed')),
+  attempts INTEGER DEFAULT 1,
+  last_error TEXT,
+  livemode BOOLEAN DEFAULT false,
+  stripe_created_at TIMESTAMPTZ,
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_object_id
+ON stripe_events(object_id);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status
+ON stripe_events(status)
+WHERE status <> 'processed';
+
+-- Refund and dispute events only carry the charge ID
+CREATE INDEX IF NOT EXISTS idx_transactions_stripe_charge_id
+ON transactions(stripe_charge_id);
+
+DROP TRIGGER IF EXISTS update_stripe_events_updated_at ON stripe_events;
+CREATE TRIGGER update_stripe_events_updated_at BEFORE UPDATE ON stripe_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE stripe_events IS 'Stripe webhook events, used to process each event exactly once';
+COMMENT ON COLUMN stripe_events.status IS 'processing, processed or failed (failed events are retried on redelivery)';
@@ -0,0 +1,33 @@
+-- Create table for invoices / receipts
+-- One invoice is issued per Stripe PaymentIntent, so a cart checkout gets a
+-- single invoice listing every domain. Line items and the billing address are
+-- copied onto the invoice when it is issued and never change afterwards.
+
+CREATE SEQUENCE IF NOT EXISTS invoice_number_seq START 1;
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id BIGSERIAL PRIMARY KEY,
+  invoice_number BIGINT NOT NULL UNIQUE DEFAULT nextval('invoice_number_seq'),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  stripe_payment_intent_id VARCHAR(255) NOT NULL UNIQUE,
+  transaction_ids UUID[] NOT NULL,
+  line_items JSONB NOT NULL, -- [{ transactionId, description, domain, years, amount }]
+  subtotal DECIMAL(10,2) NOT NULL,
+  tax_rate DECIMAL(5,4) NOT NULL DEFAULT 0,
+  tax DECIMAL(10,2) NOT NULL DEFAULT 0,
+  total DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) DEFAULT 'USD',
+  billing_address JSONB NOT NULL, -- Customer name, email and address at time of issue
+  issued_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_user_id
+ON invoices(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_transaction_ids
+ON invoices USING GIN(transaction_ids);
+
+COMMENT ON TABLE invoices IS 'Invoices issued for completed payments, one per Stripe PaymentIntent';
+COMMENT ON COLUMN invoices.invoice_number IS 'Sequential invoice number, displayed as INV-000001';
+COMMENT ON COLUMN invoices.tax IS 'Tax included in the charged total (prices are tax-inclusive)';
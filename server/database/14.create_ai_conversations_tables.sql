@@ -0,0 +1,36 @@
+-- Create tables for AI consultant conversations
+-- A user can keep several named conversations. Every chat message is stored so
+-- the agent can rebuild context after a restart or on another server instance.
+
+CREATE TABLE IF NOT EXISTS ai_conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL DEFAULT 'New conversation',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ai_messages (
+  id BIGSERIAL PRIMARY KEY,
+  conversation_id UUID NOT NULL REFERENCES ai_conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  domains JSONB DEFAULT '[]', -- Domains shown with the message, used to resume purchases
+  metadata JSONB DEFAULT '{}', -- Intent and action flags returned with assistant replies
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_user_updated
+ON ai_conversations(user_id, updated_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ai_messages_conversation_created
+ON ai_messages(conversation_id, created_at);
+
+DROP TRIGGER IF EXISTS update_ai_conversations_updated_at ON ai_conversations;
+CREATE TRIGGER update_ai_conversations_updated_at BEFORE UPDATE ON ai_conversations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE ai_conversations IS 'Named AI consultant conversations, several per user';
+COMMENT ON TABLE ai_messages IS 'Messages exchanged in an AI consultant conversation';
+COMMENT ON COLUMN ai_conversations.title IS 'Taken from the first message unless the user renames it';
@@ -0,0 +1,8 @@
+-- Card details are now only entered in Stripe Elements (on the payment page
+-- and in the AI consultant's checkout). Remove any that earlier AI chat
+-- purchases stored alongside their verification codes.
+UPDATE otp_verifications
+SET payment_data = payment_data - ARRAY['paymentDetails', 'cardNumber', 'expiryDate', 'cvc', 'cvv']
+WHERE payment_data ?| ARRAY['paymentDetails', 'cardNumber', 'expiryDate', 'cvc', 'cvv'];
+
+COMMENT ON COLUMN otp_verifications.payment_data IS 'Non-sensitive checkout details (domain, amount, billing name); never card data';
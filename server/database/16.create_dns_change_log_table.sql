@@ -0,0 +1,24 @@
+-- Create table for the DNS change history
+-- Every DNS write stores the domain's full host list before and after the
+-- change, so the zone can be compared between any two points in time and
+-- rolled back to an earlier state.
+
+CREATE TABLE IF NOT EXISTS dns_change_log (
+  id BIGSERIAL PRIMARY KEY,
+  domain_id BIGINT NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for background jobs
+  source VARCHAR(20) NOT NULL CHECK (source IN ('ui', 'api', 'ai_agent', 'import', 'rollback', 'system')),
+  description TEXT,
+  records_before JSONB NOT NULL DEFAULT '[]', -- Host records: HostName, RecordType, Address, TTL, MXPref
+  records_after JSONB NOT NULL DEFAULT '[]',
+  summary JSONB DEFAULT '{}', -- Number of added, removed and changed records
+  rolled_back_from BIGINT REFERENCES dns_change_log(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_change_log_domain_created
+ON dns_change_log(domain_id, created_at DESC);
+
+COMMENT ON TABLE dns_change_log IS 'Snapshots of a domain''s DNS host records before and after each change';
+COMMENT ON COLUMN dns_change_log.source IS 'ui, api, ai_agent, import, rollback or system (background jobs)';
+COMMENT ON COLUMN dns_change_log.rolled_back_from IS 'For rollbacks, the log entry whose snapshot was restored';
@@ -0,0 +1,55 @@
+-- Create tables for DNS record templates
+-- Built-in templates (Google Workspace, GitHub Pages, ...) ship in
+-- src/data/dnsTemplates.json; users can save their own here. Each time a
+-- template is applied to a domain, the records it created are kept as one
+-- group so they can be removed together later.
+
+CREATE TABLE IF NOT EXISTS dns_templates (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  parameters JSONB NOT NULL DEFAULT '[]', -- [{ name, label, placeholder, required, default }]
+  records JSONB NOT NULL DEFAULT '[]', -- [{ name, type, value, ttl, priority }], may use {{parameters}}
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_templates_user_id
+ON dns_templates(user_id);
+
+DROP TRIGGER IF EXISTS update_dns_templates_updated_at ON dns_templates;
+CREATE TRIGGER update_dns_templates_updated_at BEFORE UPDATE ON dns_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS dns_template_applications (
+  id BIGSERIAL PRIMARY KEY,
+  domain_id BIGINT NOT NULL REFERENCES domains(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  template_id VARCHAR(100) NOT NULL, -- Built-in template ID, or "user:<dns_templates.id>"
+  template_name VARCHAR(100) NOT NULL,
+  parameters JSONB NOT NULL DEFAULT '{}', -- Parameter values it was applied with
+  records JSONB NOT NULL DEFAULT '[]', -- Host records created: HostName, RecordType, Address, TTL, MXPref
+  existing_records JSONB NOT NULL DEFAULT '[]', -- Records it needs that the domain already had
+  replaced_records JSONB NOT NULL DEFAULT '[]', -- Conflicting records it removed (not restored on removal)
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dns_template_applications_domain_id
+ON dns_template_applications(domain_id);
+
+-- Subdomains created by a template belong to its group
+ALTER TABLE subdomains ADD COLUMN IF NOT EXISTS template_application_id BIGINT
+REFERENCES dns_template_applications(id) ON DELETE SET NULL;
+
+-- Deleted subdomains are only marked inactive, so the name must be unique
+-- among active subdomains only; otherwise a removed template (or subdomain)
+-- could never be added again
+ALTER TABLE subdomains DROP CONSTRAINT IF EXISTS unique_subdomain_per_domain;
+CREATE UNIQUE INDEX IF NOT EXISTS unique_active_subdomain_per_domain
+ON subdomains(domain_id, subdomain_name)
+WHERE is_active = true;
+
+COMMENT ON TABLE dns_templates IS 'User-defined DNS record templates';
+COMMENT ON TABLE dns_template_applications IS 'DNS records created together by applying a template to a domain';
+COMMENT ON COLUMN subdomains.template_application_id IS 'Template application that created this subdomain, if any';
@@ -0,0 +1,8 @@
+-- Per-resolver results of the latest DNS propagation check
+-- Each entry: { id, name, region, address, authoritative, status, values, error, responseTime }
+-- with status one of propagated, outdated, missing or error
+
+ALTER TABLE dns_propagation_queue
+ADD COLUMN IF NOT EXISTS resolver_results JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN dns_propagation_queue.resolver_results IS 'Answers of the public resolvers and authoritative nameservers at the last check';
@@ -0,0 +1,52 @@
+-- Create table for inbound domain transfers
+-- Each row tracks one transfer-in request from checkout until the registrar
+-- reports a final status. Polled by transferBackgroundService.
+
+CREATE TABLE IF NOT EXISTS domain_transfers (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  domain_id BIGINT REFERENCES domains(id) ON DELETE SET NULL,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  full_domain VARCHAR(255) NOT NULL,
+  auth_code TEXT, -- EPP code, cleared once submitted to the registrar
+  years INTEGER NOT NULL DEFAULT 1,
+  price DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) DEFAULT 'USD',
+  is_premium BOOLEAN DEFAULT false,
+  namecheap_transfer_id VARCHAR(100),
+  namecheap_order_id VARCHAR(100),
+  namecheap_status VARCHAR(255), -- Raw status text reported by Namecheap
+  namecheap_status_id INTEGER,
+  status VARCHAR(20) DEFAULT 'awaiting_payment' CHECK (status IN ('awaiting_payment', 'pending', 'approved', 'completed', 'rejected', 'cancelled')),
+  last_error TEXT,
+  check_count INTEGER DEFAULT 0,
+  last_check_at TIMESTAMPTZ,
+  submitted_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_user_id
+ON domain_transfers(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_transaction_id
+ON domain_transfers(transaction_id);
+
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_full_domain
+ON domain_transfers(full_domain);
+
+-- Partial index for transfers the background job still has to poll
+CREATE INDEX IF NOT EXISTS idx_domain_transfers_active
+ON domain_transfers(status, last_check_at)
+WHERE status IN ('awaiting_payment', 'pending', 'approved');
+
+DROP TRIGGER IF EXISTS update_domain_transfers_updated_at ON domain_transfers;
+CREATE TRIGGER update_domain_transfers_updated_at BEFORE UPDATE ON domain_transfers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE domain_transfers IS 'Inbound domain transfers (transfer-in with EPP auth code)';
+COMMENT ON COLUMN domain_transfers.auth_code IS 'EPP authorization code, removed after the transfer is submitted';
+COMMENT ON COLUMN domain_transfers.status IS 'awaiting_payment, pending, approved, completed, rejected or cancelled';
+COMMENT ON COLUMN domain_transfers.namecheap_transfer_id IS 'TransferID returned by namecheap.domains.transfer.create';
@@ -0,0 +1,50 @@
+-- Create table for configurable domain pricing (markup rules)
+-- Selling price = registrar cost + markup, where the markup comes from the
+-- most specific active rule: premium > per-TLD > global.
+
+-- Admin role used to protect the pricing configuration routes
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user';
+
+CREATE TABLE IF NOT EXISTS pricing_rules (
+  id BIGSERIAL PRIMARY KEY,
+  rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('global', 'tld', 'premium')),
+  tld VARCHAR(63), -- Required for 'tld' rules, optional for 'premium' rules
+  markup_type VARCHAR(20) NOT NULL DEFAULT 'percentage' CHECK (markup_type IN ('percentage', 'fixed')),
+  markup_value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (markup_value >= 0),
+  min_margin DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_margin >= 0),
+  min_cost DECIMAL(10,2), -- Premium rules only apply from this registrar cost upwards
+  is_active BOOLEAN DEFAULT true,
+  description TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT tld_rule_requires_tld CHECK (rule_type <> 'tld' OR tld IS NOT NULL),
+  CONSTRAINT global_rule_has_no_tld CHECK (rule_type <> 'global' OR tld IS NULL)
+);
+
+-- Only one global rule and one rule per TLD
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_rules_unique_global
+ON pricing_rules(rule_type)
+WHERE rule_type = 'global';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_rules_unique_tld
+ON pricing_rules(rule_type, tld)
+WHERE rule_type = 'tld';
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_active
+ON pricing_rules(is_active, rule_type);
+
+DROP TRIGGER IF EXISTS update_pricing_rules_updated_at ON pricing_rules;
+CREATE TRIGGER update_pricing_rules_updated_at BEFORE UPDATE ON pricing_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Default 15% profit margin
+INSERT INTO pricing_rules (rule_type, markup_type, markup_value, min_margin, description)
+SELECT 'global', 'percentage', 15, 1.00, 'Default markup for all domains'
+WHERE NOT EXISTS (SELECT 1 FROM pricing_rules WHERE rule_type = 'global');
+
+COMMENT ON TABLE pricing_rules IS 'Markup rules used to compute domain selling prices';
+COMMENT ON COLUMN pricing_rules.markup_value IS 'Percentage of the registrar cost, or a fixed USD amount';
+COMMENT ON COLUMN pricing_rules.min_margin IS 'Minimum profit in USD, applied when the markup is lower';
+COMMENT ON COLUMN pricing_rules.min_cost IS 'For premium rules: only applies to premium domains costing at least this much';
@@ -0,0 +1,22 @@
+-- Role-based access control for users
+-- Roles: user (default), support (read-only access to customer data), admin
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+
+UPDATE users SET role = 'user' WHERE role IS NULL OR role NOT IN ('user', 'support', 'admin');
+UPDATE users SET is_active = true WHERE is_active IS NULL;
+
+ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS valid_user_role;
+ALTER TABLE users ADD CONSTRAINT valid_user_role CHECK (role IN ('user', 'support', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_users_is_active ON users(is_active);
+
+COMMENT ON COLUMN users.role IS 'Access role: user, support or admin';
+COMMENT ON COLUMN users.is_active IS 'Deactivated accounts cannot sign in or use existing tokens';
+
+-- Promote the first admin manually, e.g.:
+-- UPDATE users SET role = 'admin' WHERE email = 'admin@example.com';
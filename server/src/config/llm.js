@@ -0,0 +1,94 @@
+// LLM provider configuration for the AI agent.
+//
+// LLM_PROVIDER selects the backend:
+//   google   - Google Generative AI (GOOGLE_API_KEY)
+//   openai   - OpenAI or any OpenAI-compatible API (OPENAI_API_KEY, OPENAI_BASE_URL)
+//   local    - Ollama or llama.cpp server on their OpenAI-compatible endpoint (LOCAL_LLM_BASE_URL)
+//   scripted - deterministic canned responses from LLM_SCRIPT_FILE, for tests
+// Without LLM_PROVIDER, Google is used when GOOGLE_API_KEY is set, otherwise
+// the agent runs on its rule-based fallbacks.
+//
+// Model, temperature, max tokens and timeout default to LLM_MODEL,
+// LLM_TEMPERATURE, LLM_MAX_TOKENS and LLM_TIMEOUT_MS, and can be overridden per
+// task with LLM_<TASK>_MODEL etc. (e.g. LLM_INTENT_TEMPERATURE=0.1).
+
+const PROVIDERS = ["google", "openai", "local", "scripted"];
+
+// intent: understand the user's message, call tools and reply in the chat,
+// creative: brainstorm names, format: write explanations such as score summaries
+const TASKS = ["intent", "creative", "format"];
+
+const DEFAULT_MODELS = {
+  google: "gemini-1.5-flash",
+  openai: "gpt-4o-mini",
+  local: "llama3.1",
+  scripted: "scripted",
+};
+
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const getProvider = () => {
+  const provider = (process.env.LLM_PROVIDER || "").trim().toLowerCase();
+
+  if (!provider) {
+    return process.env.GOOGLE_API_KEY ? "google" : null;
+  }
+
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${provider}". Use one of: ${PROVIDERS.join(", ")}`
+    );
+  }
+
+  return provider;
+};
+
+const getTaskConfig = (provider, task) => {
+  const env = process.env;
+  const prefix = `LLM_${task.toUpperCase()}_`;
+
+  return {
+    model: env[`${prefix}MODEL`] || env.LLM_MODEL || DEFAULT_MODELS[provider],
+    temperature: parseNumber(
+      env[`${prefix}TEMPERATURE`],
+      parseNumber(env.LLM_TEMPERATURE, 0.7)
+    ),
+    maxTokens: parseInt(env[`${prefix}MAX_TOKENS`] || env.LLM_MAX_TOKENS) || 1024,
+    timeoutMs: parseInt(env[`${prefix}TIMEOUT_MS`] || env.LLM_TIMEOUT_MS) || 30000,
+  };
+};
+
+// Read at call time so tests and scripts can change the environment
+const getLLMConfig = () => {
+  const provider = getProvider();
+
+  return {
+    provider,
+    tasks: provider
+      ? Object.fromEntries(TASKS.map((task) => [task, getTaskConfig(provider, task)]))
+      : {},
+    google: {
+      apiKey: process.env.GOOGLE_API_KEY,
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || undefined,
+    },
+    local: {
+      baseURL: process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+      apiKey: process.env.LOCAL_LLM_API_KEY || "local", // Most local servers ignore the key
+    },
+    scripted: {
+      scriptFile: process.env.LLM_SCRIPT_FILE,
+    },
+  };
+};
+
+module.exports = {
+  PROVIDERS,
+  TASKS,
+  getLLMConfig,
+};
@@ -0,0 +1,537 @@
+const { validationResult } = require("express-validator");
+const { processRefund } = require("./paymentController.js");
+const supabase = require("../config/database.js");
+
+const USER_FIELDS =
+  "id, first_name, last_name, email, phone, country, role, is_active, stripe_customer_id, created_at, updated_at";
+
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  const from = (page - 1) * limit;
+  return { page, limit, from, to: from + limit - 1 };
+};
+
+const paginationResult = ({ page, limit }, count) => ({
+  page,
+  limit,
+  total: count || 0,
+  pages: Math.ceil((count || 0) / limit),
+});
+
+// Strip characters PostgREST treats as filter syntax from free-text search
+const sanitizeSearch = (search) =>
+  search ? search.replace(/[,()*%]/g, "").trim() : "";
+
+// List users (support/admin route)
+const getUsers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const pagination = getPagination(req.query);
+    const search = sanitizeSearch(req.query.search);
+
+    let query = supabase
+      .from("users")
+      .select(USER_FIELDS, { count: "exact" })
+      .order("created_at", { ascending: false })
+      .range(pagination.from, pagination.to);
+
+    if (search) {
+      query = query.or(
+        `email.ilike.%${search}%,first_name.ilike.%${search}%,last_name.ilike.%${search}%`
+      );
+    }
+    if (req.query.role) {
+      query = query.eq("role", req.query.role);
+    }
+    if (req.query.is_active !== undefined) {
+      query = query.eq("is_active", req.query.is_active === "true");
+    }
+
+    const { data: users, error, count } = await query;
+
+    if (error) {
+      console.error("Error fetching users:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch users",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users: users || [],
+        pagination: paginationResult(pagination, count),
+      },
+    });
+  } catch (error) {
+    console.error("Admin get users error:", error);
+    next(error);
+  }
+};
+
+// Get a single user with their domains and transactions (support/admin route)
+const getUserById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { userId } = req.params;
+
+    const { data: user, error } = await supabase
+      .from("users")
+      .select(USER_FIELDS)
+      .eq("id", userId)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const [{ data: domains }, { data: transactions }] = await Promise.all([
+      supabase
+        .from("domains")
+        .select("id, full_domain, status, expiration_date, selling_price, created_at")
+        .eq("owner_id", userId)
+        .order("created_at", { ascending: false }),
+      supabase
+        .from("transactions")
+        .select("id, domain_id, type, status, amount, currency, description, created_at")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .limit(50),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        domains: domains || [],
+        transactions: transactions || [],
+      },
+    });
+  } catch (error) {
+    console.error("Admin get user error:", error);
+    next(error);
+  }
+};
+
+// Activate or deactivate a user account (admin route)
+const updateUserStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { userId } = req.params;
+    const isActive = req.body.is_active === true || req.body.is_active === "true";
+
+    if (userId === req.user.id && !isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot deactivate your own account",
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from("users")
+      .update({
+        is_active: isActive,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", userId)
+      .select(USER_FIELDS)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Sign the user out everywhere; access tokens are rejected by authMiddleware
+    if (!isActive) {
+      const { error: tokenError } = await supabase
+        .from("refresh_tokens")
+        .delete()
+        .eq("user_id", userId);
+
+      if (tokenError) {
+        console.error("Failed to revoke refresh tokens:", tokenError);
+      }
+    }
+
+    console.log(
+      `${isActive ? "✅" : "⚠️"} User ${user.email} ${isActive ? "activated" : "deactivated"} by ${req.user.email}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error("Admin update user status error:", error);
+    next(error);
+  }
+};
+
+// Change a user's role (admin route)
+const updateUserRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from("users")
+      .update({
+        role: req.body.role,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", userId)
+      .select(USER_FIELDS)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    console.log(`✅ User ${user.email} role set to ${user.role} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error("Admin update user role error:", error);
+    next(error);
+  }
+};
+
+// List domains across all users (support/admin route)
+const getAllDomains = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const pagination = getPagination(req.query);
+    const search = sanitizeSearch(req.query.search);
+
+    let query = supabase
+      .from("domains")
+      .select(
+        `
+        *,
+        users!domains_owner_id_fkey(id, email, first_name, last_name)
+      `,
+        { count: "exact" }
+      )
+      .order("created_at", { ascending: false })
+      .range(pagination.from, pagination.to);
+
+    if (search) {
+      query = query.ilike("full_domain", `%${search}%`);
+    }
+    if (req.query.status) {
+      query = query.eq("status", req.query.status);
+    }
+    if (req.query.userId) {
+      query = query.eq("owner_id", req.query.userId);
+    }
+
+    const { data: domains, error, count } = await query;
+
+    if (error) {
+      console.error("Error fetching domains:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch domains",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        domains: domains || [],
+        pagination: paginationResult(pagination, count),
+      },
+    });
+  } catch (error) {
+    console.error("Admin get domains error:", error);
+    next(error);
+  }
+};
+
+// Get any domain by ID (support/admin route)
+const getDomainById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { data: domain, error } = await supabase
+      .from("domains")
+      .select(
+        `
+        *,
+        users!domains_owner_id_fkey(id, email, first_name, last_name)
+      `
+      )
+      .eq("id", req.params.id)
+      .single();
+
+    if (error || !domain) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain not found",
+      });
+    }
+
+    const { data: transactions } = await supabase
+      .from("transactions")
+      .select("id, type, status, amount, currency, description, created_at")
+      .eq("domain_id", domain.id)
+      .order("created_at", { ascending: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        domain,
+        transactions: transactions || [],
+      },
+    });
+  } catch (error) {
+    console.error("Admin get domain error:", error);
+    next(error);
+  }
+};
+
+// List transactions across all users (support/admin route)
+const getAllTransactions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const pagination = getPagination(req.query);
+
+    let query = supabase
+      .from("transactions")
+      .select(
+        `
+        *,
+        users!transactions_user_id_fkey(id, email, first_name, last_name),
+        domains!transactions_domain_id_fkey(id, full_domain, status)
+      `,
+        { count: "exact" }
+      )
+      .order("created_at", { ascending: false })
+      .range(pagination.from, pagination.to);
+
+    if (req.query.status) {
+      query = query.eq("status", req.query.status);
+    }
+    if (req.query.type) {
+      query = query.eq("type", req.query.type);
+    }
+    if (req.query.userId) {
+      query = query.eq("user_id", req.query.userId);
+    }
+
+    const { data: transactions, error, count } = await query;
+
+    if (error) {
+      console.error("Error fetching transactions:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch transactions",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transactions: transactions || [],
+        pagination: paginationResult(pagination, count),
+      },
+    });
+  } catch (error) {
+    console.error("Admin get transactions error:", error);
+    next(error);
+  }
+};
+
+// Get any transaction by ID (support/admin route)
+const getTransactionById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { data: transaction, error } = await supabase
+      .from("transactions")
+      .select(
+        `
+        *,
+        users!transactions_user_id_fkey(id, email, first_name, last_name),
+        domains!transactions_domain_id_fkey(*)
+      `
+      )
+      .eq("id", req.params.transactionId)
+      .single();
+
+    if (error || !transaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: transaction,
+    });
+  } catch (error) {
+    console.error("Admin get transaction error:", error);
+    next(error);
+  }
+};
+
+// Refund a customer's transaction on their behalf (admin route)
+const refundTransaction = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { transactionId } = req.params;
+    const { amount, reason } = req.body;
+
+    const { data: transaction, error: findError } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("id", transactionId)
+      .eq("status", "completed")
+      .single();
+
+    if (findError || !transaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found or cannot be refunded",
+      });
+    }
+
+    if (!transaction.stripe_charge_id) {
+      return res.status(400).json({
+        success: false,
+        message: "No charge ID found for refund",
+      });
+    }
+
+    if (amount && parseFloat(amount) > parseFloat(transaction.amount)) {
+      return res.status(400).json({
+        success: false,
+        message: "Refund amount cannot exceed the transaction amount",
+      });
+    }
+
+    const refund = await processRefund(transaction, amount, {
+      refundReason: reason,
+      refundedBy: req.user.id,
+    });
+
+    if (refund.status !== "succeeded") {
+      return res.status(400).json({
+        success: false,
+        message: "Refund failed",
+        refundStatus: refund.status,
+      });
+    }
+
+    console.log(
+      `🔄 Transaction ${transactionId} refunded by ${req.user.email}${reason ? `: ${reason}` : ""}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refund,
+        transactionId,
+        message: "Refund processed successfully",
+      },
+    });
+  } catch (error) {
+    console.error("Admin refund error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  updateUserStatus,
+  updateUserRole,
+  getAllDomains,
+  getDomainById,
+  getAllTransactions,
+  getTransactionById,
+  refundTransaction,
+};
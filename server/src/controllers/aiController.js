@@ -1,7 +1,23 @@
 const { validationResult } = require("express-validator");
 const aiAgentService = require("../services/aiAgentService");
+const domainScoringService = require("../services/domainScoringService");
+const domainAppraisalService = require("../services/domainAppraisalService");
+const conversationService = require("../services/conversationService");
 const supabase = require("../config/database");
 
+// User-friendly message for a failed chat request
+const getChatErrorMessage = (error) => {
+  if (error.message.includes("API key")) {
+    return "AI service is temporarily unavailable. Please try again later.";
+  }
+
+  if (error.message.includes("quota") || error.message.includes("limit")) {
+    return "AI service is currently at capacity. Please try again in a few minutes.";
+  }
+
+  return "I'm sorry, I'm having trouble processing your request right now. Please try again.";
+};
+
 // Chat with AI agent
 const chatWithAI = async (req, res, next) => {
   try {
@@ -25,10 +41,29 @@ const chatWithAI = async (req, res, next) => {
 
     console.log(`🤖 AI Chat Request from user ${userId}: "${message}"`);
 
+    // Continue the requested conversation or start a new one
+    const conversation = await conversationService.getOrCreateConversation(
+      userId,
+      conversationId,
+      message
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
     // Process with AI agent
-    const response = await aiAgentService.processUserMessage(message, userId);
+    const response = await aiAgentService.processUserMessage(message, userId, conversation.id);
 
-    console.log(`✅ AI Response:`, response);
+    // Only a summary: the response can carry checkout details such as the
+    // PaymentIntent client secret
+    console.log(
+      `✅ AI Response: intent ${response.intent}, ${response.message?.length || 0} chars, ` +
+        `tools [${(response.tools || []).join(", ")}]`
+    );
 
     res.status(200).json({
       success: true,
@@ -39,13 +74,7 @@ const chatWithAI = async (req, res, next) => {
     console.error("AI chat error:", error);
     
     // Return user-friendly error message
-    let errorMessage = "I'm sorry, I'm having trouble processing your request right now. Please try again.";
-    
-    if (error.message.includes("API key")) {
-      errorMessage = "AI service is temporarily unavailable. Please try again later.";
-    } else if (error.message.includes("quota") || error.message.includes("limit")) {
-      errorMessage = "AI service is currently at capacity. Please try again in a few minutes.";
-    }
+    const errorMessage = getChatErrorMessage(error);
 
     res.status(500).json({
       success: false,
@@ -60,6 +89,83 @@ const chatWithAI = async (req, res, next) => {
   }
 };
 
+// Chat with AI agent, streaming progress as Server-Sent Events.
+// Events: conversation, status, domain, token, done and error. Closing the
+// connection cancels the request.
+const streamChatWithAI = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const { message, conversationId } = req.body;
+  const userId = req.user.id;
+  let conversation;
+
+  try {
+    conversation = await conversationService.getOrCreateConversation(
+      userId,
+      conversationId,
+      message
+    );
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      message: "Conversation not found",
+    });
+  }
+
+  console.log(`🤖 AI Chat Stream Request from user ${userId}: "${message}"`);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers output until flushed
+    if (typeof res.flush === "function") res.flush();
+  };
+
+  const abortController = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  sendEvent("conversation", { conversationId: conversation.id, title: conversation.title });
+
+  try {
+    const response = await aiAgentService.processUserMessage(message, userId, conversation.id, {
+      onEvent: sendEvent,
+      signal: abortController.signal,
+    });
+
+    sendEvent("done", response);
+  } catch (error) {
+    if (error.name === "AbortError") {
+      console.log(`🛑 AI chat stream cancelled by user ${userId}`);
+    } else {
+      console.error("AI chat stream error:", error);
+      sendEvent("error", { message: getChatErrorMessage(error) });
+    }
+  } finally {
+    res.end();
+  }
+};
+
 // Get domain suggestions using AI
 const getDomainSuggestions = async (req, res, next) => {
   try {
@@ -93,7 +199,9 @@ const getDomainSuggestions = async (req, res, next) => {
 
     const suggestions = await aiAgentService.getDomainSuggestions(business, preferences);
 
-    console.log(`✅ Generated ${suggestions.suggestions.length} suggestions`);
+    console.log(
+      `✅ Generated ${suggestions.suggestions.length} suggestions (${suggestions.filtered.length} filtered for brand risk)`
+    );
 
     res.status(200).json({
       success: true,
@@ -117,7 +225,7 @@ const analyzeDomain = async (req, res, next) => {
       });
     }
 
-    const { domain } = req.body;
+    const { domain, keywords = [] } = req.body;
 
     if (!domain || !domain.trim()) {
       return res.status(400).json({
@@ -128,23 +236,33 @@ const analyzeDomain = async (req, res, next) => {
 
     console.log(`🤖 Domain Analysis Request: "${domain}"`);
 
-    // Use AI agent to analyze the domain
-    const analysisMessage = `Please analyze the domain "${domain}" and provide insights on its brandability, SEO potential, market value, and memorability. Include specific scores and recommendations.`;
-    
-    const response = await aiAgentService.processUserMessage(analysisMessage, req.user.id);
+    const scores = domainScoringService.scoreDomain(domain, keywords);
+
+    // The AI only explains the computed scores
+    const narrative = await aiAgentService.explainDomainScores(
+      scores.domain,
+      {
+        brandability: scores.brandability,
+        seo: scores.seo,
+        memorability: scores.memorability,
+      },
+      "brandability, SEO potential and memorability"
+    );
 
     const analysis = {
-      domain: domain,
-      brandabilityScore: Math.floor(Math.random() * 30) + 70, // 70-100
-      seoScore: Math.floor(Math.random() * 30) + 65, // 65-95
-      memorabilityScore: Math.floor(Math.random() * 25) + 75, // 75-100
-      marketValue: Math.floor(Math.random() * 5000) + 500, // $500-$5500
-      analysis: response.response_message,
-      recommendations: [
-        "Consider checking availability for similar domains",
-        "Verify trademark conflicts before purchase",
-        "Consider the domain's length and typing ease"
-      ]
+      domain: scores.domain,
+      brandabilityScore: scores.brandability.score,
+      seoScore: scores.seo.score,
+      memorabilityScore: scores.memorability.score,
+      factors: {
+        brandability: scores.brandability.factors,
+        seo: scores.seo.factors,
+        memorability: scores.memorability.factors,
+      },
+      analysis: narrative,
+      recommendations: domainScoringService.getRecommendations(
+        scores.brandability.factors
+      ),
     };
 
     console.log(`✅ Domain analysis completed for ${domain}`);
@@ -163,15 +281,32 @@ const analyzeDomain = async (req, res, next) => {
 // Get conversation history
 const getConversationHistory = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const { conversationId } = req.params;
     const userId = req.user.id;
 
+    const conversation = await conversationService.getConversation(userId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
     const { data: messages, error } = await supabase
       .from('ai_messages')
       .select('*')
       .eq('conversation_id', conversationId)
       .eq('user_id', userId)
-      .order('created_at', { ascending: true });
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
 
     if (error) {
       console.error("Error fetching conversation history:", error);
@@ -185,6 +320,9 @@ const getConversationHistory = async (req, res, next) => {
       success: true,
       data: {
         conversationId,
+        title: conversation.title,
+        createdAt: conversation.created_at,
+        updatedAt: conversation.updated_at,
         messages: messages || []
       },
     });
@@ -240,12 +378,90 @@ const getUserConversations = async (req, res, next) => {
   }
 };
 
+// Start a new, empty conversation
+const createConversation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const conversation = await conversationService.createConversation(
+      req.user.id,
+      req.body.title
+    );
+
+    res.status(201).json({
+      success: true,
+      data: conversation,
+    });
+
+  } catch (error) {
+    console.error("Create conversation error:", error);
+    next(error);
+  }
+};
+
+// Rename conversation
+const renameConversation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const conversation = await conversationService.renameConversation(
+      req.user.id,
+      req.params.conversationId,
+      req.body.title
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: conversation,
+    });
+
+  } catch (error) {
+    console.error("Rename conversation error:", error);
+    next(error);
+  }
+};
+
 // Delete conversation
 const deleteConversation = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const { conversationId } = req.params;
     const userId = req.user.id;
 
+    const conversation = await conversationService.getConversation(userId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
     // Delete messages first (due to foreign key constraint)
     const { error: messagesError } = await supabase
       .from('ai_messages')
@@ -287,6 +503,52 @@ const deleteConversation = async (req, res, next) => {
   }
 };
 
+// Report the outcome of a checkout shown in the chat
+const reportCheckoutOutcome = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+
+    const conversation = await conversationService.getConversation(userId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
+    const outcome = await aiAgentService.recordCheckoutOutcome(
+      userId,
+      conversationId,
+      req.body.paymentIntentId
+    );
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: outcome,
+    });
+
+  } catch (error) {
+    console.error("Checkout outcome error:", error);
+    next(error);
+  }
+};
+
 // Additional AI services
 const getDomainIdeas = async (req, res, next) => {
   try {
@@ -314,23 +576,28 @@ const getDomainIdeas = async (req, res, next) => {
 
 const checkBrandability = async (req, res, next) => {
   try {
-    const { domain } = req.body;
-    const userId = req.user.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
 
-    const analysisMessage = `Analyze the brandability of the domain "${domain}". Consider factors like memorability, pronounceability, length, and marketing potential. Provide a score out of 100 and detailed feedback.`;
-    
-    const response = await aiAgentService.processUserMessage(analysisMessage, userId);
+    const { domain, keywords = [] } = req.body;
+
+    const result = domainScoringService.scoreBrandability(domain, keywords);
+    const narrative = await aiAgentService.explainDomainScores(
+      result.domain,
+      { brandability: result },
+      "brandability"
+    );
 
     const brandability = {
-      domain,
-      score: Math.floor(Math.random() * 30) + 70,
-      analysis: response.response_message,
-      factors: {
-        memorability: Math.floor(Math.random() * 30) + 70,
-        pronounceability: Math.floor(Math.random() * 30) + 70,
-        length: domain.length <= 12 ? 90 : (domain.length <= 20 ? 70 : 50),
-        marketingPotential: Math.floor(Math.random() * 30) + 70
-      }
+      domain: result.domain,
+      score: result.score,
+      analysis: narrative,
+      factors: result.factors,
     };
 
     res.status(200).json({
@@ -346,28 +613,29 @@ const checkBrandability = async (req, res, next) => {
 
 const getSEOAnalysis = async (req, res, next) => {
   try {
-    const { domain } = req.body;
-    const userId = req.user.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
 
-    const analysisMessage = `Provide an SEO analysis for the domain "${domain}". Consider keyword relevance, domain length, extension impact, and search engine friendliness. Provide recommendations for SEO optimization.`;
-    
-    const response = await aiAgentService.processUserMessage(analysisMessage, userId);
+    const { domain, keywords = [] } = req.body;
+
+    const result = domainScoringService.scoreSEO(domain, keywords);
+    const narrative = await aiAgentService.explainDomainScores(
+      result.domain,
+      { seo: result },
+      "SEO potential"
+    );
 
     const seoAnalysis = {
-      domain,
-      seoScore: Math.floor(Math.random() * 30) + 65,
-      analysis: response.response_message,
-      factors: {
-        keywordRelevance: Math.floor(Math.random() * 30) + 60,
-        domainLength: domain.length <= 15 ? 95 : (domain.length <= 25 ? 75 : 55),
-        extensionValue: domain.endsWith('.com') ? 95 : (domain.endsWith('.org') || domain.endsWith('.net') ? 85 : 70),
-        searchFriendly: Math.floor(Math.random() * 30) + 70
-      },
-      recommendations: [
-        "Optimize website content for relevant keywords",
-        "Ensure fast loading times",
-        "Build quality backlinks"
-      ]
+      domain: result.domain,
+      seoScore: result.score,
+      analysis: narrative,
+      factors: result.factors,
+      recommendations: domainScoringService.getRecommendations(result.factors),
     };
 
     res.status(200).json({
@@ -381,32 +649,55 @@ const getSEOAnalysis = async (req, res, next) => {
   }
 };
 
-const generateBusinessNames = async (req, res, next) => {
+const appraiseDomain = async (req, res, next) => {
   try {
-    const { description, industry } = req.body;
-    const userId = req.user.id;
-
-    const suggestionMessage = `Generate creative business name suggestions for: "${description}" in the ${industry} industry. Provide 8-10 brandable business names with explanations.`;
-    
-    const response = await aiAgentService.processUserMessage(suggestionMessage, userId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
 
-    // Generate some mock business names as fallback
-    const businessNames = [
-      { name: "InnovateLab", reasoning: "Combines innovation with laboratory concept" },
-      { name: "TechForge", reasoning: "Suggests building and creating technology" },
-      { name: "NextWave Solutions", reasoning: "Implies being ahead of trends" },
-      { name: "Digital Nexus", reasoning: "Represents connection point in digital space" },
-      { name: "FlowMint", reasoning: "Combines flow and fresh mint concept" }
-    ];
+    const appraisal = await domainAppraisalService.appraise(req.body.domain);
+    const rationale = await aiAgentService.explainAppraisal(appraisal);
 
     res.status(200).json({
       success: true,
       data: {
-        names: businessNames,
-        analysis: response.response_message
+        ...appraisal,
+        rationale,
       },
     });
 
+  } catch (error) {
+    console.error("Domain appraisal error:", error);
+    next(error);
+  }
+};
+
+const generateBusinessNames = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { description, industry, tlds, count } = req.body;
+
+    const result = await aiAgentService.generateBusinessNames(description, industry, {
+      tlds,
+      count,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+
   } catch (error) {
     console.error("Business names generation error:", error);
     next(error);
@@ -415,13 +706,18 @@ const generateBusinessNames = async (req, res, next) => {
 
 module.exports = {
   chatWithAI,
+  streamChatWithAI,
   getDomainSuggestions,
   analyzeDomain,
   getConversationHistory,
   getUserConversations,
+  createConversation,
+  renameConversation,
   deleteConversation,
+  reportCheckoutOutcome,
   getDomainIdeas,
   checkBrandability,
   getSEOAnalysis,
+  appraiseDomain,
   generateBusinessNames,
 };
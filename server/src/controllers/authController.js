@@ -45,7 +45,7 @@ const authController = {
             updated_at: new Date().toISOString(),
           },
         ])
-        .select("id, first_name, last_name, email, created_at, updated_at")
+        .select("id, first_name, last_name, email, role, created_at, updated_at")
         .single();
 
       if (error) {
@@ -57,7 +57,7 @@ const authController = {
       }
 
       // Generate tokens
-      const token = generateToken(user.id);
+      const token = generateToken(user.id, user.role);
       const refreshToken = generateRefreshToken(user.id);
 
       // Store refresh token in database
@@ -120,8 +120,15 @@ const authController = {
         });
       }
 
+      if (user.is_active === false) {
+        return res.status(403).json({
+          success: false,
+          message: "Account has been deactivated",
+        });
+      }
+
       // Generate tokens
-      const token = generateToken(user.id);
+      const token = generateToken(user.id, user.role);
       const refreshToken = generateRefreshToken(user.id);
 
       // Store refresh token in database
@@ -434,8 +441,22 @@ const authController = {
         });
       }
 
+      // Re-read the role so promotions and deactivations are picked up
+      const { data: user, error: userError } = await supabase
+        .from("users")
+        .select("id, role, is_active")
+        .eq("id", decoded.userId)
+        .single();
+
+      if (userError || !user || user.is_active === false) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired refresh token",
+        });
+      }
+
       // Generate new tokens
-      const newToken = generateToken(decoded.userId);
+      const newToken = generateToken(decoded.userId, user.role);
       const newRefreshToken = generateRefreshToken(decoded.userId);
 
       // Delete old refresh token and create new one
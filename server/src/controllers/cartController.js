@@ -0,0 +1,570 @@
+const { validationResult } = require("express-validator");
+const namecheapService = require("../services/namecheapService.js");
+const stripeService = require("../services/stripeService.js");
+const pricingService = require("../services/pricingService.js");
+const checkoutService = require("../services/checkoutService.js");
+const supabase = require("../config/database.js");
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Get the user's cart, creating it on first use
+const getOrCreateCart = async (userId) => {
+  const { data: cart, error } = await supabase
+    .from("carts")
+    .select("*")
+    .eq("user_id", userId)
+    .single();
+
+  if (cart) {
+    return cart;
+  }
+
+  if (error && error.code !== "PGRST116") {
+    throw new Error(`Failed to load cart: ${error.message}`);
+  }
+
+  const { data: newCart, error: createError } = await supabase
+    .from("carts")
+    .upsert([{ user_id: userId }], { onConflict: "user_id" })
+    .select()
+    .single();
+
+  if (createError) {
+    throw new Error(`Failed to create cart: ${createError.message}`);
+  }
+
+  return newCart;
+};
+
+const getCartItems = async (cartId) => {
+  const { data: items, error } = await supabase
+    .from("cart_items")
+    .select("*")
+    .eq("cart_id", cartId)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load cart items: ${error.message}`);
+  }
+
+  return items || [];
+};
+
+const formatCart = (cart, items) => ({
+  id: cart.id,
+  items,
+  itemCount: items.length,
+  total: roundPrice(
+    items.reduce((sum, item) => sum + parseFloat(item.price || 0), 0)
+  ),
+  currency: "USD",
+});
+
+// Check that a domain can still be registered by this user and price it for the term.
+// Pending domains owned by the same user are left over from an earlier checkout attempt.
+const quoteDomain = async (fullDomain, years, userId) => {
+  const { data: existingDomain, error: findError } = await supabase
+    .from("domains")
+    .select("id, status, owner_id")
+    .eq("full_domain", fullDomain)
+    .single();
+
+  if (findError && findError.code !== "PGRST116") {
+    throw new Error(`Database error while checking ${fullDomain}`);
+  }
+
+  if (
+    existingDomain &&
+    !(existingDomain.owner_id === userId && existingDomain.status === "pending")
+  ) {
+    return {
+      available: false,
+      reason: "Domain is already registered in our system",
+    };
+  }
+
+  const availability = await namecheapService.checkDomainAvailability(
+    fullDomain
+  );
+
+  if (!availability.available) {
+    return {
+      available: false,
+      reason: availability.message || "Domain is not available for registration",
+    };
+  }
+
+  const { cost, sellingPrice } = await pricingService.quoteRegistration(
+    fullDomain,
+    years,
+    availability
+  );
+
+  return {
+    available: true,
+    isPremium: availability.isPremium || false,
+    cost,
+    price: sellingPrice,
+    existingDomainId: existingDomain ? existingDomain.id : null,
+  };
+};
+
+// @desc    Get the current user's cart
+// @route   GET /api/cart
+// @access  Private
+const getCart = async (req, res, next) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+    const items = await getCartItems(cart.id);
+
+    res.status(200).json({
+      success: true,
+      data: formatCart(cart, items),
+    });
+  } catch (error) {
+    console.error("Get cart error:", error);
+    next(error);
+  }
+};
+
+// @desc    Add a domain to the cart, or update its options if already there
+// @route   POST /api/cart
+// @access  Private
+const addCartItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const fullDomain = req.body.domain.trim().toLowerCase();
+    const years = parseInt(req.body.years) || 1;
+    const whoisPrivacy = req.body.whoisPrivacy !== false;
+
+    console.log(`🛒 Adding ${fullDomain} (${years}y) to cart for ${req.user.email}`);
+
+    const quote = await quoteDomain(fullDomain, years, req.user.id);
+
+    if (!quote.available) {
+      return res.status(400).json({
+        success: false,
+        message: `${fullDomain} is not available: ${quote.reason}`,
+      });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+
+    const { error: upsertError } = await supabase.from("cart_items").upsert(
+      [
+        {
+          cart_id: cart.id,
+          full_domain: fullDomain,
+          years,
+          whois_privacy: whoisPrivacy,
+          is_premium: quote.isPremium,
+          cost: quote.cost,
+          price: quote.price,
+          currency: "USD",
+        },
+      ],
+      { onConflict: "cart_id,full_domain" }
+    );
+
+    if (upsertError) {
+      console.error("Cart item upsert error:", upsertError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to add domain to cart",
+      });
+    }
+
+    const items = await getCartItems(cart.id);
+
+    res.status(200).json({
+      success: true,
+      data: formatCart(cart, items),
+    });
+  } catch (error) {
+    console.error("Add cart item error:", error);
+    next(error);
+  }
+};
+
+// @desc    Remove a single item from the cart
+// @route   DELETE /api/cart/:itemId
+// @access  Private
+const removeCartItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+
+    const { data: removed, error } = await supabase
+      .from("cart_items")
+      .delete()
+      .eq("id", req.params.itemId)
+      .eq("cart_id", cart.id)
+      .select();
+
+    if (error) {
+      console.error("Cart item delete error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to remove cart item",
+      });
+    }
+
+    if (!removed || removed.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart item not found",
+      });
+    }
+
+    const items = await getCartItems(cart.id);
+
+    res.status(200).json({
+      success: true,
+      data: formatCart(cart, items),
+    });
+  } catch (error) {
+    console.error("Remove cart item error:", error);
+    next(error);
+  }
+};
+
+// @desc    Remove every item from the cart
+// @route   DELETE /api/cart
+// @access  Private
+const clearCart = async (req, res, next) => {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+
+    const { error } = await supabase
+      .from("cart_items")
+      .delete()
+      .eq("cart_id", cart.id);
+
+    if (error) {
+      console.error("Clear cart error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to clear cart",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatCart(cart, []),
+    });
+  } catch (error) {
+    console.error("Clear cart error:", error);
+    next(error);
+  }
+};
+
+// @desc    Re-validate the cart and create one PaymentIntent for every item.
+//          Domains are registered in paymentController.confirmPayment.
+// @route   POST /api/cart/checkout
+// @access  Private
+const checkoutCart = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const cart = await getOrCreateCart(req.user.id);
+    let items = await getCartItems(cart.id);
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty",
+      });
+    }
+
+    console.log(`🛒 Checking out cart ${cart.id} with ${items.length} item(s)`);
+
+    // Availability and prices may have changed since the items were added
+    const unavailable = [];
+    const quotes = {};
+    for (const item of items) {
+      const quote = await quoteDomain(item.full_domain, item.years, req.user.id);
+
+      if (!quote.available) {
+        unavailable.push({ id: item.id, domain: item.full_domain, reason: quote.reason });
+        continue;
+      }
+
+      quotes[item.id] = quote;
+
+      if (
+        parseFloat(item.price) !== quote.price ||
+        parseFloat(item.cost) !== quote.cost
+      ) {
+        await supabase
+          .from("cart_items")
+          .update({
+            cost: quote.cost,
+            price: quote.price,
+            is_premium: quote.isPremium,
+          })
+          .eq("id", item.id);
+      }
+    }
+
+    items = await getCartItems(cart.id);
+    const cartData = formatCart(cart, items);
+
+    if (unavailable.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Some domains are no longer available: ${unavailable
+          .map((item) => item.domain)
+          .join(", ")}`,
+        data: { unavailable, cart: cartData },
+      });
+    }
+
+    const { expectedTotal } = req.body;
+    if (
+      expectedTotal !== undefined &&
+      roundPrice(parseFloat(expectedTotal)) !== cartData.total
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "Prices in your cart have changed. Please review the new total.",
+        data: { priceChanged: true, cart: cartData },
+      });
+    }
+
+    // Get or create Stripe customer
+    let customerId = req.user.stripe_customer_id;
+    if (!customerId) {
+      const customer = await stripeService.createCustomer({
+        id: req.user.id,
+        email: req.user.email,
+        first_name: req.user.first_name,
+        last_name: req.user.last_name,
+      });
+      customerId = customer.id;
+
+      const { error: updateError } = await supabase
+        .from("users")
+        .update({ stripe_customer_id: customerId })
+        .eq("id", req.user.id);
+
+      if (updateError) {
+        console.error(
+          "Failed to update user with Stripe customer ID:",
+          updateError
+        );
+      }
+    }
+
+    // Reserve every domain with a pending record
+    const domainRecords = [];
+    const createdDomainIds = [];
+    const rollback = async () => {
+      if (createdDomainIds.length > 0) {
+        await supabase.from("domains").delete().in("id", createdDomainIds);
+      }
+    };
+
+    for (const item of items) {
+      const quote = quotes[item.id];
+      const domainParts = item.full_domain.split(".");
+      const domainFields = {
+        owner_id: req.user.id,
+        status: "pending",
+        registrar: "namecheap",
+        cost: quote.cost,
+        markup: roundPrice(quote.price - quote.cost),
+        selling_price: quote.price,
+        currency: "USD",
+        is_premium: quote.isPremium,
+        whois_privacy: item.whois_privacy,
+        updated_at: new Date().toISOString(),
+      };
+
+      let result;
+      if (quote.existingDomainId) {
+        // Drop the transaction from the earlier checkout attempt, cancelling
+        // its payment so it can't be completed alongside this one
+        const { data: earlierTransactions } = await supabase
+          .from("transactions")
+          .select("id, domain_id, stripe_payment_intent_id")
+          .eq("domain_id", quote.existingDomainId)
+          .eq("status", "pending");
+
+        const released = await checkoutService.releasePendingTransactions(
+          earlierTransactions || []
+        );
+
+        if (released.length < (earlierTransactions || []).length) {
+          await rollback();
+          return res.status(409).json({
+            success: false,
+            message: `${item.full_domain} has already been paid and is being processed`,
+          });
+        }
+
+        result = await supabase
+          .from("domains")
+          .update(domainFields)
+          .eq("id", quote.existingDomainId)
+          .select()
+          .single();
+      } else {
+        result = await supabase
+          .from("domains")
+          .insert([
+            {
+              ...domainFields,
+              name: domainParts[0],
+              extension: domainParts.slice(1).join("."),
+              full_domain: item.full_domain,
+              created_at: new Date().toISOString(),
+            },
+          ])
+          .select()
+          .single();
+      }
+
+      if (result.error) {
+        console.error("Cart domain reservation error:", result.error);
+        await rollback();
+
+        if (result.error.code === "23505") {
+          return res.status(409).json({
+            success: false,
+            message: `${item.full_domain} is no longer available for purchase`,
+            data: {
+              unavailable: [{ id: item.id, domain: item.full_domain }],
+              cart: cartData,
+            },
+          });
+        }
+
+        return res.status(500).json({
+          success: false,
+          message: "Failed to reserve domains for checkout",
+        });
+      }
+
+      if (!quote.existingDomainId) {
+        createdDomainIds.push(result.data.id);
+      }
+      domainRecords.push({ item, domain: result.data });
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.createPaymentIntent(
+        cartData.total,
+        "usd",
+        customerId,
+        {
+          type: "cart",
+          cartId: cart.id.toString(),
+          userId: req.user.id.toString(),
+          domainCount: items.length.toString(),
+          domains: items
+            .map((item) => item.full_domain)
+            .join(",")
+            .slice(0, 500),
+        }
+      );
+    } catch (stripeError) {
+      await rollback();
+      throw stripeError;
+    }
+
+    const { data: transactions, error: transactionError } = await supabase
+      .from("transactions")
+      .insert(
+        domainRecords.map(({ item, domain }) => ({
+          user_id: req.user.id,
+          domain_id: domain.id,
+          type: "purchase",
+          status: "pending",
+          amount: domain.selling_price,
+          currency: "USD",
+          payment_method: "stripe",
+          stripe_payment_intent_id: paymentIntent.id,
+          description: `Registration of ${item.full_domain} for ${item.years} year${
+            item.years > 1 ? "s" : ""
+          }`,
+          metadata: {
+            cartId: cart.id,
+            cartItemId: item.id,
+            years: item.years,
+            whoisPrivacy: item.whois_privacy,
+          },
+          ip_address: req.ip,
+          user_agent: req.get("User-Agent"),
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        }))
+      )
+      .select();
+
+    if (transactionError) {
+      console.error("Cart transaction creation error:", transactionError);
+      try {
+        await stripeService.cancelPaymentIntent(paymentIntent.id);
+      } catch (cancelError) {
+        console.error(
+          `Could not cancel payment intent ${paymentIntent.id}:`,
+          cancelError.message
+        );
+      }
+      await rollback();
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create transaction records",
+      });
+    }
+
+    console.log(
+      `✅ Cart ${cart.id} checkout created: ${items.length} domain(s), $${cartData.total}`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        amount: cartData.total,
+        currency: paymentIntent.currency,
+        cart: cartData,
+        transactionIds: transactions.map((transaction) => transaction.id),
+        message: "Checkout created. Complete payment to register your domains.",
+      },
+    });
+  } catch (error) {
+    console.error("Cart checkout error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  removeCartItem,
+  clearCart,
+  checkoutCart,
+};
@@ -0,0 +1,241 @@
+const { validationResult } = require("express-validator");
+const supabase = require("../config/database.js");
+const namecheapService = require("../services/namecheapService.js");
+const dnsChangeLogService = require("../services/dnsChangeLogService.js");
+const subdomainService = require("../services/subdomainService.js");
+const { diffHosts } = require("../services/dnsChangeQueue.js");
+
+// Helper function to get a domain owned by the signed-in user
+const getOwnedDomain = async (domainId, userId) => {
+  const { data: domain, error } = await supabase
+    .from("domains")
+    .select("id, full_domain, status")
+    .eq("id", domainId)
+    .eq("owner_id", userId)
+    .single();
+
+  return error ? null : domain;
+};
+
+const notFound = (res, message = "Domain not found or access denied") =>
+  res.status(404).json({
+    success: false,
+    message,
+  });
+
+// Records of a version: "current" for the live records, or a log entry ID for
+// the records right after that change
+const getVersionRecords = async (domain, version) => {
+  if (version === "current") {
+    const zone = await namecheapService.getZone(domain.full_domain);
+    return zone ? zone.hosts : null;
+  }
+  return dnsChangeLogService.getSnapshot(domain.id, { entryId: version });
+};
+
+// Get the DNS change timeline of a domain
+const getDnsHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const domain = await getOwnedDomain(req.params.id, req.user.id);
+    if (!domain) {
+      return notFound(res);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const history = await dnsChangeLogService.getHistory(domain.id, { limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        domain,
+        history,
+        pagination: { limit, offset },
+      },
+    });
+  } catch (error) {
+    console.error("Get DNS history error:", error);
+    next(error);
+  }
+};
+
+// Get one change with the records before and after it
+const getDnsHistoryEntry = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const domain = await getOwnedDomain(req.params.id, req.user.id);
+    if (!domain) {
+      return notFound(res);
+    }
+
+    const entry = await dnsChangeLogService.getEntry(domain.id, req.params.entryId);
+    if (!entry) {
+      return notFound(res, "DNS change not found");
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entry,
+        diff: diffHosts(entry.records_before, entry.records_after),
+      },
+    });
+  } catch (error) {
+    console.error("Get DNS history entry error:", error);
+    next(error);
+  }
+};
+
+// Compare two versions of the records: log entry IDs or "current"
+const compareDnsVersions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const domain = await getOwnedDomain(req.params.id, req.user.id);
+    if (!domain) {
+      return notFound(res);
+    }
+
+    const { from, to = "current" } = req.query;
+    const [fromRecords, toRecords] = await Promise.all([
+      getVersionRecords(domain, from),
+      getVersionRecords(domain, to),
+    ]);
+
+    if (!fromRecords || !toRecords) {
+      return notFound(res, "DNS version not found");
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        diff: diffHosts(fromRecords, toRecords),
+      },
+    });
+  } catch (error) {
+    console.error("Compare DNS versions error:", error);
+    next(error);
+  }
+};
+
+// Restore the records as they were before (default) or after a logged change.
+// The rollback replaces all records in one write and is logged itself.
+const rollbackDns = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const domain = await getOwnedDomain(req.params.id, req.user.id);
+    if (!domain) {
+      return notFound(res);
+    }
+
+    const { entryId } = req.params;
+    const { state = "before", expectedVersion } = req.body;
+
+    const records = await dnsChangeLogService.getSnapshot(domain.id, { entryId, state });
+    if (!records) {
+      return notFound(res, "DNS change not found");
+    }
+
+    const current = await namecheapService.getZone(domain.full_domain);
+    if (!current) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get current DNS records",
+      });
+    }
+
+    const diff = diffHosts(current.hosts, records);
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          message: "The DNS records already match this version",
+          diff,
+          version: current.version,
+        },
+      });
+    }
+
+    console.log(`⏪ Rolling back DNS for ${domain.full_domain} to ${state} change #${entryId}`);
+
+    const result = await namecheapService.applyDnsChanges(
+      domain.full_domain,
+      [{
+        type: "replace",
+        records,
+        emailType: records.some((record) => record.RecordType === "MX") ? "MX" : undefined,
+      }],
+      {
+        expectedVersion: expectedVersion || current.version,
+        log: {
+          domainId: domain.id,
+          userId: req.user.id,
+          source: "rollback",
+          description: `Restored the records ${state} change #${entryId}`,
+          rolledBackFrom: entryId,
+        },
+      }
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: `Failed to roll back DNS records: ${result.message}`,
+      });
+    }
+
+    // Subdomains whose records the rollback removed, changed or brought back
+    const subdomains = await subdomainService.reconcileSubdomains(domain, diff);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message: `DNS records restored to their state ${state} change #${entryId}`,
+        diff,
+        version: result.version,
+        logEntryId: result.logEntryId,
+        subdomains,
+      },
+    });
+  } catch (error) {
+    console.error("Roll back DNS error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getDnsHistory,
+  getDnsHistoryEntry,
+  compareDnsVersions,
+  rollbackDns,
+};
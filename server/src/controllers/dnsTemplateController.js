@@ -0,0 +1,290 @@
+const { validationResult } = require("express-validator");
+const supabase = require("../config/database.js");
+const dnsTemplateService = require("../services/dnsTemplateService.js");
+const dnsChangeLogService = require("../services/dnsChangeLogService.js");
+
+// Helper function to get a domain owned by the signed-in user
+const getOwnedDomain = async (domainId, userId) => {
+  const { data: domain, error } = await supabase
+    .from("domains")
+    .select("id, full_domain, status")
+    .eq("id", domainId)
+    .eq("owner_id", userId)
+    .single();
+
+  return error ? null : domain;
+};
+
+const notFound = (res, message = "Domain not found or access denied") =>
+  res.status(404).json({
+    success: false,
+    message,
+  });
+
+// Service errors carry a status code and, for templates, the details
+const sendServiceError = (res, error) =>
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    ...(error.errors && { templateErrors: error.errors }),
+    ...(error.conflicts && { conflicts: error.conflicts }),
+  });
+
+// List the built-in templates and the user's own
+const getTemplates = async (req, res, next) => {
+  try {
+    const templates = await dnsTemplateService.listTemplates(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { templates },
+    });
+  } catch (error) {
+    console.error("Get DNS templates error:", error);
+    next(error);
+  }
+};
+
+// Save a user-defined template
+const createTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const template = await dnsTemplateService.createUserTemplate(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    console.error("Create DNS template error:", error);
+    if (error.statusCode) {
+      return sendServiceError(res, error);
+    }
+    next(error);
+  }
+};
+
+// Replace a user-defined template
+const updateTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const template = await dnsTemplateService.updateUserTemplate(
+      req.user.id,
+      req.params.templateId,
+      req.body
+    );
+    if (!template) {
+      return notFound(res, "DNS template not found");
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { template },
+    });
+  } catch (error) {
+    console.error("Update DNS template error:", error);
+    if (error.statusCode) {
+      return sendServiceError(res, error);
+    }
+    next(error);
+  }
+};
+
+// Delete a user-defined template. Records already applied from it stay.
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const deleted = await dnsTemplateService.deleteUserTemplate(req.user.id, req.params.templateId);
+    if (!deleted) {
+      return notFound(res, "DNS template not found");
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { message: "DNS template deleted" },
+    });
+  } catch (error) {
+    console.error("Delete DNS template error:", error);
+    next(error);
+  }
+};
+
+// List the templates applied to a domain, with the records each one created
+const getAppliedTemplates = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const domain = await getOwnedDomain(req.params.id, req.user.id);
+    if (!domain) {
+      return notFound(res);
+    }
+
+    const applications = await dnsTemplateService.listApplications(domain.id);
+
+    res.status(200).json({
+      success: true,
+      data: { domain, applications },
+    });
+  } catch (error) {
+    console.error("Get applied DNS templates error:", error);
+    next(error);
+  }
+};
+
+// Preview (default) or apply a template to a domain. The preview lists the
+// records to create, those the domain already has, and conflicts with
+// existing records; applying with conflicts requires replaceConflicts.
+const applyTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const domain = await getOwnedDomain(req.params.id, req.user.id);
+    if (!domain) {
+      return notFound(res);
+    }
+
+    const { templateId, parameters = {}, apply = false, replaceConflicts = false, expectedVersion } = req.body;
+
+    const template = await dnsTemplateService.getTemplate(templateId, req.user.id);
+    if (!template) {
+      return notFound(res, "DNS template not found");
+    }
+
+    if (!apply) {
+      const plan = await dnsTemplateService.planTemplate(domain, template, parameters);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          template: { id: template.id, name: template.name },
+          records: plan.records,
+          existing: plan.existing,
+          conflicts: plan.conflicts,
+          applied: false,
+          version: plan.version,
+        },
+      });
+    }
+
+    const result = await dnsTemplateService.applyTemplate(domain, template, parameters, {
+      replaceConflicts,
+      expectedVersion,
+      changeLog: {
+        userId: req.user.id,
+        source: dnsChangeLogService.getRequestSource(req),
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: `${template.name} records added to ${domain.full_domain}`,
+        application: result.application,
+        subdomains: result.subdomains,
+        replaced: result.replaced,
+        applied: true,
+        version: result.version,
+        logEntryId: result.logEntryId,
+      },
+    });
+  } catch (error) {
+    console.error("Apply DNS template error:", error);
+    if (error.statusCode) {
+      return sendServiceError(res, error);
+    }
+    next(error);
+  }
+};
+
+// Remove every record a template application created, as one change
+const removeAppliedTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const domain = await getOwnedDomain(req.params.id, req.user.id);
+    if (!domain) {
+      return notFound(res);
+    }
+
+    const result = await dnsTemplateService.removeApplication(domain, req.params.applicationId, {
+      expectedVersion: req.body?.expectedVersion,
+      changeLog: {
+        userId: req.user.id,
+        source: dnsChangeLogService.getRequestSource(req),
+      },
+    });
+
+    if (!result) {
+      return notFound(res, "Applied template not found");
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message: `${result.application.template_name} records removed from ${domain.full_domain}`,
+        removed: result.removed,
+        // Still needed by another applied template
+        kept: result.kept,
+        // Records the template replaced when it was applied; they are not restored
+        notRestored: result.notRestored,
+        version: result.version,
+        logEntryId: result.logEntryId,
+      },
+    });
+  } catch (error) {
+    console.error("Remove applied DNS template error:", error);
+    if (error.statusCode) {
+      return sendServiceError(res, error);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getAppliedTemplates,
+  applyTemplate,
+  removeAppliedTemplate,
+};
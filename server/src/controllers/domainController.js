@@ -1,38 +1,119 @@
 const { validationResult } = require("express-validator");
 const namecheapService = require("../services/namecheapService.js");
+const stripeService = require("../services/stripeService.js");
+const checkoutService = require("../services/checkoutService.js");
+const pricingService = require("../services/pricingService.js");
+const zoneFileService = require("../services/zoneFileService.js");
+const subdomainService = require("../services/subdomainService.js");
+const { diffHosts } = require("../services/dnsChangeQueue.js");
+const dnsChangeLogService = require("../services/dnsChangeLogService.js");
 const supabase = require("../config/database.js");
 
-// Cleanup function to delete pending domains/transactions after 3 minutes
+// Cleanup function to delete pending domains/transactions after 3 minutes.
+// Cart checkouts reserve several domains at once and renewals are paid for
+// on the Payment page after an OTP step; both get 30 minutes to be paid.
+// Unpaid transfers are cancelled by transferBackgroundService. The
+// PaymentIntents of dropped transactions are cancelled.
 const cleanupPendingRecords = async () => {
   try {
     const threeMinutesAgo = new Date(Date.now() - 180 * 1000).toISOString();
+    const thirtyMinutesAgo = new Date(Date.now() - 1800 * 1000).toISOString();
 
     console.log(`🧹 Starting cleanup for records older than: ${threeMinutesAgo}`);
 
-    // First, delete all pending transactions older than 3 minutes
-    const { data: expiredTransactions, error: transactionError } =
+    // First, pending purchase transactions older than 3 minutes
+    const { data: staleTransactions, error: transactionError } =
       await supabase
         .from("transactions")
-        .delete()
+        .select("id, domain_id, stripe_payment_intent_id")
         .eq("status", "pending")
-        .lt("created_at", threeMinutesAgo)
-        .select("id, domain_id");
+        .is("metadata->>cartId", null)
+        .not("type", "in", "(renewal,transfer)")
+        .lt("created_at", threeMinutesAgo);
 
+    let expiredTransactions = [];
     if (transactionError) {
       console.error("Error cleaning up transactions:", transactionError);
-    } else if (expiredTransactions && expiredTransactions.length > 0) {
-      console.log(
-        `🗑️ Deleted ${expiredTransactions.length} pending transactions`
+    } else if (staleTransactions && staleTransactions.length > 0) {
+      expiredTransactions = await checkoutService.releasePendingTransactions(staleTransactions);
+      if (expiredTransactions.length > 0) {
+        console.log(
+          `🗑️ Deleted ${expiredTransactions.length} pending transactions`
+        );
+      }
+    }
+
+    // Renewals not paid within 30 minutes of their last Payment page visit
+    const { data: staleRenewals, error: renewalError } = await supabase
+      .from("transactions")
+      .select("id, domain_id, stripe_payment_intent_id")
+      .eq("status", "pending")
+      .eq("type", "renewal")
+      .lt("updated_at", thirtyMinutesAgo);
+
+    let expiredRenewals = [];
+    if (renewalError) {
+      console.error("Error cleaning up renewal transactions:", renewalError);
+    } else if (staleRenewals && staleRenewals.length > 0) {
+      expiredRenewals = await checkoutService.releasePendingTransactions(staleRenewals);
+      if (expiredRenewals.length > 0) {
+        console.log(
+          `🗑️ Deleted ${expiredRenewals.length} abandoned renewal transactions`
+        );
+      }
+    }
+
+    // Abandoned cart checkouts
+    const { data: staleCartTransactions, error: cartTransactionError } =
+      await supabase
+        .from("transactions")
+        .select("id, domain_id, stripe_payment_intent_id")
+        .eq("status", "pending")
+        .not("metadata->>cartId", "is", null)
+        .lt("created_at", thirtyMinutesAgo);
+
+    let expiredCartTransactions = [];
+    if (cartTransactionError) {
+      console.error("Error cleaning up cart transactions:", cartTransactionError);
+    } else if (staleCartTransactions && staleCartTransactions.length > 0) {
+      expiredCartTransactions = await checkoutService.releasePendingTransactions(
+        staleCartTransactions
       );
+      if (expiredCartTransactions.length > 0) {
+        console.log(
+          `🗑️ Deleted ${expiredCartTransactions.length} abandoned cart transactions`
+        );
+      }
     }
 
-    // Then, delete all pending domains older than 3 minutes (regardless of transaction status)
-    const { data: expiredDomains, error: domainError } = await supabase
+    // Domains still reserved by a cart checkout that is waiting for payment
+    const { data: reservedTransactions } = await supabase
+      .from("transactions")
+      .select("domain_id")
+      .eq("status", "pending")
+      .not("domain_id", "is", null);
+
+    const reservedDomainIds = (reservedTransactions || []).map(
+      (transaction) => transaction.domain_id
+    );
+
+    // Then, delete pending domains older than 3 minutes that are not reserved
+    let domainQuery = supabase
       .from("domains")
       .delete()
       .eq("status", "pending")
-      .lt("created_at", threeMinutesAgo)
-      .select("id, full_domain");
+      .lt("created_at", threeMinutesAgo);
+
+    if (reservedDomainIds.length > 0) {
+      domainQuery = domainQuery.not(
+        "id",
+        "in",
+        `(${reservedDomainIds.join(",")})`
+      );
+    }
+
+    const { data: expiredDomains, error: domainError } =
+      await domainQuery.select("id, full_domain");
 
     if (domainError) {
       console.error("Error cleaning up domains:", domainError);
@@ -45,7 +126,10 @@ const cleanupPendingRecords = async () => {
 
     // Log summary
     const totalCleaned =
-      (expiredTransactions?.length || 0) + (expiredDomains?.length || 0);
+      (expiredTransactions?.length || 0) +
+      (expiredRenewals?.length || 0) +
+      (expiredCartTransactions?.length || 0) +
+      (expiredDomains?.length || 0);
     if (totalCleaned > 0) {
       console.log(
         `✅ Cleanup completed: ${totalCleaned} total records removed`
@@ -56,6 +140,15 @@ const cleanupPendingRecords = async () => {
   }
 };
 
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() + years);
+  return result;
+};
+
+const registrationDescription = (domainName, years) =>
+  `Registration of ${domainName} for ${years} year${years > 1 ? "s" : ""}`;
+
 // Start cleanup interval when module loads
 setInterval(cleanupPendingRecords, 30000); // Run every 30 seconds
 
@@ -115,6 +208,14 @@ const searchDomains = async (req, res, next) => {
           timeoutPromise
         ]);
 
+        if (availability.available) {
+          availability.price = await pricingService.getSellingPrice(
+            domain,
+            availability.price,
+            availability.isPremium
+          );
+        }
+
         return {
           domain,
           ...availability,
@@ -205,6 +306,14 @@ const checkAvailability = async (req, res, next) => {
 
     const availability = await namecheapService.checkDomainAvailability(domain);
 
+    if (availability.available) {
+      availability.price = await pricingService.getSellingPrice(
+        domain,
+        availability.price,
+        availability.isPremium
+      );
+    }
+
     res.status(200).json({
       success: true,
       data: availability,
@@ -215,6 +324,48 @@ const checkAvailability = async (req, res, next) => {
   }
 };
 
+// Get selling prices for every registration term of a domain (protected route)
+const getRegistrationPricing = async (req, res, next) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+
+    const availability = await namecheapService.checkDomainAvailability(domain);
+
+    if (!availability.available) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          domain,
+          available: false,
+          prices: [],
+        },
+      });
+    }
+
+    const quotes = await pricingService.getRegistrationQuotes(
+      domain,
+      availability
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        domain,
+        available: true,
+        isPremium: availability.isPremium || false,
+        currency: "USD",
+        prices: quotes.map(({ years, sellingPrice }) => ({
+          years,
+          price: sellingPrice,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Registration pricing error:", error);
+    next(error);
+  }
+};
+
 // Purchase domain (protected route)
 const purchaseDomain = async (req, res, next) => {
   try {
@@ -227,6 +378,7 @@ const purchaseDomain = async (req, res, next) => {
     }
 
     const { domain } = req.body;
+    const years = parseInt(req.body.years) || 1;
 
     // Check if domain is available
     const availability = await namecheapService.checkDomainAvailability(domain);
@@ -243,9 +395,8 @@ const purchaseDomain = async (req, res, next) => {
     const domainName = domainParts[0];
     const extension = domainParts.slice(1).join("."); // Handle multi-part extensions like .co.uk
 
-    const cost = availability.price;
-    const markup = cost * 0; // 10% markup
-    const sellingPrice = cost * 1;
+    const { cost, markup, sellingPrice } =
+      await pricingService.quoteRegistration(domain, years, availability);
 
     const { data: newDomain, error: domainError } = await supabase
       .from("domains")
@@ -264,7 +415,8 @@ const purchaseDomain = async (req, res, next) => {
           is_premium: availability.isPremium || false,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
-          expiration_date: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year from now
+          // Reset from the registration date once the domain is registered
+          expiration_date: addYears(new Date(), years).toISOString(),
         },
       ])
       .select()
@@ -302,6 +454,8 @@ const purchaseDomain = async (req, res, next) => {
           amount: sellingPrice,
           currency: "USD",
           payment_method: "stripe",
+          description: registrationDescription(domain, years),
+          metadata: { years },
           ip_address: req.ip,
           user_agent: req.get("User-Agent"),
           created_at: new Date().toISOString(),
@@ -461,7 +615,8 @@ const getDomainDnsRecords = async (req, res, next) => {
           success: true,
           data: {
             domain: domain,
-            records: dnsResult.records || []
+            records: dnsResult.records || [],
+            version: dnsResult.version
           },
         });
       } else {
@@ -495,7 +650,7 @@ const updateDomainDnsRecords = async (req, res, next) => {
     }
 
     const { id: domainId } = req.params;
-    const { dnsRecords } = req.body;
+    const { dnsRecords, expectedVersion } = req.body;
 
     if (!Array.isArray(dnsRecords)) {
       return res.status(400).json({
@@ -519,35 +674,430 @@ const updateDomainDnsRecords = async (req, res, next) => {
       });
     }
 
-    try {
-      console.log(`🔄 Updating DNS records for: ${domain.full_domain}`);
-      
-      // For now, we'll return a success response since updating all DNS records
-      // at once is complex and typically done through subdomains
-      // The frontend expects this endpoint for compatibility
-      
-      res.status(200).json({
-        success: true,
-        data: {
-          domain: domain,
-          message: "DNS records updated successfully. Use subdomain management for individual record updates.",
-          records: dnsRecords
-        },
+    // Same record shape as GET /:id/dns returns
+    const records = dnsRecords.map((record) => {
+      const type = String(record.type || record.RecordType || "").toUpperCase();
+      return {
+        HostName: record.name || record.HostName || "@",
+        RecordType: type,
+        Address: record.address || record.value || record.Address,
+        TTL: parseInt(record.ttl || record.TTL) || 1800,
+        MXPref: parseInt(record.mxPref ?? record.priority ?? record.MXPref) || (type === "MX" ? 10 : 0),
+      };
+    });
+
+    const recordErrors = [];
+    records.forEach((record, index) => {
+      try {
+        zoneFileService.validateRecord(record);
+        if (record.TTL < 60 || record.TTL > 86400) {
+          throw new Error("TTL must be between 60 and 86400 seconds");
+        }
+      } catch (validationError) {
+        recordErrors.push({ index, message: validationError.message });
+      }
+    });
+    recordErrors.push(...zoneFileService.findConflicts(records));
+
+    if (recordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid DNS records",
+        recordErrors,
       });
-      
-    } catch (dnsError) {
-      console.error("DNS records update error:", dnsError);
-      res.status(500).json({
+    }
+
+    console.log(`🔄 Updating DNS records for: ${domain.full_domain}`);
+
+    // The list replaces all of the domain's records in one write
+    const result = await namecheapService.applyDnsChanges(
+      domain.full_domain,
+      [{
+        type: "replace",
+        records,
+        emailType: records.some((record) => record.RecordType === "MX") ? "MX" : undefined,
+      }],
+      {
+        expectedVersion,
+        log: {
+          domainId: domain.id,
+          userId: req.user.id,
+          source: dnsChangeLogService.getRequestSource(req),
+        },
+      }
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
         success: false,
-        message: `Failed to update DNS records: ${dnsError.message}`,
+        message: `Failed to update DNS records: ${result.message}`,
       });
     }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        domain: domain,
+        message: "DNS records updated successfully",
+        records: dnsRecords,
+        version: result.version,
+      },
+    });
   } catch (error) {
     console.error("Update domain DNS records error:", error);
     next(error);
   }
 };
 
+// Download a domain's DNS records as a BIND zone file
+const exportDomainDns = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { id: domainId } = req.params;
+
+    // Get domain and verify ownership
+    const { data: domain, error: domainError } = await supabase
+      .from("domains")
+      .select("id, full_domain, status")
+      .eq("id", domainId)
+      .eq("owner_id", req.user.id)
+      .single();
+
+    if (domainError || !domain) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain not found or access denied",
+      });
+    }
+
+    console.log(`📤 Exporting DNS zone for: ${domain.full_domain}`);
+    const zone = await namecheapService.getZone(domain.full_domain);
+
+    if (!zone) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get DNS records",
+      });
+    }
+
+    res.set("Content-Type", "text/plain; charset=utf-8");
+    res.attachment(`${domain.full_domain}.zone`);
+    res.status(200).send(zoneFileService.exportZone(domain.full_domain, zone.hosts));
+  } catch (error) {
+    console.error("Export domain DNS error:", error);
+    next(error);
+  }
+};
+
+// Import a BIND zone file. Without apply, only returns the changes it would
+// make; with apply, replaces the domain's DNS records in a single write.
+const importDomainDns = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { id: domainId } = req.params;
+    const { zone: zoneFile, expectedVersion } = req.body;
+    const apply = req.body.apply === true || req.body.apply === "true";
+
+    // Get domain and verify ownership
+    const { data: domain, error: domainError } = await supabase
+      .from("domains")
+      .select("id, full_domain, status")
+      .eq("id", domainId)
+      .eq("owner_id", req.user.id)
+      .single();
+
+    if (domainError || !domain) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain not found or access denied",
+      });
+    }
+
+    const { records, errors: zoneErrors, skipped, warnings } =
+      zoneFileService.parseZone(zoneFile, domain.full_domain);
+
+    if (zoneErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The zone file has ${zoneErrors.length} invalid line(s)`,
+        zoneErrors,
+      });
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The zone file has no records to import",
+      });
+    }
+
+    const current = await namecheapService.getZone(domain.full_domain);
+    if (!current) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get current DNS records",
+      });
+    }
+
+    const diff = diffHosts(current.hosts, records);
+    const hasChanges =
+      diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+    const data = { domain, diff, skipped, warnings, applied: false, version: current.version };
+
+    if (!apply || !hasChanges) {
+      return res.status(200).json({ success: true, data });
+    }
+
+    console.log(
+      `📥 Importing zone for ${domain.full_domain}: ${diff.added.length} added, ` +
+        `${diff.changed.length} changed, ${diff.removed.length} removed`
+    );
+
+    // Replace all records at once. The preview's version makes sure the
+    // records did not change since the diff was shown.
+    const result = await namecheapService.applyDnsChanges(
+      domain.full_domain,
+      [{
+        type: "replace",
+        records,
+        emailType: records.some((record) => record.RecordType === "MX") ? "MX" : undefined,
+      }],
+      {
+        expectedVersion: expectedVersion || current.version,
+        log: { domainId: domain.id, userId: req.user.id, source: "import" },
+      }
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: `Failed to import DNS records: ${result.message}`,
+      });
+    }
+
+    // The version check guarantees the diff is what the import changed
+    const subdomains = await subdomainService.reconcileSubdomains(domain, diff);
+
+    res.status(200).json({
+      success: true,
+      data: { ...data, applied: true, version: result.version, subdomains },
+    });
+  } catch (error) {
+    console.error("Import domain DNS error:", error);
+    next(error);
+  }
+};
+
+// Start a domain renewal (protected route)
+// Payment is completed through the usual OTP + Stripe flow, and the renewal
+// itself is performed in paymentController.confirmPayment.
+const renewDomain = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { id: domainId } = req.params;
+    const years = parseInt(req.body.years) || 1;
+
+    // Get domain and verify ownership
+    const { data: domain, error: domainError } = await supabase
+      .from("domains")
+      .select("*")
+      .eq("id", domainId)
+      .eq("owner_id", req.user.id)
+      .single();
+
+    if (domainError || !domain) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain not found or access denied",
+      });
+    }
+
+    const renewableStatuses = ["registered", "active", "expiring", "expired", "renewal_failed"];
+    if (!renewableStatuses.includes(domain.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Domain with status "${domain.status}" cannot be renewed`,
+      });
+    }
+
+    console.log(`🔄 Starting renewal of ${domain.full_domain} for ${years} year(s)`);
+
+    const renewalCost = await namecheapService.getRenewalPrice(
+      domain.full_domain,
+      years
+    );
+    const { sellingPrice: amount } = await pricingService.calculatePrice(
+      domain.full_domain,
+      renewalCost,
+      domain.is_premium,
+      years
+    );
+
+    // A renewal already waiting for payment is reused, so reloading the
+    // Payment page doesn't create another PaymentIntent
+    const { data: pendingRenewal } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("domain_id", domain.id)
+      .eq("user_id", req.user.id)
+      .eq("type", "renewal")
+      .eq("status", "pending")
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (pendingRenewal) {
+      const pendingIntent = await stripeService.retrievePaymentIntent(
+        pendingRenewal.stripe_payment_intent_id
+      );
+
+      if (["succeeded", "processing"].includes(pendingIntent.status)) {
+        return res.status(409).json({
+          success: false,
+          message: "This renewal has already been paid and is being processed",
+          data: {
+            transactionId: pendingRenewal.id,
+            paymentIntentId: pendingIntent.id,
+          },
+        });
+      }
+
+      const sameTerm =
+        (parseInt(pendingRenewal.metadata?.years) || 1) === years &&
+        Math.round(parseFloat(pendingRenewal.amount) * 100) === Math.round(amount * 100);
+
+      if (sameTerm && pendingIntent.status !== "canceled") {
+        // Restart the 30 minutes the cleanup gives a renewal to be paid
+        await supabase
+          .from("transactions")
+          .update({ updated_at: new Date().toISOString() })
+          .eq("id", pendingRenewal.id);
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            transactionId: pendingRenewal.id,
+            clientSecret: pendingIntent.client_secret,
+            paymentIntentId: pendingIntent.id,
+            amount,
+            currency: pendingIntent.currency,
+            years,
+            message: "Domain renewal initiated. Complete payment to finalize.",
+          },
+        });
+      }
+
+      // Another term was chosen: drop the old renewal and cancel its intent
+      await checkoutService.releasePendingTransactions([pendingRenewal]);
+    }
+
+    // Get or create Stripe customer
+    let customerId = req.user.stripe_customer_id;
+    if (!customerId) {
+      const customer = await stripeService.createCustomer({
+        id: req.user.id,
+        email: req.user.email,
+        first_name: req.user.first_name,
+        last_name: req.user.last_name,
+      });
+      customerId = customer.id;
+
+      const { error: updateError } = await supabase
+        .from("users")
+        .update({ stripe_customer_id: customerId })
+        .eq("id", req.user.id);
+
+      if (updateError) {
+        console.error(
+          "Failed to update user with Stripe customer ID:",
+          updateError
+        );
+      }
+    }
+
+    const paymentIntent = await stripeService.createPaymentIntent(
+      amount,
+      "usd",
+      customerId,
+      {
+        domainId: domain.id.toString(),
+        userId: req.user.id.toString(),
+        domainName: domain.full_domain,
+        type: "renewal",
+        years: years.toString(),
+      }
+    );
+
+    const { data: transaction, error: transactionError } = await supabase
+      .from("transactions")
+      .insert([
+        {
+          user_id: req.user.id,
+          domain_id: domain.id,
+          type: "renewal",
+          status: "pending",
+          amount: amount,
+          currency: "USD",
+          payment_method: "stripe",
+          stripe_payment_intent_id: paymentIntent.id,
+          description: `Renewal of ${domain.full_domain} for ${years} year(s)`,
+          metadata: { years },
+          ip_address: req.ip,
+          user_agent: req.get("User-Agent"),
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    if (transactionError) {
+      console.error("Transaction creation error:", transactionError);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create transaction record",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        transactionId: transaction.id,
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        amount,
+        currency: paymentIntent.currency,
+        years,
+        message: "Domain renewal initiated. Complete payment to finalize.",
+      },
+    });
+  } catch (error) {
+    console.error("Domain renewal error:", error);
+    next(error);
+  }
+};
+
 const recentDomains = async (req, res, next) => {
   try {
     const userId = req.user.id;
@@ -575,10 +1125,14 @@ const recentDomains = async (req, res, next) => {
 module.exports = {
   searchDomains,
   checkAvailability,
+  getRegistrationPricing,
   purchaseDomain,
   getUserDomains,
   recentDomains,
   getDomainById,
   getDomainDnsRecords,
   updateDomainDnsRecords,
+  exportDomainDns,
+  importDomainDns,
+  renewDomain,
 };
@@ -1,8 +1,10 @@
 const { validationResult } = require("express-validator");
 const stripeService = require("../services/stripeService.js");
 const namecheapService = require("../services/namecheapService.js");
+const invoiceService = require("../services/invoiceService.js");
+const checkoutService = require("../services/checkoutService.js");
+const transferBackgroundService = require("../services/transferBackgroundService.js");
 const supabase = require("../config/database.js");
-// const emailService = require("../services/email.service.js");
 
 // Create payment intent
 const createPaymentIntent = async (req, res, next) => {
@@ -15,226 +17,455 @@ const createPaymentIntent = async (req, res, next) => {
       });
     }
 
-    const { amount, currency, domain, metadata } = req.body;
+    // The amount is always priced on the server; any client amount is ignored
+    const { currency = "usd", domain, metadata } = req.body;
+    const requestedYears = parseInt(req.body.years) || null;
 
-    // Find existing domain record for this user
-    const { data: existingDomain, error: findError } = await supabase
-      .from("domains")
-      .select("*")
-      .eq("full_domain", domain.toLowerCase())
-      .eq("owner_id", req.user.id)
-      .single();
+    const checkout = await checkoutService.createDomainPurchase(
+      req.user,
+      domain,
+      {
+        years: requestedYears,
+        currency,
+        metadata,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      }
+    );
 
-    if (findError && findError.code !== "PGRST116") {
-      // PGRST116 is "not found" error, which is expected
-      console.error("Error finding domain:", findError);
-      return res.status(500).json({
+    res.status(200).json({
+      success: true,
+      data: {
+        clientSecret: checkout.clientSecret,
+        paymentIntentId: checkout.paymentIntentId,
+        amount: checkout.amount,
+        currency: checkout.currency,
+        years: checkout.years,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: "Database error while checking domain",
+        message: error.message,
       });
     }
+    next(error);
+  }
+};
 
-    let domainRecord = existingDomain;
+// How a payment is fulfilled is decided by its transactions, not by the
+// PaymentIntent's metadata, which carries values the client sent
+const isCartCheckout = (transactions) =>
+  transactions.some((transaction) => transaction.metadata?.cartId);
+
+// Auto-renewals confirm their PaymentIntents on the server and fulfil them in
+// the same request
+const isServerConfirmedPayment = (transactions) =>
+  transactions.some((transaction) => transaction.metadata?.autoRenew);
+
+// Register every domain paid for by a cart checkout PaymentIntent.
+// Each transaction is claimed by moving it to "completed" first, so the webhook
+// and confirm-payment never register a domain twice.
+const completeCartCheckout = async (paymentIntent, charge, user) => {
+  const { data: transactions, error: findError } = await supabase
+    .from("transactions")
+    .select(
+      `
+      *,
+      domains!transactions_domain_id_fkey(*)
+    `
+    )
+    .eq("stripe_payment_intent_id", paymentIntent.id)
+    .eq("user_id", user.id);
+
+  if (findError || !transactions || transactions.length === 0) {
+    return null;
+  }
 
-    if (!domainRecord) {
-      // Parse domain name and extension
-      const domainParts = domain.split(".");
-      const domainName = domainParts[0];
-      const extension = domainParts.slice(1).join(".");
+  const results = [];
+  let receiptTransaction = null;
 
-      // Check if domain already exists in database for ANY user (any status)
-      const { data: existingDomainAny, error: existingError } = await supabase
-        .from("domains")
-        .select("id, status, owner_id")
-        .eq("full_domain", domain.toLowerCase())
-        .single();
+  for (const transaction of transactions) {
+    const domain = transaction.domains;
+    const years = parseInt(transaction.metadata?.years) || 1;
 
-      if (existingError && existingError.code !== "PGRST116") {
-        console.error("Error checking existing domain:", existingError);
-        return res.status(500).json({
-          success: false,
-          message: "Database error while checking domain availability",
-        });
-      }
+    const { data: claimed } = await supabase
+      .from("transactions")
+      .update({
+        status: "completed",
+        stripe_charge_id: charge?.id || null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transaction.id)
+      .in("status", ["pending", "failed"])
+      .select();
+
+    if (!claimed || claimed.length === 0 || !domain) {
+      results.push({
+        domain: domain?.full_domain,
+        transactionId: transaction.id,
+        success: domain?.status === "registered",
+        alreadyProcessed: true,
+      });
+      continue;
+    }
 
-      if (existingDomainAny) {
-        // Domain exists in database - not available regardless of status
-        console.log(
-          `Domain ${domain} found in database with status: ${existingDomainAny.status} - not available`
-        );
-        return res.status(400).json({
-          success: false,
-          message: "This domain is no longer available for purchase",
-        });
-      }
+    receiptTransaction = receiptTransaction || claimed[0];
+
+    try {
+      const registrationResult = await namecheapService.registerDomain(
+        domain.full_domain,
+        years,
+        {
+          firstName: user.first_name,
+          lastName: user.last_name,
+          email: user.email,
+          phone: user.phone,
+          address: user.street,
+          city: user.city,
+          state: user.state,
+          postalCode: user.zip_code,
+          country: user.country,
+        },
+        { whoisPrivacy: transaction.metadata?.whoisPrivacy !== false }
+      );
+
+      const registrationDate = new Date();
+      const expirationDate = new Date(registrationDate);
+      expirationDate.setFullYear(expirationDate.getFullYear() + years);
 
-      // Create a clean domain record for this user
-      const { data: newDomain, error: createError } = await supabase
+      await supabase
         .from("domains")
-        .insert([
-          {
-            name: domainName,
-            extension: extension,
-            full_domain: domain.toLowerCase(),
-            owner_id: req.user.id,
-            status: "pending",
-            registrar: "namecheap",
-            cost: amount / 100, // Convert from cents to dollars
-            selling_price: amount / 100,
-            currency: currency.toUpperCase(),
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          },
-        ])
-        .select()
-        .single();
+        .update({
+          status: "registered",
+          registration_date: registrationDate.toISOString(),
+          expiration_date: expirationDate.toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", domain.id);
 
-      if (createError) {
-        console.error("Domain creation error:", createError);
+      await supabase
+        .from("transactions")
+        .update({
+          namecheap_order_id: registrationResult.registrationId,
+          processed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", transaction.id);
 
-        // Handle duplicate domain constraint
-        if (
-          createError.code === "23505" &&
-          createError.details?.includes("full_domain")
-        ) {
-          return res.status(400).json({
-            success: false,
-            message: "This domain is no longer available for purchase",
-          });
-        }
+      results.push({
+        domain: domain.full_domain,
+        transactionId: transaction.id,
+        success: true,
+        expirationDate: expirationDate.toISOString(),
+      });
+    } catch (registrationError) {
+      console.error(
+        `Cart registration failed for ${domain.full_domain}:`,
+        registrationError.message
+      );
+      // Payment succeeded but registration failed - keep the error for follow-up
+      await supabase
+        .from("domains")
+        .update({
+          status: "payment_completed",
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", domain.id);
 
-        return res.status(500).json({
-          success: false,
-          message: "Failed to create domain record",
-        });
-      }
+      await supabase
+        .from("transactions")
+        .update({
+          metadata: {
+            ...(transaction.metadata || {}),
+            registrationError: registrationError.message,
+          },
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", transaction.id);
 
-      domainRecord = newDomain;
+      results.push({
+        domain: domain.full_domain,
+        transactionId: transaction.id,
+        success: false,
+        error: registrationError.message,
+      });
     }
+  }
 
-    // Get or create Stripe customer
-    let customerId = req.user.stripe_customer_id;
-    if (!customerId) {
-      const customer = await stripeService.createCustomer({
-        id: req.user.id,
-        email: req.user.email,
-        first_name: req.user.first_name,
-        last_name: req.user.last_name,
-      });
-      customerId = customer.id;
-
-      // Update user with Stripe customer ID
-      const { error: updateError } = await supabase
-        .from("users")
-        .update({ stripe_customer_id: customerId })
-        .eq("id", req.user.id);
-
-      if (updateError) {
-        console.error(
-          "Failed to update user with Stripe customer ID:",
-          updateError
-        );
-        // Continue with the process, just log the error
-      }
+  // Paid domains leave the cart whether or not the registrar accepted them
+  const cartId = transactions.find((transaction) => transaction.metadata?.cartId)
+    ?.metadata.cartId;
+  const paidDomains = results.map((result) => result.domain).filter(Boolean);
+  if (cartId && paidDomains.length > 0) {
+    const { error: cartError } = await supabase
+      .from("cart_items")
+      .delete()
+      .eq("cart_id", cartId)
+      .in("full_domain", paidDomains);
+
+    if (cartError) {
+      console.error("Failed to clear checked out cart items:", cartError);
     }
+  }
 
-    // Create payment intent
-    const paymentIntent = await stripeService.createPaymentIntent(
-      amount,
-      currency,
-      customerId,
-      {
-        domainId: domainRecord.id.toString(),
-        userId: req.user.id.toString(),
-        domainName: domainRecord.full_domain,
-        ...metadata,
-      }
+  const registered = results.filter((result) => result.success).length;
+  console.log(
+    `✅ Cart checkout ${paymentIntent.id}: ${registered}/${results.length} domain(s) registered`
+  );
+
+  // One receipt covers the whole cart
+  if (receiptTransaction) {
+    await invoiceService.sendReceipt(receiptTransaction, user.email);
+  }
+
+  return { transactions, results };
+};
+
+// Register, renew or submit the transfer for a single-domain PaymentIntent.
+// The transaction is claimed by moving it to "completed" first, so the
+// webhook and confirm-payment never fulfil the same payment twice.
+const completeTransaction = async (paymentIntent, charge, user) => {
+  const { data: existingTransaction, error: findTransactionError } = await supabase
+    .from("transactions")
+    .select(
+      `
+      *,
+      domains!transactions_domain_id_fkey(*)
+    `
+    )
+    .eq("stripe_payment_intent_id", paymentIntent.id)
+    .eq("user_id", user.id)
+    .single();
+
+  if (findTransactionError || !existingTransaction) {
+    console.error("Error finding transaction:", findTransactionError);
+    return null;
+  }
+
+  // Update transaction with payment details. A failed attempt can still be
+  // paid with another card, so failed transactions may be completed as well.
+  const { data: claimed, error: updateTransactionError } = await supabase
+    .from("transactions")
+    .update({
+      status: "completed",
+      stripe_charge_id: charge?.id || null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", existingTransaction.id)
+    .in("status", ["pending", "failed"])
+    .select(
+      `
+      *,
+      domains!transactions_domain_id_fkey(*)
+    `
     );
 
-    // Create or update transaction record
-    const { data: existingTransaction, error: findTransactionError } =
-      await supabase
-        .from("transactions")
-        .select("*")
-        .eq("domain_id", domainRecord.id)
-        .eq("user_id", req.user.id)
-        .eq("status", "pending")
-        .single();
+  if (updateTransactionError) {
+    throw new Error(`Failed to update transaction: ${updateTransactionError.message}`);
+  }
 
-    if (findTransactionError && findTransactionError.code !== "PGRST116") {
-      console.error("Error finding transaction:", findTransactionError);
-      return res.status(500).json({
-        success: false,
-        message: "Database error while checking transaction",
-      });
-    }
+  // Already completed by confirm-payment or the webhook
+  if (!claimed || claimed.length === 0) {
+    return {
+      transaction: existingTransaction,
+      domain: existingTransaction.domains,
+      alreadyProcessed: true,
+    };
+  }
+
+  const transaction = claimed[0];
+  const domain = transaction.domains;
+
+  if (!domain) {
+    console.error(`Transaction ${transaction.id} has no domain to fulfil`);
+    return { transaction, domain: null };
+  }
+
+  try {
+    // Register or renew domain with Namecheap
+    if (transaction.type === "purchase") {
+      const years = parseInt(transaction.metadata?.years) || 1;
+      const registrationResult = await namecheapService.registerDomain(
+        domain.full_domain,
+        years,
+        {
+          firstName: user.first_name,
+          lastName: user.last_name,
+          email: user.email,
+          phone: user.phone,
+          address: user.street,
+          city: user.city,
+          state: user.state,
+          postalCode: user.zip_code,
+          country: user.country,
+        }
+      );
+
+      if (registrationResult.success) {
+        const registrationDate = new Date();
+        const expirationDate = new Date(registrationDate);
+        expirationDate.setFullYear(expirationDate.getFullYear() + years);
+
+        // Update domain status to registered
+        await supabase
+          .from("domains")
+          .update({
+            status: "registered",
+            registration_date: registrationDate.toISOString(),
+            expiration_date: expirationDate.toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", domain.id);
 
-    let transaction;
-    if (!existingTransaction) {
-      const { data: newTransaction, error: createTransactionError } =
         await supabase
           .from("transactions")
-          .insert([
-            {
-              user_id: req.user.id,
-              domain_id: domainRecord.id,
-              type: "purchase",
-              amount: amount / 100, // Convert from cents to dollars
-              currency: currency.toUpperCase(),
-              status: "pending",
-              payment_method: "stripe",
-              stripe_payment_intent_id: paymentIntent.id,
-              ip_address: req.ip,
-              user_agent: req.get("User-Agent"),
-              created_at: new Date().toISOString(),
-              updated_at: new Date().toISOString(),
-            },
-          ])
-          .select()
-          .single();
-
-      if (createTransactionError) {
-        console.error("Transaction creation error:", createTransactionError);
-        return res.status(500).json({
-          success: false,
-          message: "Failed to create transaction record",
-        });
+          .update({
+            namecheap_order_id: registrationResult.registrationId,
+            processed_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", transaction.id);
+
+        domain.status = "registered";
+        domain.expiration_date = expirationDate.toISOString();
       }
-      transaction = newTransaction;
-    } else {
-      const { data: updatedTransaction, error: updateTransactionError } =
+    } else if (transaction.type === "renewal") {
+      const years = parseInt(transaction.metadata?.years) || 1;
+      const renewalResult = await namecheapService.renewDomain(
+        domain.full_domain,
+        years
+      );
+
+      if (renewalResult.success) {
+        // Extend from the current expiration date, or from today if already expired
+        let newExpirationDate;
+        if (renewalResult.expirationDate) {
+          newExpirationDate = new Date(renewalResult.expirationDate);
+        } else {
+          const currentExpiration = domain.expiration_date
+            ? new Date(domain.expiration_date)
+            : new Date();
+          newExpirationDate = new Date(
+            Math.max(currentExpiration.getTime(), Date.now())
+          );
+          newExpirationDate.setFullYear(
+            newExpirationDate.getFullYear() + years
+          );
+        }
+
+        await supabase
+          .from("domains")
+          .update({
+            status: "registered",
+            expiration_date: newExpirationDate.toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", domain.id);
+
         await supabase
           .from("transactions")
           .update({
-            stripe_payment_intent_id: paymentIntent.id,
+            namecheap_order_id: renewalResult.orderId,
+            processed_at: new Date().toISOString(),
             updated_at: new Date().toISOString(),
           })
-          .eq("id", existingTransaction.id)
-          .select()
-          .single();
+          .eq("id", transaction.id);
 
-      if (updateTransactionError) {
-        console.error("Transaction update error:", updateTransactionError);
-        return res.status(500).json({
-          success: false,
-          message: "Failed to update transaction record",
-        });
+        domain.expiration_date = newExpirationDate.toISOString();
+      }
+    } else if (transaction.type === "transfer") {
+      const { data: transfer, error: findTransferError } = await supabase
+        .from("domain_transfers")
+        .select("*")
+        .eq("transaction_id", transaction.id)
+        .single();
+
+      if (findTransferError || !transfer) {
+        throw new Error("Transfer record not found for transaction");
+      }
+
+      // Only submit once, confirm-payment may be called more than once
+      if (transfer.status === "awaiting_payment") {
+        const transferResult = await namecheapService.createTransfer(
+          domain.full_domain,
+          transfer.auth_code,
+          transfer.years
+        );
+
+        await supabase
+          .from("domain_transfers")
+          .update({
+            status: "pending",
+            auth_code: null,
+            namecheap_transfer_id: transferResult.transferId,
+            namecheap_order_id: transferResult.orderId,
+            namecheap_status_id: transferResult.statusId,
+            submitted_at: new Date().toISOString(),
+          })
+          .eq("id", transfer.id);
+
+        await supabase
+          .from("transactions")
+          .update({
+            namecheap_order_id: transferResult.orderId,
+            processed_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", transaction.id);
       }
-      transaction = updatedTransaction;
     }
 
-    res.status(200).json({
-      success: true,
-      data: {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id,
-        amount: paymentIntent.amount / 100,
-        currency: paymentIntent.currency,
-      },
-    });
-  } catch (error) {
-    next(error);
+    await invoiceService.sendReceipt(transaction, user.email);
+  } catch (registrationError) {
+    if (transaction.type === "transfer") {
+      console.error("Domain transfer submission failed:", registrationError.message);
+      // Payment succeeded but the registrar refused the transfer
+      await supabase
+        .from("domain_transfers")
+        .update({
+          status: "rejected",
+          auth_code: null,
+          last_error: registrationError.message,
+        })
+        .eq("transaction_id", transaction.id);
+
+      await transferBackgroundService.refundRejectedTransfer(
+        {
+          transaction_id: transaction.id,
+          domain_id: domain.id,
+          full_domain: domain.full_domain,
+        },
+        registrationError.message
+      );
+    } else if (transaction.type === "renewal") {
+      console.error("Domain renewal failed:", registrationError.message);
+      // Payment succeeded but renewal failed - keep the error for follow-up
+      await supabase
+        .from("transactions")
+        .update({
+          metadata: {
+            ...(transaction.metadata || {}),
+            renewalError: registrationError.message,
+          },
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", transaction.id);
+    } else {
+      console.error("Domain registration failed:", registrationError.message);
+      // Payment succeeded but registration failed - handle this case
+      await supabase
+        .from("domains")
+        .update({
+          status: "payment_completed",
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", domain.id);
+    }
   }
+
+  return { transaction, domain };
 };
 
 // Confirm payment
@@ -289,101 +520,58 @@ const confirmPayment = async (req, res, next) => {
         }
       }
 
-      // Find and update transaction
-      const { data: transactions, error: findTransactionError } = await supabase
+      const { data: paymentTransactions, error: findError } = await supabase
         .from("transactions")
-        .select(
-          `
-          *,
-          domains!transactions_domain_id_fkey(*)
-        `
-        )
-        .eq("stripe_payment_intent_id", paymentIntentId)
-        .single();
+        .select("id, metadata")
+        .eq("stripe_payment_intent_id", paymentIntent.id)
+        .eq("user_id", req.user.id);
 
-      if (findTransactionError) {
-        console.error("Error finding transaction:", findTransactionError);
-        return res.status(404).json({
-          success: false,
-          message: "Transaction not found",
-        });
+      if (findError) {
+        throw new Error(`Failed to find transactions: ${findError.message}`);
       }
 
-      // Update transaction with payment details
-      const { data: updatedTransaction, error: updateTransactionError } =
-        await supabase
-          .from("transactions")
-          .update({
-            status: "completed",
-            stripe_charge_id: charge?.id || null,
-            updated_at: new Date().toISOString(),
-          })
-          .eq("id", transactions.id)
-          .select(
-            `
-          *,
-          domains!transactions_domain_id_fkey(*)
-        `
-          )
-          .single();
+      // Cart checkouts cover several domains with a single PaymentIntent
+      if (isCartCheckout(paymentTransactions || [])) {
+        const checkout = await completeCartCheckout(
+          paymentIntent,
+          charge,
+          req.user
+        );
 
-      if (updateTransactionError) {
-        console.error("Error updating transaction:", updateTransactionError);
-        return res.status(500).json({
-          success: false,
-          message: "Failed to update transaction",
+        if (!checkout) {
+          return res.status(404).json({
+            success: false,
+            message: "Transaction not found",
+          });
+        }
+
+        const failed = checkout.results.filter((result) => !result.success);
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            transactions: checkout.transactions,
+            results: checkout.results,
+            paymentStatus: paymentIntent.status,
+            message:
+              failed.length > 0
+                ? `Payment completed, but ${failed.length} domain(s) could not be registered yet. Our team will follow up.`
+                : "Payment completed successfully",
+          },
         });
       }
 
-      const transaction = updatedTransaction;
-      const domain = transaction.domains;
-
-      try {
-        // Register domain with Namecheap
-        if (transaction.type === "purchase") {
-          // const firstName = req.user.name.split(" ")[0] || "User";
-          const registrationResult = await namecheapService.registerDomain(
-            domain.full_domain,
-            1,
-            {
-              firstName: req.user.first_name,
-              lastName: req.user.last_name,
-              email: req.user.email,
-              phone: req.user.phone,
-              address: req.user.street,
-              city: req.user.city,
-              state: req.user.state,
-              postalCode: req.user.zip_code,
-              country: req.user.country,
-            }
-          );
+      const result = await completeTransaction(paymentIntent, charge, req.user);
 
-          if (registrationResult.success) {
-            // Update domain status to registered
-            await supabase
-              .from("domains")
-              .update({
-                status: "registered",
-                updated_at: new Date().toISOString(),
-              })
-              .eq("id", domain.id);
-
-            // Send domain purchase confirmation email if available
-            // emailService.sendDomainPurchaseConfirmation(...)
-          }
-        }
-      } catch (registrationError) {
-        console.error("Domain registration failed:", registrationError.message);
-        // Payment succeeded but registration failed - handle this case
-        await supabase
-          .from("domains")
-          .update({
-            status: "payment_completed",
-            updated_at: new Date().toISOString(),
-          })
-          .eq("id", domain.id);
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
       }
 
+      const { transaction, domain } = result;
+
       res.status(200).json({
         success: true,
         data: {
@@ -470,36 +658,419 @@ const getPaymentHistory = async (req, res, next) => {
   }
 };
 
-// Handle Stripe webhooks
+const PAYMENT_USER_FIELDS =
+  "id, email, first_name, last_name, phone, street, city, state, country, zip_code";
+
+// A delivery stuck in "processing" this long is assumed to have crashed
+const STALE_EVENT_MS = 10 * 60 * 1000;
+
+// Record a webhook event before handling it. Returns false when the event was
+// already processed, or is being processed by another delivery.
+const claimStripeEvent = async (event) => {
+  const { error } = await supabase.from("stripe_events").insert([
+    {
+      id: event.id,
+      type: event.type,
+      object_id: event.data?.object?.id || null,
+      livemode: event.livemode || false,
+      stripe_created_at: new Date(event.created * 1000).toISOString(),
+    },
+  ]);
+
+  if (!error) {
+    return true;
+  }
+
+  if (error.code !== "23505") {
+    throw new Error(`Failed to record Stripe event: ${error.message}`);
+  }
+
+  // Redelivery of an event whose previous attempt failed or never finished
+  const { data: existing } = await supabase
+    .from("stripe_events")
+    .select("attempts")
+    .eq("id", event.id)
+    .single();
+
+  const staleBefore = new Date(Date.now() - STALE_EVENT_MS).toISOString();
+  const { data: retried } = await supabase
+    .from("stripe_events")
+    .update({
+      status: "processing",
+      attempts: (existing?.attempts || 1) + 1,
+      last_error: null,
+    })
+    .eq("id", event.id)
+    .or(`status.eq.failed,and(status.eq.processing,updated_at.lt.${staleBefore})`)
+    .select();
+
+  return Boolean(retried && retried.length > 0);
+};
+
+const finishStripeEvent = async (eventId, errorMessage = null) => {
+  const { error } = await supabase
+    .from("stripe_events")
+    .update({
+      status: errorMessage ? "failed" : "processed",
+      last_error: errorMessage,
+      processed_at: errorMessage ? null : new Date().toISOString(),
+    })
+    .eq("id", eventId);
+
+  if (error) {
+    console.error(`Failed to update Stripe event ${eventId}:`, error);
+  }
+};
+
+// Fulfil a paid PaymentIntent even if the browser never called confirm-payment
+const handlePaymentSucceeded = async (paymentIntent) => {
+  const { data: transactions, error: findError } = await supabase
+    .from("transactions")
+    .select("id, user_id, status, metadata")
+    .eq("stripe_payment_intent_id", paymentIntent.id);
+
+  if (findError) {
+    throw new Error(`Failed to find transactions: ${findError.message}`);
+  }
+
+  if (!transactions || transactions.length === 0) {
+    console.log(`No transactions found for PaymentIntent ${paymentIntent.id}`);
+    return;
+  }
+
+  if (isServerConfirmedPayment(transactions)) {
+    console.log(`Skipping server-confirmed PaymentIntent ${paymentIntent.id}`);
+    return;
+  }
+
+  const unpaid = transactions.filter((transaction) =>
+    ["pending", "failed"].includes(transaction.status)
+  );
+  if (unpaid.length === 0) {
+    console.log(`PaymentIntent ${paymentIntent.id} was already fulfilled`);
+    return;
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from("users")
+    .select(PAYMENT_USER_FIELDS)
+    .eq("id", unpaid[0].user_id)
+    .single();
+
+  if (userError || !user) {
+    throw new Error(`User not found for PaymentIntent ${paymentIntent.id}`);
+  }
+
+  const charges = await stripeService.getPaymentIntentCharges(paymentIntent.id);
+  const charge = charges[0] || null;
+
+  if (isCartCheckout(transactions)) {
+    await completeCartCheckout(paymentIntent, charge, user);
+  } else {
+    await completeTransaction(paymentIntent, charge, user);
+  }
+
+  console.log(`✅ PaymentIntent ${paymentIntent.id} fulfilled via webhook`);
+};
+
+// The customer can retry a failed PaymentIntent, so the transaction is only
+// marked failed and may still be completed later
+const handlePaymentFailed = async (paymentIntent) => {
+  const { data: transactions, error: findError } = await supabase
+    .from("transactions")
+    .select("id, metadata")
+    .eq("stripe_payment_intent_id", paymentIntent.id)
+    .eq("status", "pending");
+
+  if (findError) {
+    throw new Error(`Failed to find transactions: ${findError.message}`);
+  }
+
+  for (const transaction of transactions || []) {
+    await supabase
+      .from("transactions")
+      .update({
+        status: "failed",
+        metadata: {
+          ...(transaction.metadata || {}),
+          paymentError:
+            paymentIntent.last_payment_error?.message || "Payment failed",
+        },
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transaction.id)
+      .eq("status", "pending");
+  }
+
+  console.log(
+    `Payment failed for PaymentIntent ${paymentIntent.id} (${transactions?.length || 0} transaction(s))`
+  );
+};
+
+// Transactions paid by a charge. Cart checkouts share one charge between them.
+const findChargeTransactions = async (chargeId, paymentIntentId) => {
+  const { data: byCharge, error } = await supabase
+    .from("transactions")
+    .select("*")
+    .eq("stripe_charge_id", chargeId);
+
+  if (error) {
+    throw new Error(`Failed to find transactions: ${error.message}`);
+  }
+
+  if ((byCharge && byCharge.length > 0) || !paymentIntentId) {
+    return byCharge || [];
+  }
+
+  const { data: byPaymentIntent, error: paymentIntentError } = await supabase
+    .from("transactions")
+    .select("*")
+    .eq("stripe_payment_intent_id", paymentIntentId);
+
+  if (paymentIntentError) {
+    throw new Error(`Failed to find transactions: ${paymentIntentError.message}`);
+  }
+
+  return byPaymentIntent || [];
+};
+
+const setDomainStatus = async (domainId, status) => {
+  if (!domainId) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from("domains")
+    .update({
+      status,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", domainId);
+
+  if (error) {
+    console.error(`Failed to set domain ${domainId} to ${status}:`, error);
+  }
+};
+
+// Sync refunds made anywhere (our refund routes or the Stripe dashboard)
+const handleChargeRefunded = async (charge) => {
+  const transactions = await findChargeTransactions(
+    charge.id,
+    charge.payment_intent
+  );
+
+  if (transactions.length === 0) {
+    console.log(`No transactions found for refunded charge ${charge.id}`);
+    return;
+  }
+
+  const amountRefunded = charge.amount_refunded / 100;
+  const recorded = transactions
+    .filter((transaction) => transaction.status === "refunded")
+    .reduce(
+      (sum, transaction) =>
+        sum +
+        parseFloat(transaction.metadata?.refundAmount ?? transaction.amount),
+      0
+    );
+
+  // processRefund already recorded this refund
+  if (Math.abs(recorded - amountRefunded) < 0.01) {
+    return;
+  }
+
+  if (!charge.refunded && transactions.length > 1) {
+    // A partial refund of a shared cart charge cannot be matched to a domain
+    console.warn(
+      `⚠️ Partial refund of $${amountRefunded} on shared charge ${charge.id} needs manual review`
+    );
+    for (const transaction of transactions) {
+      await supabase
+        .from("transactions")
+        .update({
+          metadata: {
+            ...(transaction.metadata || {}),
+            chargeAmountRefunded: amountRefunded,
+          },
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", transaction.id);
+    }
+    return;
+  }
+
+  for (const transaction of transactions) {
+    const refundAmount = charge.refunded
+      ? parseFloat(transaction.amount)
+      : amountRefunded;
+
+    await supabase
+      .from("transactions")
+      .update({
+        status: "refunded",
+        metadata: {
+          ...(transaction.metadata || {}),
+          refundAmount,
+          refundSource: transaction.metadata?.refundSource || "stripe",
+        },
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transaction.id);
+
+    if (refundAmount >= parseFloat(transaction.amount)) {
+      await setDomainStatus(transaction.domain_id, "refunded");
+    }
+  }
+
+  console.log(`🔄 Recorded refund of $${amountRefunded} for charge ${charge.id}`);
+};
+
+// Flag disputed payments and their domains until the dispute is resolved
+const handleDisputeCreated = async (dispute) => {
+  const transactions = await findChargeTransactions(
+    dispute.charge,
+    dispute.payment_intent
+  );
+
+  for (const transaction of transactions) {
+    let previousDomainStatus = null;
+    if (transaction.domain_id) {
+      const { data: domain } = await supabase
+        .from("domains")
+        .select("status")
+        .eq("id", transaction.domain_id)
+        .single();
+      previousDomainStatus = domain?.status || null;
+    }
+
+    await supabase
+      .from("transactions")
+      .update({
+        status: "disputed",
+        metadata: {
+          ...(transaction.metadata || {}),
+          dispute: {
+            id: dispute.id,
+            reason: dispute.reason,
+            amount: dispute.amount / 100,
+            status: dispute.status,
+            previousStatus: transaction.status,
+            previousDomainStatus,
+          },
+        },
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transaction.id);
+
+    await setDomainStatus(transaction.domain_id, "disputed");
+  }
+
+  console.warn(
+    `⚠️ Dispute ${dispute.id} opened for charge ${dispute.charge} (${transactions.length} transaction(s))`
+  );
+};
+
+// Restore won disputes, treat lost disputes as refunds
+const handleDisputeClosed = async (dispute) => {
+  const transactions = await findChargeTransactions(
+    dispute.charge,
+    dispute.payment_intent
+  );
+
+  for (const transaction of transactions) {
+    const recordedDispute = transaction.metadata?.dispute;
+    if (!recordedDispute || recordedDispute.id !== dispute.id) {
+      continue;
+    }
+
+    const won = dispute.status === "won";
+    const metadata = {
+      ...transaction.metadata,
+      dispute: { ...recordedDispute, status: dispute.status },
+    };
+
+    if (!won) {
+      metadata.refundAmount = parseFloat(transaction.amount);
+      metadata.refundSource = "dispute";
+    }
+
+    await supabase
+      .from("transactions")
+      .update({
+        status: won ? recordedDispute.previousStatus || "completed" : "refunded",
+        metadata,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transaction.id);
+
+    await setDomainStatus(
+      transaction.domain_id,
+      won ? recordedDispute.previousDomainStatus || "registered" : "refunded"
+    );
+  }
+
+  console.log(`Dispute ${dispute.id} closed with status ${dispute.status}`);
+};
+
+// Handle Stripe webhooks. Stripe is the source of truth for payment state.
 const handleWebhook = async (req, res, next) => {
+  const signature = req.headers["stripe-signature"];
+
+  if (!signature) {
+    return res.status(400).json({
+      success: false,
+      message: "Missing Stripe signature",
+    });
+  }
+
+  let event;
   try {
-    const signature = req.headers["stripe-signature"];
+    event = await stripeService.webhookHandler(req.body, signature);
+  } catch (error) {
+    console.error("Webhook error:", error.message);
+    return res.status(400).json({
+      success: false,
+      message: "Webhook error",
+      error: error.message,
+    });
+  }
 
-    if (!signature) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing Stripe signature",
-      });
+  try {
+    if (!(await claimStripeEvent(event))) {
+      console.log(`Skipping duplicate Stripe event ${event.id} (${event.type})`);
+      return res.status(200).json({ received: true, duplicate: true });
     }
+  } catch (error) {
+    console.error("Webhook error:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Webhook error",
+    });
+  }
 
-    const event = await stripeService.webhookHandler(req.body, signature);
-
+  try {
     switch (event.type) {
       case "payment_intent.succeeded":
         console.log("Payment succeeded via webhook:", event.data.object.id);
-        // Handle successful payment
+        await handlePaymentSucceeded(event.data.object);
         break;
 
       case "payment_intent.payment_failed":
         console.log("Payment failed via webhook:", event.data.object.id);
-        // Update transaction status
-        await supabase
-          .from("transactions")
-          .update({
-            status: "failed",
-            updated_at: new Date().toISOString(),
-          })
-          .eq("stripe_payment_intent_id", event.data.object.id);
+        await handlePaymentFailed(event.data.object);
+        break;
+
+      case "charge.refunded":
+        console.log("Charge refunded via webhook:", event.data.object.id);
+        await handleChargeRefunded(event.data.object);
+        break;
+
+      case "charge.dispute.created":
+        await handleDisputeCreated(event.data.object);
+        break;
+
+      case "charge.dispute.closed":
+        await handleDisputeClosed(event.data.object);
         break;
 
       case "customer.subscription.created":
@@ -514,20 +1085,140 @@ const handleWebhook = async (req, res, next) => {
         console.log(`Unhandled event type: ${event.type}`);
     }
 
+    await finishStripeEvent(event.id);
     res.status(200).json({ received: true });
   } catch (error) {
-    console.error("Webhook error:", error.message);
-    res.status(400).json({
+    console.error(`Webhook processing error for ${event.id}:`, error);
+    await finishStripeEvent(event.id, error.message);
+    // A non-2xx response makes Stripe redeliver the event
+    res.status(500).json({
       success: false,
-      message: "Webhook error",
-      error: error.message,
+      message: "Webhook processing failed",
+    });
+  }
+};
+
+// Refund a completed transaction in Stripe and update our records.
+// Shared by the customer refund route and the admin refund route.
+const processRefund = async (transaction, amount, metadata = {}) => {
+  // Cart checkouts share one charge, so never refund more than this transaction
+  const transactionAmount = parseFloat(transaction.amount);
+  amount = amount ? Math.min(parseFloat(amount), transactionAmount) : null;
+
+  const refund = await stripeService.createRefund(
+    transaction.stripe_charge_id,
+    amount || transactionAmount
+  );
+
+  if (refund.status !== "succeeded") {
+    return refund;
+  }
+
+  const { error: updateTransactionError } = await supabase
+    .from("transactions")
+    .update({
+      status: "refunded",
+      metadata: {
+        ...(transaction.metadata || {}),
+        refundId: refund.id,
+        refundAmount: refund.amount / 100,
+        ...metadata,
+      },
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", transaction.id);
+
+  if (updateTransactionError) {
+    console.error("Failed to update transaction:", updateTransactionError);
+  }
+
+  // Update domain status if full refund
+  if (!amount || amount >= transactionAmount) {
+    const { error: updateDomainError } = await supabase
+      .from("domains")
+      .update({
+        status: "refunded",
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", transaction.domain_id);
+
+    if (updateDomainError) {
+      console.error("Failed to update domain:", updateDomainError);
+    }
+  }
+
+  return refund;
+};
+
+// Download the invoice for a paid transaction as PDF (default) or HTML
+const getReceipt = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { transactionId } = req.params;
+    const format = req.query.format || "pdf";
+
+    const { data: transaction, error: findError } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("id", transactionId)
+      .eq("user_id", req.user.id)
+      .single();
+
+    if (findError || !transaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found",
+      });
+    }
+
+    if (
+      !["completed", "refunded", "disputed"].includes(transaction.status) ||
+      !transaction.stripe_payment_intent_id
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "A receipt is only available for paid transactions",
+      });
+    }
+
+    const invoice = await invoiceService.getOrCreateInvoice(transaction);
+    const invoiceNumber = invoiceService.formatInvoiceNumber(invoice.invoice_number);
+
+    if (format === "html") {
+      return res.type("html").send(invoiceService.renderHtml(invoice));
+    }
+
+    const pdf = await invoiceService.renderPdf(invoice);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${invoiceNumber}.pdf"`,
+      "Content-Length": pdf.length,
     });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
   }
 };
 
 // Create refund
 const createRefund = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const { transactionId } = req.params;
     const { amount, reason } = req.body;
 
@@ -558,41 +1249,11 @@ const createRefund = async (req, res, next) => {
       });
     }
 
-    // Create refund in Stripe
-    const refund = await stripeService.createRefund(
-      transaction.stripe_charge_id,
-      amount
-    );
+    const refund = await processRefund(transaction, amount, {
+      refundReason: reason,
+    });
 
     if (refund.status === "succeeded") {
-      // Update transaction
-      const { error: updateTransactionError } = await supabase
-        .from("transactions")
-        .update({
-          status: "refunded",
-          updated_at: new Date().toISOString(),
-        })
-        .eq("id", transactionId);
-
-      if (updateTransactionError) {
-        console.error("Failed to update transaction:", updateTransactionError);
-      }
-
-      // Update domain status if full refund
-      if (!amount || amount >= transaction.amount) {
-        const { error: updateDomainError } = await supabase
-          .from("domains")
-          .update({
-            status: "refunded",
-            updated_at: new Date().toISOString(),
-          })
-          .eq("id", transaction.domain_id);
-
-        if (updateDomainError) {
-          console.error("Failed to update domain:", updateDomainError);
-        }
-      }
-
       res.status(200).json({
         success: true,
         data: {
@@ -617,6 +1278,8 @@ module.exports = {
   createPaymentIntent,
   confirmPayment,
   getPaymentHistory,
+  getReceipt,
   handleWebhook,
   createRefund,
+  processRefund,
 };
@@ -0,0 +1,264 @@
+const { validationResult } = require("express-validator");
+const pricingService = require("../services/pricingService.js");
+const supabase = require("../config/database.js");
+
+const normalizeTld = (tld) =>
+  tld ? tld.trim().toLowerCase().replace(/^\./, "") : null;
+
+// Get all pricing rules (admin route)
+const getPricingRules = async (req, res, next) => {
+  try {
+    const { data: rules, error } = await supabase
+      .from("pricing_rules")
+      .select("*")
+      .order("rule_type", { ascending: true })
+      .order("tld", { ascending: true });
+
+    if (error) {
+      console.error("Error fetching pricing rules:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch pricing rules",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rules || [],
+    });
+  } catch (error) {
+    console.error("Get pricing rules error:", error);
+    next(error);
+  }
+};
+
+// Create a pricing rule (admin route)
+const createPricingRule = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      rule_type,
+      tld,
+      markup_type = "percentage",
+      markup_value,
+      min_margin = 0,
+      min_cost = null,
+      is_active = true,
+      description,
+    } = req.body;
+
+    if (rule_type === "tld" && !tld) {
+      return res.status(400).json({
+        success: false,
+        message: "TLD is required for per-TLD rules",
+      });
+    }
+
+    const { data: rule, error } = await supabase
+      .from("pricing_rules")
+      .insert([
+        {
+          rule_type,
+          tld: rule_type === "global" ? null : normalizeTld(tld),
+          markup_type,
+          markup_value,
+          min_margin,
+          min_cost: rule_type === "premium" ? min_cost : null,
+          is_active,
+          description,
+          created_by: req.user.id,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Pricing rule creation error:", error);
+
+      if (error.code === "23505") {
+        return res.status(400).json({
+          success: false,
+          message:
+            rule_type === "global"
+              ? "A global pricing rule already exists"
+              : `A pricing rule for .${normalizeTld(tld)} already exists`,
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create pricing rule",
+      });
+    }
+
+    pricingService.clearCache();
+    console.log(`✅ Pricing rule ${rule.id} created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Create pricing rule error:", error);
+    next(error);
+  }
+};
+
+// Update a pricing rule (admin route)
+const updatePricingRule = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const allowedFields = [
+      "tld",
+      "markup_type",
+      "markup_value",
+      "min_margin",
+      "min_cost",
+      "is_active",
+      "description",
+    ];
+
+    const updateData = {};
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = field === "tld" ? normalizeTld(req.body[field]) : req.body[field];
+      }
+    });
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No fields to update",
+      });
+    }
+
+    updateData.updated_at = new Date().toISOString();
+
+    const { data: rule, error } = await supabase
+      .from("pricing_rules")
+      .update(updateData)
+      .eq("id", req.params.ruleId)
+      .select()
+      .single();
+
+    if (error || !rule) {
+      if (error && error.code !== "PGRST116") {
+        console.error("Pricing rule update error:", error);
+        return res.status(error.code === "23505" || error.code === "23514" ? 400 : 500).json({
+          success: false,
+          message: "Failed to update pricing rule",
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: "Pricing rule not found",
+      });
+    }
+
+    pricingService.clearCache();
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error("Update pricing rule error:", error);
+    next(error);
+  }
+};
+
+// Delete a pricing rule (admin route)
+const deletePricingRule = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { data: rule, error } = await supabase
+      .from("pricing_rules")
+      .delete()
+      .eq("id", req.params.ruleId)
+      .select()
+      .single();
+
+    if (error || !rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Pricing rule not found",
+      });
+    }
+
+    pricingService.clearCache();
+    console.log(`🗑️ Pricing rule ${rule.id} deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message: "Pricing rule deleted successfully",
+      },
+    });
+  } catch (error) {
+    console.error("Delete pricing rule error:", error);
+    next(error);
+  }
+};
+
+// Preview the selling price for a domain and registrar cost (admin route)
+const previewPrice = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { domain, cost, premium } = req.query;
+
+    pricingService.clearCache();
+    const price = await pricingService.calculatePrice(
+      domain,
+      parseFloat(cost),
+      premium === "true"
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        domain,
+        ...price,
+      },
+    });
+  } catch (error) {
+    console.error("Pricing preview error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  previewPrice,
+};
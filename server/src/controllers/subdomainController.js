@@ -1,6 +1,9 @@
 const { validationResult } = require("express-validator");
 const supabase = require("../config/database.js");
 const namecheapService = require("../services/namecheapService.js");
+const dnsChangeLogService = require("../services/dnsChangeLogService.js");
+const subdomainService = require("../services/subdomainService.js");
+const dnsPropagationService = require("../services/dnsPropagationService.js");
 
 // Helper function to validate domain ownership
 const validateDomainOwnership = async (domainId, userId) => {
@@ -22,53 +25,6 @@ const validateDomainOwnership = async (domainId, userId) => {
   return domain;
 };
 
-// Helper function to validate target value based on record type
-const validateTargetValue = (recordType, targetValue) => {
-  switch (recordType) {
-    case 'A':
-      // IPv4 validation
-      const ipv4Regex = /^((25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-      if (!ipv4Regex.test(targetValue)) {
-        throw new Error('Invalid IPv4 address for A record');
-      }
-      break;
-    
-    case 'AAAA':
-      // IPv6 validation (basic)
-      if (!targetValue.includes(':') || targetValue.length < 3) {
-        throw new Error('Invalid IPv6 address for AAAA record');
-      }
-      break;
-    
-    case 'CNAME':
-      // Domain name validation
-      if (!targetValue.includes('.') || targetValue.endsWith('.')) {
-        throw new Error('Invalid domain name for CNAME record');
-      }
-      break;
-    
-    case 'MX':
-      // Domain name validation for MX
-      if (!targetValue.includes('.') || targetValue.endsWith('.')) {
-        throw new Error('Invalid mail server domain for MX record');
-      }
-      break;
-    
-    case 'TXT':
-      // TXT records can contain any text, just check it's not empty
-      if (!targetValue.trim()) {
-        throw new Error('TXT record cannot be empty');
-      }
-      break;
-    
-    default:
-      // For SRV, NS and other types, basic validation
-      if (!targetValue.trim()) {
-        throw new Error('Target value cannot be empty');
-      }
-  }
-};
-
 // Get all subdomains for a domain
 const getSubdomains = async (req, res, next) => {
   try {
@@ -172,11 +128,15 @@ const getSubdomainDetails = async (req, res, next) => {
       });
     }
 
+    // Per-resolver results of the latest propagation check, if any
+    const propagation = await dnsPropagationService.getLatestResults(subdomain.id);
+
     res.status(200).json({
       success: true,
       data: {
         subdomain,
         domain,
+        propagation,
       },
     });
   } catch (error) {
@@ -203,199 +163,33 @@ const createSubdomain = async (req, res, next) => {
     }
 
     const { domainId } = req.params;
-    const { 
-      subdomain_name, 
-      record_type, 
-      target_value, 
-      ttl = 3600, 
-      priority,
-      port,
-      weight 
-    } = req.body;
 
     // Validate domain ownership
     const domain = await validateDomainOwnership(domainId, req.user.id);
 
-    // Validate target value based on record type
-    validateTargetValue(record_type, target_value);
-
-    // Check if subdomain already exists
-    const { data: existingSubdomain, error: checkError } = await supabase
-      .from("subdomains")
-      .select("id")
-      .eq("domain_id", domainId)
-      .eq("subdomain_name", subdomain_name.toLowerCase())
-      .eq("is_active", true)
-      .single();
-
-    if (existingSubdomain) {
-      return res.status(409).json({
-        success: false,
-        message: `Subdomain '${subdomain_name}' already exists for this domain`,
-      });
-    }
-
-    // Create subdomain record
-    const subdomainData = {
-      domain_id: domainId,
-      subdomain_name: subdomain_name.toLowerCase(),
-      record_type,
-      target_value: target_value.trim(),
-      ttl: parseInt(ttl),
-      status: 'pending',
-      is_active: true,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    };
-
-    // Add optional fields if provided
-    if (priority !== undefined && (record_type === 'MX' || record_type === 'SRV')) {
-      subdomainData.priority = parseInt(priority);
-    }
-    if (port !== undefined && record_type === 'SRV') {
-      subdomainData.port = parseInt(port);
-    }
-    if (weight !== undefined && record_type === 'SRV') {
-      subdomainData.weight = parseInt(weight);
-    }
-
-    const { data: newSubdomain, error: createError } = await supabase
-      .from("subdomains")
-      .insert([subdomainData])
-      .select()
-      .single();
-
-    if (createError) {
-      console.error("Subdomain creation error:", createError);
-      
-      if (createError.code === "23505") {
-        return res.status(409).json({
-          success: false,
-          message: "Subdomain already exists",
-        });
-      }
-      
-      return res.status(500).json({
-        success: false,
-        message: "Failed to create subdomain",
-      });
-    }
-
-    // Create the actual DNS record with Namecheap
-    console.log(`🌐 Creating DNS record for subdomain: ${subdomain_name}.${domain.full_domain}`);
-    
-    try {
-      const dnsResult = await namecheapService.createDnsRecord(
-        domain.full_domain,
-        subdomain_name,
-        record_type,
-        target_value,
-        ttl
-      );
-
-      if (dnsResult.success) {
-        console.log(`✅ DNS record created successfully for ${subdomain_name}.${domain.full_domain}`);
-        
-        // Update subdomain status to active since DNS was created
-        const { error: updateError } = await supabase
-          .from("subdomains")
-          .update({ 
-            status: 'active',
-            dns_created: true,
-            dns_propagated: false, // Will be checked later
-            last_checked: new Date().toISOString()
-          })
-          .eq("id", newSubdomain.id);
-
-        if (updateError) {
-          console.error("Error updating subdomain status:", updateError);
-        }
-
-        // Start DNS propagation check in the background (don't wait for it)
-        setImmediate(async () => {
-          try {
-            console.log(`🔍 Starting background DNS propagation check for ${subdomain_name}.${domain.full_domain}`);
-            const propagationResult = await namecheapService.checkDnsPropagationWithRetry(
-              subdomain_name,
-              domain.full_domain,
-              record_type,
-              target_value,
-              newSubdomain.id, // Pass subdomain ID for background monitoring
-              3, // max 3 immediate retries
-              10000 // 10 second delay
-            );
-
-            console.log(`📊 DNS propagation result for ${subdomain_name}.${domain.full_domain}:`, {
-              propagated: propagationResult.propagated,
-              backgroundMonitoring: propagationResult.backgroundMonitoring,
-              message: propagationResult.message
-            });
-          } catch (propagationError) {
-            console.error(`❌ DNS propagation check failed for ${subdomain_name}.${domain.full_domain}:`, propagationError);
-          }
-        });
-
-      } else {
-        console.error(`❌ Failed to create DNS record: ${dnsResult.message}`);
-        
-        // Mark subdomain as failed
-        await supabase
-          .from("subdomains")
-          .update({ 
-            status: 'failed',
-            dns_error: dnsResult.message,
-            last_checked: new Date().toISOString()
-          })
-          .eq("id", newSubdomain.id);
-
-        return res.status(500).json({
-          success: false,
-          message: `Failed to create DNS record: ${dnsResult.message}`,
-        });
-      }
-    } catch (dnsError) {
-      console.error("DNS creation error:", dnsError);
-      
-      // Mark subdomain as failed
-      await supabase
-        .from("subdomains")
-        .update({ 
-          status: 'failed',
-          dns_error: dnsError.message,
-          last_checked: new Date().toISOString()
-        })
-        .eq("id", newSubdomain.id);
-
-      return res.status(500).json({
-        success: false,
-        message: `Failed to create DNS record: ${dnsError.message}`,
-      });
-    }
-
-    // Fetch the complete subdomain data
-    const { data: completeSubdomain } = await supabase
-      .from("subdomains")
-      .select("*")
-      .eq("id", newSubdomain.id)
-      .single();
+    // Validates the target, creates the DNS record and starts propagation checks
+    const subdomain = await subdomainService.createSubdomain(domain, req.body, {
+      userId: req.user.id,
+      source: dnsChangeLogService.getRequestSource(req),
+    });
 
     res.status(201).json({
       success: true,
       data: {
-        subdomain: completeSubdomain || newSubdomain,
-        message: `Subdomain '${subdomain_name}.${domain.full_domain}' created successfully`,
+        subdomain,
+        message: `Subdomain '${req.body.subdomain_name}.${domain.full_domain}' created successfully`,
       },
     });
   } catch (error) {
     console.error("Create subdomain error:", error);
-    if (error.message.includes("not found") || error.message.includes("access denied")) {
-      return res.status(404).json({
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
         message: error.message,
       });
     }
-    if (error.message.includes("Invalid")) {
-      return res.status(400).json({
+    if (error.message.includes("not found") || error.message.includes("access denied")) {
+      return res.status(404).json({
         success: false,
         message: error.message,
       });
@@ -441,7 +235,7 @@ const updateSubdomain = async (req, res, next) => {
     const newTargetValue = updateData.target_value || existingSubdomain.target_value;
     
     if (updateData.record_type || updateData.target_value) {
-      validateTargetValue(newRecordType, newTargetValue);
+      subdomainService.assertTargetValue(newRecordType, newTargetValue);
     }
 
     // Check for subdomain name conflicts if name is being changed
@@ -510,6 +304,14 @@ const updateSubdomain = async (req, res, next) => {
     // Update the actual DNS record with Namecheap
     console.log(`🌐 Updating DNS record for subdomain: ${existingSubdomain.subdomain_name}.${domain.full_domain}`);
     
+    const changeLog = {
+      log: {
+        domainId: domain.id,
+        userId: req.user.id,
+        source: dnsChangeLogService.getRequestSource(req),
+      },
+    };
+
     try {
       // Check what needs to be updated
       const needsDnsUpdate = 
@@ -523,29 +325,28 @@ const updateSubdomain = async (req, res, next) => {
         if (updateData.subdomain_name && updateData.subdomain_name !== existingSubdomain.subdomain_name) {
           console.log(`🔄 Subdomain name changing from ${existingSubdomain.subdomain_name} to ${updateData.subdomain_name}`);
           
-          // Delete old DNS record
-          const deleteResult = await namecheapService.deleteDnsRecord(
-            domain.full_domain,
-            existingSubdomain.subdomain_name,
-            existingSubdomain.record_type
-          );
-
-          if (!deleteResult.success) {
-            console.error(`❌ Failed to delete old DNS record: ${deleteResult.message}`);
-            // Continue anyway as the old record might not exist
-          }
-
-          // Create new DNS record with new name
-          const createResult = await namecheapService.createDnsRecord(
-            domain.full_domain,
-            updateData.subdomain_name,
-            newRecordType,
-            newTargetValue,
-            updateData.ttl || existingSubdomain.ttl
-          );
-
-          if (!createResult.success) {
-            throw new Error(`Failed to create new DNS record: ${createResult.message}`);
+          // Remove the old record and add the new one in a single DNS write
+          const renameResult = await namecheapService.applyDnsChanges(domain.full_domain, [
+            {
+              type: "delete",
+              hostName: existingSubdomain.subdomain_name,
+              recordType: existingSubdomain.record_type,
+            },
+            {
+              type: "create",
+              record: {
+                HostName: updateData.subdomain_name,
+                RecordType: newRecordType,
+                Address: newTargetValue,
+                TTL: updateData.ttl || existingSubdomain.ttl,
+              },
+            },
+          ], changeLog);
+
+          if (!renameResult.success) {
+            const renameError = new Error(`Failed to create new DNS record: ${renameResult.message}`);
+            renameError.statusCode = renameResult.statusCode;
+            throw renameError;
           }
         } else {
           // Update existing DNS record
@@ -555,11 +356,15 @@ const updateSubdomain = async (req, res, next) => {
             newRecordType,
             newTargetValue,
             updateData.ttl || existingSubdomain.ttl,
-            existingSubdomain.target_value
+            existingSubdomain.target_value,
+            existingSubdomain.record_type,
+            changeLog
           );
 
           if (!updateResult.success) {
-            throw new Error(`Failed to update DNS record: ${updateResult.message}`);
+            const updateError = new Error(`Failed to update DNS record: ${updateResult.message}`);
+            updateError.statusCode = updateResult.statusCode;
+            throw updateError;
           }
         }
 
@@ -640,7 +445,7 @@ const updateSubdomain = async (req, res, next) => {
         })
         .eq("id", subdomainId);
 
-      return res.status(500).json({
+      return res.status(dnsError.statusCode || 500).json({
         success: false,
         message: `Failed to update DNS record: ${dnsError.message}`,
       });
@@ -716,7 +521,15 @@ const deleteSubdomain = async (req, res, next) => {
       const dnsResult = await namecheapService.deleteDnsRecord(
         domain.full_domain,
         subdomainToDelete.subdomain_name,
-        subdomainToDelete.record_type
+        subdomainToDelete.record_type,
+        null,
+        {
+          log: {
+            domainId: domain.id,
+            userId: req.user.id,
+            source: dnsChangeLogService.getRequestSource(req),
+          },
+        }
       );
 
       if (!dnsResult.success) {
@@ -767,10 +580,109 @@ const deleteSubdomain = async (req, res, next) => {
   }
 };
 
+// Check a subdomain's record on the public resolvers and authoritative
+// nameservers now, and store the per-resolver results
+const checkSubdomainPropagation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { domainId, subdomainId } = req.params;
+
+    // Validate domain ownership
+    const domain = await validateDomainOwnership(domainId, req.user.id);
+
+    const { data: subdomain, error: subdomainError } = await supabase
+      .from("subdomains")
+      .select("*")
+      .eq("id", subdomainId)
+      .eq("domain_id", domainId)
+      .eq("is_active", true)
+      .single();
+
+    if (subdomainError || !subdomain) {
+      return res.status(404).json({
+        success: false,
+        message: "Subdomain not found",
+      });
+    }
+
+    const result = await namecheapService.checkDnsPropagation(
+      subdomain.subdomain_name,
+      domain.full_domain,
+      subdomain.record_type,
+      subdomain.target_value
+    );
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    await dnsPropagationService.saveResults(
+      {
+        domain: domain.full_domain,
+        subdomain: subdomain.subdomain_name,
+        recordType: subdomain.record_type,
+        expectedValue: subdomain.target_value,
+        subdomainId: subdomain.id,
+      },
+      result
+    );
+
+    const { data: updatedSubdomain, error: updateError } = await supabase
+      .from("subdomains")
+      .update({
+        dns_propagated: result.propagated,
+        last_checked: result.checkedAt,
+        ...(result.propagated && { status: "active", dns_error: null }),
+      })
+      .eq("id", subdomain.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error("Error updating subdomain propagation status:", updateError);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subdomain: updatedSubdomain || subdomain,
+        propagation: {
+          status: result.propagated ? "confirmed" : "pending",
+          record_type: result.recordType,
+          expected_value: result.expectedValue,
+          resolver_results: result.resolvers,
+          last_check_at: result.checkedAt,
+        },
+        summary: result.summary,
+      },
+    });
+  } catch (error) {
+    console.error("Check subdomain propagation error:", error);
+    if (error.message.includes("not found") || error.message.includes("access denied")) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
 module.exports = {
   getSubdomains,
   getSubdomainDetails,
   createSubdomain,
   updateSubdomain,
   deleteSubdomain,
+  checkSubdomainPropagation,
 };
@@ -0,0 +1,345 @@
+const { validationResult } = require("express-validator");
+const namecheapService = require("../services/namecheapService.js");
+const stripeService = require("../services/stripeService.js");
+const pricingService = require("../services/pricingService.js");
+const supabase = require("../config/database.js");
+
+const ACTIVE_TRANSFER_STATUSES = ["awaiting_payment", "pending", "approved"];
+
+// Hide the EPP code from API responses
+const sanitizeTransfer = (transfer) => {
+  const { auth_code, ...rest } = transfer;
+  return { ...rest, has_auth_code: !!auth_code };
+};
+
+// Start an inbound domain transfer (protected route)
+// The transfer is submitted to Namecheap in paymentController.confirmPayment
+// once the Stripe payment succeeds, and then polled by transferBackgroundService.
+const initiateTransfer = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const domain = req.body.domain.trim().toLowerCase();
+    const authCode = req.body.authCode.trim();
+    const years = parseInt(req.body.years) || 1;
+
+    // Domain must not already be managed by us
+    const { data: existingDomain, error: findError } = await supabase
+      .from("domains")
+      .select("id, status, owner_id")
+      .eq("full_domain", domain)
+      .single();
+
+    if (findError && findError.code !== "PGRST116") {
+      console.error("Error checking existing domain:", findError);
+      return res.status(500).json({
+        success: false,
+        message: "Database error while checking domain",
+      });
+    }
+
+    if (existingDomain) {
+      return res.status(400).json({
+        success: false,
+        message: `Domain ${domain} is already registered in our system`,
+      });
+    }
+
+    // Only one active transfer per domain
+    const { data: activeTransfers, error: transferCheckError } = await supabase
+      .from("domain_transfers")
+      .select("id")
+      .eq("full_domain", domain)
+      .in("status", ACTIVE_TRANSFER_STATUSES);
+
+    if (transferCheckError) {
+      console.error("Error checking active transfers:", transferCheckError);
+      return res.status(500).json({
+        success: false,
+        message: "Database error while checking transfers",
+      });
+    }
+
+    if (activeTransfers && activeTransfers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `A transfer for ${domain} is already in progress`,
+      });
+    }
+
+    console.log(`🔍 Getting transfer quote for: ${domain}`);
+    const quote = await namecheapService.getTransferQuote(domain);
+
+    if (quote.available) {
+      return res.status(400).json({
+        success: false,
+        message: `Domain ${domain} is not registered yet. Register it instead of transferring.`,
+      });
+    }
+
+    // The quote is for one year; a transfer adds the years to the registration
+    const { cost, markup, sellingPrice } = await pricingService.calculatePrice(
+      domain,
+      quote.price * years,
+      quote.isPremium,
+      years
+    );
+
+    const domainParts = domain.split(".");
+    const domainName = domainParts[0];
+    const extension = domainParts.slice(1).join(".");
+
+    const { data: newDomain, error: domainError } = await supabase
+      .from("domains")
+      .insert([
+        {
+          name: domainName,
+          extension: extension,
+          full_domain: domain,
+          owner_id: req.user.id,
+          status: "transfer_pending",
+          registrar: "namecheap",
+          cost: cost,
+          markup: markup,
+          selling_price: sellingPrice,
+          currency: "USD",
+          is_premium: quote.isPremium || false,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    if (domainError) {
+      console.error("Domain creation error:", domainError);
+
+      if (
+        domainError.code === "23505" &&
+        domainError.details?.includes("full_domain")
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Domain ${domain} is already registered in our system`,
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create domain record",
+      });
+    }
+
+    // Until the transfer record exists nothing else releases the domain, so a
+    // failed step below deletes it and cancels the payment
+    let paymentIntent = null;
+    const releaseDomain = async () => {
+      if (paymentIntent) {
+        try {
+          await stripeService.cancelPaymentIntent(paymentIntent.id);
+        } catch (cancelError) {
+          console.error(
+            `Could not cancel payment intent ${paymentIntent.id}:`,
+            cancelError.message
+          );
+        }
+      }
+      await supabase.from("domains").delete().eq("id", newDomain.id);
+    };
+
+    try {
+      // Get or create Stripe customer
+      let customerId = req.user.stripe_customer_id;
+      if (!customerId) {
+        const customer = await stripeService.createCustomer({
+          id: req.user.id,
+          email: req.user.email,
+          first_name: req.user.first_name,
+          last_name: req.user.last_name,
+        });
+        customerId = customer.id;
+
+        const { error: updateError } = await supabase
+          .from("users")
+          .update({ stripe_customer_id: customerId })
+          .eq("id", req.user.id);
+
+        if (updateError) {
+          console.error(
+            "Failed to update user with Stripe customer ID:",
+            updateError
+          );
+        }
+      }
+
+      paymentIntent = await stripeService.createPaymentIntent(
+        sellingPrice,
+        "usd",
+        customerId,
+        {
+          domainId: newDomain.id.toString(),
+          userId: req.user.id.toString(),
+          domainName: domain,
+          type: "transfer",
+          years: years.toString(),
+        }
+      );
+    } catch (stripeError) {
+      await releaseDomain();
+      throw stripeError;
+    }
+
+    const { data: transaction, error: transactionError } = await supabase
+      .from("transactions")
+      .insert([
+        {
+          user_id: req.user.id,
+          domain_id: newDomain.id,
+          type: "transfer",
+          status: "pending",
+          amount: sellingPrice,
+          currency: "USD",
+          payment_method: "stripe",
+          stripe_payment_intent_id: paymentIntent.id,
+          description: `Transfer of ${domain} with ${years} year${years > 1 ? "s" : ""} added`,
+          metadata: { years },
+          ip_address: req.ip,
+          user_agent: req.get("User-Agent"),
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    if (transactionError) {
+      console.error("Transaction creation error:", transactionError);
+      await releaseDomain();
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create transaction record",
+      });
+    }
+
+    const { data: transfer, error: createTransferError } = await supabase
+      .from("domain_transfers")
+      .insert([
+        {
+          user_id: req.user.id,
+          domain_id: newDomain.id,
+          transaction_id: transaction.id,
+          full_domain: domain,
+          auth_code: authCode,
+          years,
+          price: sellingPrice,
+          currency: "USD",
+          is_premium: quote.isPremium || false,
+          status: "awaiting_payment",
+        },
+      ])
+      .select()
+      .single();
+
+    if (createTransferError) {
+      console.error("Transfer creation error:", createTransferError);
+      await supabase.from("transactions").delete().eq("id", transaction.id);
+      await releaseDomain();
+      return res.status(500).json({
+        success: false,
+        message: "Failed to create transfer record",
+      });
+    }
+
+    console.log(`✅ Transfer initiated for ${domain} (transfer ${transfer.id})`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        transfer: sanitizeTransfer(transfer),
+        transactionId: transaction.id,
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        amount: sellingPrice,
+        currency: paymentIntent.currency,
+        message: "Domain transfer initiated. Complete payment to submit the transfer.",
+      },
+    });
+  } catch (error) {
+    console.error("Domain transfer error:", error);
+    next(error);
+  }
+};
+
+// Get the current user's transfers (protected route)
+const getUserTransfers = async (req, res, next) => {
+  try {
+    const { data: transfers, error } = await supabase
+      .from("domain_transfers")
+      .select("*")
+      .eq("user_id", req.user.id)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Error fetching transfers:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to fetch transfers",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (transfers || []).map(sanitizeTransfer),
+    });
+  } catch (error) {
+    console.error("Get user transfers error:", error);
+    next(error);
+  }
+};
+
+// Get a single transfer (protected route)
+const getTransferById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { data: transfer, error } = await supabase
+      .from("domain_transfers")
+      .select("*")
+      .eq("id", req.params.transferId)
+      .eq("user_id", req.user.id)
+      .single();
+
+    if (error || !transfer) {
+      return res.status(404).json({
+        success: false,
+        message: "Transfer not found or access denied",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: sanitizeTransfer(transfer),
+    });
+  } catch (error) {
+    console.error("Get transfer error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  initiateTransfer,
+  getUserTransfers,
+  getTransferById,
+};
@@ -23,7 +23,7 @@ const authMiddleware = async (req, res, next) => {
     const { data: user, error } = await supabase
       .from("users")
       .select(
-        "id, first_name, last_name, email, phone, street, city, state, country, zip_code, created_at, updated_at"
+        "id, first_name, last_name, email, phone, street, city, state, country, zip_code, role, is_active, stripe_customer_id, created_at, updated_at"
       )
       .eq("id", decoded.userId)
       .single();
@@ -35,6 +35,16 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    if (user.is_active === false) {
+      return res.status(403).json({
+        success: false,
+        message: "Account has been deactivated",
+      });
+    }
+
+    // The database role wins over the token claim so role changes apply immediately
+    user.role = user.role || decoded.role || "user";
+
     // Add user to request object
     req.user = user;
     next();
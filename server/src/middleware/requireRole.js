@@ -0,0 +1,23 @@
+// Restrict a route to users with one of the given roles.
+// Must run after authMiddleware, e.g. router.use(authMiddleware, requireRole("admin"))
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to access this resource",
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = requireRole;
@@ -0,0 +1,180 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const {
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  previewPrice,
+} = require("../controllers/pricingController.js");
+const {
+  getUsers,
+  getUserById,
+  updateUserStatus,
+  updateUserRole,
+  getAllDomains,
+  getDomainById,
+  getAllTransactions,
+  getTransactionById,
+  refundTransaction,
+} = require("../controllers/adminController.js");
+const authMiddleware = require("../middleware/auth.js");
+const requireRole = require("../middleware/requireRole.js");
+
+const router = express.Router();
+
+// All admin routes require authentication; support staff get read-only access
+router.use(authMiddleware);
+
+const staffOnly = requireRole("support", "admin");
+const adminOnly = requireRole("admin");
+
+// Validation rules
+const pricingRuleValidation = [
+  body("markup_type")
+    .optional()
+    .isIn(["percentage", "fixed"])
+    .withMessage("Markup type must be percentage or fixed"),
+  body("markup_value")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Markup value must be a positive number"),
+  body("min_margin")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum margin must be a positive number"),
+  body("min_cost")
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage("Minimum cost must be a positive number"),
+  body("tld")
+    .optional({ nullable: true })
+    .matches(/^\.?[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*$/)
+    .withMessage("Invalid TLD format"),
+  body("is_active")
+    .optional()
+    .isBoolean()
+    .withMessage("is_active must be a boolean"),
+];
+
+const paginationValidation = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+// Users
+router.get("/users",
+  staffOnly,
+  paginationValidation,
+  query("role")
+    .optional()
+    .isIn(["user", "support", "admin"])
+    .withMessage("Role must be user, support or admin"),
+  query("is_active").optional().isBoolean().withMessage("is_active must be a boolean"),
+  getUsers
+);
+
+router.get("/users/:userId",
+  staffOnly,
+  param("userId").isUUID().withMessage("User ID must be a valid UUID"),
+  getUserById
+);
+
+router.patch("/users/:userId/status",
+  adminOnly,
+  param("userId").isUUID().withMessage("User ID must be a valid UUID"),
+  body("is_active").isBoolean().withMessage("is_active must be a boolean"),
+  updateUserStatus
+);
+
+router.patch("/users/:userId/role",
+  adminOnly,
+  param("userId").isUUID().withMessage("User ID must be a valid UUID"),
+  body("role")
+    .isIn(["user", "support", "admin"])
+    .withMessage("Role must be user, support or admin"),
+  updateUserRole
+);
+
+// Domains
+router.get("/domains",
+  staffOnly,
+  paginationValidation,
+  query("userId").optional().isUUID().withMessage("User ID must be a valid UUID"),
+  getAllDomains
+);
+
+router.get("/domains/:id",
+  staffOnly,
+  param("id").isInt().withMessage("Domain ID must be a valid integer"),
+  getDomainById
+);
+
+// Transactions
+router.get("/transactions",
+  staffOnly,
+  paginationValidation,
+  query("userId").optional().isUUID().withMessage("User ID must be a valid UUID"),
+  getAllTransactions
+);
+
+router.get("/transactions/:transactionId",
+  staffOnly,
+  param("transactionId").isUUID().withMessage("Transaction ID must be a valid UUID"),
+  getTransactionById
+);
+
+router.post("/transactions/:transactionId/refund",
+  adminOnly,
+  param("transactionId").isUUID().withMessage("Transaction ID must be a valid UUID"),
+  body("amount")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("Refund amount must be a positive number"),
+  body("reason")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+  refundTransaction
+);
+
+// Pricing configuration
+router.get("/pricing-rules", adminOnly, getPricingRules);
+
+router.get("/pricing-rules/preview",
+  adminOnly,
+  query("domain").isFQDN().withMessage("A valid domain name is required"),
+  query("cost").isFloat({ min: 0 }).withMessage("Cost must be a positive number"),
+  previewPrice
+);
+
+router.post("/pricing-rules",
+  adminOnly,
+  body("rule_type")
+    .isIn(["global", "tld", "premium"])
+    .withMessage("Rule type must be global, tld or premium"),
+  body("markup_value")
+    .exists()
+    .withMessage("Markup value is required"),
+  pricingRuleValidation,
+  createPricingRule
+);
+
+router.put("/pricing-rules/:ruleId",
+  adminOnly,
+  param("ruleId").isInt().withMessage("Rule ID must be a valid integer"),
+  pricingRuleValidation,
+  updatePricingRule
+);
+
+router.delete("/pricing-rules/:ruleId",
+  adminOnly,
+  param("ruleId").isInt().withMessage("Rule ID must be a valid integer"),
+  deletePricingRule
+);
+
+module.exports = router;
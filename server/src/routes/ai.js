@@ -1,18 +1,24 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, param } = require("express-validator");
 const {
   chatWithAI,
+  streamChatWithAI,
   getDomainSuggestions,
   analyzeDomain,
   getConversationHistory,
   getUserConversations,
+  createConversation,
+  renameConversation,
   deleteConversation,
+  reportCheckoutOutcome,
   getDomainIdeas,
   checkBrandability,
   getSEOAnalysis,
+  appraiseDomain,
   generateBusinessNames,
 } = require("../controllers/aiController");
 const authMiddleware = require("../middleware/auth");
+const { redactCardNumbers } = require("../utils/cardData");
 
 const router = express.Router();
 
@@ -20,29 +26,31 @@ const router = express.Router();
 router.use(authMiddleware);
 
 // Chat with AI agent
-router.post(
-  "/chat",
-  [
-    body("message")
-      .notEmpty()
-      .trim()
-      .withMessage("Message is required")
-      .isLength({ min: 1, max: 2000 })
-      .withMessage("Message must be between 1 and 2000 characters"),
-    body("conversationId")
-      .optional({ nullable: true })
-      .custom((value) => {
-        if (value === null || value === undefined || value === '') {
-          return true; // Allow null, undefined, or empty string
-        }
-        if (typeof value === 'string' && value.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i)) {
-          return true; // Valid UUID
-        }
-        throw new Error('Invalid conversation ID format');
-      }),
-  ],
-  chatWithAI
-);
+const chatValidation = [
+  body("message")
+    .notEmpty()
+    .trim()
+    .withMessage("Message is required")
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Message must be between 1 and 2000 characters")
+    .customSanitizer(redactCardNumbers),
+  body("conversationId")
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (value === null || value === undefined || value === '') {
+        return true; // Allow null, undefined, or empty string
+      }
+      if (typeof value === 'string' && value.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i)) {
+        return true; // Valid UUID
+      }
+      throw new Error('Invalid conversation ID format');
+    }),
+];
+
+router.post("/chat", chatValidation, chatWithAI);
+
+// Chat with AI agent, streaming progress as Server-Sent Events
+router.post("/chat/stream", chatValidation, streamChatWithAI);
 
 // Get domain suggestions
 router.post(
@@ -81,6 +89,10 @@ router.post(
       .withMessage("Domain is required")
       .matches(/^[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]*\.[a-zA-Z]{2,}$/)
       .withMessage("Invalid domain format"),
+    body("keywords")
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage("Keywords must be an array of up to 10 items"),
   ],
   analyzeDomain
 );
@@ -114,6 +126,10 @@ router.post(
       .withMessage("Domain is required")
       .matches(/^[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]*\.[a-zA-Z]{2,}$/)
       .withMessage("Invalid domain format"),
+    body("keywords")
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage("Keywords must be an array of up to 10 items"),
   ],
   checkBrandability
 );
@@ -128,10 +144,28 @@ router.post(
       .withMessage("Domain is required")
       .matches(/^[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]*\.[a-zA-Z]{2,}$/)
       .withMessage("Invalid domain format"),
+    body("keywords")
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage("Keywords must be an array of up to 10 items"),
   ],
   getSEOAnalysis
 );
 
+// Estimate a domain's resale value
+router.post(
+  "/appraise",
+  [
+    body("domain")
+      .notEmpty()
+      .trim()
+      .withMessage("Domain is required")
+      .matches(/^[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]*\.[a-zA-Z]{2,}$/)
+      .withMessage("Invalid domain format"),
+  ],
+  appraiseDomain
+);
+
 // Generate business names
 router.post(
   "/business-names",
@@ -146,13 +180,74 @@ router.post(
       .notEmpty()
       .trim()
       .withMessage("Industry is required"),
+    body("tlds")
+      .optional()
+      .isArray({ min: 1, max: 5 })
+      .withMessage("TLDs must be an array of 1 to 5 extensions"),
+    body("tlds.*")
+      .isString()
+      .matches(/^\.?[a-zA-Z]{2,}$/)
+      .withMessage("Invalid TLD"),
+    body("count")
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage("Count must be between 1 and 20"),
   ],
   generateBusinessNames
 );
 
 // Conversation management
+const conversationIdValidation = param("conversationId")
+  .isUUID()
+  .withMessage("Invalid conversation ID format");
+
 router.get("/conversations", getUserConversations);
-router.get("/conversations/:conversationId", getConversationHistory);
-router.delete("/conversations/:conversationId", deleteConversation);
+router.post(
+  "/conversations",
+  [
+    body("title")
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Title must be between 1 and 255 characters"),
+  ],
+  createConversation
+);
+router.get(
+  "/conversations/:conversationId",
+  [conversationIdValidation],
+  getConversationHistory
+);
+router.patch(
+  "/conversations/:conversationId",
+  [
+    conversationIdValidation,
+    body("title")
+      .notEmpty()
+      .trim()
+      .withMessage("Title is required")
+      .isLength({ max: 255 })
+      .withMessage("Title must be less than 255 characters"),
+  ],
+  renameConversation
+);
+router.delete(
+  "/conversations/:conversationId",
+  [conversationIdValidation],
+  deleteConversation
+);
+
+// Outcome of a domain checkout shown in the conversation
+router.post(
+  "/conversations/:conversationId/checkout",
+  [
+    conversationIdValidation,
+    body("paymentIntentId")
+      .notEmpty()
+      .trim()
+      .withMessage("Payment intent ID is required"),
+  ],
+  reportCheckoutOutcome
+);
 
 module.exports = router;
@@ -0,0 +1,47 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const {
+  getCart,
+  addCartItem,
+  removeCartItem,
+  clearCart,
+  checkoutCart,
+} = require("../controllers/cartController.js");
+const authMiddleware = require("../middleware/auth.js");
+
+const router = express.Router();
+
+// All cart routes are protected
+router.use(authMiddleware);
+
+router.get("/", getCart);
+
+router.post("/",
+  body("domain").isFQDN().withMessage("A valid domain name is required"),
+  body("years")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage("Years must be between 1 and 10"),
+  body("whoisPrivacy")
+    .optional()
+    .isBoolean()
+    .withMessage("whoisPrivacy must be a boolean"),
+  addCartItem
+);
+
+router.post("/checkout",
+  body("expectedTotal")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Expected total must be a positive number"),
+  checkoutCart
+);
+
+router.delete("/", clearCart);
+
+router.delete("/:itemId",
+  param("itemId").isInt().withMessage("Cart item ID must be a valid integer"),
+  removeCartItem
+);
+
+module.exports = router;
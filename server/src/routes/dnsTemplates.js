@@ -0,0 +1,43 @@
+const express = require("express");
+const { body, param } = require("express-validator");
+const {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require("../controllers/dnsTemplateController.js");
+const authMiddleware = require("../middleware/auth.js");
+
+const router = express.Router();
+
+// All DNS template routes are protected
+router.use(authMiddleware);
+
+// Field checks; the record contents are validated by dnsTemplateService
+const templateRules = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Template name is required and must be under 100 characters"),
+  body("description").optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body("parameters").optional().isArray({ max: 20 }).withMessage("parameters must be an array of up to 20"),
+  body("records").isArray({ min: 1, max: 50 }).withMessage("records must be an array of 1 to 50 records"),
+];
+
+router.get("/", getTemplates);
+
+router.post("/", templateRules, createTemplate);
+
+router.put("/:templateId",
+  param("templateId").isInt().withMessage("Template ID must be a valid integer"),
+  templateRules,
+  updateTemplate
+);
+
+router.delete("/:templateId",
+  param("templateId").isInt().withMessage("Template ID must be a valid integer"),
+  deleteTemplate
+);
+
+module.exports = router;
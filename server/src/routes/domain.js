@@ -3,12 +3,16 @@ const { body, query, param } = require("express-validator");
 const {
   searchDomains,
   checkAvailability,
+  getRegistrationPricing,
   purchaseDomain,
   getUserDomains,
   recentDomains,
   getDomainById,
   getDomainDnsRecords,
   updateDomainDnsRecords,
+  exportDomainDns,
+  importDomainDns,
+  renewDomain,
 } = require("../controllers/domainController.js");
 const {
   getSubdomains,
@@ -16,7 +20,24 @@ const {
   createSubdomain,
   updateSubdomain,
   deleteSubdomain,
+  checkSubdomainPropagation,
 } = require("../controllers/subdomainController.js");
+const {
+  getDnsHistory,
+  getDnsHistoryEntry,
+  compareDnsVersions,
+  rollbackDns,
+} = require("../controllers/dnsHistoryController.js");
+const {
+  getAppliedTemplates,
+  applyTemplate,
+  removeAppliedTemplate,
+} = require("../controllers/dnsTemplateController.js");
+const {
+  initiateTransfer,
+  getUserTransfers,
+  getTransferById,
+} = require("../controllers/transferController.js");
 const authMiddleware = require("../middleware/auth.js");
 
 const router = express.Router();
@@ -27,9 +48,46 @@ const router = express.Router();
 router.use(authMiddleware);
 router.get("/search", searchDomains);
 router.get("/check/:domain", checkAvailability);
-router.post("/purchase", purchaseDomain);
+router.get("/pricing/:domain",
+  param('domain').isFQDN().withMessage('A valid domain name is required'),
+  getRegistrationPricing
+);
+router.post("/purchase",
+  body('years')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Years must be between 1 and 10'),
+  purchaseDomain
+);
 router.get("/my-domains", getUserDomains);
 router.get("/recent", recentDomains);
+
+// Transfer-in routes (must be registered before /:id)
+router.post("/transfer",
+  [
+    body('domain')
+      .trim()
+      .isFQDN()
+      .withMessage('A valid domain name is required'),
+    body('authCode')
+      .trim()
+      .isLength({ min: 6, max: 32 })
+      .withMessage('Auth code must be 6-32 characters')
+      .matches(/^[\x21-\x7E]+$/)
+      .withMessage('Auth code contains invalid characters'),
+    body('years')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Years must be between 1 and 10'),
+  ],
+  initiateTransfer
+);
+router.get("/transfers", getUserTransfers);
+router.get("/transfers/:transferId",
+  param('transferId').isInt().withMessage('Transfer ID must be a valid integer'),
+  getTransferById
+);
+
 router.get("/:id", 
   param('id').isInt().withMessage('Domain ID must be a valid integer'),
   getDomainById
@@ -47,6 +105,92 @@ router.put("/:id/dns",
   updateDomainDnsRecords
 );
 
+router.get("/:id/dns/export",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  exportDomainDns
+);
+
+router.post("/:id/dns/import",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  body('zone')
+    .isString()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage('zone must be the zone file text (up to 100,000 characters)'),
+  body('apply').optional().isBoolean().withMessage('apply must be true or false'),
+  body('expectedVersion').optional().isString(),
+  importDomainDns
+);
+
+// DNS change history ("compare" must be registered before /:entryId)
+const dnsVersion = (name) =>
+  query(name)
+    .matches(/^(current|\d+)$/)
+    .withMessage(`${name} must be a change ID or "current"`);
+
+router.get("/:id/dns/history",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a positive integer'),
+  getDnsHistory
+);
+
+router.get("/:id/dns/history/compare",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  dnsVersion('from'),
+  dnsVersion('to').optional(),
+  compareDnsVersions
+);
+
+router.get("/:id/dns/history/:entryId",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  param('entryId').isInt().withMessage('Change ID must be a valid integer'),
+  getDnsHistoryEntry
+);
+
+router.post("/:id/dns/history/:entryId/rollback",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  param('entryId').isInt().withMessage('Change ID must be a valid integer'),
+  body('state').optional().isIn(['before', 'after']).withMessage('state must be "before" or "after"'),
+  body('expectedVersion').optional().isString(),
+  rollbackDns
+);
+
+// DNS templates applied to a domain
+router.get("/:id/dns/templates",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  getAppliedTemplates
+);
+
+router.post("/:id/dns/templates",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  body('templateId')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('templateId is required'),
+  body('parameters').optional().isObject().withMessage('parameters must be an object'),
+  body('apply').optional().isBoolean().withMessage('apply must be true or false'),
+  body('replaceConflicts').optional().isBoolean().withMessage('replaceConflicts must be true or false'),
+  body('expectedVersion').optional().isString(),
+  applyTemplate
+);
+
+router.delete("/:id/dns/templates/:applicationId",
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  param('applicationId').isInt().withMessage('Applied template ID must be a valid integer'),
+  body('expectedVersion').optional().isString(),
+  removeAppliedTemplate
+);
+
+// Renewal route
+router.post("/:id/renew", 
+  param('id').isInt().withMessage('Domain ID must be a valid integer'),
+  body('years')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Years must be between 1 and 10'),
+  renewDomain
+);
+
 // Subdomain routes - nested under domains
 router.get("/:domainId/subdomains", 
   param('domainId').isInt().withMessage('Domain ID must be a valid integer'),
@@ -131,4 +275,11 @@ router.delete("/:domainId/subdomains/:subdomainId",
   deleteSubdomain
 );
 
+// Check a subdomain's record on public resolvers and its nameservers now
+router.post("/:domainId/subdomains/:subdomainId/propagation", 
+  param('domainId').isInt().withMessage('Domain ID must be a valid integer'),
+  param('subdomainId').isInt().withMessage('Subdomain ID must be a valid integer'),
+  checkSubdomainPropagation
+);
+
 module.exports = router;
@@ -1,10 +1,10 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const {
   createPaymentIntent,
   confirmPayment,
   getPaymentHistory,
-  handleWebhook,
+  getReceipt,
   createRefund,
 } = require("../controllers/paymentController.js");
 const authMiddleware = require("../middleware/auth.js");
@@ -14,32 +14,53 @@ const router = express.Router();
 // Validation rules
 const paymentIntentValidation = [
   body("amount")
-    .isNumeric()
-    .isFloat({ min: 1 })
+    .optional()
+    .isFloat({ min: 0 })
     .withMessage("Amount must be a positive number"),
   body("currency")
     .optional()
     .isLength({ min: 3, max: 3 })
     .withMessage("Currency must be 3 characters"),
   body("domain").isString().notEmpty().withMessage("Domain name is required"),
+  body("years")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage("Years must be between 1 and 10"),
   body("metadata")
     .optional()
     .isObject()
     .withMessage("Metadata must be an object"),
 ];
 
-// Webhook route (must be before other middleware)
-router.post(
-  "/webhook",
-  express.raw({ type: "application/json" }),
-  handleWebhook
-);
+const receiptValidation = [
+  param("transactionId").isUUID().withMessage("Invalid transaction ID"),
+  query("format")
+    .optional()
+    .isIn(["pdf", "html"])
+    .withMessage("Format must be pdf or html"),
+];
+
+const refundValidation = [
+  param("transactionId").isUUID().withMessage("Invalid transaction ID"),
+  body("amount")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Refund amount must be a positive number"),
+  body("reason")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+];
+
+// The Stripe webhook is mounted in server.js, ahead of the JSON body parser
 
 // Protected routes
 router.use(authMiddleware);
 router.post("/create-intent", paymentIntentValidation, createPaymentIntent);
 router.post("/confirm-payment", confirmPayment);
 router.get("/history", getPaymentHistory);
-router.post("/refund/:transactionId", createRefund);
+router.get("/:transactionId/receipt", receiptValidation, getReceipt);
+router.post("/refund/:transactionId", refundValidation, createRefund);
 
 module.exports = router;
@@ -12,9 +12,15 @@ const domainRoutes = require("./routes/domain");
 const paymentRoutes = require("./routes/payment");
 const aiRoutes = require("./routes/ai");
 const otpRoutes = require("./routes/otp");
+const adminRoutes = require("./routes/admin");
+const cartRoutes = require("./routes/cart");
+const dnsTemplateRoutes = require("./routes/dnsTemplates");
+const { handleWebhook } = require("./controllers/paymentController");
 const { errorHandler } = require("./middleware/errorHandler");
 const { notFound } = require("./middleware/notFound");
 const dnsBackgroundService = require("./services/dnsBackgroundService");
+const transferBackgroundService = require("./services/transferBackgroundService");
+const domainExpiryService = require("./services/domainExpiryService");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -75,16 +81,18 @@ const corsOptions = {
     "Authorization",
     "x-stripe-signature",
     "ngrok-skip-browser-warning",
+    "x-change-source",
   ],
 };
 
 app.use(cors(corsOptions));
 
-// Stripe webhook endpoint (must be before express.json())
-app.use(
+// Stripe webhook endpoint (must be before express.json()). Stripe signs the
+// raw body and sends no auth token, so it stays out of the payment router.
+app.post(
   "/api/payments/webhook",
   express.raw({ type: "application/json" }),
-  paymentRoutes
+  handleWebhook
 );
 
 // Body parsing middleware
@@ -108,6 +116,9 @@ app.use("/api/domains", domainRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/ai", aiRoutes);
 app.use("/api/otp", otpRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/dns-templates", dnsTemplateRoutes);
 
 // Test endpoint
 app.get("/api/test", (req, res) => {
@@ -138,6 +149,22 @@ app.listen(PORT, () => {
   } catch (error) {
     console.error("❌ Failed to start DNS background service:", error);
   }
+
+  // Start domain transfer polling service
+  try {
+    transferBackgroundService.start();
+    console.log("🔁 Transfer background service started");
+  } catch (error) {
+    console.error("❌ Failed to start transfer background service:", error);
+  }
+
+  // Start domain expiry reminders and auto-renewal
+  try {
+    domainExpiryService.start();
+    console.log("⏰ Domain expiry service started");
+  } catch (error) {
+    console.error("❌ Failed to start domain expiry service:", error);
+  }
 });
 
 module.exports = app;
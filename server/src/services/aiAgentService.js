@@ -1,149 +1,315 @@
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
-const { Tool } = require('@langchain/core/tools');
+const { HumanMessage, SystemMessage, AIMessage, ToolMessage } = require('@langchain/core/messages');
+const { StructuredTool } = require('@langchain/core/tools');
+const { z } = require('zod');
 const namecheapService = require("./namecheapService");
-const otpService = require('./otpService');
+const pricingService = require("./pricingService");
+const checkoutService = require('./checkoutService');
+const stripeService = require('./stripeService');
+const domainScoringService = require('./domainScoringService');
+const domainAppraisalService = require('./domainAppraisalService');
+const brandRiskService = require('./brandRiskService');
+const conversationService = require('./conversationService');
+const subdomainService = require('./subdomainService');
+const llmService = require('./llmService');
 const supabase = require("../config/database");
 
-// Define LangChain Tools for Domain Operations
-class DomainSearchTool extends Tool {
-  name = "domain_search";
-  description = "Search for domain availability based on search terms";
+// Reports intermediate steps of a chat request to a streaming client.
+// onEvent(event, data) receives "status", "domain" and "token" events; without
+// a listener every call is a no-op, so non-streaming requests share the code.
+const createProgressReporter = (onEvent = null, signal = null) => {
+  const emit = (event, data) => {
+    if (onEvent && !signal?.aborted) {
+      onEvent(event, data);
+    }
+  };
+
+  return {
+    streaming: !!onEvent,
+    signal,
+    status: (step, message) => emit('status', { step, message }),
+    domain: (domain) => emit('domain', domain),
+    token: (text) => emit('token', { text }),
+    throwIfCancelled: () => {
+      if (signal?.aborted) {
+        const error = new Error('Chat request was cancelled');
+        error.name = 'AbortError';
+        throw error;
+      }
+    }
+  };
+};
+
+// Tool-calling rounds per chat message before the agent gives up
+const MAX_TOOL_STEPS = 5;
+
+const RENEWABLE_STATUSES = ["registered", "active", "expiring", "expired", "renewal_failed"];
+const SUBDOMAIN_DOMAIN_STATUSES = ["active", "pending", "registered"];
+const DNS_RECORD_TYPES = ["A", "AAAA", "CNAME", "MX", "TXT"];
+
+// Fields of a tool result that are passed on to the client
+const RESPONSE_FLAGS = [
+  'transactionId',
+  'requiresPayment',
+  'redirectToPayment',
+  'paymentUrl',
+  'requiresProfileUpdate',
+  'missingFields',
+  'checkout',
+  'filteredDomains'
+];
+
+// Zod schema helpers. String formats are checked with refine() rather than
+// regex()/email() so the JSON schema sent to providers stays minimal
+const domainNameSchema = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .refine((value) => /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/.test(value), {
+    message: 'Expected a full domain name such as example.com',
+  })
+  .describe('Full domain name including the extension, e.g. example.com');
+
+const yearsSchema = z
+  .number()
+  .int()
+  .min(1)
+  .max(10)
+  .optional()
+  .describe('Registration term in years (1-10), only if the user asked for one');
+
+const hostSchema = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .refine((value) => value === '@' || /^[a-z0-9_*]([a-z0-9_-]*[a-z0-9])?(\.[a-z0-9_]([a-z0-9_-]*[a-z0-9])?)*$/.test(value), {
+    message: 'Expected "@" or a host name such as www',
+  });
+
+// Base class for the consultant's LangChain tools. Arguments are validated
+// against the zod schema before run(input, context) is called. The context
+// ({ userId, progress }) comes from the tool call's config rather than from
+// the model, so the agent can only act for the signed-in user. The model sees
+// the result as JSON, minus any checkout (the PaymentIntent client secret is
+// for the browser only); the full result is kept as the tool message's artifact.
+class DomainBuddyTool extends StructuredTool {
+  responseFormat = "content_and_artifact";
+  verboseParsingErrors = true;
+  requiresUser = true;
 
   constructor(aiService) {
     super();
     this.aiService = aiService;
   }
 
-  async _call(input) {
-    const { searchTerms, specificDomain } = JSON.parse(input);
-    return JSON.stringify(await this.aiService.searchDomains(searchTerms, specificDomain));
+  async _call(input, runManager, config) {
+    const { userId = null, progress = createProgressReporter() } = config?.configurable || {};
+
+    const result = this.requiresUser && !userId
+      ? { success: false, message: 'Please log in to continue using the AI consultant.' }
+      : await this.run(input, { userId, progress });
+
+    const { checkout, ...content } = result;
+    if (checkout) content.checkoutShown = true;
+
+    return [JSON.stringify(content), result];
   }
 }
 
-class CreativeDomainTool extends Tool {
-  name = "creative_domain_search";
-  description = "Generate creative domain suggestions based on business concepts";
+class DomainSearchTool extends DomainBuddyTool {
+  name = "domain_search";
+  description = "Check availability and prices of exact names across common extensions (.com, .net, .org, .io, .co). Use for specific names the user wants to look up.";
+  requiresUser = false;
+  schema = z.object({
+    searchTerms: z
+      .array(z.string().trim().min(1))
+      .min(1)
+      .max(3)
+      .describe('Root names without extensions, e.g. ["domainbuddy"]'),
+  });
+
+  async run({ searchTerms }, { progress }) {
+    const domains = await this.aiService.searchDomains(searchTerms, null, progress);
+    return { success: true, domains };
+  }
+}
 
-  constructor(aiService) {
-    super();
-    this.aiService = aiService;
+class CreativeDomainTool extends DomainBuddyTool {
+  name = "creative_domain_search";
+  description = "Brainstorm brandable domain names for a business idea or concept and check which are available. Use for requests for suggestions, ideas or alternatives.";
+  requiresUser = false;
+  schema = z.object({
+    searchTerms: z
+      .array(z.string().trim().min(1))
+      .min(1)
+      .max(5)
+      .describe('Keywords describing the business or concept, e.g. ["coffee", "delivery"]'),
+  });
+
+  async run({ searchTerms }, { progress }) {
+    const { domains, filtered } = await this.aiService.generateCreativeDomains(searchTerms, progress);
+    return filtered.length > 0
+      ? { success: true, domains, filteredDomains: filtered.map(({ name, reason }) => ({ name, reason })) }
+      : { success: true, domains };
   }
+}
 
-  async _call(input) {
-    const { searchTerms } = JSON.parse(input);
-    return JSON.stringify(await this.aiService.generateCreativeDomains(searchTerms));
+class DomainCheckTool extends DomainBuddyTool {
+  name = "domain_check";
+  description = "Check availability and price of one specific domain name.";
+  requiresUser = false;
+  schema = z.object({
+    domainName: domainNameSchema,
+  });
+
+  async run({ domainName }, { progress }) {
+    progress.status('checking_domains', `Checking ${domainName}...`);
+    const domain = await this.aiService.checkDomain(domainName);
+    progress.domain(domain);
+    return { success: true, domains: [domain] };
   }
 }
 
-class DomainPurchaseTool extends Tool {
+class DomainPurchaseTool extends DomainBuddyTool {
   name = "domain_purchase";
-  description = "Process automated domain purchase";
+  description = "Start buying a domain for the user. Shows the user a secure card form in the chat; you never see or handle card details. The outcome is reported in a later message.";
+  schema = z.object({
+    domainName: domainNameSchema,
+    years: yearsSchema,
+  });
+
+  async run({ domainName, years }, { userId, progress }) {
+    progress.status('processing_purchase', `Preparing your purchase of ${domainName}...`);
+    return this.aiService.processDomainPurchase(domainName, userId, years || 1);
+  }
+}
 
-  constructor(aiService) {
-    super();
-    this.aiService = aiService;
+class PortfolioTool extends DomainBuddyTool {
+  name = "list_domains";
+  description = "List the domains the user owns with their status and expiration date.";
+  schema = z.object({
+    status: z
+      .enum(["pending", "registered", "active", "expiring", "expired", "renewal_failed"])
+      .optional()
+      .describe('Only list domains with this status'),
+  });
+
+  async run({ status }, { userId, progress }) {
+    progress.status('loading_domains', 'Loading your domains...');
+    return this.aiService.listUserDomains(userId, status);
   }
+}
 
-  async _call(input) {
-    const { domainName, userId, paymentDetails } = JSON.parse(input);
-    return JSON.stringify(await this.aiService.processDomainPurchase(domainName, userId, paymentDetails));
+class DomainRenewalTool extends DomainBuddyTool {
+  name = "renew_domain";
+  description = "Renew a domain the user owns. Quotes the price and sends the user to the payment page to complete the renewal.";
+  schema = z.object({
+    domainName: domainNameSchema,
+    years: yearsSchema,
+  });
+
+  async run({ domainName, years }, { userId, progress }) {
+    progress.status('processing_renewal', `Preparing the renewal of ${domainName}...`);
+    return this.aiService.startRenewal(userId, domainName, years || 1);
   }
 }
 
-class DomainCheckTool extends Tool {
-  name = "domain_check";
-  description = "Check availability and price of a specific domain";
+class DnsRecordsTool extends DomainBuddyTool {
+  name = "get_dns_records";
+  description = "List the DNS records of a domain the user owns.";
+  schema = z.object({
+    domainName: domainNameSchema,
+  });
 
-  constructor(aiService) {
-    super();
-    this.aiService = aiService;
+  async run({ domainName }, { userId, progress }) {
+    progress.status('loading_dns', `Loading DNS records for ${domainName}...`);
+    return this.aiService.getDnsRecords(userId, domainName);
   }
+}
 
-  async _call(input) {
-    const { domainName } = JSON.parse(input);
-    return JSON.stringify(await this.aiService.checkDomain(domainName));
+class AddDnsRecordTool extends DomainBuddyTool {
+  name = "add_dns_record";
+  description = "Add a DNS record to a domain the user owns. Fails if a record with the same host and type exists; delete it first to change it.";
+  schema = z.object({
+    domainName: domainNameSchema,
+    host: hostSchema.describe('"@" for the domain itself, or a host name such as www'),
+    recordType: z.enum(DNS_RECORD_TYPES),
+    value: z.string().trim().min(1).describe('IP address, target host name or text value'),
+    ttl: z.number().int().min(60).max(86400).optional().describe('Time to live in seconds'),
+  });
+
+  async run({ domainName, host, recordType, value, ttl }, { userId, progress }) {
+    progress.status('updating_dns', `Adding ${recordType} record for ${domainName}...`);
+    return this.aiService.addDnsRecord(userId, domainName, { host, recordType, value, ttl: ttl || 1800 });
   }
 }
 
-class OTPVerificationTool extends Tool {
-  name = "otp_verification";
-  description = "Verify OTP code for domain purchase security";
-
-  constructor(aiService) {
-    super();
-    this.aiService = aiService;
+class DeleteDnsRecordTool extends DomainBuddyTool {
+  name = "delete_dns_record";
+  description = "Delete the DNS records with the given host and type from a domain the user owns.";
+  schema = z.object({
+    domainName: domainNameSchema,
+    host: hostSchema.describe('"@" for the domain itself, or a host name such as www'),
+    recordType: z.enum(DNS_RECORD_TYPES),
+  });
+
+  async run({ domainName, host, recordType }, { userId, progress }) {
+    progress.status('updating_dns', `Deleting ${recordType} record for ${domainName}...`);
+    return this.aiService.deleteDnsRecord(userId, domainName, { host, recordType });
   }
+}
 
-  async _call(input) {
-    const { userId, email, otpCode } = JSON.parse(input);
-    return JSON.stringify(await this.aiService.verifyOTPForPurchase(userId, email, otpCode));
+class CreateSubdomainTool extends DomainBuddyTool {
+  name = "create_subdomain";
+  description = "Create a subdomain such as blog.example.com on a domain the user owns, pointing it at an IP address or host.";
+  schema = z.object({
+    domainName: domainNameSchema,
+    subdomain: hostSchema
+      .refine((value) => value !== '@', { message: 'Expected a subdomain name such as blog' })
+      .describe('Subdomain label only, e.g. "blog" for blog.example.com'),
+    recordType: z.enum(DNS_RECORD_TYPES).describe('A for an IPv4 address, CNAME for a host name, etc.'),
+    target: z.string().trim().min(1).describe('IP address or host name the subdomain points to'),
+    ttl: z.number().int().min(60).max(86400).optional().describe('Time to live in seconds'),
+  });
+
+  async run({ domainName, subdomain, recordType, target, ttl }, { userId, progress }) {
+    progress.status('updating_dns', `Creating ${subdomain}.${domainName}...`);
+    return this.aiService.createSubdomain(userId, domainName, { subdomain, recordType, target, ttl: ttl || 3600 });
   }
 }
 
-// Agent State Interface - simplified for LangGraph compatibility
-const AgentState = {
-  messages: {
-    value: (x, y) => (x || []).concat(y || []),
-    default: () => []
-  },
-  userMessage: {
-    value: (x, y) => y ?? x ?? "",
-    default: () => ""
-  },
-  intent: {
-    value: (x, y) => y ?? x ?? null,
-    default: () => null
-  },
-  action: {
-    value: (x, y) => y ?? x ?? null,
-    default: () => null
-  },
-  searchTerms: {
-    value: (x, y) => y ?? x ?? [],
-    default: () => []
-  },
-  domain: {
-    value: (x, y) => y ?? x ?? null,
-    default: () => null
-  },
-  userId: {
-    value: (x, y) => y ?? x ?? null,
-    default: () => null
-  },
-  isCreativeRequest: {
-    value: (x, y) => y ?? x ?? false,
-    default: () => false
-  },
-  domains: {
-    value: (x, y) => y ?? x ?? [],
-    default: () => []
-  },
-  success: {
-    value: (x, y) => y ?? x ?? false,
-    default: () => false
-  },
-  message: {
-    value: (x, y) => y ?? x ?? "",
-    default: () => ""
-  },
-  transactionId: {
-    value: (x, y) => y ?? x ?? null,
-    default: () => null
-  }
+// Tool name -> intent reported to the client and stored with the reply
+const TOOL_INTENTS = {
+  domain_search: 'domain_search',
+  creative_domain_search: 'domain_search',
+  domain_check: 'domain_info',
+  domain_purchase: 'domain_purchase',
+  list_domains: 'domain_management',
+  renew_domain: 'domain_renewal',
+  get_dns_records: 'dns_management',
+  add_dns_record: 'dns_management',
+  delete_dns_record: 'dns_management',
+  create_subdomain: 'dns_management'
 };
 
+const AGENT_PROMPT = `You are DomainBuddy's AI domain consultant. You help users find, buy, renew and manage domain names using the tools provided.
+
+GUIDELINES:
+1. Use tools for anything involving availability, prices, purchases or the user's domains. Never guess availability or prices.
+2. Use domain_check for a full domain name (e.g. "doggy.com"), domain_search for exact names without an extension, and creative_domain_search for ideas, suggestions or alternatives.
+3. Be accurate about availability: clearly say when a domain is taken and offer alternatives. Never say domains are available when they are not.
+4. To buy a domain, call domain_purchase. The user pays in a secure checkout form shown with your reply, so just point them to it.
+5. Never ask for, repeat or accept card numbers, expiry dates or security codes in the chat. If the user types card details, tell them not to and to use the secure checkout instead.
+6. Before adding or deleting DNS records or creating subdomains, make sure the user has clearly asked for that exact change; ask for confirmation if anything is ambiguous.
+7. Refer to domains from earlier in the conversation when the user says things like "the first one".
+8. Keep replies short, friendly and in plain text. Do not repeat every field of a tool result; summarize it.
+9. Suggested names that resemble well-known brands are left out and listed in filteredDomains; never suggest them yourself. Mention any brandRisk on a suggested domain so the user can check trademarks before buying.`;
+
 class AIAgentService {
   constructor() {
     console.log('🔧 AIAgentService constructor called');
-    this.llm = null;
+    this.models = null; // LangChain chat models keyed by task
+    this.agent = null; // Intent model with the tools bound, drives the chat
     this.tools = [];
-    this.graph = null;
-    
-    // In-memory conversation history storage
-    // Structure: { userId: [{ role: 'user'|'assistant', message: string, timestamp: Date, domains?: [] }] }
-    this.conversationHistory = new Map();
-    this.maxHistoryLength = 20; // Keep last 20 messages per user
     
     this.initializeAgent();
   }
@@ -151,54 +317,40 @@ class AIAgentService {
   async initializeAgent() {
     try {
       console.log('🤖 Initializing LangChain AI Agent...');
-      
-      if (!process.env.GOOGLE_API_KEY) {
-        console.warn("⚠️ GOOGLE_API_KEY not found in environment variables. AI features will be limited.");
-        return false;
-      }
-
-      console.log('📋 Google API Key found, length:', process.env.GOOGLE_API_KEY.length);
-
-      // Initialize ChatGoogleGenerativeAI (LangChain wrapper)
-      try {
-        this.llm = new ChatGoogleGenerativeAI({
-          model: 'gemini-1.5-flash',
-          apiKey: process.env.GOOGLE_API_KEY,
-          temperature: 0.7,
-          maxOutputTokens: 1024,
-        });
-        console.log('✅ ChatGoogleGenerativeAI initialized successfully');
-      } catch (llmError) {
-        console.warn('⚠️ ChatGoogleGenerativeAI failed, trying alternative parameters:', llmError.message);
-        
-        // Try with different parameter names
-        try {
-          this.llm = new ChatGoogleGenerativeAI({
-            googleApiKey: process.env.GOOGLE_API_KEY,
-            modelName: 'gemini-1.5-flash',
-            temperature: 0.7,
-          });
-          console.log('✅ ChatGoogleGenerativeAI initialized with alternative parameters');
-        } catch (altError) {
-          console.warn('⚠️ Alternative ChatGoogleGenerativeAI also failed:', altError.message);
-          this.llm = null;
-        }
-      }
 
       // Initialize tools (even if LLM failed, for fallback operations)
       this.tools = [
         new DomainSearchTool(this),
         new CreativeDomainTool(this),
-        new DomainPurchaseTool(this),
         new DomainCheckTool(this),
-        new OTPVerificationTool(this)
+        new DomainPurchaseTool(this),
+        new PortfolioTool(this),
+        new DomainRenewalTool(this),
+        new DnsRecordsTool(this),
+        new AddDnsRecordTool(this),
+        new DeleteDnsRecordTool(this),
+        new CreateSubdomainTool(this)
       ];
-
-      // Create the agent workflow using LangGraph
-      this.createAgentWorkflow();
       
-      if (this.llm) {
-        console.log('✅ LangChain AI Agent initialized successfully');
+      const provider = llmService.getProvider();
+      if (!provider) {
+        console.warn("⚠️ No LLM provider configured (set LLM_PROVIDER or GOOGLE_API_KEY). AI features will be limited.");
+        return false;
+      }
+
+      // One model per task (intent, creative, format), see config/llm.js
+      try {
+        this.models = llmService.createModels();
+        this.agent = llmService.createModel('intent', { tools: this.tools });
+        console.log(`✅ LLM provider "${provider}" initialized successfully`);
+      } catch (llmError) {
+        console.warn(`⚠️ LLM provider "${provider}" failed to initialize:`, llmError.message);
+        this.models = null;
+        this.agent = null;
+      }
+
+      if (this.agent) {
+        console.log(`✅ LangChain AI Agent initialized with ${this.tools.length} tools`);
         return true;
       } else {
         console.log('⚠️ LangChain AI Agent initialized with limited functionality (LLM unavailable)');
@@ -206,1018 +358,289 @@ class AIAgentService {
       }
     } catch (error) {
       console.error('❌ Failed to initialize LangChain AI Agent:', error.message);
-      this.llm = null;
-      this.tools = [];
-      this.graph = null;
+      this.models = null;
+      this.agent = null;
       return false;
     }
   }
 
-  createAgentWorkflow() {
+  // Conversation History Management
+  // History lives in the database (see conversationService) so it is shared
+  // between server instances. Each request loads it once into a conversation
+  // object { id, userId, history } that is passed along through the state.
+  async loadConversation(userId, conversationId) {
+    const conversation = { id: conversationId || null, userId, history: [] };
+
+    if (!userId || !conversationId) {
+      return conversation;
+    }
+
     try {
-      console.log('🔗 Creating LangChain workflow...');
-      
-      // For now, skip LangGraph and use the simplified workflow directly
-      // This ensures compatibility and reliability
-      this.graph = null;
-      console.log('✅ Using LangChain workflow');
+      conversation.history = await conversationService.getRecentMessages(conversationId);
+      console.log(`📜 Loaded ${conversation.history.length} messages for conversation ${conversationId}`);
     } catch (error) {
-      console.warn('⚠️ Workflow creation failed:', error.message);
-      this.graph = null;
+      console.error(`❌ Failed to load conversation ${conversationId}:`, error.message);
     }
+
+    return conversation;
   }
 
-  // Conversation History Management
-  addToHistory(userId, role, message, domains = null) {
-    if (!userId) return; // Skip if no user ID
-    
-    if (!this.conversationHistory.has(userId)) {
-      this.conversationHistory.set(userId, []);
-    }
-    
-    const userHistory = this.conversationHistory.get(userId);
-    userHistory.push({
+  async addToHistory(conversation, role, message, domains = null, metadata = null) {
+    if (!conversation?.userId) return; // Skip if no user ID
+
+    conversation.history.push({
       role: role, // 'user' or 'assistant'
       message: message,
       domains: domains,
       timestamp: new Date()
     });
-    
-    // Keep only the last maxHistoryLength messages
-    if (userHistory.length > this.maxHistoryLength) {
-      userHistory.splice(0, userHistory.length - this.maxHistoryLength);
-    }
-    
-    console.log(`📝 Added to history for user ${userId}: ${role} message (${userHistory.length} total)`);
-  }
 
-  getConversationHistory(userId, includeLastN = 10) {
-    if (!userId || !this.conversationHistory.has(userId)) {
-      return [];
+    if (!conversation.id) return;
+
+    try {
+      await conversationService.addMessage(conversation.id, conversation.userId, role, message, domains, metadata);
+      console.log(`📝 Saved ${role} message to conversation ${conversation.id}`);
+    } catch (error) {
+      console.error(`❌ Failed to save ${role} message to conversation ${conversation.id}:`, error.message);
     }
-    
-    const userHistory = this.conversationHistory.get(userId);
-    return userHistory.slice(-includeLastN); // Get last N messages
   }
 
-  // Debug method to view conversation history
-  debugConversationHistory(userId) {
-    if (!userId || !this.conversationHistory.has(userId)) {
-      console.log(`No conversation history found for user: ${userId}`);
-      return [];
-    }
-    
-    const history = this.conversationHistory.get(userId);
-    console.log(`📜 Conversation history for user ${userId} (${history.length} messages):`);
-    history.forEach((entry, index) => {
-      console.log(`${index + 1}. [${entry.role.toUpperCase()}]: ${entry.message.substring(0, 100)}...`);
-      if (entry.domains && entry.domains.length > 0) {
-        console.log(`   Domains: ${entry.domains.map(d => d.name).slice(0, 3).join(', ')}`);
-      }
-    });
-    return history;
+  getConversationHistory(history, includeLastN = 10) {
+    return (history || []).slice(-includeLastN); // Get last N messages
   }
 
-  buildContextFromHistory(userId) {
-    const history = this.getConversationHistory(userId, 10);
-    if (history.length === 0) return "";
-    
-    let context = "\n\nCONVERSATION HISTORY (for context):\n";
-    history.forEach((entry, index) => {
-      context += `${entry.role.toUpperCase()}: ${entry.message}`;
+  // Previous turns as chat messages. Tool calls are not stored, so the domains
+  // shown with a reply are noted inline for follow-ups like "buy the first one"
+  buildHistoryMessages(history) {
+    return this.getConversationHistory(history, 10).map(entry => {
+      let content = entry.message || '';
       if (entry.domains && entry.domains.length > 0) {
-        const domainNames = entry.domains.map(d => d.name).slice(0, 3).join(', ');
-        context += ` [Domains shown: ${domainNames}${entry.domains.length > 3 ? '...' : ''}]`;
+        const domainList = entry.domains
+          .map(d => `${d.name} (${d.available ? 'available' : 'not available'}${d.price ? `, $${d.price}` : ''})`)
+          .join(', ');
+        content += `\n[Domains shown: ${domainList}]`;
       }
-      context += "\n";
+      return entry.role === 'user' ? new HumanMessage(content) : new AIMessage(content);
     });
-    context += "\nPlease use this conversation history to provide contextually relevant responses.\n";
-    
-    return context;
   }
 
-  // Helper function to parse payment details from user message
-  parsePaymentDetails(message) {
-    try {
-      console.log(`🔍 Parsing payment details from message: "${message}"`);
-      
-      // Look for patterns in the message that indicate payment information
-      const paymentPatterns = {
-        // Card number pattern (allow for spaces, dashes, and groups of 4)
-        cardNumber: /(?:card[:\s]*number[:\s]*)?(\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4})/i,
-        // Expiry date pattern (MM/YY or MM/YYYY)
-        expiryDate: /(?:exp[iry]*[:\s]*date[:\s]*)?(\d{1,2}\/\d{2,4})/i,
-        // CVC pattern (3-4 digits, look for standalone numbers)
-        cvc: /(?:cvc|cvv|security[:\s]*code[:\s]*)?:?\s*(\d{3,4})(?!\d)/i,
-        // Email pattern
-        email: /(?:email[:\s]*)?([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i,
-        // Country code pattern (2 letter code or full country names) - improved for numbered lists
-        country: /(?:country[:\s]*|^\d+\.\s*)?([A-Z]{2}(?:\s|$)|united\s+states|usa|america|canada|united\s+kingdom|uk|great\s+britain|britain|england|australia|germany|france|india|japan|china|brazil|mexico|italy|spain|netherlands|sweden|norway|denmark|finland)/i,
-        // Postal code pattern (various formats)
-        postalCode: /(?:postal[:\s]*code[:\s]*|zip[:\s]*code[:\s]*)?:?\s*([A-Z0-9]{3,10})\s*$/im
-      };
+  // Every reply carries the conversation ID so the client can continue it.
+  // Pass { onEvent, signal } to stream progress and allow cancellation.
+  async processUserMessage(message, userId = null, conversationId = null, options = {}) {
+    const progress = createProgressReporter(options.onEvent, options.signal);
+    const conversation = await this.loadConversation(userId, conversationId);
+    const response = await this.respondToMessage(message, userId, conversation, progress);
 
-      const parsed = {};
-      
-      // For comma-separated format, try to parse in order first
-      const commaParts = message.split(',').map(part => part.trim());
-      if (commaParts.length >= 7 && message.toLowerCase().includes('process payment with')) {
-        // Expected format: "Process payment with Name, CardNumber, Expiry, CVC, Email, Country, PostalCode"
-        const namePattern = /^process\s+payment\s+with\s+(.+)$/i;
-        const nameMatch = commaParts[0].match(namePattern);
-        if (nameMatch) {
-          parsed.cardholderName = nameMatch[1];
-          parsed.cardNumber = commaParts[1].replace(/[\s-]/g, '');
-          parsed.expiryDate = commaParts[2];
-          parsed.cvc = commaParts[3];
-          parsed.email = commaParts[4];
-          parsed.country = this.normalizeCountryCode(commaParts[5]); // Normalize country
-          parsed.postalCode = commaParts[6];
-          
-          console.log(`✅ Parsed comma-separated format: ${JSON.stringify(parsed)}`);
-        }
-      } 
-      // Check for numbered list format (1. name, 2. card, etc.)
-      else if (message.match(/^\s*\d+\.\s+/m)) {
-        console.log('🔢 Detected numbered list format');
-        const lines = message.split('\n').map(line => line.trim()).filter(line => line);
-        
-        if (lines.length >= 7) {
-          // Extract values after the numbers
-          const extractValue = (line) => line.replace(/^\d+\.\s*/, '').trim();
-          
-          parsed.cardholderName = extractValue(lines[0]);
-          parsed.cardNumber = extractValue(lines[1]).replace(/[\s-]/g, '');
-          parsed.expiryDate = extractValue(lines[2]);
-          parsed.cvc = extractValue(lines[3]);
-          parsed.email = extractValue(lines[4]);
-          parsed.country = this.normalizeCountryCode(extractValue(lines[5])); // Normalize country
-          parsed.postalCode = extractValue(lines[6]);
-          
-          console.log(`✅ Parsed numbered list format: ${JSON.stringify(parsed)}`);
-        }
-      } else {
-        // Fallback to regex patterns
-        // Extract card number
-        const cardMatch = message.match(paymentPatterns.cardNumber);
-        if (cardMatch) {
-          parsed.cardNumber = cardMatch[1].replace(/[\s-]/g, ''); // Remove spaces and dashes
-        }
-        
-        // Extract expiry date
-        const expiryMatch = message.match(paymentPatterns.expiryDate);
-        if (expiryMatch) {
-          parsed.expiryDate = expiryMatch[1];
-        }
-        
-        // Extract CVC
-        const cvcMatch = message.match(paymentPatterns.cvc);
-        if (cvcMatch) {
-          parsed.cvc = cvcMatch[1];
-        }
-        
-        // Extract email
-        const emailMatch = message.match(paymentPatterns.email);
-        if (emailMatch) {
-          parsed.email = emailMatch[1];
-        }
-        
-        // Extract country
-        const countryMatch = message.match(paymentPatterns.country);
-        if (countryMatch) {
-          parsed.country = this.normalizeCountryCode(countryMatch[1]);
-        }
-        
-        // Extract postal code (look for patterns at the end)
-        const postalMatch = message.match(paymentPatterns.postalCode);
-        if (postalMatch) {
-          parsed.postalCode = postalMatch[1];
-        }
-        
-        // Extract cardholder name (try to find name patterns)
-        // Look for "Process payment with Name" or similar patterns
-        const namePatterns = [
-          /(?:process[:\s]*payment[:\s]*with[:\s]*|cardholder[:\s]*name[:\s]*|name[:\s]*):?\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i,
-          /(?:with|name[:\s]*|cardholder[:\s]*)([A-Z][a-z]+\s+[A-Z][a-z]+)/i,
-          /^([A-Z][a-z]+\s+[A-Z][a-z]+)(?:,|\s)/i  // Name at beginning followed by comma
-        ];
-        
-        for (const pattern of namePatterns) {
-          const nameMatch = message.match(pattern);
-          if (nameMatch) {
-            parsed.cardholderName = nameMatch[1];
-            break;
-          }
-        }
-      }
-      
-      // Check if we have minimum required details for payment
-      const hasCardNumber = parsed.cardNumber && parsed.cardNumber.length >= 13;
-      const hasExpiry = parsed.expiryDate && parsed.expiryDate.includes('/');
-      const hasCvc = parsed.cvc && parsed.cvc.length >= 3;
-      
-      if (hasCardNumber && hasExpiry && hasCvc) {
-        console.log(`✅ Found payment details: Card ending in ${parsed.cardNumber.slice(-4)}, ${parsed.expiryDate}, ${parsed.cvc}`);
-        return parsed;
-      } else {
-        console.log(`❌ Incomplete payment details. Found: ${Object.keys(parsed).join(', ')}`);
-        return null;
-      }
-      
-    } catch (error) {
-      console.error('❌ Error parsing payment details:', error);
-      return null;
-    }
-  }
-
-  // Convert full country names to 2-letter country codes
-  normalizeCountryCode(countryInput) {
-    if (!countryInput) return null;
-    
-    const countryMappings = {
-      'united states': 'US',
-      'usa': 'US',
-      'america': 'US',
-      'canada': 'CA',
-      'united kingdom': 'GB',
-      'uk': 'GB',
-      'great britain': 'GB',
-      'britain': 'GB',
-      'england': 'GB',
-      'australia': 'AU',
-      'germany': 'DE',
-      'france': 'FR',
-      'india': 'IN',
-      'japan': 'JP',
-      'china': 'CN',
-      'brazil': 'BR',
-      'mexico': 'MX',
-      'italy': 'IT',
-      'spain': 'ES',
-      'netherlands': 'NL',
-      'sweden': 'SE',
-      'norway': 'NO',
-      'denmark': 'DK',
-      'finland': 'FI'
+    return {
+      ...response,
+      conversationId: conversation.id
     };
-    
-    // First try direct lookup for full names
-    const normalized = countryInput.toLowerCase().trim();
-    if (countryMappings[normalized]) {
-      console.log(`🌍 Converted "${countryInput}" to "${countryMappings[normalized]}"`);
-      return countryMappings[normalized];
-    }
-    
-    // If it's already a 2-letter code, validate and return uppercase
-    if (countryInput.length === 2) {
-      const upperCode = countryInput.toUpperCase();
-      const validCodes = ['US', 'CA', 'GB', 'AU', 'DE', 'FR', 'IN', 'JP', 'CN', 'BR', 'MX', 'IT', 'ES', 'NL', 'SE', 'NO', 'DK', 'FI'];
-      if (validCodes.includes(upperCode)) {
-        return upperCode;
-      }
-    }
-    
-    console.log(`❌ Unknown country: "${countryInput}"`);
-    return null;
   }
 
-  async processUserMessage(message, userId = null) {
+  async respondToMessage(message, userId, conversation, progress) {
     try {
       console.log(`🔍 Processing user message: "${message}"`);
 
-      // Check for OTP verification first (before other processing)
-      const otpPattern = /(?:verify|confirmation|code|otp).*?(\d{6})/i;
-      const otpMatch = message.match(otpPattern);
-      
-      if (otpMatch && userId) {
-        const otpCode = otpMatch[1];
-        console.log(`🔐 Detected OTP verification request with code: ${otpCode}`);
-        
-        // Get user info for email
-        const { data: user, error: userError } = await supabase
-          .from('users')
-          .select('email')
-          .eq('id', userId)
-          .single();
-
-        if (!userError && user) {
-          try {
-            const otpTool = this.tools.find(t => t.name === "otp_verification");
-            if (otpTool) {
-              const verificationResult = await otpTool._call(JSON.stringify({
-                userId: userId,
-                email: user.email,
-                otpCode: otpCode
-              }));
-              
-              const result = JSON.parse(verificationResult);
-              
-              // Add to history
-              this.addToHistory(userId, 'user', message);
-              this.addToHistory(userId, 'assistant', result.message, result.domains);
-              
-              // Save conversation to database
-              if (result.message) {
-                await this.saveConversation(userId, message, result);
-              }
-              
-              return result;
-            }
-          } catch (otpError) {
-            console.error('❌ OTP verification error:', otpError);
-            return {
-              intent: 'otp_verification',
-              message: 'Sorry, I encountered an error verifying your code. Please start the domain purchase process again by telling me which domain you\'d like to buy.',
-              success: false
-            };
-          }
-        }
-      }
-
-      // Check for OTP resend requests
-      const resendPattern = /(?:resend|send.*new|new.*code|send.*again)/i;
-      if (resendPattern.test(message) && userId) {
-        console.log('🔄 Detected OTP resend request');
-        
-        // Get user info for email
-        const { data: user, error: userError } = await supabase
-          .from('users')
-          .select('email')
-          .eq('id', userId)
-          .single();
-
-        if (!userError && user) {
-          try {
-            const resendResult = await otpService.resendOTP(userId, user.email);
-            
-            const responseMessage = resendResult.success
-              ? `🔐 I've sent a new 6-digit verification code to ${user.email}.\n\nPlease provide the new code by saying: "Verify with code XXXXXX"\n\nThe code will expire in 3 minutes.`
-              : 'Sorry, I encountered an error sending a new verification code. Please try starting the purchase process again.';
-            
-            // Add to history
-            this.addToHistory(userId, 'user', message);
-            this.addToHistory(userId, 'assistant', responseMessage);
-            
-            // Save conversation to database
-            await this.saveConversation(userId, message, {
-              intent: 'otp_resend',
-              message: responseMessage,
-              success: resendResult.success
-            });
-            
-            return {
-              intent: 'otp_resend',
-              message: responseMessage,
-              success: resendResult.success,
-              requiresOTPVerification: true
-            };
-          } catch (resendError) {
-            console.error('❌ OTP resend error:', resendError);
-            return {
-              intent: 'otp_resend',
-              message: 'Sorry, I encountered an error sending a new verification code. Please try again.',
-              success: false
-            };
-          }
-        }
-      }
+      const messages = [
+        new SystemMessage(AGENT_PROMPT),
+        ...this.buildHistoryMessages(conversation.history),
+        new HumanMessage(message)
+      ];
 
       // Add user message to history
-      if (userId) {
-        this.addToHistory(userId, 'user', message);
-      }
+      await this.addToHistory(conversation, 'user', message);
 
       // If AI agent is not available, use fallback
-      if (!this.llm) {
+      if (!this.agent) {
         console.log("⚠️ LLM not available, using fallback response");
-        const fallbackResponse = this.getFallbackResponse(message, userId);
+        const fallbackResponse = this.getFallbackResponse(message, conversation.history);
         
         // Add fallback response to history
-        if (userId) {
-          this.addToHistory(userId, 'assistant', fallbackResponse.message, fallbackResponse.domains);
-        }
+        await this.addToHistory(conversation, 'assistant', fallbackResponse.message, fallbackResponse.domains, { intent: fallbackResponse.intent });
         
         return fallbackResponse;
       }
 
-      // If LangGraph is available, use the workflow
-      if (this.graph) {
-        try {
-          // Initialize state for the workflow
-          const initialState = {
-            messages: [new HumanMessage(message)],
-            userMessage: message,
-            userId: userId
-          };
-
-          // Execute the agent workflow
-          const result = await this.graph.invoke(initialState);
-
-          // Add assistant response to history
-          if (userId) {
-            this.addToHistory(userId, 'assistant', result.message, result.domains);
-          }
-
-          // Save conversation to database if userId is provided
-          if (userId && result.message) {
-            await this.saveConversation(userId, message, result);
-          }
-
-          return {
-            intent: result.intent,
-            message: result.message,
-            action: result.action,
-            domain: result.domain,
-            searchTerms: result.searchTerms,
-            isCreativeRequest: result.isCreativeRequest,
-            domains: result.domains || [],
-            success: result.success,
-            transactionId: result.transactionId
-          };
-        } catch (graphError) {
-          console.warn("⚠️ LangGraph execution failed, using simplified flow:", graphError.message);
-        }
-      }
-
-      // Simplified flow without LangGraph (but still using LangChain LLM)
-      console.log("🔄 Using simplified LangChain flow...");
-      
-      // Step 1: Analyze intent (with conversation history)
-      const intentState = await this.analyzeIntent({ userMessage: message, userId });
-      
-      // Step 2: Execute action
-      const actionState = await this.executeAction(intentState);
-      
-      // Step 3: Format response
-      const finalState = await this.formatResponse(actionState);
+      const response = await this.runAgent(messages, userId, progress);
 
       // Add assistant response to history
-      if (userId) {
-        this.addToHistory(userId, 'assistant', finalState.message, finalState.domains);
-      }
+      await this.addToHistory(conversation, 'assistant', response.message, response.domains, {
+        intent: response.intent,
+        tools: response.tools,
+        ...(response.filteredDomains && { filteredDomains: response.filteredDomains })
+      });
 
-      // Save conversation to database if userId is provided
-      if (userId && finalState.message) {
-        await this.saveConversation(userId, message, finalState);
+      return response;
+    } catch (error) {
+      // A cancelled request gets no reply, the client has already gone. LLM
+      // timeouts are AbortErrors too, but get a reply like other failures
+      if (error.name === 'AbortError' && progress.signal?.aborted) {
+        console.log(`🛑 Chat request cancelled: "${message}"`);
+        throw error;
       }
 
-      return {
-        intent: finalState.intent,
-        message: finalState.message,
-        action: finalState.action,
-        domain: finalState.domain,
-        searchTerms: finalState.searchTerms,
-        isCreativeRequest: finalState.isCreativeRequest,
-        domains: finalState.domains || [],
-        success: finalState.success,
-        transactionId: finalState.transactionId,
-        // Add payment redirection fields
-        requiresPayment: finalState.requiresPayment,
-        redirectToPayment: finalState.redirectToPayment,
-        paymentUrl: finalState.paymentUrl,
-        // Add profile update fields
-        requiresProfileUpdate: finalState.requiresProfileUpdate,
-        missingFields: finalState.missingFields
-      };
-    } catch (error) {
+      // The keyword fallback only announces an action ("I'll process the
+      // purchase..."), so say plainly that nothing was done instead
       console.error("❌ Error processing user message:", error);
-      const fallbackResponse = this.getFallbackResponse(message, userId);
-      
-      // Add fallback response to history
-      if (userId) {
-        this.addToHistory(userId, 'assistant', fallbackResponse.message, fallbackResponse.domains);
-      }
-      
-      return fallbackResponse;
+      const errorResponse = {
+        intent: 'error',
+        action: 'none',
+        message: "Sorry, I couldn't do that right now. Please try again in a moment.",
+        domains: [],
+        success: false
+      };
+
+      await this.addToHistory(conversation, 'assistant', errorResponse.message, errorResponse.domains, { intent: errorResponse.intent });
+
+      return errorResponse;
     }
   }
 
-  async analyzeIntent(state) {
-    try {
-      console.log("🧠 Analyzing user intent with LangChain...");
-      
-      // Check conversation history for pending domain purchase first
-      let pendingDomain = null;
-      let paymentDetails = null;
-      
-      if (state.userId) {
-        const history = this.getConversationHistory(state.userId, 10);
-        console.log(`🔍 Checking conversation history for pending domain (${history.length} messages)`);
-        
-        // Look for assistant messages that requested payment details
-        const pendingPurchase = history.find(entry => {
-          if (entry.role !== 'assistant') return false;
-          
-          const message = entry.message || '';
-          const hasPaymentRequest = message.includes('To complete the purchase, I\'ll need your payment information') ||
-                                  message.includes('Please provide:') ||
-                                  message.includes('requiresPaymentDetails') ||
-                                  message.includes('Cardholder Name') ||
-                                  message.includes('Card Number') ||
-                                  message.includes('payment information') ||
-                                  message.includes('To grab it, I just need a little more information') ||
-                                  message.includes('cardholder name, card number, expiry date') ||
-                                  message.includes('billing email, country, and postal code') ||
-                                  message.includes('process your payment');
-          
-          console.log(`📝 Checking message: "${message.substring(0, 100)}..." - hasPaymentRequest: ${hasPaymentRequest}`);
-          
-          return hasPaymentRequest && entry.domains && entry.domains.length > 0;
-        });
-        
-        if (pendingPurchase) {
-          pendingDomain = pendingPurchase.domains[0]?.name;
-          console.log(`🔍 Found pending domain purchase: ${pendingDomain} from message: "${pendingPurchase.message.substring(0, 100)}..."`);
-          
-          // Only parse payment details if we have a pending purchase
-          paymentDetails = this.parsePaymentDetails(state.userMessage);
-        } else {
-          console.log(`❌ No pending purchase found in history`);
-          // Debug: show recent history
-          history.slice(-3).forEach((entry, i) => {
-            console.log(`History ${i}: [${entry.role}] ${entry.message.substring(0, 100)}...`);
-          });
-        }
+  // Tool-calling loop: the model either answers or asks for tools, whose
+  // results are fed back until it answers or MAX_TOOL_STEPS is reached
+  async runAgent(messages, userId, progress) {
+    const config = {
+      configurable: { userId, progress },
+      signal: progress.signal || undefined
+    };
+    const results = [];
+
+    for (let step = 0; step < MAX_TOOL_STEPS; step++) {
+      progress.status('analyzing_intent', step === 0 ? 'Analyzing your request...' : 'Reviewing the results...');
+      const reply = await this.callAgentModel(messages, progress);
+      progress.throwIfCancelled();
+      messages.push(reply);
+
+      if (!reply.tool_calls || reply.tool_calls.length === 0) {
+        return this.buildAgentResponse(this.getMessageText(reply), results);
       }
-      
-      // If we found both payment details and a pending domain, handle the payment
-      if (paymentDetails && pendingDomain) {
-        console.log(`💳 Found payment details and pending domain: ${pendingDomain}`);
-        // Return early with purchase intent - IMPORTANT: preserve userId from original state
-        return {
-          ...state, // Preserve all original state including userId
-          intent: 'domain_purchase',
-          action: 'purchase_domain',
-          domain: pendingDomain,
-          searchTerms: [],
-          isCreativeRequest: false,
-          paymentDetails: paymentDetails
-        };
+
+      for (const toolCall of reply.tool_calls) {
+        messages.push(await this.runToolCall(toolCall, config, results));
+        progress.throwIfCancelled();
       }
-      
-      // Build conversation context
-      const conversationContext = state.userId ? this.buildContextFromHistory(state.userId) : "";
-      
-      const systemPrompt = `You are a helpful AI assistant for DomainBuddy, a domain registration service.
-Analyze the user's message and determine their intent and required actions.
-
-Respond with ONLY a JSON object with this structure:
-{
-  "intent": "domain_search" | "domain_purchase" | "domain_info" | "otp_verification" | "otp_resend" | "general_help",
-  "action": "search_domains" | "creative_search" | "purchase_domain" | "check_domain" | "verify_otp" | "resend_otp" | "none",
-  "domain": "specific domain name if mentioned (only if user specifies full domain with extension)",
-  "searchTerms": ["array", "of", "search", "terms", "without", "extensions"],
-  "isCreativeRequest": true | false,
-  "otpCode": "6-digit code if verification intent detected"
-}
+    }
 
-IMPORTANT RULES:
-1. If user mentions a COMPLETE domain name with extension (like "doggy.com", "example.net"), use "check_domain" action and put the full domain in "domain" field
-2. If user asks for CREATIVE domain suggestions or mentions a business idea/concept, use "creative_search" action and set "isCreativeRequest": true
-3. If user asks to search for SPECIFIC terms (like "domainbuddy", "google"), use "search_domains" action with "isCreativeRequest": false
-4. If user wants to BUY/PURCHASE a specific domain, use "purchase_domain" action and put the full domain in "domain" field
-5. Never add extensions to search terms - extract only the root keywords
-6. For search actions, we will check multiple extensions (.com, .net, .org, .io, .co)
-
-PURCHASE DETECTION:
-- Look for words like: "buy", "purchase", "get", "register", "order", "take"
-- Combined with domain names: "buy trackspot.com", "purchase the first domain", "I want to get livepin.com"
-- Extract the specific domain name mentioned
-
-OTP VERIFICATION DETECTION:
-- Look for 6-digit codes: "123456", "verify with 654321", "code is 789012"
-- Keywords: "verify", "code", "confirmation", "otp", combined with 6 digits
-- Set intent to "otp_verification", action to "verify_otp", and extract the 6-digit code to "otpCode"
-
-OTP RESEND DETECTION:
-- Keywords: "resend", "send new code", "send again", "new verification code"
-- Set intent to "otp_resend", action to "resend_otp"
-
-CREATIVE vs SPECIFIC SEARCH:
-- Creative: "suggest domains for live location tracker device", "domains for my restaurant", "creative names for tech startup"
-- Specific: "search for domainbuddy", "check availability of google", "find exact domain bitcoin"
-
-CONTEXT AWARENESS:
-- Use conversation history to understand context
-- If user asks for "alternatives" or "suggestions" after a domain was unavailable, treat as creative_search
-- If user says "similar" or "other options", generate creative alternatives based on previous context
-- Remember what domains were previously shown or discussed
-
-${conversationContext}`;
-
-      const userMessage = state.userMessage;
-      
-      const messages = [
-        new SystemMessage(systemPrompt),
-        new HumanMessage(`User message: "${userMessage}"\n\nRespond with ONLY the JSON object, no additional text.`)
-      ];
+    console.warn(`⚠️ Agent stopped after ${MAX_TOOL_STEPS} tool steps`);
+    return this.buildAgentResponse(
+      "Sorry, that request needed more steps than I can take at once. Could you break it into smaller parts?",
+      results
+    );
+  }
 
-      const response = await this.llm.invoke(messages);
-      const content = response.content;
+  async callAgentModel(messages, progress) {
+    const options = { signal: progress.signal || undefined };
 
-      console.log("🤖 LangChain Analysis Response:", content);
+    if (!progress.streaming) {
+      return this.agent.invoke(messages, options);
+    }
 
-      // Parse the JSON response
-      let analysis;
-      try {
-        let jsonText = content.trim();
-        // Remove markdown code blocks if present
-        if (jsonText.startsWith('```json')) {
-          jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        } else if (jsonText.startsWith('```')) {
-          jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
+    // Forward tokens as they arrive so the reply renders progressively
+    let reply = null;
+    for await (const chunk of await this.agent.stream(messages, options)) {
+      const text = typeof chunk.content === 'string' ? chunk.content : '';
+      if (text) {
+        if (!reply?.content) {
+          progress.status('writing_response', 'Writing response...');
         }
-        analysis = JSON.parse(jsonText);
-      } catch (parseError) {
-        console.warn("⚠️ Failed to parse LangChain analysis, using fallback");
-        const fallback = this.getFallbackResponse(userMessage, state.userId);
-        return {
-          ...state,
-          intent: fallback.intent,
-          action: fallback.action,
-          domain: fallback.domain,
-          searchTerms: fallback.searchTerms || [],
-          isCreativeRequest: fallback.isCreativeRequest || false,
-          otpCode: fallback.otpCode || null
-        };
+        progress.token(text);
       }
-
-      return {
-        ...state,
-        intent: analysis.intent,
-        action: analysis.action,
-        domain: analysis.domain,
-        searchTerms: analysis.searchTerms || [],
-        isCreativeRequest: analysis.isCreativeRequest || false,
-        otpCode: analysis.otpCode || null
-      };
-    } catch (error) {
-      console.error("❌ Error analyzing intent:", error);
-      const fallback = this.getFallbackResponse(state.userMessage, state.userId);
-      return {
-        ...state,
-        intent: fallback.intent,
-        action: fallback.action,
-        domain: fallback.domain,
-        searchTerms: fallback.searchTerms || [],
-        isCreativeRequest: fallback.isCreativeRequest || false,
-        otpCode: fallback.otpCode || null
-      };
+      reply = reply ? reply.concat(chunk) : chunk;
     }
+    return reply || new AIMessage('');
   }
 
-  async executeAction(state) {
-    try {
-      console.log(`🎯 Executing action: ${state.action}`);
-      console.log(`🔍 State debug: domain=${state.domain}, userId=${state.userId}, paymentDetails=${state.paymentDetails ? 'present' : 'null'}`);
-      
-      if (!state.action || state.action === "none") {
-        console.log(`🔍 No action or none action, returning default message`);
-        return {
-          ...state,
-          success: true,
-          message: "I'm here to help you with domain searches, purchases, and information."
-        };
-      }
-
-      // Find and execute the appropriate tool
-      let result = null;
-      
-      console.log(`🔍 About to enter switch statement for action: ${state.action}`);
-      
-      switch (state.action) {
-        case "search_domains":
-          if (state.searchTerms && state.searchTerms.length > 0) {
-            const tool = this.tools.find(t => t.name === "domain_search");
-            const input = JSON.stringify({ 
-              searchTerms: state.searchTerms, 
-              specificDomain: null 
-            });
-            const searchResults = JSON.parse(await tool._call(input));
-            
-            // Count available vs unavailable domains
-            const availableCount = searchResults.filter(d => d.available).length;
-            const totalCount = searchResults.length;
-            
-            // Create a more specific message based on results
-            let resultMessage;
-            if (availableCount === 0) {
-              resultMessage = `I checked ${totalCount} domains but none are available. Would you like me to suggest some creative alternatives?`;
-            } else if (availableCount === totalCount) {
-              resultMessage = `Great news! All ${totalCount} domains I found are available for registration.`;
-            } else {
-              resultMessage = `I found ${availableCount} available domains out of ${totalCount} checked.`;
-            }
-            
-            result = {
-              domains: searchResults,
-              message: resultMessage,
-              success: true
-            };
-          }
-          break;
-
-        case "creative_search":
-          if (state.searchTerms && state.searchTerms.length > 0) {
-            const tool = this.tools.find(t => t.name === "creative_domain_search");
-            
-            // Check conversation history for context
-            let contextualTerms = state.searchTerms;
-            if (state.userId) {
-              const history = this.getConversationHistory(state.userId, 5);
-              const previousDomains = [];
-              
-              // Extract domain concepts from recent history
-              history.forEach(entry => {
-                if (entry.domains && entry.domains.length > 0) {
-                  entry.domains.forEach(domain => {
-                    const domainRoot = domain.name.split('.')[0];
-                    if (domainRoot && !previousDomains.includes(domainRoot)) {
-                      previousDomains.push(domainRoot);
-                    }
-                  });
-                }
-              });
-              
-              // If user is asking for alternatives without specific terms, use previous context
-              if (state.searchTerms.length === 0 && previousDomains.length > 0) {
-                contextualTerms = [previousDomains[0]]; // Use the most recent domain concept
-                console.log(`🔄 Using contextual terms from history: ${contextualTerms.join(', ')}`);
-              }
-            }
-            
-            const input = JSON.stringify({ searchTerms: contextualTerms });
-            const creativeDomains = JSON.parse(await tool._call(input));
-            
-            // Count available vs unavailable domains
-            const availableCount = creativeDomains.filter(d => d.available).length;
-            const totalCount = creativeDomains.length;
-            
-            // Create a more specific message based on results
-            let resultMessage;
-            if (availableCount === 0) {
-              resultMessage = `I generated ${totalCount} creative domain suggestions, but none are currently available. Let me try different variations.`;
-            } else if (availableCount === totalCount) {
-              resultMessage = `Excellent! All ${totalCount} creative domain suggestions I generated are available for registration.`;
-            } else {
-              resultMessage = `I found ${availableCount} available creative domain suggestions out of ${totalCount} generated.`;
-            }
-            
-            result = {
-              domains: creativeDomains,
-              message: resultMessage,
-              success: true
-            };
-          } else if (state.userId) {
-            // If no search terms but we have user history, try to extract context
-            const history = this.getConversationHistory(state.userId, 3);
-            const lastUserMessage = history.find(entry => entry.role === 'user');
-            
-            if (lastUserMessage && lastUserMessage.message.toLowerCase().includes('doggy')) {
-              const tool = this.tools.find(t => t.name === "creative_domain_search");
-              const input = JSON.stringify({ searchTerms: ['dog', 'pet'] });
-              const creativeDomains = JSON.parse(await tool._call(input));
-              result = {
-                domains: creativeDomains,
-                message: `Here are some creative alternatives similar to what you were looking for:`,
-                success: true
-              };
-            }
-          }
-          break;
-
-        case "check_domain":
-          if (state.domain) {
-            const tool = this.tools.find(t => t.name === "domain_check");
-            const input = JSON.stringify({ domainName: state.domain });
-            const domainInfo = JSON.parse(await tool._call(input));
-            
-            // Create a more specific message based on availability
-            const availabilityMessage = domainInfo.available 
-              ? `${state.domain} is available for $${domainInfo.price}!`
-              : `${state.domain} is not available (already registered).`;
-            
-            result = {
-              domains: [domainInfo],
-              message: availabilityMessage,
-              success: true
-            };
-          }
-          break;
-
-        case "purchase_domain":
-          console.log(`🔍 Purchase domain case: domain=${state.domain}, userId=${state.userId}`);
-          if (state.domain && state.userId) {
-            const tool = this.tools.find(t => t.name === "domain_purchase");
-            console.log(`🔍 Found tool: ${tool ? 'yes' : 'no'}`);
-            
-            // Use paymentDetails from the state (passed from analyzeIntent)
-            const input = JSON.stringify({ 
-              domainName: state.domain, 
-              userId: state.userId,
-              paymentDetails: state.paymentDetails || null
-            });
-            
-            console.log(`💳 Processing automated purchase for domain: ${state.domain} by user: ${state.userId}`);
-            if (state.paymentDetails) {
-              console.log(`💳 With payment details: Card ending in ${state.paymentDetails.cardNumber?.slice(-4)}`);
-            } else {
-              console.log(`💳 No payment details available`);
-            }
-            
-            console.log(`🔧 Calling tool with input: ${input.substring(0, 100)}...`);
-            
-            const purchaseResult = JSON.parse(await tool._call(input));
-            console.log(`🔧 Tool result: ${JSON.stringify(purchaseResult).substring(0, 200)}...`);
-            
-            result = {
-              domains: purchaseResult.domains || [],
-              message: purchaseResult.message,
-              success: purchaseResult.success,
-              transactionId: purchaseResult.transactionId,
-              // Pass through payment-related fields
-              requiresPaymentDetails: purchaseResult.requiresPaymentDetails,
-              paymentCompleted: purchaseResult.paymentCompleted,
-              requiresPayment: purchaseResult.requiresPayment,
-              redirectToPayment: purchaseResult.redirectToPayment,
-              requiresOTPVerification: purchaseResult.requiresOTPVerification,
-              // Pass through profile-related fields
-              requiresProfileUpdate: purchaseResult.requiresProfileUpdate,
-              missingFields: purchaseResult.missingFields
-            };
-          }
-          break;
-
-        case "verify_otp":
-          console.log(`🔐 OTP verification case: otpCode=${state.otpCode}, userId=${state.userId}`);
-          if (state.otpCode && state.userId) {
-            const tool = this.tools.find(t => t.name === "otp_verification");
-            const input = JSON.stringify({
-              userId: state.userId,
-              email: "flexible@verification.com", // Placeholder - OTP service will find by user_id + code
-              otpCode: state.otpCode
-            });
-            
-            const verificationResult = JSON.parse(await tool._call(input));
-            result = {
-              domains: verificationResult.domains || [],
-              message: verificationResult.message,
-              success: verificationResult.success,
-              transactionId: verificationResult.transactionId,
-              paymentCompleted: verificationResult.paymentCompleted
-            };
-          }
-          break;
-
-        case "resend_otp":
-          console.log(`🔄 OTP resend case: userId=${state.userId}`);
-          if (state.userId) {
-            // Get user email
-            const { data: user, error: userError } = await supabase
-              .from('users')
-              .select('email')
-              .eq('id', state.userId)
-              .single();
-
-            if (!userError && user) {
-              try {
-                const resendResult = await otpService.resendOTP(state.userId, user.email);
-                result = {
-                  message: resendResult.success
-                    ? `🔐 I've sent a new 6-digit verification code to ${user.email}.\n\nPlease provide the new code by saying: "Verify with code XXXXXX"\n\nThe code will expire in 3 minutes.`
-                    : 'Sorry, I encountered an error sending a new verification code. Please try starting the purchase process again.',
-                  success: resendResult.success,
-                  requiresOTPVerification: true
-                };
-              } catch (resendError) {
-                console.error('❌ OTP resend error:', resendError);
-                result = {
-                  message: 'Sorry, I encountered an error sending a new verification code. Please try again.',
-                  success: false
-                };
-              }
-            } else {
-              result = {
-                message: 'Sorry, I encountered an error retrieving your account information.',
-                success: false
-              };
-            }
-          }
-          break;
-
-        default:
-          result = {
-            domains: [],
-            message: "I'm not sure how to help with that. Please try rephrasing your request.",
-            success: false
-          };
-      }
+  // Tool failures are reported back to the model so it can correct its
+  // arguments or explain the problem, instead of failing the whole reply
+  async runToolCall(toolCall, config, results) {
+    const tool = this.tools.find(t => t.name === toolCall.name);
+    console.log(`🔧 Tool call: ${toolCall.name}`);
+
+    if (!tool) {
+      return new ToolMessage({
+        content: `Unknown tool "${toolCall.name}"`,
+        tool_call_id: toolCall.id,
+        name: toolCall.name,
+        status: 'error'
+      });
+    }
 
-      return {
-        ...state,
-        domains: result?.domains || [],
-        message: result?.message || "Action completed.",
-        success: result?.success || false,
-        transactionId: result?.transactionId,
-        // Pass through payment redirection fields
-        requiresPayment: result?.requiresPayment,
-        redirectToPayment: result?.redirectToPayment,
-        paymentUrl: result?.paymentUrl,
-        // Pass through profile update fields
-        requiresProfileUpdate: result?.requiresProfileUpdate,
-        missingFields: result?.missingFields
-      };
+    try {
+      const toolMessage = await tool.invoke({ ...toolCall, type: 'tool_call' }, config);
+      results.push({ tool: tool.name, result: toolMessage.artifact || {} });
+      return toolMessage;
     } catch (error) {
-      console.error("❌ Error executing action:", error);
-      return {
-        ...state,
-        domains: [],
-        message: "I encountered an error while processing your request. Please try again.",
-        success: false
-      };
+      if (error.name === 'AbortError' && config.configurable?.progress?.signal?.aborted) throw error;
+
+      console.warn(`⚠️ Tool ${toolCall.name} failed:`, error.message);
+      return new ToolMessage({
+        content: `Error: ${error.message}`,
+        tool_call_id: toolCall.id,
+        name: toolCall.name,
+        status: 'error'
+      });
     }
   }
 
-  async formatResponse(state) {
-    try {
-      console.log("📝 Formatting final response...");
-      
-      // Generate a natural language response using LangChain if we have the LLM
-      if (this.llm && state.message) {
-        // Build conversation context for better responses
-        const conversationContext = state.userId ? this.buildContextFromHistory(state.userId) : "";
-        
-        // Extract domain availability info for better context
-        const domainDetails = state.domains?.map(d => `${d.name}: ${d.available ? 'Available' : 'Not Available'} ($${d.price})`).join(', ') || 'None';
-        const availableCount = state.domains?.filter(d => d.available).length || 0;
-        const unavailableCount = state.domains?.filter(d => !d.available).length || 0;
-        
-        const contextPrompt = `You are a friendly AI assistant for DomainBuddy. 
-Based on the action performed and results, provide a natural, helpful response to the user.
-
-Action performed: ${state.action}
-Intent: ${state.intent}
-Total domains checked: ${state.domains ? state.domains.length : 0}
-Available domains: ${availableCount}
-Unavailable domains: ${unavailableCount}
-Domain details: ${domainDetails}
-Success: ${state.success}
-Current message: ${state.message}
-
-IMPORTANT RESPONSE RULES:
-1. If checking a specific domain and it's NOT available, clearly state that the domain is NOT available or already taken
-2. If checking a specific domain and it IS available, mention that it's available for purchase
-3. Never say "Great news, I found X domains" if the domains are NOT available
-4. For unavailable domains, suggest alternatives or ask if the user wants similar options
-5. Be accurate about availability status - don't give false hope
-
-Make the response conversational and helpful. If available domains were found, mention the count and encourage next steps.
-If a purchase was initiated, explain the next steps clearly.
-If this is a follow-up request (like asking for alternatives), acknowledge the context.
+  getMessageText(message) {
+    if (typeof message.content === 'string') {
+      return message.content.trim();
+    }
 
-${conversationContext}
+    return (message.content || [])
+      .map(part => (typeof part === 'string' ? part : part.text || ''))
+      .join('')
+      .trim();
+  }
 
-Respond with ONLY the message text, no JSON or extra formatting.`;
+  // Merge the tool results into the chat response: domains shown to the user
+  // and the payment/profile flags the client acts on
+  buildAgentResponse(message, results) {
+    const lastResult = results[results.length - 1];
+    const response = {
+      intent: lastResult ? TOOL_INTENTS[lastResult.tool] : 'general_help',
+      action: lastResult ? lastResult.tool : 'none',
+      tools: results.map(r => r.tool),
+      message: message || lastResult?.result.message ||
+        "I'm here to help you with domain searches, purchases, and information.",
+      domains: [],
+      success: lastResult ? lastResult.result.success !== false : true
+    };
 
-        try {
-          const response = await this.llm.invoke([
-            new SystemMessage(contextPrompt),
-            new HumanMessage(`Generate a response for the user.`)
-          ]);
-          
-          const enhancedMessage = response.content.trim();
-          if (enhancedMessage && enhancedMessage.length > 10) {
-            return {
-              ...state,
-              message: enhancedMessage
-            };
-          }
-        } catch (error) {
-          console.warn("⚠️ Failed to enhance message with LLM:", error.message);
+    for (const { result } of results) {
+      (result.domains || []).forEach(domain => {
+        const index = response.domains.findIndex(d => d.name === domain.name);
+        if (index === -1) {
+          response.domains.push(domain);
+        } else {
+          response.domains[index] = domain;
         }
-      }
+      });
 
-      // Return the state with existing message if LLM enhancement fails
-      return state;
-    } catch (error) {
-      console.error("❌ Error formatting response:", error);
-      return state;
+      RESPONSE_FLAGS.forEach(flag => {
+        if (result[flag] !== undefined) {
+          response[flag] = result[flag];
+        }
+      });
     }
+
+    return response;
   }
 
-  async searchDomains(searchTerms, specificDomain = null) {
+  async searchDomains(searchTerms, specificDomain = null, progress = null) {
     try {
       const domains = [];
       
       // If a specific domain is provided (e.g., "doggy.com"), check only that domain
       if (specificDomain) {
         console.log(`🎯 Checking specific domain: ${specificDomain}`);
+        progress?.status('checking_domains', `Checking ${specificDomain}...`);
         try {
           const availability = await namecheapService.checkDomainAvailability(specificDomain);
           domains.push({
             name: specificDomain,
             available: availability.available,
-            price: availability.price || 12.99
+            price: await pricingService.getSellingPrice(specificDomain, availability.price || 12.99, availability.isPremium)
           });
         } catch (error) {
           console.warn(`⚠️ Failed to check domain ${specificDomain}:`, error.message);
@@ -1227,21 +650,25 @@ Respond with ONLY the message text, no JSON or extra formatting.`;
             price: 12.99
           });
         }
+        progress?.domain(domains[0]);
         return domains;
       }
       
       // Generate domain variations for search terms
       const extensions = ['.com', '.net', '.org', '.io', '.co']; // Include .org
+      const terms = searchTerms.slice(0, 2); // Limit to 2 terms to avoid too many requests
+      progress?.status('checking_domains', `Checking ${terms.length * extensions.length} domains...`);
       
-      for (const term of searchTerms.slice(0, 2)) { // Limit to 2 terms to avoid too many requests
+      for (const term of terms) {
         for (const ext of extensions) { // Use all extensions, not just first 2
+          progress?.throwIfCancelled();
           const domainName = `${term.toLowerCase()}${ext}`;
           try {
             const availability = await namecheapService.checkDomainAvailability(domainName);
             domains.push({
               name: domainName,
               available: availability.available,
-              price: availability.price || 12.99
+              price: await pricingService.getSellingPrice(domainName, availability.price || 12.99, availability.isPremium)
             });
           } catch (error) {
             console.warn(`⚠️ Failed to check domain ${domainName}:`, error.message);
@@ -1252,6 +679,7 @@ Respond with ONLY the message text, no JSON or extra formatting.`;
               price: 12.99
             });
           }
+          progress?.domain(domains[domains.length - 1]);
         }
       }
 
@@ -1262,14 +690,17 @@ Respond with ONLY the message text, no JSON or extra formatting.`;
     }
   }
 
-  async generateCreativeDomains(searchTerms) {
+  // Creative names checked for availability, minus names that imitate a
+  // known brand. Returns { domains, filtered }; flagged domains carry brandRisk
+  async generateCreativeDomains(searchTerms, progress = null) {
     try {
       console.log(`🎨 Generating creative domains for: ${searchTerms.join(', ')}`);
       
       // Use LangChain LLM to generate creative domain names
-      if (!this.llm) {
+      if (!this.models) {
         console.log("⚠️ LLM not available for creative generation");
-        return await this.searchDomains(searchTerms, null); // Fallback to regular search
+        // Fallback to regular search
+        return { domains: await this.searchDomains(searchTerms, null, progress), filtered: [] };
       }
 
       const creativePrompt = `Generate 10 creative, brandable domain names for a business related to: ${searchTerms.join(', ')}
@@ -1281,14 +712,17 @@ Requirements:
 - No extensions - just the domain name part
 - Each name should be 3-15 characters long
 - Avoid exact keyword matches
+- Never use or imitate existing brand names or trademarks
 
 Examples for "live location tracker device":
 - TrackSpot, LivePin, LocateNow, SpotSync, PinPoint, TrackWave, LiveMap, GeoSpot, PositionIQ, TrackPro
 
 Respond with ONLY a JSON array of strings: ["domain1", "domain2", "domain3", ...]`;
 
+      let creativeNames;
       try {
-        const response = await this.llm.invoke([
+        progress?.status('generating_names', 'Brainstorming creative names...');
+        const response = await this.models.creative.invoke([
           new SystemMessage("You are a creative domain name generator. Generate brandable domain names based on business concepts."),
           new HumanMessage(creativePrompt)
         ]);
@@ -1297,7 +731,6 @@ Respond with ONLY a JSON array of strings: ["domain1", "domain2", "domain3", ...
         console.log("🎨 Creative LangChain Response:", content);
         
         // Parse the creative domain names
-        let creativeNames;
         try {
           let jsonText = content;
           if (jsonText.startsWith('```json')) {
@@ -1315,52 +748,66 @@ Respond with ONLY a JSON array of strings: ["domain1", "domain2", "domain3", ...
           console.warn("⚠️ Creative response not an array, using fallback");
           creativeNames = this.generateFallbackCreativeNames(searchTerms);
         }
-
-        // Check availability for creative domain names
-        const domains = [];
-        const extensions = ['.com', '.net', '.org', '.io', '.co'];
-        
-        // Limit to first 8 creative names to avoid too many API calls
-        for (const creativeName of creativeNames.slice(0, 8)) {
-          if (typeof creativeName === 'string' && creativeName.length > 0) {
-            for (const ext of extensions.slice(0, 3)) { // Check first 3 extensions for each creative name
-              const domainName = `${creativeName.toLowerCase()}${ext}`;
-              try {
-                const availability = await namecheapService.checkDomainAvailability(domainName);
-                domains.push({
-                  name: domainName,
-                  available: availability.available,
-                  price: availability.price || 12.99
-                });
-                
-                // If we have enough domains, break early
-                if (domains.length >= 10) break;
-              } catch (error) {
-                console.warn(`⚠️ Failed to check creative domain ${domainName}:`, error.message);
-                domains.push({
-                  name: domainName,
-                  available: Math.random() > 0.5,
-                  price: 12.99
-                });
-              }
-            }
-            if (domains.length >= 10) break;
-          }
-        }
-
-        return domains.slice(0, 10); // Return max 10 domains
-        
       } catch (aiError) {
         console.warn("⚠️ LangChain creative generation failed:", aiError.message);
-        return this.generateFallbackCreativeNames(searchTerms);
+        creativeNames = this.generateFallbackCreativeNames(searchTerms);
       }
 
+      return await this.checkCreativeNames(creativeNames, progress);
+
     } catch (error) {
       console.error("❌ Error generating creative domains:", error);
-      return this.generateFallbackCreativeNames(searchTerms);
+      return { domains: [], filtered: [] };
     }
   }
 
+  // Drop risky names before checking them, so they are never shown or streamed
+  async checkCreativeNames(creativeNames, progress = null) {
+    const { allowed, filtered } = brandRiskService.screen(
+      creativeNames
+        .filter(name => typeof name === 'string' && name.length > 0)
+        .map(name => ({ name: name.toLowerCase() }))
+    );
+
+    // Check availability for creative domain names
+    const domains = [];
+    const extensions = ['.com', '.net', '.org', '.io', '.co'];
+    
+    // Limit to first 8 creative names to avoid too many API calls
+    progress?.status('checking_domains', 'Checking up to 10 creative domains...');
+    for (const { name: creativeName, brandRisk } of allowed.slice(0, 8)) {
+      for (const ext of extensions.slice(0, 3)) { // Check first 3 extensions for each creative name
+        progress?.throwIfCancelled();
+        const domainName = `${creativeName}${ext}`;
+        try {
+          const availability = await namecheapService.checkDomainAvailability(domainName);
+          domains.push({
+            name: domainName,
+            available: availability.available,
+            price: await pricingService.getSellingPrice(domainName, availability.price || 12.99, availability.isPremium),
+            ...(brandRisk && { brandRisk })
+          });
+          progress?.domain(domains[domains.length - 1]);
+          
+          // If we have enough domains, break early
+          if (domains.length >= 10) break;
+        } catch (error) {
+          console.warn(`⚠️ Failed to check creative domain ${domainName}:`, error.message);
+          domains.push({
+            name: domainName,
+            available: Math.random() > 0.5,
+            price: 12.99,
+            ...(brandRisk && { brandRisk })
+          });
+          progress?.domain(domains[domains.length - 1]);
+        }
+      }
+      if (domains.length >= 10) break;
+    }
+
+    return { domains: domains.slice(0, 10), filtered }; // Return max 10 domains
+  }
+
   generateFallbackCreativeNames(searchTerms) {
     console.log("🔄 Using fallback creative domain generation");
     
@@ -1384,17 +831,215 @@ Respond with ONLY a JSON array of strings: ["domain1", "domain2", "domain3", ...
         creativeNames.push(`${prefix}${term.toLowerCase()}`);
       }
     }
-    
-    return creativeNames.slice(0, 8); // Return max 8 fallback names
+    
+    return creativeNames.slice(0, 8); // Return max 8 fallback names
+  }
+
+  // Business names with reasoning from the LLM, or from the heuristic
+  // generator when the LLM is unavailable or its reply can't be used.
+  // Every name is checked as a domain across the preferred TLDs.
+  async generateBusinessNames(description, industry, options = {}) {
+    const count = Math.min(Math.max(parseInt(options.count) || 8, 1), 20);
+    const tlds = (options.tlds?.length ? options.tlds : ['com', 'io', 'co'])
+      .map((tld) => tld.toLowerCase().replace(/^\./, ''))
+      .slice(0, 5);
+
+    console.log(`💡 Generating ${count} business names for: "${description}" (${industry})`);
+
+    let names = [];
+    let source = 'ai';
+
+    if (this.models) {
+      const prompt = `Generate ${count} creative, brandable business names for: "${description}" in the ${industry} industry.
+
+Requirements:
+- Short (ideally one or two words, under 15 characters without spaces)
+- Easy to spell and pronounce
+- No duplicates or near-duplicates
+- Give one sentence of reasoning per name
+
+Respond with ONLY a JSON array of objects:
+[{"name": "BusinessName", "reasoning": "Why the name fits"}]`;
+
+      try {
+        const response = await this.models.creative.invoke([
+          new SystemMessage("You are a business naming expert. Reply with valid JSON only."),
+          new HumanMessage(prompt)
+        ]);
+
+        console.log("💡 Business names LangChain response:", response.content);
+        names = this.parseBusinessNames(response.content);
+      } catch (error) {
+        console.warn("⚠️ LangChain business name generation failed:", error.message);
+      }
+    }
+
+    if (names.length === 0) {
+      console.log("🔄 Using fallback business name generation");
+      source = 'fallback';
+      names = this.generateFallbackBusinessNames(description, industry);
+    }
+
+    const results = [];
+    for (const entry of names.slice(0, count)) {
+      results.push({
+        ...entry,
+        domains: await this.checkBusinessNameDomains(entry.name, tlds),
+      });
+    }
+
+    return { names: results, source };
+  }
+
+  // Parse the LLM reply into unique { name, reasoning } entries
+  parseBusinessNames(content) {
+    let jsonText = String(content || '').trim();
+    if (jsonText.startsWith('```json')) {
+      jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+    } else if (jsonText.startsWith('```')) {
+      jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonText);
+    } catch (parseError) {
+      // The model sometimes wraps the array in prose
+      const arrayMatch = jsonText.match(/\[[\s\S]*\]/);
+      try {
+        parsed = arrayMatch ? JSON.parse(arrayMatch[0]) : null;
+      } catch (innerError) {
+        parsed = null;
+      }
+    }
+
+    if (!Array.isArray(parsed)) {
+      console.warn("⚠️ Business names response is not a JSON array");
+      return [];
+    }
+
+    const seen = new Set();
+    const names = [];
+
+    for (const item of parsed) {
+      const name = (typeof item === 'string' ? item : item?.name || '').trim();
+      const slug = this.getBusinessNameSlug(name);
+
+      if (slug.length < 2 || slug.length > 30 || seen.has(slug)) {
+        continue;
+      }
+
+      seen.add(slug);
+      names.push({
+        name,
+        reasoning: (typeof item === 'object' && item.reasoning) || '',
+      });
+    }
+
+    return names;
+  }
+
+  // "NextWave Solutions" -> "nextwavesolutions"
+  getBusinessNameSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9-]/g, '').replace(/^-+|-+$/g, '');
+  }
+
+  // Offline generator: combines keywords from the description with
+  // common brand suffixes and prefixes. Same input, same names.
+  generateFallbackBusinessNames(description, industry) {
+    const stopWords = new Set([
+      'and', 'the', 'for', 'with', 'that', 'this', 'from', 'our', 'your', 'their',
+      'who', 'which', 'into', 'are', 'will', 'can', 'all', 'any', 'business',
+      'company', 'service', 'services', 'industry', 'people', 'help', 'helps',
+      'based', 'online', 'new', 'best', 'offer', 'offers', 'provide', 'provides',
+    ]);
+
+    const keywords = [];
+    `${description} ${industry}`
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter((word) => word.length >= 3 && !stopWords.has(word))
+      .forEach((word) => {
+        if (!keywords.includes(word)) {
+          keywords.push(word);
+        }
+      });
+
+    const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+    // "bakery" -> "baker", "cloud" -> "cloud", for suffixes like -ify and -ly
+    const stem = (word) => (word.length > 4 ? word.replace(/[aeiouy]+$/, '') : word);
+
+    const mainWords = keywords.slice(0, 3);
+    const candidates = [];
+
+    if (mainWords.length >= 2) {
+      candidates.push(
+        {
+          name: `${capitalize(mainWords[0])}${capitalize(mainWords[1])}`,
+          reasoning: `Combines ${mainWords[0]} and ${mainWords[1]} into one descriptive name`,
+        },
+        {
+          name: `${capitalize(mainWords[1])}${capitalize(mainWords[0])}`,
+          reasoning: `Puts ${mainWords[1]} first for a different rhythm`,
+        }
+      );
+    }
+
+    const patterns = [
+      (word) => ({ name: `${capitalize(word)}Hub`, reasoning: `A central place for ${word}` }),
+      (word) => ({ name: `${capitalize(stem(word))}ify`, reasoning: `A modern, product-style take on ${word}` }),
+      (word) => ({ name: `${capitalize(word)}Lab`, reasoning: `Suggests experimenting and innovating with ${word}` }),
+      (word) => ({ name: `Get${capitalize(word)}`, reasoning: `A direct call to action around ${word}` }),
+      (word) => ({ name: `${capitalize(stem(word))}ly`, reasoning: `A short, friendly brand built on ${word}` }),
+    ];
+
+    // Pattern by pattern, so the first names already cover every keyword
+    patterns.forEach((pattern) => {
+      mainWords.forEach((word) => candidates.push(pattern(word)));
+    });
+
+    return this.parseBusinessNames(JSON.stringify(candidates));
   }
 
-  async processDomainPurchase(domainName, userId, paymentDetails = null) {
-    try {
-      console.log(`💳 Processing automated purchase for domain: ${domainName} by user: ${userId}`);
+  // Live availability and selling price for a name across the given TLDs
+  async checkBusinessNameDomains(name, tlds) {
+    const slug = this.getBusinessNameSlug(name);
+
+    return Promise.all(
+      tlds.map(async (tld) => {
+        const domainName = `${slug}.${tld}`;
+        try {
+          const availability = await namecheapService.checkDomainAvailability(domainName);
+          return {
+            domain: domainName,
+            available: availability.available,
+            isPremium: !!availability.isPremium,
+            price: availability.available
+              ? await pricingService.getSellingPrice(domainName, availability.price, availability.isPremium)
+              : null,
+          };
+        } catch (error) {
+          console.warn(`⚠️ Failed to check ${domainName}:`, error.message);
+          return {
+            domain: domainName,
+            available: null,
+            price: null,
+            error: 'Availability could not be checked',
+          };
+        }
+      })
+    );
+  }
 
-      // Import services that we need
-      const stripeService = require("./stripeService");
-      const namecheapService = require("./namecheapService");
+  // Sets up the purchase and hands the user a secure checkout. The result's
+  // checkout (PaymentIntent client secret) goes to the client only; the
+  // model is told a checkout is shown and later learns the outcome from
+  // recordCheckoutOutcome(), so card details never pass through the chat.
+  async processDomainPurchase(domainName, userId, years = 1) {
+    try {
+      years = Math.min(Math.max(parseInt(years) || 1, 1), 10);
+      const term = `${years} year${years > 1 ? 's' : ''}`;
+      console.log(`💳 Preparing checkout for domain: ${domainName} (${term}) by user: ${userId}`);
 
       // Step 0: Check if user profile is complete before proceeding
       const { data: userProfile, error: profileError } = await supabase
@@ -1441,529 +1086,392 @@ Respond with ONLY a JSON array of strings: ["domain1", "domain2", "domain3", ...
         };
       }
 
-      // Step 1: Check domain availability
-      let availability;
-      try {
-        availability = await namecheapService.checkDomainAvailability(domainName);
-        console.log(`🔍 Domain availability check result:`, availability);
-      } catch (error) {
-        console.error(`❌ Failed to check domain availability: ${error.message}`);
-        return {
-          success: false,
-          message: `Sorry, I couldn't check the availability of ${domainName}. Please try again later.`
-        };
-      }
-
-      if (!availability.available) {
+      // Checkout reuses the user's own domain record, which is only right
+      // while that record is still an unpaid purchase
+      const ownedDomain = await this.getOwnedDomain(userId, domainName);
+      if (ownedDomain && ownedDomain.status !== 'pending') {
         return {
           success: false,
-          message: `Sorry, ${domainName} is not available for purchase. It may already be registered.`
+          message: `${domainName} is already in your DomainBuddy account.`
         };
       }
 
-      // Step 2: Get user information for payment (now we know profile is complete)
-      const user = userProfile;
-
-      // Construct full name from first_name and last_name
-      const fullName = `${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Customer';
-
-      // Step 3: Create domain record in database
-      const domainParts = domainName.split(".");
-      const name = domainParts[0];
-      const extension = domainParts.slice(1).join(".");
-      const cost = availability.price || 12.99;
-      const sellingPrice = cost * 1.1; // 10% markup
-
-      // Step 3: If no payment details provided, request them from user
-      if (!paymentDetails) {
+      let checkout;
+      try {
+        checkout = await checkoutService.createDomainPurchase(userProfile, domainName, {
+          years,
+          metadata: { source: 'ai_consultant' },
+        });
+      } catch (error) {
+        console.error(`❌ Failed to set up checkout for ${domainName}:`, error.message);
         return {
           success: false,
-          message: `Great! ${domainName} is available for $${sellingPrice.toFixed(2)}. To complete the purchase, I'll need your payment information.\n\nPlease provide:\n1. Cardholder Name\n2. Card Number (use 4242424242424242 for testing)\n3. Expiry Date (MM/YY)\n4. CVC Code\n5. Billing Email\n6. Country\n7. Postal Code\n\nExample format:\n"Process payment with John Doe, 4242424242424242, 12/25, 123, john@email.com, US, 12345"`,
-          requiresPaymentDetails: true,
-          domainName: domainName,
-          price: sellingPrice,
-          domains: [{
-            name: domainName,
-            available: true,
-            price: sellingPrice,
-            status: 'awaiting_payment_details'
-          }]
+          message: error.statusCode === 400
+            ? `Sorry, ${domainName} is not available for purchase. It may already be registered.`
+            : 'Sorry, I couldn\'t set up the payment for this domain. Please try again later.'
         };
       }
 
-      // Step 3.5: Check if OTP verification is required
-      if (paymentDetails && !paymentDetails.otpVerified) {
-        // Check if OTP was already sent and we're waiting for verification
-        const hasActiveOTP = await otpService.hasActiveOTPSession(userId, paymentDetails.email || user.email);
-        
-        if (!hasActiveOTP) {
-          // Generate and send OTP
-          try {
-            console.log('🔐 Generating OTP for domain purchase verification...');
-            
-            const otpResult = await otpService.generateAndSendOTP(
-              userId,
-              paymentDetails.email || user.email,
-              {
-                domain: domainName,
-                price: sellingPrice,
-                paymentDetails: paymentDetails
-              },
-              domainName
-            );
-
-            if (otpResult.success) {
-              return {
-                success: false,
-                message: `🔐 For security, I've sent a 6-digit verification code to ${paymentDetails.email || user.email}.\n\nPlease provide the code by saying: "Verify with code XXXXXX"\n\nThe code will expire in 3 minutes. If you don't receive it, ask me to resend the verification code.`,
-                requiresOTPVerification: true,
-                domainName: domainName,
-                price: sellingPrice,
-                email: paymentDetails.email || user.email,
-                domains: [{
-                  name: domainName,
-                  available: true,
-                  price: sellingPrice,
-                  status: 'awaiting_otp_verification'
-                }]
-              };
-            } else {
-              return {
-                success: false,
-                message: 'Sorry, I encountered an error sending the verification email. Please try again or contact support.'
-              };
-            }
-          } catch (otpError) {
-            console.error('❌ OTP generation error:', otpError);
-            return {
-              success: false,
-              message: 'Sorry, I encountered an error with the verification process. Please try again.'
-            };
-          }
-        } else {
-          // OTP already sent, waiting for verification
-          return {
-            success: false,
-            message: `🔐 I'm still waiting for the 6-digit verification code that was sent to ${paymentDetails.email || user.email}.\n\nPlease provide the code by saying: "Verify with code XXXXXX"\n\nIf you need a new code, ask me to resend the verification code.`,
-            requiresOTPVerification: true,
-            domainName: domainName,
-            price: sellingPrice,
-            email: paymentDetails.email || user.email,
-            domains: [{
-              name: domainName,
-              available: true,
-              price: sellingPrice,
-              status: 'awaiting_otp_verification'
-            }]
-          };
+      return {
+        success: true,
+        requiresPayment: true,
+        message: `${domainName} is available for $${checkout.amount.toFixed(2)} (${term}). The user can pay in the secure checkout shown below this message.`,
+        transactionId: checkout.transactionId,
+        domains: [{
+          name: domainName,
+          available: true,
+          price: checkout.amount,
+          years: checkout.years,
+          status: 'awaiting_payment'
+        }],
+        checkout: {
+          clientSecret: checkout.clientSecret,
+          paymentIntentId: checkout.paymentIntentId,
+          transactionId: checkout.transactionId,
+          domainName: checkout.domainName,
+          amount: checkout.amount,
+          currency: checkout.currency,
+          years: checkout.years
         }
-      }
+      };
+    } catch (error) {
+      console.error('❌ Error preparing domain purchase:', error);
+      return {
+        success: false,
+        message: 'Sorry, I encountered an unexpected error while processing your purchase. Please try again or contact support.'
+      };
+    }
+  }
 
-      // Step 4: Create domain record in database
-      const { data: newDomain, error: domainError } = await supabase
-        .from("domains")
-        .insert([
-          {
-            name: name,
-            extension: extension,
-            full_domain: domainName.toLowerCase(),
-            owner_id: userId,
-            status: "pending",
-            registrar: "namecheap",
-            cost: cost,
-            selling_price: sellingPrice,
-            currency: "USD",
-            expiration_date: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year from now
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          },
-        ])
-        .select()
-        .single();
+  // Called by the client once the chat checkout has been paid (or given up
+  // on). The outcome is saved as an assistant message, so the agent sees it
+  // in the conversation history; returns null for an unknown payment.
+  async recordCheckoutOutcome(userId, conversationId, paymentIntentId) {
+    const { data: transaction, error } = await supabase
+      .from('transactions')
+      .select(`
+        id, status, metadata,
+        domains!transactions_domain_id_fkey(full_domain, status, expiration_date)
+      `)
+      .eq('stripe_payment_intent_id', paymentIntentId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !transaction) {
+      return null;
+    }
 
-      if (domainError) {
-        console.error("❌ Domain creation error:", domainError);
-        
-        if (domainError.code === "23505" && domainError.details?.includes("full_domain")) {
-          return {
-            success: false,
-            message: `${domainName} has already been purchased or is in our system.`
-          };
-        }
+    const domain = transaction.domains;
+    const domainName = domain?.full_domain || 'your domain';
 
-        return {
-          success: false,
-          message: `Sorry, I encountered an error setting up your domain purchase. Please try again.`
-        };
+    // The client reports back right after Stripe, often before confirm-payment
+    // or the webhook has recorded the payment, so ask Stripe when in doubt
+    let paymentStatus = transaction.status === 'completed' ? 'succeeded' : null;
+    if (!paymentStatus) {
+      try {
+        paymentStatus = (await stripeService.retrievePaymentIntent(paymentIntentId))?.status;
+      } catch (stripeError) {
+        console.error(`❌ Could not check payment ${paymentIntentId}:`, stripeError.message);
       }
+    }
 
-      // Step 4: Create or get Stripe customer
-      let stripeCustomerId = user.stripe_customer_id;
-      
-      if (!stripeCustomerId) {
-        try {
-          const customer = await stripeService.createCustomer({
-            email: user.email,
-            name: fullName,
-            id: user.id
-          });
-          stripeCustomerId = customer.id;
+    const paymentCompleted = paymentStatus === 'succeeded';
+    let status = 'not_completed';
+    let message = `The payment for ${domainName} was not completed, so nothing was charged. You can ask me to try again whenever you're ready.`;
+
+    if (!paymentStatus) {
+      status = 'unknown';
+      message = `I couldn't confirm the payment for ${domainName} just now. Check My Domains and your payment history in a few minutes before trying again.`;
+    } else if (paymentStatus === 'processing') {
+      status = 'processing';
+      message = `The payment for ${domainName} is still processing. The domain will be registered once it goes through.`;
+    } else if (paymentCompleted && domain?.status === 'registered') {
+      status = 'registered';
+      const expires = domain.expiration_date
+        ? ` It is registered until ${new Date(domain.expiration_date).toLocaleDateString()}.`
+        : '';
+      message = `🎉 Payment received and ${domainName} is now yours!${expires} You'll find it in My Domains.`;
+    } else if (paymentCompleted) {
+      status = 'registration_pending';
+      message = `Payment received for ${domainName}, registration pending. It will show up in My Domains once it's complete; our team will follow up if anything needs your attention.`;
+    }
 
-          // Update user with Stripe customer ID
-          await supabase
-            .from('users')
-            .update({ stripe_customer_id: stripeCustomerId })
-            .eq('id', userId);
+    const domains = domain
+      ? [{ name: domain.full_domain, available: false, status: domain.status }]
+      : [];
 
-          console.log(`✅ Created Stripe customer: ${stripeCustomerId}`);
-        } catch (error) {
-          console.error('❌ Failed to create Stripe customer:', error);
-          return {
-            success: false,
-            message: 'Sorry, I encountered an error setting up payment processing. Please try again.'
-          };
-        }
-      }
+    await this.addToHistory(
+      { id: conversationId, userId, history: [] },
+      'assistant',
+      message,
+      domains,
+      { intent: 'domain_purchase', checkout: { paymentIntentId, status } }
+    );
 
-      // Step 5: Create payment intent
-      let paymentIntent;
-      try {
-        paymentIntent = await stripeService.createPaymentIntent(
-          sellingPrice,
-          'usd',
-          stripeCustomerId,
-          {
-            domain: domainName,
-            userId: userId.toString(),
-            domainId: newDomain.id.toString(),
-            automated_purchase: 'true'
-          }
-        );
-        console.log(`💳 Created payment intent: ${paymentIntent.id}`);
-      } catch (error) {
-        console.error('❌ Failed to create payment intent:', error);
-        return {
-          success: false,
-          message: 'Sorry, I encountered an error setting up the payment. Please try again.'
-        };
-      }
+    return {
+      message,
+      domains,
+      paymentCompleted,
+      transactionId: transaction.id,
+    };
+  }
 
-      // Step 6: Create transaction record
-      const { data: transaction, error: transactionError } = await supabase
-        .from("transactions")
-        .insert([
-          {
-            user_id: userId,
-            domain_id: newDomain.id,
-            type: "purchase",
-            status: "pending",
-            amount: sellingPrice,
-            currency: "USD",
-            payment_method: "stripe",
-            stripe_payment_intent_id: paymentIntent.id,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          },
-        ])
-        .select()
-        .single();
+  async checkDomain(domainName) {
+    try {
+      const availability = await namecheapService.checkDomainAvailability(domainName);
+      return {
+        name: domainName,
+        available: availability.available,
+        price: availability.available
+          ? await pricingService.getSellingPrice(domainName, availability.price, availability.isPremium)
+          : availability.price
+      };
+    } catch (error) {
+      console.warn(`⚠️ Failed to check domain ${domainName}:`, error.message);
+      return {
+        name: domainName,
+        available: false,
+        price: 12.99
+      };
+    }
+  }
 
-      if (transactionError) {
-        console.error("❌ Transaction creation error:", transactionError);
-        return {
-          success: false,
-          message: 'Sorry, I encountered an error recording the transaction. Please try again.'
-        };
-      }
+  // Domain management for the consultant's tools. Every lookup is scoped to
+  // the signed-in user, and failures come back as { success: false, message }
+  // for the model to relay.
+  async getOwnedDomain(userId, domainName) {
+    const { data: domain, error } = await supabase
+      .from('domains')
+      .select('*')
+      .eq('full_domain', domainName.toLowerCase())
+      .eq('owner_id', userId)
+      .single();
+
+    if (error || !domain) {
+      return null;
+    }
 
-      // Step 7: Process real payment with provided card details
-      console.log(`🔄 Processing payment with card ending in ${paymentDetails.cardNumber.slice(-4)}`);
-      
-      try {
-        // Use Stripe API directly to create payment method and confirm payment
-        const stripe = stripeService.stripe; // Access the Stripe instance
-        
-        if (!stripe) {
-          return {
-            success: false,
-            message: 'Payment system is not configured. Please try again later.'
-          };
-        }
+    return domain;
+  }
 
-        // Create payment method using Stripe test tokens
-        let paymentMethod;
-        try {
-          // For testing, use Stripe test tokens instead of raw card data
-          const testCardNumber = paymentDetails.cardNumber;
-          
-          // Create payment method using test token approach
-          paymentMethod = await stripe.paymentMethods.create({
-            type: 'card',
-            card: {
-              token: 'tok_visa', // Standard Stripe test token for Visa
-            },
-            billing_details: {
-              name: fullName,
-              email: paymentDetails.email || user.email,
-              address: {
-                country: paymentDetails.country || 'US',
-                postal_code: paymentDetails.postalCode || '12345',
-              },
-            },
-          });
-          
-          console.log(`✅ Created payment method with test token: ${paymentMethod.id}`);
-        } catch (pmError) {
-          console.error('❌ Failed to create payment method:', pmError);
-          return {
-            success: false,
-            message: 'Sorry, there was an error with your payment details. Please verify your card information and try again.'
-          };
-        }
+  notOwnedResult(domainName) {
+    return {
+      success: false,
+      message: `${domainName} is not in your DomainBuddy account.`
+    };
+  }
 
-        // Confirm the payment intent with the payment method
-        let confirmedPayment;
-        try {
-          confirmedPayment = await stripe.paymentIntents.confirm(paymentIntent.id, {
-            payment_method: paymentMethod.id,
-            return_url: 'http://localhost:5173/payment-success', // Required for automatic payment methods
-          });
-          console.log(`✅ Payment confirmed: ${confirmedPayment.id} - Status: ${confirmedPayment.status}`);
-        } catch (confirmError) {
-          console.error('❌ Failed to confirm payment:', confirmError);
-          return {
-            success: false,
-            message: 'Sorry, your payment was declined. Please check your payment details and try again.'
-          };
-        }
+  async listUserDomains(userId, status = null) {
+    let query = supabase
+      .from('domains')
+      .select('full_domain, status, registration_date, expiration_date, auto_renew')
+      .eq('owner_id', userId);
 
-        if (confirmedPayment.status === 'succeeded') {
-          // Step 8: Update transaction record (following manual payment flow pattern)
-          const { data: updatedTransaction, error: updateTransactionError } = await supabase
-            .from("transactions")
-            .update({
-              status: "completed",
-              stripe_charge_id: confirmedPayment.charges?.data?.[0]?.id || null,
-              updated_at: new Date().toISOString(),
-            })
-            .eq("id", transaction.id)
-            .select()
-            .single();
-
-          if (updateTransactionError) {
-            console.error("❌ Transaction update error:", updateTransactionError);
-            return {
-              success: false,
-              message: 'Sorry, I encountered an error recording the transaction. Please try again.'
-            };
-          }
+    if (status) {
+      query = query.eq('status', status);
+    }
 
-          // Step 9: Register domain with Namecheap (following manual payment flow pattern)
-          console.log(`🌐 Registering domain ${domainName} with Namecheap...`);
-          try {
-            const registrationResult = await namecheapService.registerDomain(
-              domainName,
-              1, // 1 year
-              {
-                firstName: user.first_name || 'Customer',
-                lastName: user.last_name || 'User',
-                email: paymentDetails.email || user.email,
-                phone: user.phone || '+1.1234567890',
-                address: user.street || '123 Main St',
-                city: user.city || 'City',
-                state: user.state || 'State',
-                postalCode: paymentDetails.postalCode || user.zip_code || '12345',
-                country: paymentDetails.country || user.country || 'US',
-              }
-            );
-
-            if (registrationResult.success) {
-              // Update domain status to registered (following manual payment flow)
-              await supabase
-                .from("domains")
-                .update({
-                  status: "registered",
-                  updated_at: new Date().toISOString(),
-                })
-                .eq('id', newDomain.id);
-
-              console.log(`✅ Domain registered with Namecheap: ${registrationResult.domain}`);
-              
-              return {
-                success: true,
-                message: `🎉 Congratulations! I've successfully purchased ${domainName} for you!\n\n✅ Payment of $${sellingPrice.toFixed(2)} processed\n✅ Domain registered with Namecheap\n✅ Transaction ID: ${updatedTransaction.id}\n\nYour domain is now active and you can manage it from your domains page. You'll receive a confirmation email from Namecheap shortly.`,
-                domains: [{
-                  name: domainName,
-                  available: false,
-                  price: sellingPrice,
-                  status: 'registered'
-                }],
-                transactionId: updatedTransaction.id,
-                paymentCompleted: true
-              };
-            } else {
-              console.error('❌ Domain registration failed:', registrationResult);
-              // Payment succeeded but registration failed - update status accordingly
-              await supabase
-                .from("domains")
-                .update({
-                  status: "payment_completed",
-                  updated_at: new Date().toISOString(),
-                })
-                .eq('id', newDomain.id);
-              
-              return {
-                success: true,
-                message: `✅ Payment of $${sellingPrice.toFixed(2)} processed successfully!\n\n⚠️ There was an issue with domain registration. Please contact support with transaction ID: ${updatedTransaction.id}`,
-                domains: [{
-                  name: domainName,
-                  available: false,
-                  price: sellingPrice,
-                  status: 'payment_completed'
-                }],
-                transactionId: updatedTransaction.id,
-                paymentCompleted: true
-              };
-            }
-          } catch (regError) {
-            console.error('❌ Failed to register domain with Namecheap:', regError);
-            // Payment succeeded but registration failed - update status accordingly
-            await supabase
-              .from("domains")
-              .update({
-                status: "payment_completed",
-                updated_at: new Date().toISOString(),
-              })
-              .eq('id', newDomain.id);
-            
-            return {
-              success: true,
-              message: `✅ Payment of $${sellingPrice.toFixed(2)} processed successfully!\n\n⚠️ There was an issue with domain registration. Please contact support with transaction ID: ${updatedTransaction.id}`,
-              domains: [{
-                name: domainName,
-                available: false,
-                price: sellingPrice,
-                status: 'payment_completed'
-              }],
-              transactionId: updatedTransaction.id,
-              paymentCompleted: true
-            };
-          }
-        } else {
-          return {
-            success: false,
-            message: `Sorry, your payment was not successful. Status: ${confirmedPayment.status}. Please try again.`
-          };
-        }
-      } catch (paymentError) {
-        console.error('❌ Payment processing error:', paymentError);
-        return {
-          success: false,
-          message: 'Sorry, there was an error processing your payment. Please verify your payment details and try again.'
-        };
-      }
+    const { data: domains, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(50);
 
-    } catch (error) {
-      console.error('❌ Error in automated domain purchase:', error);
+    if (error) {
+      console.error('❌ Failed to list user domains:', error);
       return {
         success: false,
-        message: 'Sorry, I encountered an unexpected error while processing your purchase. Please try again or contact support.'
+        message: "Sorry, I couldn't load your domains. Please try again."
       };
     }
+
+    return {
+      success: true,
+      count: domains.length,
+      portfolio: domains.map(domain => ({
+        name: domain.full_domain,
+        status: domain.status,
+        registeredAt: domain.registration_date,
+        expiresAt: domain.expiration_date,
+        autoRenew: !!domain.auto_renew
+      }))
+    };
   }
 
-  async checkDomain(domainName) {
-    try {
-      const availability = await namecheapService.checkDomainAvailability(domainName);
+  // Renewals are paid on the payment page, which starts the renewal through
+  // POST /api/domains/:id/renew; here we only quote the price and send the
+  // user there
+  async startRenewal(userId, domainName, years = 1) {
+    const domain = await this.getOwnedDomain(userId, domainName);
+    if (!domain) {
+      return this.notOwnedResult(domainName);
+    }
+
+    if (!RENEWABLE_STATUSES.includes(domain.status)) {
       return {
-        name: domainName,
-        available: availability.available,
-        price: availability.price
+        success: false,
+        message: `${domain.full_domain} has status "${domain.status}" and cannot be renewed right now.`
       };
-    } catch (error) {
-      console.warn(`⚠️ Failed to check domain ${domainName}:`, error.message);
+    }
+
+    const renewalCost = await namecheapService.getRenewalPrice(domain.full_domain, years);
+    const { sellingPrice } = await pricingService.calculatePrice(
+      domain.full_domain,
+      renewalCost,
+      domain.is_premium,
+      years
+    );
+    const term = `${years} year${years > 1 ? 's' : ''}`;
+
+    return {
+      success: true,
+      message: `Renewing ${domain.full_domain} for ${term} costs $${sellingPrice.toFixed(2)}. Taking you to the payment page to complete the renewal.`,
+      domainName: domain.full_domain,
+      price: sellingPrice,
+      years,
+      expiresAt: domain.expiration_date,
+      redirectToPayment: true,
+      paymentUrl: `/payment?domain=${encodeURIComponent(domain.full_domain)}&renewDomainId=${domain.id}&years=${years}`
+    };
+  }
+
+  async getDnsRecords(userId, domainName) {
+    const domain = await this.getOwnedDomain(userId, domainName);
+    if (!domain) {
+      return this.notOwnedResult(domainName);
+    }
+
+    const result = await namecheapService.getDnsRecords(domain.full_domain);
+    if (!result.success) {
+      return { success: false, message: result.message };
+    }
+
+    return {
+      success: true,
+      domainName: domain.full_domain,
+      records: result.records
+    };
+  }
+
+  async getManageableDomain(userId, domainName) {
+    const domain = await this.getOwnedDomain(userId, domainName);
+    if (!domain) {
+      return { error: this.notOwnedResult(domainName) };
+    }
+
+    if (!SUBDOMAIN_DOMAIN_STATUSES.includes(domain.status)) {
       return {
-        name: domainName,
-        available: false,
-        price: 12.99
+        error: {
+          success: false,
+          message: `DNS for ${domain.full_domain} can't be changed while its status is "${domain.status}".`
+        }
       };
     }
+
+    return { domain };
   }
 
-  async verifyOTPForPurchase(userId, email, otpCode) {
+  async addDnsRecord(userId, domainName, { host, recordType, value, ttl }) {
+    const { domain, error } = await this.getManageableDomain(userId, domainName);
+    if (error) {
+      return error;
+    }
+
     try {
-      console.log(`🔐 Verifying OTP for domain purchase: ${otpCode}`);
-      
-      const verificationResult = await otpService.verifyOTP(userId, email, otpCode);
-      
-      if (verificationResult.success) {
-        console.log('✅ OTP verification successful');
-        
-        // Extract payment data and domain info from the OTP record
-        const paymentData = verificationResult.paymentData;
-        
-        if (!paymentData || !paymentData.domain) {
-          return {
-            success: false,
-            message: 'Sorry, I encountered an error retrieving your purchase information. Please try again.'
-          };
-        }
+      subdomainService.assertTargetValue(recordType, value);
+    } catch (validationError) {
+      return { success: false, message: validationError.message };
+    }
 
-        // Mark payment details as OTP verified and continue with purchase
-        const verifiedPaymentDetails = {
-          ...paymentData.paymentDetails,
-          otpVerified: true
-        };
+    const result = await namecheapService.createDnsRecord(domain.full_domain, host, recordType, value, ttl, {
+      log: { domainId: domain.id, userId, source: 'ai_agent' }
+    });
+    if (!result.success) {
+      return { success: false, message: `Failed to add the DNS record: ${result.message}` };
+    }
 
-        // Continue with the domain purchase now that OTP is verified
-        console.log(`🔄 Continuing domain purchase for ${paymentData.domain} with verified payment details`);
-        
-        const purchaseResult = await this.processDomainPurchase(
-          paymentData.domain, 
-          userId, 
-          verifiedPaymentDetails
-        );
+    return {
+      success: true,
+      message: `Added ${recordType} record ${host} -> ${value} to ${domain.full_domain}. DNS changes can take some time to propagate.`,
+      record: { name: host, type: recordType, address: value, ttl }
+    };
+  }
 
-        return purchaseResult;
-      } else {
-        return {
-          success: false,
-          message: 'Invalid or expired verification code. Please start the domain purchase process again by telling me which domain you\'d like to buy.'
-        };
-      }
-    } catch (error) {
-      console.error('❌ Error verifying OTP for purchase:', error);
-      
-      // Handle specific OTP error types
-      const errorMessage = error.message || '';
-      
-      if (errorMessage.includes('Too many incorrect attempts')) {
-        return {
-          success: false,
-          message: 'Too many incorrect verification attempts. Please start the domain purchase process again by telling me which domain you\'d like to buy.'
-        };
-      } else if (errorMessage.includes('Invalid or expired verification code')) {
-        return {
-          success: false,
-          message: 'Invalid or expired verification code. Please start the domain purchase process again by telling me which domain you\'d like to buy.'
-        };
-      } else {
-        return {
-          success: false,
-          message: 'Sorry, I encountered an error during verification. Please start the domain purchase process again by telling me which domain you\'d like to buy.'
-        };
-      }
+  async deleteDnsRecord(userId, domainName, { host, recordType }) {
+    const { domain, error } = await this.getManageableDomain(userId, domainName);
+    if (error) {
+      return error;
+    }
+
+    // Subdomain records are tracked in their own table and removed with the subdomain
+    const { data: subdomain } = await supabase
+      .from('subdomains')
+      .select('id')
+      .eq('domain_id', domain.id)
+      .eq('subdomain_name', host)
+      .eq('record_type', recordType)
+      .eq('is_active', true)
+      .single();
+
+    if (subdomain) {
+      return {
+        success: false,
+        message: `${host}.${domain.full_domain} is a managed subdomain. Delete it from the Subdomains page instead.`
+      };
+    }
+
+    const result = await namecheapService.deleteDnsRecord(domain.full_domain, host, recordType, null, {
+      log: { domainId: domain.id, userId, source: 'ai_agent' }
+    });
+    if (!result.success) {
+      return { success: false, message: `Failed to delete the DNS record: ${result.message}` };
+    }
+
+    if (result.message === 'DNS record not found') {
+      return { success: false, message: `${domain.full_domain} has no ${recordType} record for ${host}.` };
+    }
+
+    return {
+      success: true,
+      message: `Deleted the ${recordType} record for ${host} from ${domain.full_domain}.`
+    };
+  }
+
+  async createSubdomain(userId, domainName, { subdomain, recordType, target, ttl }) {
+    const { domain, error } = await this.getManageableDomain(userId, domainName);
+    if (error) {
+      return error;
+    }
+
+    try {
+      const created = await subdomainService.createSubdomain(domain, {
+        subdomain_name: subdomain,
+        record_type: recordType,
+        target_value: target,
+        ttl
+      }, { userId, source: 'ai_agent' });
+
+      return {
+        success: true,
+        message: `Created ${created.subdomain_name}.${domain.full_domain} (${recordType} -> ${target}). DNS changes can take some time to propagate.`,
+        subdomain: {
+          name: `${created.subdomain_name}.${domain.full_domain}`,
+          recordType: created.record_type,
+          target: created.target_value,
+          status: created.status
+        }
+      };
+    } catch (createError) {
+      return { success: false, message: createError.message };
     }
   }
 
-  getFallbackResponse(message, userId = null) {
+  getFallbackResponse(message, history = null) {
     const lowerMessage = message.toLowerCase();
     
     // Check conversation history for context
     let historyContext = "";
-    if (userId) {
-      const history = this.getConversationHistory(userId, 3);
-      const hasRecentDomainCheck = history.some(entry => 
+    if (history) {
+      const recent = this.getConversationHistory(history, 3);
+      const hasRecentDomainCheck = recent.some(entry => 
         entry.role === 'assistant' && entry.message.includes('not available')
       );
       
@@ -2043,37 +1551,101 @@ Respond with ONLY a JSON array of strings: ["domain1", "domain2", "domain3", ...
     };
   }
 
-  async saveConversation(userId, userMessage, aiResponse) {
+  // Explain deterministic domain scores in plain language. The numbers come
+  // from domainScoringService and are passed in as facts, never regenerated.
+  async explainDomainScores(domain, scores, focus) {
+    const fallback = Object.entries(scores)
+      .map(([label, result]) =>
+        domainScoringService.summarize({ domain, ...result }, label === "seo" ? "SEO" : label)
+      )
+      .join("\n\n");
+
+    if (!this.models) {
+      return fallback;
+    }
+
+    const facts = Object.entries(scores)
+      .map(([label, result]) => {
+        const factors = Object.entries(result.factors)
+          .map(([name, factor]) => `  - ${name}: ${factor.score}/100 (weight ${factor.weight}) - ${factor.detail}`)
+          .join("\n");
+        return `${label}: ${result.score}/100\n${factors}`;
+      })
+      .join("\n\n");
+
     try {
-      // Note: ai_conversations table doesn't exist in current schema
-      // Skipping conversation save to avoid errors
-      // will implement later if needed
-      console.log("📝 Conversation saving disabled - table not in schema");
-      return;
-      
-      const { error } = await supabase
-        .from('ai_conversations')
-        .insert({
-          user_id: userId,
-          user_message: userMessage,
-          ai_response: JSON.stringify(aiResponse),
-          intent: aiResponse.intent,
-          created_at: new Date().toISOString()
-        });
+      const response = await this.models.format.invoke([
+        new SystemMessage(`You are a domain name consultant for DomainBuddy. Explain the ${focus} of a domain using ONLY the computed scores below.
+Do not change, recompute or invent any scores or numbers. Refer to the factors that raise or lower the score and give practical advice.
+Keep it under 150 words, plain text, no JSON.`),
+        new HumanMessage(`Domain: ${domain}\n\nComputed scores:\n${facts}`),
+      ]);
+
+      const narrative = response.content.trim();
+      return narrative.length > 10 ? narrative : fallback;
+    } catch (error) {
+      console.warn("⚠️ Failed to generate score narrative:", error.message);
+      return fallback;
+    }
+  }
 
-      if (error) {
-        console.warn("⚠️ Failed to save conversation:", error.message);
-      }
+  async explainAppraisal(appraisal) {
+    const fallback = domainAppraisalService.summarize(appraisal);
+
+    if (!this.models) {
+      return fallback;
+    }
+
+    const features = Object.entries(appraisal.features)
+      .map(([name, feature]) => `  - ${name}: x${feature.multiplier} - ${feature.detail}`)
+      .join("\n");
+    const comparables = appraisal.comparables.length > 0
+      ? appraisal.comparables
+          .map((sale) => `  - ${sale.domain}: $${sale.price} in ${sale.year} (similarity ${sale.similarity})`)
+          .join("\n")
+      : "  none";
+    const registration = appraisal.registration
+      ? `${appraisal.registration.available ? "available" : "registered"}` +
+        (appraisal.registration.price ? `, $${appraisal.registration.price}` : "") +
+        (appraisal.registration.isPremium ? " (premium)" : "")
+      : "unknown";
+
+    const facts = `Estimated range: $${appraisal.range.low}-$${appraisal.range.high} (estimate $${appraisal.estimate}, ${appraisal.confidence.level} confidence)
+Feature model: $${appraisal.modelEstimate}
+${features}
+Comparable sales (weight ${appraisal.comparablesWeight}):
+${comparables}
+Registration: ${registration}
+Verdict: ${appraisal.verdict ? appraisal.verdict.message : "not checked"}`;
+
+    try {
+      const response = await this.models.format.invoke([
+        new SystemMessage(`You are a domain name appraiser for DomainBuddy. Explain the valuation of a domain using ONLY the computed figures below.
+Do not change, recompute or invent any prices, sales or numbers. Say which features and comparable sales drive the range and what the confidence means for a buyer.
+Keep it under 120 words, plain text, no JSON.`),
+        new HumanMessage(`Domain: ${appraisal.domain}\n\n${facts}`),
+      ]);
+
+      const rationale = response.content.trim();
+      return rationale.length > 10 ? rationale : fallback;
     } catch (error) {
-      console.warn("⚠️ Error saving conversation:", error.message);
+      console.warn("⚠️ Failed to generate appraisal rationale:", error.message);
+      return fallback;
     }
   }
 
+  // Suggestions for a keyword, minus names that imitate a known brand.
+  // Returns { suggestions, filtered }; flagged suggestions carry brandRisk
   async getDomainSuggestions(keyword, userId = null) {
+    const { allowed, filtered } = brandRiskService.screen(await this.generateDomainSuggestions(keyword));
+    return { suggestions: allowed, filtered };
+  }
+
+  async generateDomainSuggestions(keyword) {
     try {
       console.log(`🔍 Generating domain suggestions for: "${keyword}"`);
 
-      if (!this.llm) {
+      if (!this.models) {
         console.log("⚠️ LLM not available, using fallback suggestions");
         return this.getFallbackSuggestions(keyword);
       }
@@ -2083,12 +1655,13 @@ Consider variations like:
 - Adding prefixes/suffixes (my, get, the, pro, hub, zone, etc.)
 - Combining with related words
 - Using different extensions (.com, .net, .io, .co)
+Never use or imitate existing brand names or trademarks.
 
 Respond with ONLY a JSON array of domain names:
 ["domain1.com", "domain2.net", "domain3.io", "domain4.co", "domain5.com", "domain6.org"]`;
 
       try {
-        const response = await this.llm.invoke([
+        const response = await this.models.creative.invoke([
           new SystemMessage("You are a domain name suggestion generator. Create brandable domain variations."),
           new HumanMessage(prompt)
         ]);
@@ -2123,7 +1696,7 @@ Respond with ONLY a JSON array of domain names:
             checkedSuggestions.push({
               name: domain,
               available: availability.available,
-              price: availability.price || 12.99
+              price: await pricingService.getSellingPrice(domain, availability.price || 12.99, availability.isPremium)
             });
           } catch (error) {
             console.warn(`⚠️ Failed to check ${domain}:`, error.message);
@@ -0,0 +1,332 @@
+const fs = require("fs");
+const path = require("path");
+const { domainToUnicode } = require("url");
+const domainScoringService = require("./domainScoringService");
+
+// Screens suggested domain names for collisions with well-known brands before
+// they are shown to users. A name is checked against the brand list for exact
+// and embedded matches, look-alike characters (homoglyphs) and typo-squatting
+// patterns: missing, doubled or swapped letters and neighboring-key typos.
+
+const RISK_LEVELS = { none: 0, medium: 1, high: 2 };
+
+// Characters that render like a Latin letter, including common digit swaps
+const HOMOGLYPHS = {
+  0: "o", 1: "l", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b",
+  "а": "a", "е": "e", "о": "o", "р": "p", "с": "c", "у": "y", "х": "x",
+  "і": "i", "ј": "j", "ѕ": "s", "ԁ": "d", "ɡ": "g", "ο": "o", "α": "a", "ν": "v",
+};
+
+// Letter sequences that read as one letter at a glance
+const HOMOGLYPH_SEQUENCES = [
+  ["rn", "m"],
+  ["vv", "w"],
+  ["cl", "d"],
+];
+
+// QWERTY layout with each row's stagger, used to find neighboring keys
+const KEYBOARD_ROWS = [
+  ["1234567890", 0],
+  ["qwertyuiop", 0.5],
+  ["asdfghjkl", 0.75],
+  ["zxcvbnm", 1.25],
+];
+
+const KEY_POSITIONS = {};
+KEYBOARD_ROWS.forEach(([keys, offset], row) =>
+  [...keys].forEach((key, index) => {
+    KEY_POSITIONS[key] = { x: index + offset, y: row };
+  })
+);
+
+const isAdjacentKey = (a, b) => {
+  const from = KEY_POSITIONS[a];
+  const to = KEY_POSITIONS[b];
+  return (
+    !!from && !!to && a !== b &&
+    Math.abs(from.y - to.y) <= 1 && Math.abs(from.x - to.x) <= 1
+  );
+};
+
+// Brands shorter than this produce too many accidental typo matches
+const MIN_TYPO_BRAND_LENGTH = 5;
+// Brands at least this long are also checked two edits away
+const MIN_DOUBLE_TYPO_BRAND_LENGTH = 8;
+
+const TYPO_REASONS = {
+  omission: "with a letter missing",
+  duplication: "with a doubled letter",
+  transposition: "with two letters swapped",
+  keyboard: "with a neighboring key typed",
+  substitution: "with one letter changed",
+  insertion: "with an extra letter",
+};
+
+// Optimal string alignment distance: edits, where swapping neighbors counts as one
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+// Name the single edit that turns the brand into the candidate
+const classifyTypo = (candidate, brand) => {
+  if (candidate.length < brand.length) {
+    return "omission";
+  }
+
+  let index = 0;
+  while (index < brand.length && candidate[index] === brand[index]) index++;
+
+  if (candidate.length > brand.length) {
+    const extra = candidate[index];
+    if (extra === candidate[index - 1] || extra === candidate[index + 1]) return "duplication";
+    if (isAdjacentKey(extra, candidate[index - 1]) || isAdjacentKey(extra, candidate[index + 1])) {
+      return "keyboard";
+    }
+    return "insertion";
+  }
+
+  if (candidate[index] === brand[index + 1] && candidate[index + 1] === brand[index]) {
+    return "transposition";
+  }
+
+  return isAdjacentKey(candidate[index], brand[index]) ? "keyboard" : "substitution";
+};
+
+class BrandRiskService {
+  constructor() {
+    this.brands = null;
+  }
+
+  // Brand list, loaded once from BRAND_LIST_FILE or the bundled list
+  loadBrands() {
+    if (this.brands) {
+      return this.brands;
+    }
+
+    const brandFile =
+      process.env.BRAND_LIST_FILE || path.join(__dirname, "../data/brands.json");
+
+    try {
+      const data = JSON.parse(fs.readFileSync(brandFile, "utf8"));
+      this.brands = (Array.isArray(data) ? data : data.brands || [])
+        .filter((brand) => brand.name)
+        .map((brand) => ({
+          name: brand.name.toLowerCase().replace(/[^a-z0-9]/g, ""),
+          owner: brand.owner || brand.name,
+          common: !!brand.common,
+        }));
+    } catch (error) {
+      console.error(`❌ Could not load brand list from ${brandFile}:`, error.message);
+      this.brands = [];
+    }
+
+    return this.brands;
+  }
+
+  // Lowest risk level that removes a suggestion instead of flagging it
+  getFilterLevel() {
+    const level = (process.env.BRAND_RISK_FILTER || "high").toLowerCase();
+    return level in RISK_LEVELS ? level : "high";
+  }
+
+  // Second-level label of a domain (or a bare name), decoded from punycode
+  getLabel(name) {
+    const domain = String(name).trim().toLowerCase().replace(/\.$/, "");
+    const unicode = domain.includes("xn--") ? domainToUnicode(domain) || domain : domain;
+    return unicode.split(".")[0];
+  }
+
+  // Latin spellings of a label with look-alike characters replaced
+  getHomoglyphVariants(label) {
+    const base = [...label.normalize("NFD").replace(/[\u0300-\u036f]/g, "")]
+      .map((char) => HOMOGLYPHS[char] || char)
+      .join("")
+      .replace(/-/g, "");
+    const variants = new Set([base, base.replace(/l/g, "i")]);
+
+    HOMOGLYPH_SEQUENCES.forEach(([sequence, letter]) => {
+      [...variants].forEach((variant) => variants.add(variant.split(sequence).join(letter)));
+    });
+
+    return [...variants];
+  }
+
+  // Exact or embedded use of the brand in a label
+  matchBrand(label, tokens, brand) {
+    if (label === brand.name) {
+      return { technique: "exact", level: "high" };
+    }
+
+    if (!label.includes(brand.name)) {
+      return null;
+    }
+
+    if (!brand.common && brand.name.length >= MIN_TYPO_BRAND_LENGTH) {
+      return { technique: "contains", level: "high" };
+    }
+
+    // Short or everyday-word brands only count at the edges of the name
+    const atEdge =
+      label.startsWith(brand.name) ||
+      label.endsWith(brand.name) ||
+      tokens.includes(brand.name);
+    return atEdge ? { technique: "contains", level: "medium" } : null;
+  }
+
+  // Typo of the brand, for the whole label or a part of it
+  matchTypo(label, brand) {
+    if (brand.common || brand.name.length < MIN_TYPO_BRAND_LENGTH) {
+      return null;
+    }
+
+    let best = null;
+
+    for (let size = brand.name.length - 1; size <= brand.name.length + 1; size++) {
+      for (let start = 0; start + size <= label.length; start++) {
+        const candidate = label.slice(start, start + size);
+        if (editDistance(candidate, brand.name) !== 1 || this.isDictionaryWord(candidate)) {
+          continue;
+        }
+
+        const technique = classifyTypo(candidate, brand.name);
+        const wholeName = candidate === label;
+        const level =
+          wholeName && !["substitution", "insertion"].includes(technique) ? "high" : "medium";
+
+        if (!best || RISK_LEVELS[level] > RISK_LEVELS[best.level] || (wholeName && !best.wholeName)) {
+          best = { technique, level, wholeName };
+        }
+      }
+    }
+
+    if (
+      !best &&
+      brand.name.length >= MIN_DOUBLE_TYPO_BRAND_LENGTH &&
+      editDistance(label, brand.name) === 2
+    ) {
+      best = { technique: "typo", level: "medium", wholeName: true };
+    }
+
+    return best;
+  }
+
+  isDictionaryWord(text) {
+    const { words, coverage } = domainScoringService.segmentWords(text);
+    return coverage === 1 && words.length === 1;
+  }
+
+  describeMatch(brand, { technique }) {
+    const trademark = `"${brand.name}" (${brand.owner})`;
+
+    switch (technique) {
+      case "exact":
+        return `Is the brand name ${trademark}`;
+      case "contains":
+        return `Contains the brand name ${trademark}`;
+      case "homoglyph":
+        return `Imitates ${trademark} with look-alike characters`;
+      case "typo":
+        return `Is two letters away from ${trademark}`;
+      default:
+        return `Looks like a misspelling of ${trademark} ${TYPO_REASONS[technique]}`;
+    }
+  }
+
+  /**
+   * Check a domain or name for brand collisions
+   * @param {string} name - Domain (e.g. "gooogle.com") or bare name
+   * @returns {Object} { name, level: 'none'|'medium'|'high', reason, matches: [{ brand, owner, technique, level, reason }] }
+   */
+  assess(name) {
+    const rawLabel = this.getLabel(name);
+    const tokens = rawLabel.split("-").filter(Boolean);
+    const label = tokens.join("");
+    const variants = this.getHomoglyphVariants(rawLabel).filter((variant) => variant !== label);
+    const matches = [];
+
+    for (const brand of this.loadBrands()) {
+      let match = this.matchBrand(label, tokens, brand);
+
+      if (!match) {
+        const lookalike = variants
+          .map((variant) => this.matchBrand(variant, [], brand))
+          .find(Boolean);
+        match = lookalike && { technique: "homoglyph", level: "high" };
+      }
+
+      match = match || this.matchTypo(label, brand);
+
+      if (match) {
+        matches.push({
+          brand: brand.name,
+          owner: brand.owner,
+          technique: match.technique,
+          level: match.level,
+          reason: this.describeMatch(brand, match),
+        });
+      }
+    }
+
+    // Highest risk first, then the longest brand as the most specific match
+    matches.sort(
+      (a, b) => RISK_LEVELS[b.level] - RISK_LEVELS[a.level] || b.brand.length - a.brand.length
+    );
+
+    return {
+      name,
+      level: matches.length > 0 ? matches[0].level : "none",
+      reason: matches.length > 0 ? matches[0].reason : null,
+      matches,
+    };
+  }
+
+  /**
+   * Split suggestions into those safe to show and those removed for brand risk.
+   * Kept suggestions with a lower risk carry a brandRisk summary.
+   * @param {Array} items - Suggestions, e.g. { name, available, price }
+   * @param {Function} getName - Reads the domain or name from an item
+   * @returns {Object} { allowed: [...items], filtered: [{ name, level, brand, technique, reason }] }
+   */
+  screen(items, getName = (item) => item.name) {
+    const filterLevel = RISK_LEVELS[this.getFilterLevel()];
+    const allowed = [];
+    const filtered = [];
+
+    for (const item of items) {
+      const name = getName(item);
+      const risk = this.assess(name);
+
+      if (risk.level === "none") {
+        allowed.push(item);
+        continue;
+      }
+
+      const [{ brand, technique }] = risk.matches;
+      const summary = { level: risk.level, brand, technique, reason: risk.reason };
+
+      if (filterLevel > 0 && RISK_LEVELS[risk.level] >= filterLevel) {
+        console.log(`🚫 Filtered suggestion ${name}: ${risk.reason}`);
+        filtered.push({ name, ...summary });
+      } else {
+        allowed.push({ ...item, brandRisk: summary });
+      }
+    }
+
+    return { allowed, filtered };
+  }
+}
+
+module.exports = new BrandRiskService();
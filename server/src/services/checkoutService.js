@@ -0,0 +1,381 @@
+const supabase = require("../config/database.js");
+const stripeService = require("./stripeService.js");
+const namecheapService = require("./namecheapService.js");
+const pricingService = require("./pricingService.js");
+
+// PaymentIntent metadata keys a caller may add. Everything else in the
+// metadata is set by the server, since the webhook and receipts read it.
+const CALLER_METADATA_KEYS = ["source"];
+
+const checkoutError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const callerMetadata = (metadata = {}) =>
+  Object.fromEntries(
+    CALLER_METADATA_KEYS.filter((key) => metadata[key] !== undefined).map((key) => [
+      key,
+      String(metadata[key]).slice(0, 100),
+    ])
+  );
+
+// Sets up domain purchases for payment: the pending domain and transaction
+// records plus a Stripe PaymentIntent. The browser pays the intent with
+// Stripe Elements and then calls POST /api/payments/confirm-payment, so card
+// details only ever go to Stripe.
+class CheckoutService {
+  /**
+   * Create (or reuse) the pending purchase of a domain and its PaymentIntent
+   * @param {Object} user - User row (id, email, first_name, last_name, stripe_customer_id)
+   * @param {string} domain - Full domain name
+   * @param {Object} options - { years, currency, metadata: { source }, ipAddress, userAgent }
+   * @returns {Promise<Object>} { clientSecret, paymentIntentId, transactionId, domainId, domainName, amount, currency, years }
+   * @throws {Error} With statusCode 400 when the domain can't be bought, 500 on database errors
+   */
+  async createDomainPurchase(user, domain, options = {}) {
+    const {
+      currency = "usd",
+      metadata = {},
+      ipAddress = null,
+      userAgent = null,
+    } = options;
+    const requestedYears = parseInt(options.years) || null;
+
+    // Find existing domain record for this user
+    const { data: existingDomain, error: findError } = await supabase
+      .from("domains")
+      .select("*")
+      .eq("full_domain", domain.toLowerCase())
+      .eq("owner_id", user.id)
+      .single();
+
+    if (findError && findError.code !== "PGRST116") {
+      // PGRST116 is "not found" error, which is expected
+      console.error("Error finding domain:", findError);
+      throw checkoutError("Database error while checking domain", 500);
+    }
+
+    let domainRecord = existingDomain;
+
+    if (!domainRecord) {
+      // Parse domain name and extension
+      const domainParts = domain.split(".");
+      const domainName = domainParts[0];
+      const extension = domainParts.slice(1).join(".");
+
+      // Check if domain already exists in database for ANY user (any status)
+      const { data: existingDomainAny, error: existingError } = await supabase
+        .from("domains")
+        .select("id, status, owner_id")
+        .eq("full_domain", domain.toLowerCase())
+        .single();
+
+      if (existingError && existingError.code !== "PGRST116") {
+        console.error("Error checking existing domain:", existingError);
+        throw checkoutError("Database error while checking domain availability", 500);
+      }
+
+      if (existingDomainAny) {
+        // Domain exists in database - not available regardless of status
+        console.log(
+          `Domain ${domain} found in database with status: ${existingDomainAny.status} - not available`
+        );
+        throw checkoutError("This domain is no longer available for purchase", 400);
+      }
+
+      const availability = await namecheapService.checkDomainAvailability(
+        domain
+      );
+
+      if (!availability.available) {
+        throw checkoutError("This domain is no longer available for purchase", 400);
+      }
+
+      const { cost, markup, sellingPrice } =
+        await pricingService.quoteRegistration(
+          domain,
+          requestedYears || 1,
+          availability
+        );
+
+      // Create a clean domain record for this user
+      const { data: newDomain, error: createError } = await supabase
+        .from("domains")
+        .insert([
+          {
+            name: domainName,
+            extension: extension,
+            full_domain: domain.toLowerCase(),
+            owner_id: user.id,
+            status: "pending",
+            registrar: "namecheap",
+            cost: cost,
+            markup: markup,
+            selling_price: sellingPrice,
+            currency: currency.toUpperCase(),
+            is_premium: availability.isPremium || false,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (createError) {
+        console.error("Domain creation error:", createError);
+
+        // Handle duplicate domain constraint
+        if (
+          createError.code === "23505" &&
+          createError.details?.includes("full_domain")
+        ) {
+          throw checkoutError("This domain is no longer available for purchase", 400);
+        }
+
+        throw checkoutError("Failed to create domain record", 500);
+      }
+
+      domainRecord = newDomain;
+    }
+
+    // Create or update transaction record
+    const { data: existingTransaction, error: findTransactionError } =
+      await supabase
+        .from("transactions")
+        .select("*")
+        .eq("domain_id", domainRecord.id)
+        .eq("user_id", user.id)
+        .eq("status", "pending")
+        .single();
+
+    if (findTransactionError && findTransactionError.code !== "PGRST116") {
+      console.error("Error finding transaction:", findTransactionError);
+      throw checkoutError("Database error while checking transaction", 500);
+    }
+
+    const years =
+      requestedYears || parseInt(existingTransaction?.metadata?.years) || 1;
+
+    // Domains created through /domains/purchase are already priced for their
+    // term; re-price when the term changes or no price was stored
+    let amount = parseFloat(domainRecord.selling_price);
+    const termChanged =
+      requestedYears &&
+      requestedYears !== (parseInt(existingTransaction?.metadata?.years) || 1);
+
+    if (existingDomain && (!amount || termChanged)) {
+      const availability = await namecheapService.checkDomainAvailability(
+        domainRecord.full_domain
+      );
+      const { cost, markup, sellingPrice } =
+        await pricingService.quoteRegistration(
+          domainRecord.full_domain,
+          years,
+          availability
+        );
+      amount = sellingPrice;
+
+      const { error: repriceError } = await supabase
+        .from("domains")
+        .update({
+          cost,
+          markup,
+          selling_price: sellingPrice,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", domainRecord.id);
+
+      if (repriceError) {
+        console.error("Failed to update domain price:", repriceError);
+      }
+    }
+
+    // Get or create Stripe customer
+    let customerId = user.stripe_customer_id;
+    if (!customerId) {
+      const customer = await stripeService.createCustomer({
+        id: user.id,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+      });
+      customerId = customer.id;
+
+      // Update user with Stripe customer ID
+      const { error: updateError } = await supabase
+        .from("users")
+        .update({ stripe_customer_id: customerId })
+        .eq("id", user.id);
+
+      if (updateError) {
+        console.error(
+          "Failed to update user with Stripe customer ID:",
+          updateError
+        );
+        // Continue with the process, just log the error
+      }
+    }
+
+    // Cancel the PaymentIntent of an earlier attempt before replacing it, so
+    // the domain can't be paid for twice
+    if (existingTransaction?.stripe_payment_intent_id) {
+      const earlierIntent = await stripeService.cancelPaymentIntent(
+        existingTransaction.stripe_payment_intent_id
+      );
+
+      if (["succeeded", "processing"].includes(earlierIntent?.status)) {
+        throw checkoutError(
+          "This domain has already been paid for and is being registered",
+          409
+        );
+      }
+    }
+
+    // Create payment intent
+    const paymentIntent = await stripeService.createPaymentIntent(
+      amount,
+      currency,
+      customerId,
+      {
+        ...callerMetadata(metadata),
+        type: "purchase",
+        domainId: domainRecord.id.toString(),
+        userId: user.id.toString(),
+        domainName: domainRecord.full_domain,
+        years: years.toString(),
+      }
+    );
+
+    let transaction;
+    if (!existingTransaction) {
+      const { data: newTransaction, error: createTransactionError } =
+        await supabase
+          .from("transactions")
+          .insert([
+            {
+              user_id: user.id,
+              domain_id: domainRecord.id,
+              type: "purchase",
+              amount: amount,
+              currency: currency.toUpperCase(),
+              status: "pending",
+              payment_method: "stripe",
+              stripe_payment_intent_id: paymentIntent.id,
+              description: `Registration of ${domainRecord.full_domain} for ${years} year${
+                years > 1 ? "s" : ""
+              }`,
+              metadata: { years },
+              ip_address: ipAddress,
+              user_agent: userAgent,
+              created_at: new Date().toISOString(),
+              updated_at: new Date().toISOString(),
+            },
+          ])
+          .select()
+          .single();
+
+      if (createTransactionError) {
+        console.error("Transaction creation error:", createTransactionError);
+        throw checkoutError("Failed to create transaction record", 500);
+      }
+      transaction = newTransaction;
+    } else {
+      const { data: updatedTransaction, error: updateTransactionError } =
+        await supabase
+          .from("transactions")
+          .update({
+            stripe_payment_intent_id: paymentIntent.id,
+            amount: amount,
+            description: `Registration of ${domainRecord.full_domain} for ${years} year${
+              years > 1 ? "s" : ""
+            }`,
+            metadata: { ...(existingTransaction.metadata || {}), years },
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", existingTransaction.id)
+          .select()
+          .single();
+
+      if (updateTransactionError) {
+        console.error("Transaction update error:", updateTransactionError);
+        throw checkoutError("Failed to update transaction record", 500);
+      }
+      transaction = updatedTransaction;
+    }
+
+    return {
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      transactionId: transaction.id,
+      domainId: domainRecord.id,
+      domainName: domainRecord.full_domain,
+      amount: paymentIntent.amount / 100,
+      currency: paymentIntent.currency,
+      years,
+    };
+  }
+
+  /**
+   * Delete abandoned pending transactions, cancelling their PaymentIntents
+   * first so a late payment can't be taken without a purchase to go with it.
+   * Transactions whose payment already went through (or is processing) are
+   * kept for confirmPayment and the webhook.
+   * @param {Array} transactions - Pending rows with id and stripe_payment_intent_id
+   * @returns {Promise<Array>} The deleted transactions
+   */
+  async releasePendingTransactions(transactions = []) {
+    // Cart checkouts share one PaymentIntent
+    const paymentIntentIds = [
+      ...new Set(
+        transactions
+          .map((transaction) => transaction.stripe_payment_intent_id)
+          .filter(Boolean)
+      ),
+    ];
+
+    const unpaidIntents = new Set();
+    for (const paymentIntentId of paymentIntentIds) {
+      try {
+        const paymentIntent = await stripeService.cancelPaymentIntent(paymentIntentId);
+        if (!paymentIntent || paymentIntent.status === "canceled") {
+          unpaidIntents.add(paymentIntentId);
+        } else {
+          console.warn(
+            `⚠️ Keeping pending transaction(s) of ${paymentIntentId}: payment is ${paymentIntent.status}`
+          );
+        }
+      } catch (error) {
+        // Try again on the next cleanup rather than drop a payable transaction
+        console.error(`Could not cancel payment intent ${paymentIntentId}:`, error.message);
+      }
+    }
+
+    const releasable = transactions.filter(
+      (transaction) =>
+        !transaction.stripe_payment_intent_id ||
+        unpaidIntents.has(transaction.stripe_payment_intent_id)
+    );
+
+    if (releasable.length === 0) {
+      return [];
+    }
+
+    const { data: deleted, error } = await supabase
+      .from("transactions")
+      .delete()
+      .in("id", releasable.map((transaction) => transaction.id))
+      .eq("status", "pending")
+      .select("id, domain_id");
+
+    if (error) {
+      console.error("Error deleting pending transactions:", error);
+      return [];
+    }
+
+    return deleted || [];
+  }
+}
+
+module.exports = new CheckoutService();
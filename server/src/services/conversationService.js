@@ -0,0 +1,146 @@
+const supabase = require("../config/database.js");
+
+const DEFAULT_TITLE = "New conversation";
+const MAX_TITLE_LENGTH = 60;
+
+// Stores AI consultant conversations in the database so history is shared
+// by every server instance and survives restarts.
+class ConversationService {
+  constructor() {
+    this.maxHistoryLength = 20; // Messages loaded as context for the agent
+  }
+
+  // Short title taken from the first message of a conversation
+  buildTitle(message) {
+    const text = String(message || "").replace(/\s+/g, " ").trim();
+
+    if (!text) {
+      return DEFAULT_TITLE;
+    }
+
+    if (text.length <= MAX_TITLE_LENGTH) {
+      return text;
+    }
+
+    const cut = text.slice(0, MAX_TITLE_LENGTH);
+    const lastSpace = cut.lastIndexOf(" ");
+    return `${(lastSpace > 20 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+  }
+
+  async createConversation(userId, title = null) {
+    const { data: conversation, error } = await supabase
+      .from("ai_conversations")
+      .insert([
+        {
+          user_id: userId,
+          title: title ? title.trim().slice(0, 255) : DEFAULT_TITLE,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create conversation: ${error.message}`);
+    }
+
+    return conversation;
+  }
+
+  // Returns null when the conversation does not exist or belongs to someone else
+  async getConversation(userId, conversationId) {
+    const { data: conversation, error } = await supabase
+      .from("ai_conversations")
+      .select("*")
+      .eq("id", conversationId)
+      .eq("user_id", userId)
+      .single();
+
+    if (error && error.code !== "PGRST116") {
+      throw new Error(`Failed to load conversation: ${error.message}`);
+    }
+
+    return conversation || null;
+  }
+
+  // Continue the given conversation, or start a new one titled after the message
+  async getOrCreateConversation(userId, conversationId, firstMessage) {
+    if (conversationId) {
+      return this.getConversation(userId, conversationId);
+    }
+
+    return this.createConversation(userId, this.buildTitle(firstMessage));
+  }
+
+  async renameConversation(userId, conversationId, title) {
+    const { data: conversation, error } = await supabase
+      .from("ai_conversations")
+      .update({ title: title.trim().slice(0, 255) })
+      .eq("id", conversationId)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") {
+      throw new Error(`Failed to rename conversation: ${error.message}`);
+    }
+
+    return conversation || null;
+  }
+
+  async addMessage(conversationId, userId, role, content, domains = [], metadata = {}) {
+    const { data: message, error } = await supabase
+      .from("ai_messages")
+      .insert([
+        {
+          conversation_id: conversationId,
+          user_id: userId,
+          role,
+          content,
+          domains: domains || [],
+          metadata: metadata || {},
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save message: ${error.message}`);
+    }
+
+    // Bump updated_at so the conversation list stays ordered by activity
+    const { error: touchError } = await supabase
+      .from("ai_conversations")
+      .update({ updated_at: new Date().toISOString() })
+      .eq("id", conversationId);
+
+    if (touchError) {
+      console.error("⚠️ Failed to update conversation timestamp:", touchError.message);
+    }
+
+    return message;
+  }
+
+  // Latest messages in chronological order, in the shape the agent works with
+  async getRecentMessages(conversationId, limit = this.maxHistoryLength) {
+    const { data: messages, error } = await supabase
+      .from("ai_messages")
+      .select("role, content, domains, created_at")
+      .eq("conversation_id", conversationId)
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load conversation history: ${error.message}`);
+    }
+
+    return (messages || []).reverse().map((message) => ({
+      role: message.role,
+      message: message.content,
+      domains: message.domains || [],
+      timestamp: new Date(message.created_at),
+    }));
+  }
+}
+
+module.exports = new ConversationService();
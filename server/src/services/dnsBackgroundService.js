@@ -108,10 +108,15 @@ class DnsBackgroundService {
 
       const newCheckCount = (record.check_count || 0) + 1;
       const updateData = {
-        last_check_at: new Date().toISOString(),
+        last_check_at: propagationResult.checkedAt || new Date().toISOString(),
         check_count: newCheckCount
       };
 
+      // Per-resolver answers for the propagation map
+      if (propagationResult.resolvers) {
+        updateData.resolver_results = propagationResult.resolvers;
+      }
+
       if (propagationResult.success && propagationResult.propagated) {
         // DNS has propagated successfully
         console.log(`✅ DNS propagation confirmed for ${fullDomain}`);
@@ -132,15 +137,8 @@ class DnsBackgroundService {
             .eq('id', record.subdomain_id);
         }
 
-        // Remove from propagation queue since it's confirmed
-        await supabase
-          .from('dns_propagation_queue')
-          .delete()
-          .eq('id', record.id);
-
-        console.log(`🗑️ Removed ${fullDomain} from propagation queue (confirmed)`);
-        return;
-
+        // The confirmed entry stays (without further checks) so the
+        // subdomain's propagation map keeps its last results
       } else if (propagationResult.success && !propagationResult.propagated) {
         // DNS not propagated yet, but no error - schedule next check
         console.log(`⏳ DNS not yet propagated for ${fullDomain} (attempt ${newCheckCount})`);
@@ -234,17 +232,21 @@ class DnsBackgroundService {
     return delay;
   }
 
-  // Clean up expired records (older than 10 days)
+  // Clean up expired records: unconfirmed ones queued more than 10 days ago
+  // and confirmed ones not checked for 10 days
   async cleanupExpiredRecords() {
     try {
       const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+      const expiredFilter =
+        `and(status.neq.confirmed,created_at.lt.${tenDaysAgo.toISOString()}),` +
+        `and(status.eq.confirmed,last_check_at.lt.${tenDaysAgo.toISOString()})`;
       
       console.log(`🧹 Starting cleanup for records older than: ${tenDaysAgo.toISOString()}`);
       
       const { data: expiredRecords, error: selectError } = await supabase
         .from('dns_propagation_queue')
         .select('id, domain, subdomain, created_at')
-        .or(`created_at.lt.${tenDaysAgo.toISOString()},status.eq.confirmed`)
+        .or(expiredFilter)
         .limit(100);
 
       if (selectError) {
@@ -256,7 +258,7 @@ class DnsBackgroundService {
         const { error: deleteError } = await supabase
           .from('dns_propagation_queue')
           .delete()
-          .or(`created_at.lt.${tenDaysAgo.toISOString()},status.eq.confirmed`);
+          .or(expiredFilter);
 
         if (deleteError) {
           console.error("Error cleaning up expired records:", deleteError);
@@ -362,6 +364,7 @@ class DnsBackgroundService {
         .from("subdomains")
         .select(`
           id,
+          domain_id,
           subdomain_name,
           record_type,
           target_value,
@@ -410,7 +413,8 @@ class DnsBackgroundService {
         subdomain.subdomain_name,
         subdomain.record_type,
         subdomain.target_value,
-        subdomain.ttl
+        subdomain.ttl,
+        { log: { domainId: subdomain.domain_id, source: 'system' } }
       );
 
       const updateData = {
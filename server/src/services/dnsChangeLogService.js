@@ -0,0 +1,181 @@
+const supabase = require("../config/database.js");
+const { diffHosts } = require("./dnsChangeQueue.js");
+
+// History of DNS changes per domain. namecheapService.applyDnsChanges records
+// the full host list before and after every write it makes, so any earlier
+// state of the zone can be compared with another or restored.
+
+const SOURCES = ["ui", "api", "ai_agent", "import", "rollback", "system"];
+
+// Host records as stored in a snapshot. Flag and Tag belong to CAA records
+// and are kept so a rollback writes them back.
+const toSnapshot = (hosts) =>
+  hosts.map((host) => ({
+    HostName: host.HostName,
+    RecordType: host.RecordType,
+    Address: host.Address,
+    TTL: parseInt(host.TTL, 10) || null,
+    MXPref: parseInt(host.MXPref, 10) || 0,
+    ...(host.Flag !== undefined && { Flag: host.Flag }),
+    ...(host.Tag !== undefined && { Tag: host.Tag }),
+  }));
+
+const describeRecord = (record) =>
+  `${record.RecordType} record ${record.HostName || "@"}` +
+  (record.Address ? ` -> ${record.Address}` : "");
+
+class DnsChangeLogService {
+  /**
+   * Where a request came from: the web client marks its requests with an
+   * X-Change-Source: ui header, anything else counts as a direct API call
+   */
+  getRequestSource(req) {
+    return req.get("x-change-source") === "ui" ? "ui" : "api";
+  }
+
+  // One-line summary of a list of queued DNS changes
+  describeChanges(changes) {
+    return changes
+      .map((change) => {
+        switch (change.type) {
+          case "create":
+          case "add":
+            return `Added ${describeRecord(change.record)}`;
+          case "update":
+            return `Updated ${describeRecord({ ...change.record, HostName: change.hostName })}`;
+          case "delete":
+            return `Deleted ${describeRecord({
+              RecordType: change.recordType,
+              HostName: change.hostName,
+              Address: change.address,
+            })}`;
+          case "replace":
+            return `Replaced all records (${change.records.length} records)`;
+          default:
+            return change.type;
+        }
+      })
+      .join("; ");
+  }
+
+  /**
+   * Save a change. Failures are logged and never fail the DNS write itself.
+   * @param {Object} entry - { domainName, domainId, userId, source, description, before, after, rolledBackFrom }
+   * @returns {Promise<Object|null>} The saved log row
+   */
+  async record(entry) {
+    try {
+      let { domainId } = entry;
+
+      // Writes made without request context (background retries) only know the name
+      if (!domainId) {
+        const { data: domain } = await supabase
+          .from("domains")
+          .select("id")
+          .eq("full_domain", entry.domainName)
+          .single();
+        domainId = domain?.id;
+      }
+
+      if (!domainId) {
+        console.warn(`⚠️ Not logging DNS change for unknown domain ${entry.domainName}`);
+        return null;
+      }
+
+      const before = toSnapshot(entry.before);
+      const after = toSnapshot(entry.after);
+      const diff = diffHosts(before, after);
+
+      const { data, error } = await supabase
+        .from("dns_change_log")
+        .insert({
+          domain_id: domainId,
+          user_id: entry.userId || null,
+          source: SOURCES.includes(entry.source) ? entry.source : "system",
+          description: entry.description || null,
+          records_before: before,
+          records_after: after,
+          summary: {
+            added: diff.added.length,
+            removed: diff.removed.length,
+            changed: diff.changed.length,
+          },
+          rolled_back_from: entry.rolledBackFrom || null,
+          created_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      console.log(`📝 Logged DNS change #${data.id} for ${entry.domainName} (${data.source})`);
+      return data;
+    } catch (error) {
+      console.error(`❌ Failed to log DNS change for ${entry.domainName}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Timeline of a domain's DNS changes, newest first, without the snapshots
+   * @param {number} domainId - Domain ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Log rows with users' names
+   */
+  async getHistory(domainId, { limit = 50, offset = 0 } = {}) {
+    const { data, error } = await supabase
+      .from("dns_change_log")
+      .select(
+        "id, domain_id, user_id, source, description, summary, rolled_back_from, created_at, " +
+          "users!dns_change_log_user_id_fkey(first_name, last_name, email)"
+      )
+      .eq("domain_id", domainId)
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to load DNS history: ${error.message}`);
+    }
+
+    return (data || []).map(({ users: user, ...entry }) => ({
+      ...entry,
+      user: user
+        ? { name: [user.first_name, user.last_name].filter(Boolean).join(" ") || user.email }
+        : null,
+    }));
+  }
+
+  /**
+   * One log entry with its snapshots
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(domainId, entryId) {
+    const { data, error } = await supabase
+      .from("dns_change_log")
+      .select("*")
+      .eq("id", entryId)
+      .eq("domain_id", domainId)
+      .single();
+
+    return error ? null : data;
+  }
+
+  /**
+   * Records of a version: a log entry's state before or after its change
+   * @param {number} domainId - Domain ID
+   * @param {Object} version - { entryId, state: 'before'|'after' }
+   * @returns {Promise<Array|null>} Host records, or null if the entry is not found
+   */
+  async getSnapshot(domainId, { entryId, state = "after" }) {
+    const entry = await this.getEntry(domainId, entryId);
+    if (!entry) {
+      return null;
+    }
+    return state === "before" ? entry.records_before : entry.records_after;
+  }
+}
+
+module.exports = new DnsChangeLogService();
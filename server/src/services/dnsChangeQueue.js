@@ -0,0 +1,341 @@
+const crypto = require("crypto");
+
+// Serialized DNS write pipeline for registrars whose only write call replaces
+// a domain's whole host list (Namecheap setHosts). Doing a getHosts -> modify
+// -> setHosts cycle per change lets two concurrent edits of the same domain
+// overwrite each other, so every write goes through a per-domain queue:
+//
+// - Changes submitted while a batch is being written wait, and are applied
+//   together to a fresh read of the zone with a single setHosts call.
+// - Records are modified in place, so attributes a change does not mention
+//   (MXPref, the domain's EmailType, ...) are written back unchanged.
+// - Right before writing, the zone is read again. If it changed underneath
+//   (the Namecheap dashboard, another server), the batch is re-applied to the
+//   new records, up to MAX_ATTEMPTS times, and then rejected as a conflict.
+//   Namecheap has no conditional write, so this narrows the window rather
+//   than closing it.
+// - A submission can carry the version returned with the records it was based
+//   on (expectedVersion); it is rejected with a conflict if the zone changed.
+//
+// Each submission is a list of changes applied all-or-nothing:
+//   { type: "create", record: { HostName, RecordType, Address, TTL, MXPref } }
+//   { type: "add", record: { ...same as create } }
+//   { type: "update", hostName, recordType, address, record: { ...new values } }
+//   { type: "delete", hostName, recordType, address }
+//   { type: "replace", records: [...records], emailType }
+// address is optional on update/delete and narrows the match to one value.
+// An update whose record is gone, or no longer has that value, fails (a
+// conflict when address was given) instead of creating the record.
+// create fails if the name already has a record of the type; add appends to
+// the record set instead (several MX or TXT records on one name) and only
+// fails on an identical record. Adding an MX record switches the domain's
+// email setting to MX, without which Namecheap drops MX records.
+// replace swaps the whole host list, e.g. for a zone file import; emailType
+// optionally changes the domain's email setting with it.
+
+const MAX_ATTEMPTS = 3;
+
+// Hosts and email settings reduced to a short hash, used to detect changes
+const getZoneVersion = (hosts, emailType = null) => {
+  const records = hosts
+    .map((host) =>
+      [host.HostName, host.RecordType, host.Address, host.TTL, host.MXPref]
+        .map((value) => String(value ?? "").toLowerCase())
+        .join("|")
+    )
+    .sort();
+
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify({ records, emailType: emailType || null }))
+    .digest("hex")
+    .slice(0, 16);
+};
+
+const sameValue = (a, b) =>
+  String(a ?? "").toLowerCase().replace(/\.$/, "") ===
+  String(b ?? "").toLowerCase().replace(/\.$/, "");
+
+const matchesRecord = (host, { hostName, recordType, address }) =>
+  sameValue(host.HostName, hostName) &&
+  sameValue(host.RecordType, recordType) &&
+  (address === undefined || address === null || sameValue(host.Address, address));
+
+// Records are the same when name, type and value match; TXT values are case sensitive
+const isSameRecord = (a, b) =>
+  sameValue(a.HostName, b.HostName) &&
+  sameValue(a.RecordType, b.RecordType) &&
+  (a.RecordType === "TXT" ? a.Address === b.Address : sameValue(a.Address, b.Address));
+
+// Differences between two host lists: { added, removed, changed: [{ before, after }], unchanged }
+const diffHosts = (from, to) => {
+  const remaining = [...from];
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  for (const record of to) {
+    const index = remaining.findIndex((host) => isSameRecord(host, record));
+
+    if (index === -1) {
+      added.push(record);
+      continue;
+    }
+
+    const [before] = remaining.splice(index, 1);
+    const sameTtl = parseInt(before.TTL, 10) === parseInt(record.TTL, 10);
+    const samePref =
+      record.RecordType !== "MX" || parseInt(before.MXPref, 10) === parseInt(record.MXPref, 10);
+
+    if (sameTtl && samePref) {
+      unchanged.push(record);
+    } else {
+      changed.push({ before, after: record });
+    }
+  }
+
+  return { added, removed: remaining, changed, unchanged };
+};
+
+const conflictResult = (message) => ({
+  success: false,
+  conflict: true,
+  statusCode: 409,
+  message,
+});
+
+// Apply one change to a host list. Returns { hosts, result, changed, emailType }
+const applyChange = (hosts, change) => {
+  if (change.type === "replace") {
+    return {
+      hosts: change.records.map((record) => ({
+        ...record,
+        MXPref: record.MXPref ?? (record.RecordType === "MX" ? 10 : 0),
+      })),
+      changed: true,
+      emailType: change.emailType,
+      result: { success: true },
+    };
+  }
+
+  if (change.type === "create") {
+    const { record } = change;
+    const exists = hosts.some((host) =>
+      matchesRecord(host, { hostName: record.HostName, recordType: record.RecordType })
+    );
+
+    if (exists) {
+      return { hosts, changed: false, result: { success: false, message: "DNS record already exists" } };
+    }
+
+    return {
+      hosts: [
+        ...hosts,
+        {
+          ...record,
+          MXPref: record.MXPref ?? (record.RecordType === "MX" ? 10 : 0),
+        },
+      ],
+      changed: true,
+      result: { success: true },
+    };
+  }
+
+  if (change.type === "add") {
+    const { record } = change;
+
+    if (hosts.some((host) => isSameRecord(host, record))) {
+      return { hosts, changed: false, result: { success: false, message: "DNS record already exists" } };
+    }
+
+    return {
+      hosts: [
+        ...hosts,
+        {
+          ...record,
+          MXPref: record.MXPref ?? (record.RecordType === "MX" ? 10 : 0),
+        },
+      ],
+      changed: true,
+      emailType: record.RecordType === "MX" ? "MX" : undefined,
+      result: { success: true },
+    };
+  }
+
+  if (change.type === "update") {
+    // The record with the old value; without one, every record of the type
+    const targets = hosts.filter((host) => matchesRecord(host, change));
+
+    // The record was changed or removed since the caller read it. Writing
+    // anyway would overwrite that edit or bring back a deleted record.
+    if (targets.length === 0) {
+      return {
+        hosts,
+        changed: false,
+        result: change.address
+          ? conflictResult("DNS record changed since it was loaded. Reload the records and try again.")
+          : { success: false, statusCode: 404, message: "DNS record not found" },
+      };
+    }
+
+    return {
+      hosts: hosts.map((host) => (targets.includes(host) ? { ...host, ...change.record } : host)),
+      changed: true,
+      result: { success: true },
+    };
+  }
+
+  if (change.type === "delete") {
+    const remaining = hosts.filter((host) => !matchesRecord(host, change));
+
+    if (remaining.length === hosts.length) {
+      return { hosts, changed: false, result: { success: true, message: "DNS record not found" } };
+    }
+
+    return { hosts: remaining, changed: true, result: { success: true } };
+  }
+
+  return { hosts, changed: false, result: { success: false, message: `Unknown DNS change "${change.type}"` } };
+};
+
+class DnsChangeQueue {
+  /**
+   * @param {Object} registrar - Provides getZone(domain) -> { hosts, emailType, version }
+   *   and setHosts(domain, hosts, { emailType }) -> boolean
+   */
+  constructor(registrar) {
+    this.registrar = registrar;
+    this.queues = new Map(); // domain -> { pending: [], running: boolean }
+  }
+
+  /**
+   * Queue changes for a domain and wait until they are written
+   * @param {string} domainName - Domain whose zone is changed
+   * @param {Array} changes - Changes applied together, all or nothing
+   * @param {Object} options - { expectedVersion: zone version the changes are based on }
+   * @returns {Promise<Object>} { success, message, conflict, statusCode, results, version,
+   *   snapshot: { before, after } when the submission changed the records }
+   */
+  submit(domainName, changes, options = {}) {
+    const key = domainName.toLowerCase();
+    const queue = this.queues.get(key) || { pending: [], running: false };
+    this.queues.set(key, queue);
+
+    const promise = new Promise((resolve, reject) => {
+      queue.pending.push({ changes, expectedVersion: options.expectedVersion, resolve, reject });
+    });
+
+    if (!queue.running) {
+      queue.running = true;
+      // Wait a tick so changes submitted together end up in the same batch
+      setImmediate(() => this.drain(key, domainName));
+    }
+
+    return promise;
+  }
+
+  async drain(key, domainName) {
+    const queue = this.queues.get(key);
+
+    while (queue.pending.length > 0) {
+      const batch = queue.pending.splice(0);
+
+      try {
+        const results = await this.writeBatch(domainName, batch);
+        batch.forEach((entry, index) => entry.resolve(results[index]));
+      } catch (error) {
+        batch.forEach((entry) => entry.reject(error));
+      }
+    }
+
+    queue.running = false;
+    this.queues.delete(key);
+  }
+
+  // Apply the batch's submissions to the zone, then write it once
+  async writeBatch(domainName, batch) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const zone = await this.registrar.getZone(domainName);
+
+      if (!zone) {
+        return batch.map(() => ({ success: false, message: "Failed to get current DNS records" }));
+      }
+
+      let hosts = zone.hosts.map((host) => ({ ...host }));
+      let emailType = zone.emailType;
+      let changed = false;
+
+      const results = batch.map(({ changes, expectedVersion }) => {
+        if (expectedVersion && expectedVersion !== zone.version) {
+          return conflictResult("DNS records changed since they were loaded. Reload them and try again.");
+        }
+
+        // All-or-nothing: work on a copy and keep it only if every change applies
+        const before = hosts;
+        let draft = hosts;
+        let draftEmailType = emailType;
+        let draftChanged = false;
+        const changeResults = [];
+
+        for (const change of changes) {
+          const outcome = applyChange(draft, change);
+          changeResults.push(outcome.result);
+          if (!outcome.result.success) {
+            return { ...outcome.result, results: changeResults };
+          }
+          draft = outcome.hosts;
+          draftEmailType = outcome.emailType || draftEmailType;
+          draftChanged = draftChanged || outcome.changed;
+        }
+
+        hosts = draft;
+        emailType = draftEmailType;
+        changed = changed || draftChanged;
+
+        // A single change reports its own message, e.g. "DNS record not found"
+        const message = changeResults.length === 1 ? changeResults[0].message : undefined;
+        return {
+          success: true,
+          ...(message && { message }),
+          results: changeResults,
+          // Records before and after this submission, for the change log
+          ...(draftChanged && { snapshot: { before, after: draft } }),
+        };
+      });
+
+      if (!changed) {
+        return results.map((result) => ({ ...result, version: zone.version }));
+      }
+
+      const current = await this.registrar.getZone(domainName);
+      if (current && current.version !== zone.version) {
+        console.warn(
+          `⚠️ DNS records for ${domainName} changed while saving (attempt ${attempt}/${MAX_ATTEMPTS}), reapplying changes`
+        );
+        continue;
+      }
+
+      console.log(`📦 Writing ${batch.length} queued DNS change(s) for ${domainName}`);
+      const written = await this.registrar.setHosts(domainName, hosts, { emailType });
+      const version = getZoneVersion(hosts, emailType);
+
+      return results.map((result) =>
+        !result.success || written
+          ? { ...result, version: written ? version : zone.version }
+          : { success: false, message: "Failed to save DNS records", version: zone.version }
+      );
+    }
+
+    console.error(`❌ DNS records for ${domainName} kept changing, giving up after ${MAX_ATTEMPTS} attempts`);
+    return batch.map(() =>
+      conflictResult("DNS records kept changing while saving. Please try again.")
+    );
+  }
+}
+
+module.exports = {
+  DnsChangeQueue,
+  getZoneVersion,
+  diffHosts,
+  isSameRecord,
+};
@@ -0,0 +1,284 @@
+const fs = require("fs");
+const path = require("path");
+const { Resolver } = require("dns").promises;
+const supabase = require("../config/database.js");
+
+// Checks whether a DNS record is visible around the world, not just from this
+// server: the record is looked up through each configured public resolver
+// (src/data/dnsResolvers.json) and directly on the domain's authoritative
+// nameservers, and every answer is compared with the expected value.
+//
+// Per resolver, a check ends as one of:
+//   propagated - the answer includes the expected value
+//   outdated   - the resolver answers with other values (e.g. a cached old record)
+//   missing    - the name or record type does not exist there (yet)
+//   error      - no usable answer (timeout, refused, server failure)
+
+const DEFAULT_TIMEOUT = 2000;
+const DEFAULT_TRIES = 2;
+const AUTHORITATIVE_REGION = "Authoritative";
+const MISSING_CODES = ["ENOTFOUND", "ENODATA", "NOTFOUND", "NODATA"];
+
+const LOOKUPS = {
+  A: (resolver, name) => resolver.resolve4(name),
+  AAAA: (resolver, name) => resolver.resolve6(name),
+  CNAME: (resolver, name) => resolver.resolveCname(name),
+  MX: async (resolver, name) => (await resolver.resolveMx(name)).map((mx) => mx.exchange),
+  // Long TXT values come back split into 255-character strings
+  TXT: async (resolver, name) => (await resolver.resolveTxt(name)).map((chunks) => chunks.join("")),
+  NS: (resolver, name) => resolver.resolveNs(name),
+};
+
+// Comparable form of a value: names without case or the trailing dot, IPv6 in
+// its shortest form, TXT as is
+const normalize = (type, value) => {
+  const text = String(value ?? "").trim();
+
+  if (type === "TXT") {
+    return text;
+  }
+  if (type === "AAAA") {
+    try {
+      return new URL(`http://[${text}]`).hostname.slice(1, -1);
+    } catch (error) {
+      return text.toLowerCase();
+    }
+  }
+  return text.toLowerCase().replace(/\.$/, "");
+};
+
+// "203.0.113.1" with a port -> "203.0.113.1:5353", IPv6 in brackets
+const withPort = (address, port) => {
+  if (!port || port === 53) {
+    return address;
+  }
+  return address.includes(":") ? `[${address}]:${port}` : `${address}:${port}`;
+};
+
+class DnsPropagationService {
+  constructor() {
+    this.resolvers = null;
+  }
+
+  // Public resolvers, loaded once from DNS_RESOLVERS_FILE or the bundled list
+  loadResolvers() {
+    if (this.resolvers) {
+      return this.resolvers;
+    }
+
+    const resolversFile =
+      process.env.DNS_RESOLVERS_FILE || path.join(__dirname, "../data/dnsResolvers.json");
+
+    try {
+      const data = JSON.parse(fs.readFileSync(resolversFile, "utf8"));
+      this.resolvers = (Array.isArray(data) ? data : data.resolvers || [])
+        .filter((resolver) => resolver.address)
+        .map((resolver) => ({
+          id: resolver.id || resolver.address,
+          name: resolver.name || resolver.address,
+          region: resolver.region || "Other",
+          address: resolver.address,
+        }));
+    } catch (error) {
+      console.error(`❌ Could not load DNS resolvers from ${resolversFile}:`, error.message);
+      this.resolvers = [];
+    }
+
+    return this.resolvers;
+  }
+
+  createResolver(servers, { timeout = DEFAULT_TIMEOUT, tries = DEFAULT_TRIES } = {}) {
+    const resolver = new Resolver({ timeout, tries });
+    resolver.setServers(servers);
+    return resolver;
+  }
+
+  /**
+   * The domain's authoritative nameservers with their addresses, looked up
+   * through the public resolvers
+   * @param {string} domainName - Zone apex, e.g. "example.com"
+   * @param {Array} resolvers - Public resolvers used for the lookup
+   * @param {Object} options - { port: DNS port of the nameservers, timeout, tries }
+   * @returns {Promise<Array>} Resolver entries for the nameservers; empty if none were found
+   */
+  async findNameservers(domainName, resolvers, options = {}) {
+    if (resolvers.length === 0) {
+      return [];
+    }
+
+    const lookup = this.createResolver(resolvers.map((resolver) => resolver.address), options);
+
+    let hosts;
+    try {
+      hosts = await lookup.resolveNs(domainName);
+    } catch (error) {
+      console.warn(`⚠️ Could not find the nameservers of ${domainName}: ${error.code || error.message}`);
+      return [];
+    }
+
+    const nameservers = await Promise.all(
+      hosts.map(async (host) => {
+        try {
+          const [address] = await lookup.resolve4(host);
+          return {
+            id: `ns:${host.toLowerCase()}`,
+            name: host.toLowerCase(),
+            region: AUTHORITATIVE_REGION,
+            address: withPort(address, options.port),
+            authoritative: true,
+          };
+        } catch (error) {
+          console.warn(`⚠️ Could not resolve nameserver ${host}: ${error.code || error.message}`);
+          return null;
+        }
+      })
+    );
+
+    return nameservers.filter(Boolean);
+  }
+
+  /**
+   * Look a record up on one resolver and compare the answer
+   * @returns {Promise<Object>} { id, name, region, address, authoritative, status, values, error, responseTime }
+   */
+  async queryResolver(server, fqdn, recordType, expectedValue, options = {}) {
+    const started = Date.now();
+    const result = {
+      id: server.id,
+      name: server.name,
+      region: server.region,
+      address: server.address,
+      authoritative: !!server.authoritative,
+      values: [],
+    };
+
+    try {
+      const resolver = this.createResolver([server.address], options);
+      const values = await LOOKUPS[recordType](resolver, fqdn);
+      const expected = normalize(recordType, expectedValue);
+
+      result.values = values;
+      result.status = values.some((value) => normalize(recordType, value) === expected)
+        ? "propagated"
+        : "outdated";
+    } catch (error) {
+      const code = error.code || error.message;
+      result.status = MISSING_CODES.includes(code) ? "missing" : "error";
+      if (result.status === "error") {
+        result.error = code;
+      }
+    }
+
+    result.responseTime = Date.now() - started;
+    return result;
+  }
+
+  /**
+   * Check a record on every public resolver and on the authoritative nameservers
+   * @param {Object} record - { domainName, subdomain ("@" or empty for the apex), recordType, expectedValue }
+   * @param {Object} options - { resolvers: instead of the configured list,
+   *   nameservers: instead of looking them up, authoritativePort, timeout, tries }
+   * @returns {Promise<Object>} { success, propagated, actualValue, expectedValue, recordType,
+   *   domain, checkedAt, summary: { total, propagated, outdated, missing, error }, resolvers }
+   */
+  async checkRecord({ domainName, subdomain, recordType, expectedValue }, options = {}) {
+    const type = String(recordType).toUpperCase();
+    const fqdn = subdomain && subdomain !== "@" ? `${subdomain}.${domainName}` : domainName;
+
+    if (!LOOKUPS[type]) {
+      return {
+        success: false,
+        propagated: false,
+        message: `Unsupported record type: ${recordType}`,
+      };
+    }
+
+    const publicResolvers = options.resolvers || this.loadResolvers();
+    const nameservers =
+      options.nameservers ||
+      (await this.findNameservers(domainName, publicResolvers, { ...options, port: options.authoritativePort }));
+
+    const results = await Promise.all(
+      [...nameservers, ...publicResolvers].map((server) =>
+        this.queryResolver(server, fqdn, type, expectedValue, options)
+      )
+    );
+
+    const summary = { total: results.length, propagated: 0, outdated: 0, missing: 0, error: 0 };
+    results.forEach((result) => {
+      summary[result.status] += 1;
+    });
+
+    // Propagated once every resolver that answered has the value. Resolvers
+    // that could not be reached do not hold it back, but at least one answer
+    // must have the value.
+    const answered = results.filter((result) => result.status !== "error");
+    const propagated =
+      answered.length > 0 && answered.every((result) => result.status === "propagated");
+
+    const firstAnswer = results.find((result) => result.values.length > 0);
+
+    return {
+      success: true,
+      propagated,
+      actualValue: firstAnswer ? firstAnswer.values.join(", ") : null,
+      expectedValue,
+      recordType: type,
+      domain: fqdn,
+      checkedAt: new Date().toISOString(),
+      summary,
+      resolvers: results,
+    };
+  }
+
+  /**
+   * Store a check's per-resolver results on the record's propagation queue
+   * entry. Unpropagated records are left to the background checks.
+   * @param {Object} record - { domain, subdomain, recordType, expectedValue, subdomainId }
+   * @param {Object} result - checkRecord result
+   */
+  async saveResults({ domain, subdomain, recordType, expectedValue, subdomainId }, result) {
+    const { error } = await supabase
+      .from("dns_propagation_queue")
+      .upsert({
+        domain,
+        subdomain,
+        record_type: recordType,
+        expected_value: expectedValue,
+        subdomain_id: subdomainId || null,
+        resolver_results: result.resolvers || [],
+        last_check_at: result.checkedAt || new Date().toISOString(),
+        // A new entry starts as pending; one that no longer needs checks is confirmed
+        ...(result.propagated && { status: "confirmed" }),
+      }, {
+        onConflict: "domain,subdomain,record_type,expected_value",
+        ignoreDuplicates: false,
+      });
+
+    if (error) {
+      console.error(`❌ Error saving propagation results for ${subdomain}.${domain}:`, error);
+    }
+  }
+
+  /**
+   * Latest stored propagation check of a subdomain
+   * @returns {Promise<Object|null>} { status, expected_value, resolver_results, last_check_at, check_count }
+   */
+  async getLatestResults(subdomainId) {
+    const { data, error } = await supabase
+      .from("dns_propagation_queue")
+      .select("status, record_type, expected_value, resolver_results, last_check_at, check_count")
+      .eq("subdomain_id", subdomainId)
+      .order("last_check_at", { ascending: false, nullsFirst: false })
+      .limit(1);
+
+    if (error) {
+      console.error(`❌ Error loading propagation results for subdomain ${subdomainId}:`, error);
+      return null;
+    }
+
+    return data?.[0] || null;
+  }
+}
+
+module.exports = new DnsPropagationService();
@@ -0,0 +1,567 @@
+const fs = require("fs");
+const path = require("path");
+const supabase = require("../config/database.js");
+const namecheapService = require("./namecheapService");
+const subdomainService = require("./subdomainService");
+const zoneFileService = require("./zoneFileService");
+const { isSameRecord } = require("./dnsChangeQueue");
+
+// DNS record templates: the records a service (Google Workspace, GitHub
+// Pages, ...) needs, with {{parameters}} filled in when the template is
+// applied. Built-in templates come from src/data/dnsTemplates.json, users can
+// save their own. Applying a template writes all of its records at once and
+// remembers them as a group, so the group can be removed again as one unit.
+
+const DEFAULT_TTL = 3600;
+const MAX_RECORDS = 50;
+const PARAMETER_NAME = /^[a-z][a-z0-9_]{0,39}$/;
+const PLACEHOLDER = /\{\{\s*([a-z0-9_]+)\s*\}\}/gi;
+// Filled in from the domain, not by the user
+const DOMAIN_VARIABLES = ["domain", "domain_dashes"];
+// Record types a name can only have one value of at a time, for one service
+const SINGLE_SERVICE_TYPES = ["A", "AAAA", "MX", "NS"];
+// Registrar redirect records, which replace the name's A/AAAA/CNAME records
+const REDIRECT_TYPES = ["URL", "URL301", "FRAME"];
+
+const fail = (message, statusCode, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+};
+
+const placeholdersOf = (text) =>
+  [...String(text ?? "").matchAll(PLACEHOLDER)].map((match) => match[1].toLowerCase());
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// SPF and DMARC policies must be the only TXT record of their kind on a name
+const txtPolicy = (value) => {
+  const match = String(value).trim().match(/^v=(spf1|dmarc1)\b/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+const describeHost = (host) =>
+  `${host.RecordType} ${host.HostName} -> ${host.RecordType === "MX" ? `${host.MXPref} ` : ""}${host.Address}`;
+
+// User templates get an ID that cannot clash with the built-in ones
+const toUserTemplate = (row) => ({
+  id: `user:${row.id}`,
+  name: row.name,
+  description: row.description,
+  category: "custom",
+  builtIn: false,
+  parameters: row.parameters || [],
+  records: row.records || [],
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+class DnsTemplateService {
+  constructor() {
+    this.builtInTemplates = null;
+  }
+
+  // Built-in templates, loaded once from DNS_TEMPLATES_FILE or the bundled list
+  loadBuiltInTemplates() {
+    if (this.builtInTemplates) {
+      return this.builtInTemplates;
+    }
+
+    const templatesFile =
+      process.env.DNS_TEMPLATES_FILE || path.join(__dirname, "../data/dnsTemplates.json");
+
+    try {
+      const data = JSON.parse(fs.readFileSync(templatesFile, "utf8"));
+      this.builtInTemplates = (Array.isArray(data) ? data : data.templates || [])
+        .filter((template) => template.id && template.name && Array.isArray(template.records))
+        .map((template) => ({
+          ...template,
+          category: template.category || "other",
+          builtIn: true,
+          parameters: template.parameters || [],
+        }));
+    } catch (error) {
+      console.error(`❌ Could not load DNS templates from ${templatesFile}:`, error.message);
+      this.builtInTemplates = [];
+    }
+
+    return this.builtInTemplates;
+  }
+
+  /**
+   * Built-in templates followed by the user's own
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Templates
+   */
+  async listTemplates(userId) {
+    const { data, error } = await supabase
+      .from("dns_templates")
+      .select("*")
+      .eq("user_id", userId)
+      .order("name", { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load DNS templates: ${error.message}`);
+    }
+
+    return [...this.loadBuiltInTemplates(), ...(data || []).map(toUserTemplate)];
+  }
+
+  /**
+   * A built-in template, or one of the user's ("user:<id>")
+   * @returns {Promise<Object|null>}
+   */
+  async getTemplate(templateId, userId) {
+    const id = String(templateId);
+
+    if (!id.startsWith("user:")) {
+      return this.loadBuiltInTemplates().find((template) => template.id === id) || null;
+    }
+
+    const { data, error } = await supabase
+      .from("dns_templates")
+      .select("*")
+      .eq("id", id.slice("user:".length))
+      .eq("user_id", userId)
+      .single();
+
+    return error || !data ? null : toUserTemplate(data);
+  }
+
+  /**
+   * Check a user template and keep only the known fields
+   * @param {Object} template - { name, description, parameters, records }
+   * @returns {Object} The cleaned template
+   * @throws {Error} With statusCode 400 describing the first problem found
+   */
+  validateTemplate(template) {
+    const name = String(template.name || "").trim();
+    if (!name || name.length > 100) {
+      throw fail("Template name is required and must be under 100 characters", 400);
+    }
+
+    const parameters = (template.parameters || []).map((parameter) => {
+      const parameterName = String(parameter.name || "").toLowerCase();
+      if (!PARAMETER_NAME.test(parameterName) || DOMAIN_VARIABLES.includes(parameterName)) {
+        throw fail(`Invalid parameter name "${parameter.name}"`, 400);
+      }
+      return {
+        name: parameterName,
+        label: String(parameter.label || parameterName).slice(0, 100),
+        ...(parameter.placeholder && { placeholder: String(parameter.placeholder).slice(0, 255) }),
+        ...(parameter.default && { default: String(parameter.default).slice(0, 255) }),
+        required: !!parameter.required,
+      };
+    });
+
+    if (new Set(parameters.map((parameter) => parameter.name)).size !== parameters.length) {
+      throw fail("Parameter names must be unique", 400);
+    }
+
+    const records = template.records || [];
+    if (records.length === 0 || records.length > MAX_RECORDS) {
+      throw fail(`A template needs between 1 and ${MAX_RECORDS} records`, 400);
+    }
+
+    const known = [...DOMAIN_VARIABLES, ...parameters.map((parameter) => parameter.name)];
+
+    return {
+      name,
+      description: template.description ? String(template.description).slice(0, 500) : null,
+      parameters,
+      records: records.map((record, index) => {
+        const type = String(record.type || "").toUpperCase();
+        const recordName = String(record.name || "@").trim() || "@";
+        const value = String(record.value ?? "").trim();
+        const where = `Record ${index + 1}`;
+
+        if (!["A", "AAAA", "CNAME", "MX", "TXT", "NS"].includes(type)) {
+          throw fail(`${where}: ${type || "missing"} records are not supported`, 400);
+        }
+        if (!value) {
+          throw fail(`${where}: a value is required`, 400);
+        }
+
+        const unknown = placeholdersOf(`${recordName} ${value}`).find((placeholder) => !known.includes(placeholder));
+        if (unknown) {
+          throw fail(`${where}: unknown parameter {{${unknown}}}`, 400);
+        }
+
+        const ttl = record.ttl === undefined || record.ttl === null || record.ttl === "" ? undefined : parseInt(record.ttl, 10);
+        if (ttl !== undefined && !(ttl >= 60 && ttl <= 86400)) {
+          throw fail(`${where}: TTL must be between 60 and 86400 seconds`, 400);
+        }
+
+        const priority = type === "MX" ? parseInt(record.priority ?? 10, 10) : undefined;
+        if (type === "MX" && !(priority >= 0 && priority <= 65535)) {
+          throw fail(`${where}: MX priority must be between 0 and 65535`, 400);
+        }
+
+        return {
+          name: recordName,
+          type,
+          value,
+          ...(ttl !== undefined && { ttl }),
+          ...(priority !== undefined && { priority }),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Save a new user template
+   * @returns {Promise<Object>} The template
+   */
+  async createUserTemplate(userId, template) {
+    const cleaned = this.validateTemplate(template);
+
+    const { data, error } = await supabase
+      .from("dns_templates")
+      .insert({ ...cleaned, user_id: userId })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save DNS template: ${error.message}`);
+    }
+
+    return toUserTemplate(data);
+  }
+
+  /**
+   * Replace one of the user's templates
+   * @returns {Promise<Object|null>} The template, or null if it is not the user's
+   */
+  async updateUserTemplate(userId, templateId, template) {
+    const cleaned = this.validateTemplate(template);
+
+    const { data, error } = await supabase
+      .from("dns_templates")
+      .update({ ...cleaned, updated_at: new Date().toISOString() })
+      .eq("id", templateId)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    return error || !data ? null : toUserTemplate(data);
+  }
+
+  /**
+   * Delete one of the user's templates. Records applied from it stay.
+   * @returns {Promise<boolean>} Whether a template was deleted
+   */
+  async deleteUserTemplate(userId, templateId) {
+    const { data, error } = await supabase
+      .from("dns_templates")
+      .delete()
+      .eq("id", templateId)
+      .eq("user_id", userId)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to delete DNS template: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Fill in a template's parameters for a domain
+   * @param {Object} template - Template
+   * @param {string} domainName - Domain the records are for
+   * @param {Object} values - Parameter values by name
+   * @returns {Object} { records: host records, parameters: values used, errors: [message] }
+   */
+  renderRecords(template, domainName, values = {}) {
+    const errors = [];
+    const parameters = {};
+
+    for (const parameter of template.parameters) {
+      const value = String(values[parameter.name] ?? parameter.default ?? "").trim();
+      if (!value && parameter.required) {
+        errors.push(`${parameter.label || parameter.name} is required`);
+      }
+      parameters[parameter.name] = value;
+    }
+
+    const variables = {
+      ...parameters,
+      domain: domainName,
+      domain_dashes: domainName.replace(/\./g, "-"),
+    };
+    const fill = (text) =>
+      String(text ?? "").replace(PLACEHOLDER, (match, name) => variables[name.toLowerCase()] ?? "");
+
+    const records = [];
+
+    template.records.forEach((record) => {
+      // Records that use an optional parameter left empty are not needed
+      if (placeholdersOf(`${record.name} ${record.value}`).some((name) => variables[name] === "")) {
+        return;
+      }
+
+      const host = {
+        HostName: fill(record.name || "@").toLowerCase(),
+        RecordType: record.type,
+        Address: fill(record.value),
+        TTL: parseInt(record.ttl, 10) || DEFAULT_TTL,
+        MXPref: record.type === "MX" ? parseInt(record.priority ?? 10, 10) : 0,
+      };
+
+      try {
+        zoneFileService.validateRecord(host);
+        records.push(host);
+      } catch (error) {
+        errors.push(`${describeHost(host)}: ${error.message}`);
+      }
+    });
+
+    zoneFileService.findConflicts(records).forEach(({ index, message }) => {
+      errors.push(`${describeHost(records[index])}: ${message}`);
+    });
+
+    if (records.length === 0 && errors.length === 0) {
+      errors.push("The template has no records to create with these parameters");
+    }
+
+    return { records, parameters, errors };
+  }
+
+  /**
+   * Compare a template's records with a domain's current ones
+   * @param {Array} records - Rendered template records
+   * @param {Array} hosts - Current host records
+   * @returns {Object} { existing: records already present, conflicts: [{ record, existing, message }] }
+   */
+  findConflicts(records, hosts) {
+    const existing = [];
+    const conflicts = [];
+
+    for (const record of records) {
+      if (hosts.some((host) => isSameRecord(host, record))) {
+        existing.push(record);
+        continue;
+      }
+
+      const onName = hosts.filter((host) => sameName(host.HostName, record.HostName));
+      let clashing = [];
+      let message = null;
+
+      if (record.RecordType === "CNAME" && onName.length > 0) {
+        clashing = onName;
+        message = `${record.HostName} already has records, and a CNAME must be the only record of its name`;
+      } else if (onName.some((host) => host.RecordType === "CNAME")) {
+        clashing = onName.filter((host) => host.RecordType === "CNAME");
+        message = `${record.HostName} is a CNAME, which cannot have other records`;
+      } else if (SINGLE_SERVICE_TYPES.includes(record.RecordType)) {
+        clashing = onName.filter(
+          (host) =>
+            host.RecordType === record.RecordType &&
+            !records.some((other) => isSameRecord(other, host))
+        );
+        message = `${record.HostName} already has ${record.RecordType} records for another service`;
+      } else if (record.RecordType === "TXT" && txtPolicy(record.Address)) {
+        clashing = onName.filter(
+          (host) => host.RecordType === "TXT" && txtPolicy(host.Address) === txtPolicy(record.Address)
+        );
+        message = `${record.HostName} already has a${txtPolicy(record.Address) === "spf1" ? "n SPF" : " DMARC"} record, and only one is allowed`;
+      }
+
+      const redirects = onName.filter((host) => REDIRECT_TYPES.includes(host.RecordType));
+      if (["A", "AAAA", "CNAME"].includes(record.RecordType) && clashing.length === 0 && redirects.length > 0) {
+        clashing = redirects;
+        message = `${record.HostName} has a redirect, which takes the place of ${record.RecordType} records`;
+      }
+
+      if (clashing.length > 0) {
+        conflicts.push({ record, existing: clashing, message });
+      }
+    }
+
+    return { existing, conflicts };
+  }
+
+  /**
+   * Work out what applying a template to a domain would do
+   * @param {Object} domain - Owned domain row ({ id, full_domain })
+   * @param {Object} template - Template
+   * @param {Object} values - Parameter values by name
+   * @returns {Promise<Object>} { records: to create, existing, conflicts, parameters, version }
+   * @throws {Error} With statusCode 400 and errors for invalid parameters, 500 if the
+   *   current records cannot be read
+   */
+  async planTemplate(domain, template, values) {
+    const { records, parameters, errors } = this.renderRecords(template, domain.full_domain, values);
+    if (errors.length > 0) {
+      throw fail("The template cannot be applied with these parameters", 400, { errors });
+    }
+
+    const zone = await namecheapService.getZone(domain.full_domain);
+    if (!zone) {
+      throw fail("Failed to get current DNS records", 500);
+    }
+
+    const { existing, conflicts } = this.findConflicts(records, zone.hosts);
+
+    return {
+      records: records.filter((record) => !existing.includes(record)),
+      existing,
+      conflicts,
+      parameters,
+      version: zone.version,
+    };
+  }
+
+  /**
+   * Apply a template: create its records in one write and save them as a group.
+   * Records the domain already has are left out of the group.
+   * @param {Object} domain - Owned domain row ({ id, full_domain })
+   * @param {Object} template - Template
+   * @param {Object} values - Parameter values by name
+   * @param {Object} options - { replaceConflicts: remove conflicting records in the same write,
+   *   expectedVersion, changeLog: { userId, source } }
+   * @returns {Promise<Object>} { application, subdomains, replaced, version, logEntryId }
+   * @throws {Error} With statusCode 400, 409 (conflicts, or the records changed) or 500
+   */
+  async applyTemplate(domain, template, values, options = {}) {
+    const { replaceConflicts = false, expectedVersion, changeLog = {} } = options;
+    const plan = await this.planTemplate(domain, template, values);
+
+    if (plan.conflicts.length > 0 && !replaceConflicts) {
+      throw fail("The template conflicts with existing DNS records", 409, { conflicts: plan.conflicts });
+    }
+    if (plan.records.length === 0) {
+      throw fail("The domain already has all records of this template", 409);
+    }
+
+    const replaced = [];
+    plan.conflicts.forEach(({ existing }) => {
+      existing.forEach((host) => {
+        if (!replaced.includes(host)) replaced.push(host);
+      });
+    });
+
+    const { data: application, error } = await supabase
+      .from("dns_template_applications")
+      .insert({
+        domain_id: domain.id,
+        user_id: changeLog.userId || null,
+        template_id: template.id,
+        template_name: template.name,
+        parameters: plan.parameters,
+        records: plan.records,
+        existing_records: plan.existing,
+        replaced_records: replaced,
+        created_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw fail(`Failed to save template application: ${error.message}`, 500);
+    }
+
+    try {
+      const result = await subdomainService.createRecordGroup(domain, plan.records, {
+        templateApplicationId: application.id,
+        replace: replaced,
+        expectedVersion: expectedVersion || plan.version,
+        changeLog: { ...changeLog, description: `Applied the ${template.name} template` },
+      });
+
+      console.log(`🧩 Applied DNS template ${template.id} to ${domain.full_domain}`);
+
+      return { application, replaced, ...result };
+    } catch (applyError) {
+      await supabase.from("dns_template_applications").delete().eq("id", application.id);
+      throw applyError;
+    }
+  }
+
+  /**
+   * Templates applied to a domain, newest first
+   * @returns {Promise<Array>} Application rows
+   */
+  async listApplications(domainId) {
+    const { data, error } = await supabase
+      .from("dns_template_applications")
+      .select("*")
+      .eq("domain_id", domainId)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to load applied DNS templates: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Remove the records a template application created, in one write.
+   * Records another applied template also needs are kept, and records the
+   * application replaced are not brought back.
+   * @param {Object} domain - Owned domain row ({ id, full_domain })
+   * @param {string} applicationId - Template application ID
+   * @param {Object} options - { expectedVersion, changeLog: { userId, source } }
+   * @returns {Promise<Object|null>} { application, removed, kept, notRestored, version,
+   *   logEntryId }, or null if not found
+   * @throws {Error} With statusCode 409 (the records changed) or 500
+   */
+  async removeApplication(domain, applicationId, options = {}) {
+    const { expectedVersion, changeLog = {} } = options;
+
+    const { data: application, error } = await supabase
+      .from("dns_template_applications")
+      .select("*")
+      .eq("id", applicationId)
+      .eq("domain_id", domain.id)
+      .single();
+
+    if (error || !application) {
+      return null;
+    }
+
+    const { data: others } = await supabase
+      .from("dns_template_applications")
+      .select("*")
+      .eq("domain_id", domain.id)
+      .neq("id", application.id);
+
+    const referenced = (others || []).flatMap((other) => [
+      ...(other.records || []),
+      ...(other.existing_records || []),
+    ]);
+    const kept = application.records.filter((record) =>
+      referenced.some((other) => isSameRecord(other, record))
+    );
+    const removed = application.records.filter((record) => !kept.includes(record));
+
+    const result = await subdomainService.removeRecordGroup(domain, removed, {
+      templateApplicationId: application.id,
+      expectedVersion,
+      changeLog: { ...changeLog, description: `Removed the ${application.template_name} template` },
+    });
+
+    const { error: deleteError } = await supabase
+      .from("dns_template_applications")
+      .delete()
+      .eq("id", application.id);
+
+    if (deleteError) {
+      console.error("Error deleting template application:", deleteError);
+    }
+
+    console.log(`🧩 Removed DNS template ${application.template_id} from ${domain.full_domain}`);
+
+    return {
+      application,
+      removed,
+      kept,
+      notRestored: application.replaced_records || [],
+      ...result,
+    };
+  }
+}
+
+module.exports = new DnsTemplateService();
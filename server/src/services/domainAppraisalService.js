@@ -0,0 +1,422 @@
+const fs = require("fs");
+const path = require("path");
+const domainScoringService = require("./domainScoringService");
+const namecheapService = require("./namecheapService");
+const pricingService = require("./pricingService");
+
+// Deterministic domain appraisal. A feature model (length, extension,
+// dictionary words, hyphens and digits, commercial intent) is blended with
+// comparable sales from a local dataset into a USD price range. Every
+// multiplier and comparable is returned so the estimate can be explained;
+// the AI only writes the rationale on top of these numbers.
+
+// Value of a neutral .com name before any feature multipliers
+const BASE_VALUE = 800;
+const MIN_VALUE = 50;
+
+// Keywords whose traffic advertisers pay most for, by category. Intent is the
+// share of the strongest category found in the name.
+const COMMERCIAL_KEYWORDS = {
+  finance: {
+    intent: 100,
+    words: [
+      "insurance", "insure", "loan", "loans", "mortgage", "credit", "bank",
+      "invest", "finance", "trading", "crypto", "bitcoin", "coin", "pay",
+      "cash", "money", "fund", "tax", "wealth",
+    ],
+  },
+  legal: {
+    intent: 90,
+    words: ["lawyer", "attorney", "law", "legal", "claim", "injury"],
+  },
+  health: {
+    intent: 85,
+    words: ["health", "dental", "clinic", "doctor", "pharmacy", "care", "rehab", "therapy"],
+  },
+  property: {
+    intent: 80,
+    words: ["realestate", "homes", "home", "house", "rent", "property", "hotel", "hotels", "travel", "flights"],
+  },
+  technology: {
+    intent: 70,
+    words: ["ai", "cloud", "data", "software", "app", "tech", "cyber", "host", "hosting", "web", "crm", "saas"],
+  },
+  retail: {
+    intent: 60,
+    words: ["shop", "store", "buy", "deals", "deal", "sale", "market", "fashion", "gift"],
+  },
+};
+
+const INTENT_WORDS = new Set(
+  Object.values(COMMERCIAL_KEYWORDS).flatMap((category) => category.words)
+);
+
+const LENGTH_MULTIPLIERS = [
+  [3, 20],
+  [4, 6],
+  [5, 3],
+  [6, 2],
+  [8, 1.2],
+  [10, 0.8],
+  [12, 0.5],
+  [15, 0.3],
+  [Infinity, 0.15],
+];
+
+const MAX_COMPARABLES = 5;
+const MIN_SIMILARITY = 0.45;
+const MAX_COMPARABLES_WEIGHT = 0.7;
+
+// Two significant figures, prices like $4,237 read as false precision
+const roundPrice = (value) => {
+  if (value < 100) return Math.round(value);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)) - 1);
+  return Math.round(value / magnitude) * magnitude;
+};
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+class DomainAppraisalService {
+  constructor() {
+    this.sales = null;
+  }
+
+  // Comparable sales, loaded once from APPRAISAL_SALES_FILE or the bundled sample
+  loadSales() {
+    if (this.sales) {
+      return this.sales;
+    }
+
+    const salesFile =
+      process.env.APPRAISAL_SALES_FILE ||
+      path.join(__dirname, "../data/comparableSales.json");
+
+    try {
+      const data = JSON.parse(fs.readFileSync(salesFile, "utf8"));
+      this.sales = (Array.isArray(data) ? data : data.sales || [])
+        .filter((sale) => sale.domain && sale.price > 0)
+        .map((sale) => ({ ...sale, ...this.describeName(sale.domain) }));
+    } catch (error) {
+      console.error(`❌ Could not load comparable sales from ${salesFile}:`, error.message);
+      this.sales = [];
+    }
+
+    return this.sales;
+  }
+
+  // Name, extension and word split shared by the model and the comparables
+  describeName(domain) {
+    const parsed = domainScoringService.parseDomain(domain);
+    const segmentation = domainScoringService.segmentWords(parsed.name, INTENT_WORDS);
+
+    return {
+      domain: parsed.domain,
+      name: parsed.name,
+      tld: parsed.tld,
+      segmentation,
+      words: segmentation.words,
+    };
+  }
+
+  getLengthFeature(name) {
+    const length = name.replace(/[^a-z0-9]/g, "").length;
+    const [, multiplier] = LENGTH_MULTIPLIERS.find(([max]) => length <= max);
+
+    return {
+      value: length,
+      multiplier,
+      detail: `${length} characters; shorter names are scarcer and sell for more`,
+    };
+  }
+
+  getTldFeature(tld) {
+    const { score } = domainScoringService.scoreTld(tld);
+
+    return {
+      value: tld,
+      multiplier: round(Math.pow(score / 100, 3)),
+      detail:
+        tld === "com"
+          ? ".com sets the benchmark for resale prices"
+          : `.${tld} names usually sell for a fraction of the .com`,
+    };
+  }
+
+  getWordsFeature(description, brandability) {
+    const { segmentation, words } = description;
+    let multiplier;
+    let detail;
+
+    if (segmentation.coverage === 1) {
+      multiplier = [5, 1.5, 0.8][words.length - 1] ?? 0.5;
+      detail =
+        words.length === 1
+          ? `"${words[0]}" is a single dictionary word, the most sought-after kind of name`
+          : `Made of ${words.length} dictionary words: ${words.join(" + ")}`;
+    } else if (words.length > 0) {
+      multiplier = round(0.3 + segmentation.coverage * 0.5);
+      detail = `Partly dictionary words (${Math.round(segmentation.coverage * 100)}%): ${words.join(", ")}`;
+    } else {
+      // Invented names are only worth what their brandability makes them
+      multiplier = round(0.2 + (brandability / 100) * 0.6);
+      detail = `Invented word; value depends on brandability (${brandability}/100)`;
+    }
+
+    return {
+      value: words,
+      coverage: round(segmentation.coverage),
+      multiplier,
+      detail,
+    };
+  }
+
+  getHyphensDigitsFeature(name) {
+    const { score, detail } = domainScoringService.scoreHyphensDigits(name);
+
+    return {
+      value: score,
+      multiplier: round(Math.pow(score / 100, 2)),
+      detail,
+    };
+  }
+
+  getCommercialIntentFeature(description) {
+    const letters = description.name.replace(/[^a-z0-9]/g, "");
+
+    // Short keywords like "ai" only count as whole words, longer ones anywhere
+    const matches = Object.entries(COMMERCIAL_KEYWORDS).flatMap(([category, { intent, words }]) =>
+      words
+        .filter((word) =>
+          word.length < 4 ? description.words.includes(word) : letters.includes(word)
+        )
+        .map((word) => ({ category, intent, word }))
+    );
+
+    const strongest = matches.sort((a, b) => b.intent - a.intent)[0];
+    const score = strongest ? strongest.intent : description.words.length > 0 ? 20 : 0;
+
+    return {
+      value: score,
+      category: strongest?.category || null,
+      keywords: [...new Set(matches.map((match) => match.word))],
+      multiplier: round(1 + (score / 100) * 2),
+      detail: strongest
+        ? `Contains ${strongest.category} keyword "${strongest.word}", which advertisers pay well for`
+        : "No high-value commercial keywords",
+    };
+  }
+
+  // How alike two names are for pricing: shared words, extension, length and shape
+  getSimilarity(target, sale) {
+    const targetWords = new Set(target.words);
+    const saleWords = new Set(sale.words);
+    const shared = [...targetWords].filter((word) => saleWords.has(word)).length;
+    const union = new Set([...targetWords, ...saleWords]).size;
+
+    const wordScore = union > 0 ? shared / union : 0;
+    const lengthScore =
+      1 - Math.abs(target.name.length - sale.name.length) / Math.max(target.name.length, sale.name.length);
+    const shapeScore = target.words.length === sale.words.length ? 1 : 0;
+
+    return round(
+      wordScore * 0.5 + (target.tld === sale.tld ? 0.2 : 0) + lengthScore * 0.2 + shapeScore * 0.1
+    );
+  }
+
+  findComparables(description) {
+    return this.loadSales()
+      .filter((sale) => sale.domain !== description.domain)
+      .map((sale) => ({ sale, similarity: this.getSimilarity(description, sale) }))
+      .filter(({ similarity }) => similarity >= MIN_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, MAX_COMPARABLES)
+      .map(({ sale, similarity }) => ({
+        domain: sale.domain,
+        price: sale.price,
+        year: sale.year,
+        similarity,
+      }));
+  }
+
+  // Similarity-weighted geometric mean, so one outlier sale can't dominate
+  averageComparables(comparables) {
+    const totalWeight = comparables.reduce((sum, sale) => sum + sale.similarity, 0);
+    const logSum = comparables.reduce(
+      (sum, sale) => sum + sale.similarity * Math.log(sale.price),
+      0
+    );
+    return Math.exp(logSum / totalWeight);
+  }
+
+  // Registrar price when the domain can be registered, to compare with the range
+  async getRegistration(domain) {
+    try {
+      const availability = await namecheapService.checkDomainAvailability(domain);
+      const price = availability.available
+        ? await pricingService.getSellingPrice(domain, availability.price, availability.isPremium)
+        : null;
+
+      return {
+        available: availability.available,
+        isPremium: !!availability.isPremium,
+        price,
+      };
+    } catch (error) {
+      console.warn(`⚠️ Could not check registration for ${domain}:`, error.message);
+      return null;
+    }
+  }
+
+  getVerdict(registration, range) {
+    if (!registration) {
+      return { code: "unknown", message: "Availability could not be checked." };
+    }
+
+    if (!registration.available) {
+      return {
+        code: "registered",
+        message: "Registered by someone else; the range is what buying it from the owner might cost.",
+      };
+    }
+
+    if (!registration.isPremium) {
+      return {
+        code: "standard_price",
+        message:
+          registration.price < range.low
+            ? "Available at the standard registration price, well below the estimated range."
+            : "Available at the standard registration price.",
+      };
+    }
+
+    if (registration.price <= range.low) {
+      return { code: "below_range", message: "The premium price is below the estimated range." };
+    }
+
+    if (registration.price <= range.high) {
+      return { code: "within_range", message: "The premium price is within the estimated range." };
+    }
+
+    return {
+      code: "above_range",
+      message: "The premium price is above the estimated range.",
+    };
+  }
+
+  /**
+   * Estimate what a domain would sell for
+   * @param {string} domain - Full domain name
+   * @param {Object} options - { checkRegistration: compare with the registrar price (default true) }
+   * @returns {Promise<Object>} { domain, currency, estimate, range, confidence, features, comparables, registration, verdict }
+   */
+  async appraise(domain, { checkRegistration = true } = {}) {
+    const description = this.describeName(domain);
+    const brandability = domainScoringService.scoreBrandability(description.domain).score;
+
+    const features = {
+      length: this.getLengthFeature(description.name),
+      tld: this.getTldFeature(description.tld),
+      dictionaryWords: this.getWordsFeature(description, brandability),
+      hyphensDigits: this.getHyphensDigitsFeature(description.name),
+      commercialIntent: this.getCommercialIntentFeature(description),
+    };
+
+    const modelEstimate = Math.max(
+      MIN_VALUE,
+      Object.values(features).reduce((value, feature) => value * feature.multiplier, BASE_VALUE)
+    );
+
+    const comparables = this.findComparables(description);
+    const comparablesEstimate = comparables.length > 0 ? this.averageComparables(comparables) : null;
+
+    // Comparables count for more the more of them there are and the closer they match
+    const comparablesWeight =
+      comparables.length > 0
+        ? round(
+            Math.min(
+              MAX_COMPARABLES_WEIGHT,
+              (comparables.reduce((sum, sale) => sum + sale.similarity, 0) / MAX_COMPARABLES) *
+                MAX_COMPARABLES_WEIGHT / 0.8
+            )
+          )
+        : 0;
+
+    const estimate = comparablesEstimate
+      ? Math.exp(
+          (1 - comparablesWeight) * Math.log(modelEstimate) +
+            comparablesWeight * Math.log(comparablesEstimate)
+        )
+      : modelEstimate;
+
+    // Comparable evidence and recognizable words make the estimate more reliable
+    const confidenceScore = round(
+      Math.max(
+        0.1,
+        Math.min(
+          0.9,
+          0.3 +
+            (comparablesWeight / MAX_COMPARABLES_WEIGHT) * 0.4 +
+            features.dictionaryWords.coverage * 0.2 -
+            (features.dictionaryWords.coverage > 0 && features.dictionaryWords.coverage < 1 ? 0.1 : 0)
+        )
+      )
+    );
+    const confidenceLevel =
+      confidenceScore >= 0.65 ? "high" : confidenceScore >= 0.4 ? "medium" : "low";
+
+    // Lower confidence widens the range
+    const spread = 1 + 2 * (1 - confidenceScore);
+    const range = {
+      low: roundPrice(Math.max(MIN_VALUE, estimate / spread)),
+      high: roundPrice(estimate * spread),
+    };
+
+    const registration = checkRegistration ? await this.getRegistration(description.domain) : null;
+
+    return {
+      domain: description.domain,
+      currency: "USD",
+      estimate: roundPrice(estimate),
+      range,
+      confidence: { score: confidenceScore, level: confidenceLevel },
+      modelEstimate: roundPrice(modelEstimate),
+      comparablesEstimate: comparablesEstimate ? roundPrice(comparablesEstimate) : null,
+      comparablesWeight,
+      brandability,
+      features,
+      comparables,
+      registration,
+      verdict: checkRegistration ? this.getVerdict(registration, range) : null,
+    };
+  }
+
+  // Plain explanation of an appraisal, used when no AI is available
+  summarize(appraisal) {
+    const { domain, range, confidence, features, comparables, verdict } = appraisal;
+    const ranked = Object.values(features).sort((a, b) => b.multiplier - a.multiplier);
+
+    const lines = [
+      `${domain} is estimated at $${range.low.toLocaleString()}-$${range.high.toLocaleString()} (${confidence.level} confidence).`,
+      `Biggest boost: ${ranked[0].detail}.`,
+    ];
+
+    const weakest = ranked[ranked.length - 1];
+    if (weakest.multiplier < 1) {
+      lines.push(`Biggest drag: ${weakest.detail}.`);
+    }
+
+    lines.push(
+      comparables.length > 0
+        ? `Closest comparable sales: ${comparables.slice(0, 3).map((sale) => `${sale.domain} ($${sale.price.toLocaleString()}, ${sale.year})`).join(", ")}.`
+        : "No close comparable sales were found, so the estimate relies on the name's features."
+    );
+
+    if (verdict) {
+      lines.push(verdict.message);
+    }
+
+    return lines.join(" ");
+  }
+}
+
+module.exports = new DomainAppraisalService();
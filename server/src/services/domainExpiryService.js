@@ -0,0 +1,434 @@
+const supabase = require("../config/database.js");
+const namecheapService = require("./namecheapService.js");
+const pricingService = require("./pricingService.js");
+const stripeService = require("./stripeService.js");
+const emailService = require("./emailService.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DomainExpiryService {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.checkInterval = 6 * 60 * 60 * 1000; // 6 hours
+    this.reminderDays = [60, 30, 7, 1];
+    this.autoRenewDays = 7; // Auto-renew domains this close to expiring
+    this.autoRenewYears = 1;
+    this.monitoredStatuses = ["registered", "active", "expiring", "renewal_failed"];
+  }
+
+  // Start the background expiry monitoring service
+  start() {
+    if (this.isRunning) {
+      console.log("🔄 Domain expiry service is already running");
+      return;
+    }
+
+    console.log("🚀 Starting domain expiry service");
+    this.isRunning = true;
+
+    // Run initial check
+    this.checkExpiringDomains();
+
+    // Set up interval for regular checks
+    this.interval = setInterval(() => {
+      this.checkExpiringDomains();
+    }, this.checkInterval);
+
+    console.log(`✅ Domain expiry service started (checking every ${this.checkInterval / 1000} seconds)`);
+  }
+
+  // Stop the background expiry monitoring service
+  stop() {
+    if (!this.isRunning) {
+      console.log("⏹️ Domain expiry service is not running");
+      return;
+    }
+
+    console.log("⏹️ Stopping domain expiry service");
+    this.isRunning = false;
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    console.log("✅ Domain expiry service stopped");
+  }
+
+  // Send reminders and run auto-renewals for domains inside the reminder window
+  async checkExpiringDomains() {
+    try {
+      console.log("🔍 Checking expiring domains...");
+
+      const now = new Date();
+      const windowEnd = new Date(now.getTime() + Math.max(...this.reminderDays) * DAY_MS);
+
+      const { data: domains, error } = await supabase
+        .from("domains")
+        .select(
+          `
+          *,
+          users!domains_owner_id_fkey(id, email, first_name, last_name, stripe_customer_id)
+        `
+        )
+        .in("status", this.monitoredStatuses)
+        .gt("expiration_date", now.toISOString())
+        .lte("expiration_date", windowEnd.toISOString())
+        .order("expiration_date", { ascending: true });
+
+      if (error) {
+        console.error("❌ Error fetching expiring domains:", error);
+        return;
+      }
+
+      if (!domains || domains.length === 0) {
+        console.log("✅ No domains expiring soon");
+        return;
+      }
+
+      console.log(`📋 Found ${domains.length} domains expiring within ${Math.max(...this.reminderDays)} days`);
+
+      for (const domain of domains) {
+        await this.processDomain(domain);
+      }
+
+      console.log("✅ Completed domain expiry check cycle");
+    } catch (error) {
+      console.error("❌ Error in domain expiry check:", error);
+    }
+  }
+
+  // Auto-renew or remind, depending on how close the domain is to expiring
+  async processDomain(domain) {
+    try {
+      const daysLeft = Math.ceil(
+        (new Date(domain.expiration_date).getTime() - Date.now()) / DAY_MS
+      );
+
+      if (
+        domain.auto_renew &&
+        domain.status !== "renewal_failed" &&
+        daysLeft <= this.autoRenewDays &&
+        (await this.claimNotice(domain, "auto_renew"))
+      ) {
+        await this.autoRenewDomain(domain);
+        return;
+      }
+
+      // Only the most urgent reminder is sent if earlier ones were missed
+      const reminderDay = this.reminderDays
+        .filter((days) => daysLeft <= days)
+        .pop();
+
+      if (!reminderDay || !(await this.claimNotice(domain, `reminder_${reminderDay}`))) {
+        return;
+      }
+
+      if (!domain.users?.email) {
+        console.warn(`⚠️ No owner email for ${domain.full_domain}, skipping reminder`);
+        return;
+      }
+
+      console.log(`📧 Sending ${reminderDay}-day expiry reminder for ${domain.full_domain}`);
+
+      const result = await emailService.sendExpiryReminderEmail(
+        domain.users.email,
+        domain.full_domain,
+        domain.expiration_date,
+        daysLeft,
+        domain.auto_renew && domain.status !== "renewal_failed"
+      );
+
+      await this.recordNoticeResult(
+        domain,
+        `reminder_${reminderDay}`,
+        result.success ? "sent" : "failed",
+        result.error
+      );
+    } catch (error) {
+      console.error(`❌ Error processing expiry for ${domain.full_domain}:`, error);
+    }
+  }
+
+  // Record a notice for the current expiration date. Returns false if it was already sent.
+  async claimNotice(domain, noticeType) {
+    const { error } = await supabase.from("domain_expiry_notices").insert([
+      {
+        domain_id: domain.id,
+        notice_type: noticeType,
+        expiration_date: domain.expiration_date,
+      },
+    ]);
+
+    if (!error) {
+      return true;
+    }
+
+    if (error.code !== "23505") {
+      console.error(`❌ Error recording ${noticeType} for ${domain.full_domain}:`, error);
+    }
+
+    return false;
+  }
+
+  async recordNoticeResult(domain, noticeType, result, errorMessage = null) {
+    const { error } = await supabase
+      .from("domain_expiry_notices")
+      .update({ result, error: errorMessage || null })
+      .eq("domain_id", domain.id)
+      .eq("notice_type", noticeType)
+      .eq("expiration_date", domain.expiration_date);
+
+    if (error) {
+      console.error(`❌ Error updating ${noticeType} for ${domain.full_domain}:`, error);
+    }
+  }
+
+  // Charge the owner's saved card and renew the domain with Namecheap
+  async autoRenewDomain(domain) {
+    const user = domain.users;
+    const years = this.autoRenewYears;
+    let transaction = null;
+    let paymentIntent = null;
+
+    console.log(`🔄 Auto-renewing ${domain.full_domain} for ${years} year(s)`);
+
+    try {
+      const paymentMethods = user?.stripe_customer_id
+        ? await stripeService.getCustomerPaymentMethods(user.stripe_customer_id)
+        : [];
+
+      if (!paymentMethods || paymentMethods.length === 0) {
+        await this.remindNoCardOnFile(domain);
+        return;
+      }
+
+      const renewalCost = await namecheapService.getRenewalPrice(
+        domain.full_domain,
+        years
+      );
+      const { sellingPrice: amount } = await pricingService.calculatePrice(
+        domain.full_domain,
+        renewalCost,
+        domain.is_premium,
+        years
+      );
+
+      const { data: newTransaction, error: transactionError } = await supabase
+        .from("transactions")
+        .insert([
+          {
+            user_id: user.id,
+            domain_id: domain.id,
+            type: "renewal",
+            status: "pending",
+            amount: amount,
+            currency: "USD",
+            payment_method: "stripe",
+            description: `Automatic renewal of ${domain.full_domain} for ${years} year(s)`,
+            metadata: { years, autoRenew: true },
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+          },
+        ])
+        .select()
+        .single();
+
+      if (transactionError) {
+        throw new Error(`Failed to create transaction record: ${transactionError.message}`);
+      }
+      transaction = newTransaction;
+
+      try {
+        paymentIntent = await stripeService.chargeSavedPaymentMethod(
+          amount,
+          "usd",
+          user.stripe_customer_id,
+          paymentMethods[0].id,
+          {
+            domainId: domain.id.toString(),
+            userId: user.id.toString(),
+            domainName: domain.full_domain,
+            type: "renewal",
+            years: years.toString(),
+            transactionId: transaction.id.toString(),
+            autoRenew: "true",
+          }
+        );
+      } catch (chargeError) {
+        paymentIntent = chargeError.paymentIntent;
+        throw chargeError;
+      }
+
+      if (paymentIntent.status !== "succeeded") {
+        throw new Error(`Payment was not completed (status: ${paymentIntent.status})`);
+      }
+
+      await supabase
+        .from("transactions")
+        .update({
+          status: "completed",
+          stripe_payment_intent_id: paymentIntent.id,
+          stripe_charge_id: paymentIntent.latest_charge || null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", transaction.id);
+      transaction.status = "completed";
+
+      let renewalResult;
+      try {
+        renewalResult = await namecheapService.renewDomain(domain.full_domain, years);
+      } catch (renewError) {
+        // Don't keep the customer's money for a renewal that did not happen
+        await this.refundAutoRenewal(transaction, paymentIntent, renewError.message);
+        throw renewError;
+      }
+
+      // Renewals extend the current expiration date
+      let newExpirationDate;
+      if (renewalResult.expirationDate) {
+        newExpirationDate = new Date(renewalResult.expirationDate);
+      } else {
+        newExpirationDate = new Date(domain.expiration_date);
+        newExpirationDate.setFullYear(newExpirationDate.getFullYear() + years);
+      }
+
+      await supabase
+        .from("domains")
+        .update({
+          status: "registered",
+          expiration_date: newExpirationDate.toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", domain.id);
+
+      await supabase
+        .from("transactions")
+        .update({
+          namecheap_order_id: renewalResult.orderId,
+          processed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", transaction.id);
+
+      await this.recordNoticeResult(domain, "auto_renew", "renewed");
+
+      console.log(`✅ Auto-renewed ${domain.full_domain} until ${newExpirationDate.toISOString()}`);
+
+      await emailService.sendAutoRenewalSuccessEmail(
+        user.email,
+        domain.full_domain,
+        newExpirationDate,
+        amount
+      );
+    } catch (error) {
+      console.error(`❌ Auto-renewal failed for ${domain.full_domain}:`, error.message);
+      await this.markRenewalFailed(domain, transaction, paymentIntent, error.message);
+    }
+  }
+
+  // Auto-renewal is on but there is no card to charge. The owner is told once
+  // and the renewal is retried on later checks, in case a card gets saved.
+  async remindNoCardOnFile(domain) {
+    console.warn(`⚠️ No saved card for ${domain.full_domain}, auto-renewal postponed`);
+
+    const { error } = await supabase
+      .from("domain_expiry_notices")
+      .delete()
+      .eq("domain_id", domain.id)
+      .eq("notice_type", "auto_renew")
+      .eq("expiration_date", domain.expiration_date);
+
+    if (error) {
+      console.error(`❌ Error releasing auto-renewal for ${domain.full_domain}:`, error);
+    }
+
+    if (!domain.users?.email || !(await this.claimNotice(domain, "no_card"))) {
+      return;
+    }
+
+    const result = await emailService.sendNoCardOnFileEmail(
+      domain.users.email,
+      domain.full_domain,
+      domain.expiration_date
+    );
+
+    await this.recordNoticeResult(
+      domain,
+      "no_card",
+      result.success ? "sent" : "failed",
+      result.error
+    );
+  }
+
+  // Refund an auto-renewal charge when the registrar renewal fails
+  async refundAutoRenewal(transaction, paymentIntent, reason) {
+    try {
+      if (!paymentIntent?.latest_charge) {
+        return;
+      }
+
+      const refund = await stripeService.createRefund(paymentIntent.latest_charge);
+
+      await supabase
+        .from("transactions")
+        .update({
+          status: "refunded",
+          metadata: {
+            ...transaction.metadata,
+            refundId: refund.id,
+            refundAmount: refund.amount / 100,
+            refundReason: reason,
+          },
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", transaction.id);
+
+      transaction.status = "refunded";
+      console.log(`🔄 Refunded auto-renewal charge for transaction ${transaction.id}`);
+    } catch (error) {
+      console.error(`❌ Failed to refund auto-renewal transaction ${transaction.id}:`, error);
+    }
+  }
+
+  // Flag the domain so the owner renews it manually, and tell them why
+  async markRenewalFailed(domain, transaction, paymentIntent, reason) {
+    try {
+      await supabase
+        .from("domains")
+        .update({
+          status: "renewal_failed",
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", domain.id);
+
+      if (transaction && transaction.status === "pending") {
+        await supabase
+          .from("transactions")
+          .update({
+            status: "failed",
+            stripe_payment_intent_id: paymentIntent?.id || null,
+            metadata: { ...transaction.metadata, error: reason },
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", transaction.id);
+      }
+
+      await this.recordNoticeResult(domain, "auto_renew", "renewal_failed", reason);
+
+      if (domain.users?.email) {
+        await emailService.sendRenewalFailedEmail(
+          domain.users.email,
+          domain.full_domain,
+          domain.expiration_date,
+          reason
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Error recording failed renewal for ${domain.full_domain}:`, error);
+    }
+  }
+}
+
+module.exports = new DomainExpiryService();
@@ -0,0 +1,510 @@
+// Deterministic domain scoring. Every score is computed from the name itself,
+// so the same domain always gets the same numbers and each factor explains
+// where its points came from. The AI only writes narrative on top of these.
+
+// Common English and business words used to split names like "fastcloudhost"
+const DICTIONARY = new Set(
+  `a i
+  ab about ace act ad add age agent ai air all alpha am an and ant any app apps
+  arc area arm art as ask at auto away axe back bag bake bakery ball band bank
+  bar base bay be beam bean bear beat bee bell belt best bet big bike bill bin
+  bird bit bite black blade blink block blog blue board boat body bold bolt bond
+  book boost boot born boss bot box boy brain brand brew bridge bright bring
+  build bulk burn bus buy buzz by cab cafe cake call calm camp can cap car card
+  care cart case cash cast cat chain chair chat cheap check chef chip city class
+  clean clear click cloud club coach code coffee coin cold color come cook cool
+  core corner cost craft crew crowd crypto cube cup cure cut cyber daily dash
+  data date day deal deep den design desk dev dial dig digital dine direct do
+  dock doctor dog door dot down dream drive drop dry duck ear earth east easy eat
+  eco edge egg elite end energy engine epic ever every eye face fact fair farm
+  fast fat feed feel fest field file film find fine fire firm first fish fit fix
+  flash fleet flex flip flow fly focus fold folk food foot for forge form fort
+  forward fox free fresh friend from front fruit fuel full fun fund fusion gain
+  game garden gate gear gem get giant gift glass global glow go goal gold good
+  grab grand graph green grid grill ground group grow guard guide guru gym hair
+  half hall hand happy harbor hat hawk head health heart heat hello help hero
+  hi high hill hive hold home honey hook hop horse host hot hotel house hub
+  human hunt ice idea in info ink inn insight iron it item jet job join joy
+  juice jump just keen key kick kid kind king kit kitchen lab lake land lane
+  laser law lead leaf lean learn legal lens less level life lift light like lime
+  line link lion list live local lock logic long loop lot love luck lux mad made
+  magic mail main maker mall man map mark market mart master match max me meal
+  media meet mega mend menu metal mind mini mint mix mobile mode money moon more
+  motion motor move much music my name nation native nest net network new news
+  next nice night nine no node north nova now nut oak ocean of off office oil ok
+  old on one online open orbit order out own pack page paint pal palm pan park
+  part party pass path pay peak pen people pet phone photo pick pie pilot pin
+  pine pipe pitch pixel place plan planet plant play plus pod point pool pop
+  port post pot power prime print pro project pulse pure push quest quick quiet
+  race radar rain ranch rank rapid raw ray reach read real red rent rest rich
+  ride right ring rise river road robot rock rocket roof room root rose round
+  route run rush safe sage sail sale salt sand save scale scan school science
+  score scout sea seal secure seed seek sell send sense serve set shade share
+  sharp shift shine ship shop shore shot show side sign signal silver simple
+  site sky sleep slice smart smile snap social soft solar solid solution song
+  sonic soul sound source south space spark speed spice spin spot spring square
+  stack staff stage star start state station stay steel step stock stone stop
+  store storm story stream street strong studio style sugar summit sun super
+  supply sure swift sync system table tag tail take talk tank tap task taste
+  taxi tea team tech ten test text the think tide tiger time tiny tip to today
+  token tool top touch tour tower town toy track trade trail train travel tree
+  trend trip true trust truth tube turbo turn twin up urban use valley value van
+  vault vibe video view villa vision visit vista vital voice wall wave way we
+  web well west whale wheel white wide wild win wind wine wing wire wise wish
+  wolf wood word work world worth yard yes yoga you young your zen zero zone zoom`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+// Three-consonant clusters that are still easy to say
+const EASY_CLUSTERS = new Set([
+  "str", "scr", "spr", "spl", "thr", "chr", "sch", "shr", "nch", "ght",
+  "nth", "rst", "tch", "ngs", "nds", "nts", "rth", "lls", "mps", "nst",
+]);
+
+// How much the extension adds to a name, out of 100
+const TLD_VALUES = {
+  com: 100,
+  net: 80,
+  org: 80,
+  io: 75,
+  ai: 75,
+  co: 75,
+  app: 70,
+  dev: 65,
+  us: 60,
+  uk: 60,
+  ca: 60,
+  de: 60,
+  me: 60,
+  tech: 55,
+  store: 55,
+  shop: 55,
+  online: 50,
+  site: 45,
+  xyz: 40,
+  info: 40,
+  biz: 35,
+};
+
+// Factor weights per score. Keyword match only counts when keywords are given.
+const WEIGHTS = {
+  brandability: {
+    length: 0.2,
+    pronounceability: 0.25,
+    syllables: 0.15,
+    dictionaryWords: 0.1,
+    hyphensDigits: 0.15,
+    tldValue: 0.1,
+    keywordMatch: 0.05,
+  },
+  seo: {
+    keywordMatch: 0.3,
+    dictionaryWords: 0.25,
+    length: 0.15,
+    hyphensDigits: 0.15,
+    tldValue: 0.15,
+  },
+  memorability: {
+    length: 0.35,
+    pronounceability: 0.3,
+    syllables: 0.2,
+    hyphensDigits: 0.15,
+  },
+};
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+class DomainScoringService {
+  parseDomain(domain) {
+    const clean = domain.trim().toLowerCase().replace(/^https?:\/\//, "").replace(/^www\./, "");
+    const dotIndex = clean.indexOf(".");
+
+    return {
+      domain: clean,
+      name: dotIndex === -1 ? clean : clean.slice(0, dotIndex),
+      tld: dotIndex === -1 ? "com" : clean.slice(dotIndex + 1),
+    };
+  }
+
+  // Split a name into dictionary words, preferring full coverage and then
+  // the fewest words. Letters that fit no word are kept as unknown parts.
+  // extraWords (a Set) adds vocabulary for callers with their own word lists.
+  segmentWords(name, extraWords = null) {
+    const letters = name.replace(/[^a-z]/g, "");
+    const best = [{ cost: 0, parts: [] }];
+
+    for (let end = 1; end <= letters.length; end++) {
+      best[end] = null;
+
+      for (let start = Math.max(0, end - 12); start < end; start++) {
+        const word = letters.slice(start, end);
+        if (!(DICTIONARY.has(word) || extraWords?.has(word)) || !best[start]) {
+          continue;
+        }
+
+        const cost = best[start].cost + 1;
+        if (!best[end] || cost < best[end].cost) {
+          best[end] = {
+            cost,
+            parts: [...best[start].parts, { text: word, known: true }],
+          };
+        }
+      }
+
+      // Skipping a letter costs more than any word, so it is a last resort
+      const previous = best[end - 1];
+      const skipCost = previous.cost + 3;
+      if (!best[end] || skipCost < best[end].cost) {
+        const parts = [...previous.parts];
+        const last = parts[parts.length - 1];
+        const letter = letters[end - 1];
+
+        if (last && !last.known) {
+          parts[parts.length - 1] = { text: last.text + letter, known: false };
+        } else {
+          parts.push({ text: letter, known: false });
+        }
+        best[end] = { cost: skipCost, parts };
+      }
+    }
+
+    const parts = best[letters.length].parts;
+    const covered = parts
+      .filter((part) => part.known)
+      .reduce((sum, part) => sum + part.text.length, 0);
+
+    return {
+      parts,
+      words: parts.filter((part) => part.known).map((part) => part.text),
+      coverage: letters.length > 0 ? covered / letters.length : 0,
+    };
+  }
+
+  // Pieces of the name as it would be spoken. The name is only split between
+  // two dictionary words, so "fastcloud" is fast + cloud while "zillow" stays whole.
+  getSpokenChunks(segmentation) {
+    const chunks = [];
+    let previousKnown = false;
+
+    segmentation.parts.forEach((part) => {
+      if (chunks.length > 0 && !(part.known && previousKnown)) {
+        chunks[chunks.length - 1] += part.text;
+      } else {
+        chunks.push(part.text);
+      }
+      previousKnown = part.known;
+    });
+
+    return chunks;
+  }
+
+  countSyllables(word) {
+    let text = word.toLowerCase().replace(/[^a-z]/g, "");
+    if (!text) {
+      return 0;
+    }
+    if (text.length <= 3) {
+      return 1;
+    }
+
+    text = text.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "").replace(/^y/, "");
+    const groups = text.match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 0);
+  }
+
+  scoreLength(name) {
+    const length = name.length;
+    let score;
+
+    if (length <= 3) score = 95;
+    else if (length <= 8) score = 100;
+    else if (length <= 10) score = 90;
+    else if (length <= 12) score = 80;
+    else if (length <= 15) score = 65;
+    else if (length <= 20) score = 45;
+    else score = 25;
+
+    return {
+      score,
+      detail: `${length} characters (4-8 is ideal, longer names are harder to type and remember)`,
+    };
+  }
+
+  scorePronounceability(name, segmentation) {
+    const letters = name.replace(/[^a-z]/g, "");
+    if (!letters) {
+      return { score: 0, detail: "No letters to pronounce" };
+    }
+
+    // "y" acts as a vowel anywhere but the start of a word
+    const toPattern = (text) =>
+      text
+        .split("")
+        .map((letter, index) => ("aeiou".includes(letter) || (letter === "y" && index > 0) ? "v" : "c"))
+        .join("");
+
+    const vowelRatio = (toPattern(letters).match(/v/g) || []).length / letters.length;
+    const issues = [];
+    let score = 100;
+
+    // Clusters across a word boundary ("fast|cloud") are not hard to say
+    this.getSpokenChunks(segmentation).forEach((chunk) => {
+      const pattern = toPattern(chunk);
+
+      [...pattern.matchAll(/c{3,}/g)].forEach((run) => {
+        const cluster = chunk.slice(run.index, run.index + run[0].length);
+        if (cluster.length >= 4) {
+          score -= 25;
+          issues.push(`hard consonant cluster "${cluster}"`);
+        } else if (!EASY_CLUSTERS.has(cluster)) {
+          score -= 12;
+          issues.push(`consonant cluster "${cluster}"`);
+        }
+      });
+
+      const vowelRuns = pattern.match(/v{3,}/g) || [];
+      if (vowelRuns.length > 0) {
+        score -= 10 * vowelRuns.length;
+        issues.push("long vowel run");
+      }
+    });
+
+    if (vowelRatio < 0.2) {
+      score -= 30;
+      issues.push("very few vowels");
+    } else if (vowelRatio < 0.3) {
+      score -= 15;
+      issues.push("few vowels");
+    } else if (vowelRatio > 0.7) {
+      score -= 15;
+      issues.push("mostly vowels");
+    }
+
+    return {
+      score: clamp(score),
+      detail:
+        issues.length > 0
+          ? `Harder to say: ${issues.join(", ")}`
+          : "Alternates consonants and vowels naturally",
+    };
+  }
+
+  scoreSyllables(segmentation) {
+    // Count words on their own, "firelane" is fire + lane, not fi-re-la-ne
+    const syllables = this.getSpokenChunks(segmentation).reduce(
+      (sum, chunk) => sum + this.countSyllables(chunk),
+      0
+    );
+
+    let score;
+    if (syllables === 0) score = 0;
+    else if (syllables === 1) score = 90;
+    else if (syllables <= 3) score = 100;
+    else if (syllables === 4) score = 75;
+    else if (syllables === 5) score = 55;
+    else score = 35;
+
+    return {
+      score,
+      value: syllables,
+      detail: `${syllables} syllable${syllables === 1 ? "" : "s"} (2-3 is easiest to say and remember)`,
+    };
+  }
+
+  scoreDictionaryWords(segmentation) {
+    const { words, coverage } = segmentation;
+    let score;
+
+    if (coverage === 1) {
+      score = words.length === 1 ? 100 : words.length === 2 ? 95 : words.length === 3 ? 80 : 60;
+    } else {
+      score = coverage * 70;
+    }
+
+    return {
+      score: clamp(score),
+      words,
+      detail:
+        words.length > 0
+          ? `Reads as ${segmentation.parts.map((part) => (part.known ? part.text : `"${part.text}"`)).join(" + ")} (${Math.round(coverage * 100)}% dictionary words)`
+          : "No dictionary words, the name is fully invented",
+    };
+  }
+
+  scoreHyphensDigits(name) {
+    const hyphens = (name.match(/-/g) || []).length;
+    const digits = (name.match(/[0-9]/g) || []).length;
+
+    // Short all-number names are a category of their own and trade well
+    if (/^[0-9]{1,4}$/.test(name)) {
+      return { score: 90, detail: "Short numeric name" };
+    }
+
+    const score = 100 - hyphens * 25 - digits * 15;
+    const issues = [];
+    if (hyphens > 0) issues.push(`${hyphens} hyphen${hyphens > 1 ? "s" : ""}`);
+    if (digits > 0) issues.push(`${digits} digit${digits > 1 ? "s" : ""}`);
+
+    return {
+      score: clamp(score),
+      detail:
+        issues.length > 0
+          ? `Contains ${issues.join(" and ")}, which are easy to mistype when said aloud`
+          : "No hyphens or digits",
+    };
+  }
+
+  scoreTld(tld) {
+    const lastLabel = tld.split(".").pop();
+    const score = TLD_VALUES[tld] ?? TLD_VALUES[lastLabel] ?? 45;
+
+    return {
+      score,
+      detail:
+        tld === "com"
+          ? ".com is the most trusted and most typed extension"
+          : `.${tld} is worth less than .com for most buyers`,
+    };
+  }
+
+  scoreKeywordMatch(name, segmentation, keywords = []) {
+    const terms = keywords
+      .map((keyword) => String(keyword).toLowerCase().replace(/[^a-z0-9]/g, ""))
+      .filter(Boolean);
+
+    if (terms.length === 0) {
+      return null;
+    }
+
+    const letters = name.replace(/[^a-z0-9]/g, "");
+    const matches = terms.map((term) => {
+      if (segmentation.words.includes(term)) return { term, score: 100 };
+      if (letters.includes(term)) return { term, score: 85 };
+      if (term.length >= 5 && letters.includes(term.slice(0, 4))) return { term, score: 50 };
+      return { term, score: 0 };
+    });
+
+    const score = matches.reduce((sum, match) => sum + match.score, 0) / matches.length;
+    const matched = matches.filter((match) => match.score > 0).map((match) => match.term);
+
+    return {
+      score: clamp(score),
+      detail:
+        matched.length > 0
+          ? `Matches ${matched.length} of ${terms.length} keyword${terms.length > 1 ? "s" : ""}: ${matched.join(", ")}`
+          : `Matches none of the keywords: ${terms.join(", ")}`,
+    };
+  }
+
+  // Combine factors into one score, skipping factors without a result
+  weigh(factors, weights) {
+    const result = {};
+    let total = 0;
+    let weightSum = 0;
+
+    Object.entries(weights).forEach(([factor, weight]) => {
+      if (!factors[factor]) {
+        return;
+      }
+      total += factors[factor].score * weight;
+      weightSum += weight;
+    });
+
+    Object.entries(weights).forEach(([factor, weight]) => {
+      if (!factors[factor]) {
+        return;
+      }
+      result[factor] = {
+        ...factors[factor],
+        weight: parseFloat((weight / weightSum).toFixed(3)),
+      };
+    });
+
+    return {
+      score: weightSum > 0 ? clamp(total / weightSum) : 0,
+      factors: result,
+    };
+  }
+
+  computeFactors(domain, keywords = []) {
+    const parsed = this.parseDomain(domain);
+    const segmentation = this.segmentWords(parsed.name);
+
+    return {
+      parsed,
+      factors: {
+        length: this.scoreLength(parsed.name),
+        pronounceability: this.scorePronounceability(parsed.name, segmentation),
+        syllables: this.scoreSyllables(segmentation),
+        dictionaryWords: this.scoreDictionaryWords(segmentation),
+        hyphensDigits: this.scoreHyphensDigits(parsed.name),
+        tldValue: this.scoreTld(parsed.tld),
+        keywordMatch: this.scoreKeywordMatch(parsed.name, segmentation, keywords),
+      },
+    };
+  }
+
+  scoreBrandability(domain, keywords = []) {
+    const { parsed, factors } = this.computeFactors(domain, keywords);
+    return { domain: parsed.domain, ...this.weigh(factors, WEIGHTS.brandability) };
+  }
+
+  scoreSEO(domain, keywords = []) {
+    const { parsed, factors } = this.computeFactors(domain, keywords);
+    return { domain: parsed.domain, ...this.weigh(factors, WEIGHTS.seo) };
+  }
+
+  // All three scores from a single pass over the name
+  scoreDomain(domain, keywords = []) {
+    const { parsed, factors } = this.computeFactors(domain, keywords);
+
+    return {
+      domain: parsed.domain,
+      brandability: this.weigh(factors, WEIGHTS.brandability),
+      seo: this.weigh(factors, WEIGHTS.seo),
+      memorability: this.weigh(factors, WEIGHTS.memorability),
+    };
+  }
+
+  // Plain summary of the weakest and strongest factors, used when no AI is available
+  summarize(result, label) {
+    const ranked = Object.entries(result.factors).sort((a, b) => a[1].score - b[1].score);
+    const weakest = ranked.slice(0, 2).filter(([, factor]) => factor.score < 80);
+    const strongest = ranked[ranked.length - 1];
+
+    const lines = [`${result.domain} scores ${result.score}/100 for ${label}.`];
+    if (strongest) {
+      lines.push(`Strongest point: ${strongest[1].detail}.`);
+    }
+    weakest.forEach(([, factor]) => lines.push(`Could be better: ${factor.detail}.`));
+
+    return lines.join(" ");
+  }
+
+  // Suggestions that follow directly from low-scoring factors
+  getRecommendations(factors) {
+    const recommendations = [];
+
+    if (factors.hyphensDigits?.score < 80) {
+      recommendations.push("Look for a version without hyphens or digits");
+    }
+    if (factors.length?.score < 70) {
+      recommendations.push("Try a shorter name, ideally under 12 characters");
+    }
+    if (factors.tldValue?.score < 75) {
+      recommendations.push("Check whether the .com is available as well");
+    }
+    if (factors.pronounceability?.score < 70) {
+      recommendations.push("Choose a spelling that is easier to say out loud");
+    }
+    if (factors.keywordMatch && factors.keywordMatch.score < 50) {
+      recommendations.push("Include your main keyword in the name for search relevance");
+    }
+
+    recommendations.push("Verify trademark conflicts before purchase");
+    return recommendations;
+  }
+}
+
+module.exports = new DomainScoringService();
@@ -209,17 +209,27 @@ This is an automated email. Please do not reply to this message.
     `;
   }
 
-  // Send payment confirmation email
-  async sendPaymentConfirmationEmail(to, domainName, transactionId) {
+  // Send payment confirmation email, with the invoice PDF attached when provided
+  async sendPaymentConfirmationEmail(to, domainName, transactionId, receipt = null) {
     try {
       const mailOptions = {
         from: process.env.EMAIL_FROM || 'noreply@domainbuddy.com',
         to: to,
         subject: `Payment Confirmed - Domain ${domainName} Successfully Purchased`,
-        html: this.getPaymentConfirmationTemplate(domainName, transactionId),
-        text: this.getPaymentConfirmationText(domainName, transactionId),
+        html: this.getPaymentConfirmationTemplate(domainName, transactionId, receipt),
+        text: this.getPaymentConfirmationText(domainName, transactionId, receipt),
       };
 
+      if (receipt?.pdf) {
+        mailOptions.attachments = [
+          {
+            filename: `${receipt.invoiceNumber}.pdf`,
+            content: receipt.pdf,
+            contentType: 'application/pdf',
+          },
+        ];
+      }
+
       const info = await this.transporter.sendMail(mailOptions);
       console.log('Payment confirmation email sent successfully:', info.messageId);
       return { success: true, messageId: info.messageId };
@@ -230,7 +240,7 @@ This is an automated email. Please do not reply to this message.
     }
   }
 
-  getPaymentConfirmationTemplate(domainName, transactionId) {
+  getPaymentConfirmationTemplate(domainName, transactionId, receipt = null) {
     return `
       <!DOCTYPE html>
       <html lang="en">
@@ -300,7 +310,9 @@ This is an automated email. Please do not reply to this message.
             <p><strong>Domain:</strong> ${domainName}</p>
             <p><strong>Transaction ID:</strong> ${transactionId}</p>
             <p><strong>Status:</strong> Registered and Active</p>
-            <p><strong>Registration Period:</strong> 1 Year</p>
+            <p><strong>Registration Period:</strong> ${this.getRegistrationPeriod(receipt)}</p>${receipt ? `
+            <p><strong>Invoice:</strong> ${receipt.invoiceNumber} (attached)</p>
+            <p><strong>Total Paid:</strong> ${receipt.total}</p>` : ''}
           </div>
           
           <p>Your domain is now being registered and will be available in your account shortly. You can manage your domain through your DomainBuddy dashboard.</p>
@@ -323,7 +335,7 @@ This is an automated email. Please do not reply to this message.
     `;
   }
 
-  getPaymentConfirmationText(domainName, transactionId) {
+  getPaymentConfirmationText(domainName, transactionId, receipt = null) {
     return `
 Payment Successful - DomainBuddy
 
@@ -333,7 +345,9 @@ Purchase Summary:
 - Domain: ${domainName}
 - Transaction ID: ${transactionId}
 - Status: Registered and Active
-- Registration Period: 1 Year
+- Registration Period: ${this.getRegistrationPeriod(receipt)}${receipt ? `
+- Invoice: ${receipt.invoiceNumber} (attached)
+- Total Paid: ${receipt.total}` : ''}
 
 Your domain is now being registered and will be available in your account shortly. You can manage your domain through your DomainBuddy dashboard.
 
@@ -349,6 +363,208 @@ This is an automated email. Please do not reply to this message.
     `;
   }
 
+  // Send a reminder that a domain is about to expire
+  async sendExpiryReminderEmail(to, domainName, expirationDate, daysLeft, autoRenew) {
+    const expires = new Date(expirationDate).toDateString();
+    const dayLabel = `${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    const nextStep = autoRenew
+      ? 'Auto-renewal is on. We will renew the domain for 1 year using your saved card about a week before it expires.'
+      : 'Auto-renewal is off. Renew the domain from your DomainBuddy dashboard to keep it.';
+
+    return this.sendDomainNotice(to, `Your domain ${domainName} expires in ${dayLabel}`, {
+      title: 'Domain Expiring Soon',
+      icon: '⏰',
+      color: '#d97706',
+      intro: `Your domain <strong>${domainName}</strong> expires in ${dayLabel}.`,
+      details: [
+        ['Domain', domainName],
+        ['Expiration Date', expires],
+        ['Auto-Renewal', autoRenew ? 'On' : 'Off'],
+      ],
+      closing: nextStep,
+    });
+  }
+
+  // Send confirmation that a domain was renewed automatically
+  async sendAutoRenewalSuccessEmail(to, domainName, expirationDate, amount) {
+    return this.sendDomainNotice(to, `Domain ${domainName} renewed automatically`, {
+      title: 'Domain Renewed',
+      icon: '✅',
+      color: '#16a34a',
+      intro: `Your domain <strong>${domainName}</strong> was renewed automatically.`,
+      details: [
+        ['Domain', domainName],
+        ['Amount Charged', `$${Number(amount).toFixed(2)} USD`],
+        ['New Expiration Date', new Date(expirationDate).toDateString()],
+      ],
+      closing: 'You can turn auto-renewal off from your DomainBuddy dashboard at any time.',
+    });
+  }
+
+  // Tell the owner that auto-renewal needs a saved card
+  async sendNoCardOnFileEmail(to, domainName, expirationDate) {
+    return this.sendDomainNotice(to, `Action needed: add a card to auto-renew ${domainName}`, {
+      title: 'No Card on File',
+      icon: '💳',
+      color: '#d97706',
+      intro: `Auto-renewal is on for <strong>${domainName}</strong>, but there is no saved card to charge.`,
+      details: [
+        ['Domain', domainName],
+        ['Expiration Date', new Date(expirationDate).toDateString()],
+        ['Auto-Renewal', 'Waiting for a card'],
+      ],
+      closing: 'Renew the domain from your DomainBuddy dashboard; the card you pay with is saved and used for future auto-renewals.',
+    });
+  }
+
+  // Tell the owner that an auto-renewal could not be completed
+  async sendRenewalFailedEmail(to, domainName, expirationDate, reason) {
+    return this.sendDomainNotice(to, `Action needed: ${domainName} could not be renewed`, {
+      title: 'Renewal Failed',
+      icon: '⚠️',
+      color: '#dc2626',
+      intro: `We could not automatically renew your domain <strong>${domainName}</strong>.`,
+      details: [
+        ['Domain', domainName],
+        ['Expiration Date', new Date(expirationDate).toDateString()],
+        ['Reason', reason],
+      ],
+      closing: 'Please renew the domain manually from your DomainBuddy dashboard before it expires, or update your saved card.',
+    });
+  }
+
+  // Shared sender for domain lifecycle notices; failures are logged, not thrown
+  async sendDomainNotice(to, subject, notice) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'noreply@domainbuddy.com',
+        to: to,
+        subject: subject,
+        html: this.getDomainNoticeTemplate(notice),
+        text: this.getDomainNoticeText(notice),
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`${notice.title} email sent successfully:`, info.messageId);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error(`Failed to send ${notice.title} email:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  getDomainNoticeTemplate({ title, icon, color, intro, details, closing }) {
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: #f4f4f4;
+          }
+          .container {
+            background-color: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+          }
+          .header {
+            text-align: center;
+            margin-bottom: 30px;
+          }
+          .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: ${color};
+            margin-bottom: 10px;
+          }
+          .icon {
+            font-size: 48px;
+            margin: 20px 0;
+          }
+          .domain-info {
+            background-color: #f9fafb;
+            border-left: 4px solid ${color};
+            padding: 15px;
+            margin: 20px 0;
+          }
+          .footer {
+            margin-top: 30px;
+            padding-top: 20px;
+            border-top: 1px solid #e2e8f0;
+            font-size: 14px;
+            color: #6b7280;
+            text-align: center;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">🌐 DomainBuddy</div>
+            <div class="icon">${icon}</div>
+            <h1>${title}</h1>
+          </div>
+
+          <p>${intro}</p>
+
+          <div class="domain-info">
+            ${details.map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`).join('\n            ')}
+          </div>
+
+          <p>${closing}</p>
+
+          <div class="footer">
+            <p>Thank you for choosing DomainBuddy!</p>
+            <p><small>This is an automated email. Please do not reply to this message.</small></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  getDomainNoticeText({ title, intro, details, closing }) {
+    return `
+${title} - DomainBuddy
+
+${intro.replace(/<[^>]+>/g, '')}
+
+${details.map(([label, value]) => `- ${label}: ${value}`).join('\n')}
+
+${closing}
+
+Thank you for choosing DomainBuddy!
+
+This is an automated email. Please do not reply to this message.
+    `;
+  }
+
+  // Registration term(s) shown in the confirmation email
+  getRegistrationPeriod(receipt) {
+    if (!receipt?.lineItems?.length) {
+      return '1 Year';
+    }
+
+    const terms = [...new Set(receipt.lineItems.map((item) => item.years))];
+    if (terms.length > 1) {
+      return receipt.lineItems
+        .map((item) => `${item.domain}: ${item.years} Year${item.years > 1 ? 's' : ''}`)
+        .join(', ');
+    }
+
+    return `${terms[0]} Year${terms[0] > 1 ? 's' : ''}`;
+  }
+
   // Test email configuration
   async testEmailConfiguration() {
     try {
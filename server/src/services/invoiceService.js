@@ -0,0 +1,374 @@
+const PDFDocument = require("pdfkit");
+const supabase = require("../config/database.js");
+const emailService = require("./emailService.js");
+
+// Transactions that were paid at some point and can have a receipt
+const INVOICEABLE_STATUSES = ["completed", "refunded", "disputed"];
+
+const TRANSACTION_LABELS = {
+  purchase: "Domain registration",
+  renewal: "Domain renewal",
+  transfer: "Domain transfer",
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+class InvoiceService {
+  constructor() {
+    // Charged prices already include tax; the rate is used to show the tax portion
+    this.taxRate = parseFloat(process.env.INVOICE_TAX_RATE) || 0;
+    this.taxLabel = process.env.INVOICE_TAX_LABEL || "Tax";
+    this.company = {
+      name: process.env.INVOICE_COMPANY_NAME || "DomainBuddy",
+      address: process.env.INVOICE_COMPANY_ADDRESS || "",
+      email: process.env.INVOICE_COMPANY_EMAIL || process.env.EMAIL_FROM || "support@domainbuddy.com",
+    };
+  }
+
+  formatInvoiceNumber(invoiceNumber) {
+    return `INV-${String(invoiceNumber).padStart(6, "0")}`;
+  }
+
+  formatMoney(amount, currency = "USD") {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: currency.toUpperCase(),
+    }).format(amount);
+  }
+
+  // Get the invoice covering a transaction, issuing it on first request.
+  // Cart transactions share a PaymentIntent and therefore one invoice.
+  async getOrCreateInvoice(transaction) {
+    if (!INVOICEABLE_STATUSES.includes(transaction.status)) {
+      throw new Error("Receipts are only available for paid transactions");
+    }
+
+    if (!transaction.stripe_payment_intent_id) {
+      throw new Error("Transaction has no payment to invoice");
+    }
+
+    const existing = await this.findInvoice(transaction.stripe_payment_intent_id);
+    if (existing) {
+      return existing;
+    }
+
+    const [{ data: transactions, error: transactionsError }, { data: user, error: userError }] =
+      await Promise.all([
+        supabase
+          .from("transactions")
+          .select(
+            `
+            *,
+            domains!transactions_domain_id_fkey(full_domain)
+          `
+          )
+          .eq("stripe_payment_intent_id", transaction.stripe_payment_intent_id)
+          .eq("user_id", transaction.user_id)
+          .in("status", INVOICEABLE_STATUSES)
+          .order("created_at", { ascending: true }),
+        supabase
+          .from("users")
+          .select("first_name, last_name, email, phone, street, city, state, country, zip_code")
+          .eq("id", transaction.user_id)
+          .single(),
+      ]);
+
+    if (transactionsError || !transactions || transactions.length === 0) {
+      throw new Error("Failed to load transactions for invoice");
+    }
+
+    if (userError || !user) {
+      throw new Error("Failed to load billing details for invoice");
+    }
+
+    const lineItems = transactions.map((item) => this.buildLineItem(item));
+    const total = roundPrice(
+      lineItems.reduce((sum, item) => sum + item.amount, 0)
+    );
+    const tax = roundPrice(total - total / (1 + this.taxRate));
+
+    const { data: invoice, error: insertError } = await supabase
+      .from("invoices")
+      .insert([
+        {
+          user_id: transaction.user_id,
+          stripe_payment_intent_id: transaction.stripe_payment_intent_id,
+          transaction_ids: transactions.map((item) => item.id),
+          line_items: lineItems,
+          subtotal: roundPrice(total - tax),
+          tax_rate: this.taxRate,
+          tax,
+          total,
+          currency: transactions[0].currency || "USD",
+          billing_address: {
+            name: `${user.first_name || ""} ${user.last_name || ""}`.trim(),
+            email: user.email,
+            phone: user.phone,
+            street: user.street,
+            city: user.city,
+            state: user.state,
+            zipCode: user.zip_code,
+            country: user.country,
+          },
+        },
+      ])
+      .select()
+      .single();
+
+    if (insertError) {
+      // Another request issued the invoice first
+      if (insertError.code === "23505") {
+        return this.findInvoice(transaction.stripe_payment_intent_id);
+      }
+      throw new Error(`Failed to create invoice: ${insertError.message}`);
+    }
+
+    console.log(
+      `🧾 Issued invoice ${this.formatInvoiceNumber(invoice.invoice_number)} for ${transactions.length} transaction(s)`
+    );
+
+    return invoice;
+  }
+
+  async findInvoice(paymentIntentId) {
+    const { data: invoice, error } = await supabase
+      .from("invoices")
+      .select("*")
+      .eq("stripe_payment_intent_id", paymentIntentId)
+      .single();
+
+    if (error && error.code !== "PGRST116") {
+      throw new Error(`Failed to load invoice: ${error.message}`);
+    }
+
+    return invoice || null;
+  }
+
+  buildLineItem(transaction) {
+    const domain = transaction.domains?.full_domain || "Domain";
+    const years = parseInt(transaction.metadata?.years) || 1;
+    const label = TRANSACTION_LABELS[transaction.type] || "Domain service";
+
+    return {
+      transactionId: transaction.id,
+      description: `${label} - ${domain}`,
+      domain,
+      years,
+      amount: roundPrice(parseFloat(transaction.amount)),
+    };
+  }
+
+  renderHtml(invoice) {
+    const currency = invoice.currency || "USD";
+    const address = invoice.billing_address || {};
+    const addressLines = [
+      address.name,
+      address.street,
+      [address.city, address.state, address.zipCode].filter(Boolean).join(", "),
+      address.country,
+      address.email,
+    ].filter(Boolean);
+
+    const rows = invoice.line_items
+      .map(
+        (item) => `
+            <tr>
+              <td>${escapeHtml(item.description)}</td>
+              <td class="center">${item.years} year${item.years > 1 ? "s" : ""}</td>
+              <td class="right">${this.formatMoney(item.amount, currency)}</td>
+            </tr>`
+      )
+      .join("");
+
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <title>Invoice ${this.formatInvoiceNumber(invoice.invoice_number)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; color: #333; max-width: 720px; margin: 0 auto; padding: 32px; }
+          .header { display: flex; justify-content: space-between; margin-bottom: 32px; }
+          .logo { font-size: 24px; font-weight: bold; color: #2563eb; }
+          .muted { color: #6b7280; font-size: 14px; }
+          table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+          th { text-align: left; border-bottom: 2px solid #e5e7eb; padding: 8px; font-size: 14px; }
+          td { border-bottom: 1px solid #f3f4f6; padding: 8px; }
+          .center { text-align: center; }
+          .right { text-align: right; }
+          .totals td { border: none; }
+          .total td { font-weight: bold; font-size: 18px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <div>
+            <div class="logo">🌐 ${escapeHtml(this.company.name)}</div>
+            <div class="muted">${escapeHtml(this.company.address)}</div>
+            <div class="muted">${escapeHtml(this.company.email)}</div>
+          </div>
+          <div class="right">
+            <h2>Invoice</h2>
+            <div><strong>${this.formatInvoiceNumber(invoice.invoice_number)}</strong></div>
+            <div class="muted">Issued ${new Date(invoice.issued_at).toDateString()}</div>
+            <div class="muted">Paid</div>
+          </div>
+        </div>
+
+        <div>
+          <strong>Billed to</strong>
+          ${addressLines.map((line) => `<div>${escapeHtml(line)}</div>`).join("")}
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th class="center">Term</th>
+              <th class="right">Amount</th>
+            </tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+
+        <table class="totals">
+          <tr>
+            <td class="right">Subtotal</td>
+            <td class="right">${this.formatMoney(invoice.subtotal, currency)}</td>
+          </tr>
+          <tr>
+            <td class="right">${escapeHtml(this.taxLabel)} (${(parseFloat(invoice.tax_rate) * 100).toFixed(2)}%)</td>
+            <td class="right">${this.formatMoney(invoice.tax, currency)}</td>
+          </tr>
+          <tr class="total">
+            <td class="right">Total paid</td>
+            <td class="right">${this.formatMoney(invoice.total, currency)}</td>
+          </tr>
+        </table>
+
+        <p class="muted">Payment reference: ${escapeHtml(invoice.stripe_payment_intent_id)}</p>
+        <p class="muted">Thank you for choosing ${escapeHtml(this.company.name)}!</p>
+      </body>
+      </html>
+    `;
+  }
+
+  renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const currency = invoice.currency || "USD";
+      const address = invoice.billing_address || {};
+      const doc = new PDFDocument({ size: "A4", margin: 50 });
+      const chunks = [];
+
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      // Header
+      doc.fontSize(20).fillColor("#2563eb").text(this.company.name, 50, 50);
+      doc.fontSize(9).fillColor("#6b7280");
+      if (this.company.address) {
+        doc.text(this.company.address);
+      }
+      doc.text(this.company.email);
+
+      doc
+        .fontSize(16)
+        .fillColor("#111827")
+        .text("Invoice", 350, 50, { width: 195, align: "right" })
+        .fontSize(10)
+        .text(this.formatInvoiceNumber(invoice.invoice_number), { width: 195, align: "right" })
+        .fillColor("#6b7280")
+        .text(`Issued ${new Date(invoice.issued_at).toDateString()}`, { width: 195, align: "right" })
+        .text("Paid", { width: 195, align: "right" });
+
+      // Billing address
+      doc.fontSize(10).fillColor("#111827").text("Billed to", 50, 140, { underline: true });
+      [
+        address.name,
+        address.street,
+        [address.city, address.state, address.zipCode].filter(Boolean).join(", "),
+        address.country,
+        address.email,
+      ]
+        .filter(Boolean)
+        .forEach((line) => doc.text(line));
+
+      // Line items
+      let y = 240;
+      doc.fontSize(10).fillColor("#6b7280");
+      doc.text("Description", 50, y);
+      doc.text("Term", 330, y, { width: 80, align: "center" });
+      doc.text("Amount", 445, y, { width: 100, align: "right" });
+      doc.moveTo(50, y + 15).lineTo(545, y + 15).strokeColor("#e5e7eb").stroke();
+
+      doc.fillColor("#111827");
+      invoice.line_items.forEach((item) => {
+        y += 25;
+        doc.text(item.description, 50, y, { width: 270 });
+        doc.text(`${item.years} year${item.years > 1 ? "s" : ""}`, 330, y, { width: 80, align: "center" });
+        doc.text(this.formatMoney(item.amount, currency), 445, y, { width: 100, align: "right" });
+      });
+
+      // Totals
+      y += 40;
+      const totals = [
+        ["Subtotal", invoice.subtotal],
+        [`${this.taxLabel} (${(parseFloat(invoice.tax_rate) * 100).toFixed(2)}%)`, invoice.tax],
+        ["Total paid", invoice.total],
+      ];
+      totals.forEach(([label, amount], index) => {
+        if (index === totals.length - 1) {
+          doc.fontSize(12).font("Helvetica-Bold");
+        }
+        doc.text(label, 300, y, { width: 140, align: "right" });
+        doc.text(this.formatMoney(amount, currency), 445, y, { width: 100, align: "right" });
+        y += 20;
+      });
+
+      doc
+        .font("Helvetica")
+        .fontSize(9)
+        .fillColor("#6b7280")
+        .text(`Payment reference: ${invoice.stripe_payment_intent_id}`, 50, y + 30)
+        .text(`Thank you for choosing ${this.company.name}!`);
+
+      doc.end();
+    });
+  }
+
+  // Issue the invoice for a paid transaction and email it to the customer.
+  // Never throws: a missing receipt must not fail the payment flow.
+  async sendReceipt(transaction, email) {
+    try {
+      const invoice = await this.getOrCreateInvoice(transaction);
+      const pdf = await this.renderPdf(invoice);
+      const domains = invoice.line_items.map((item) => item.domain).join(", ");
+
+      return await emailService.sendPaymentConfirmationEmail(
+        email,
+        domains,
+        transaction.id,
+        {
+          invoiceNumber: this.formatInvoiceNumber(invoice.invoice_number),
+          lineItems: invoice.line_items,
+          total: this.formatMoney(invoice.total, invoice.currency || "USD"),
+          pdf,
+        }
+      );
+    } catch (error) {
+      console.error(`Failed to send receipt for transaction ${transaction.id}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new InvoiceService();
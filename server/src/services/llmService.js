@@ -0,0 +1,90 @@
+const { ChatGoogleGenerativeAI } = require("@langchain/google-genai");
+const { ChatOpenAI } = require("@langchain/openai");
+const { getLLMConfig, TASKS } = require("../config/llm");
+const ScriptedChatModel = require("./scriptedChatModel");
+
+// Builds LangChain chat models for the configured provider (see config/llm.js).
+// Every task gets its own model so model name, temperature and timeout can
+// differ between the tool-calling agent, creative generation and formatting.
+class LLMService {
+  getProvider() {
+    return getLLMConfig().provider;
+  }
+
+  // Pass { tools } to get a model that can call those LangChain tools
+  createModel(task, { tools = null } = {}) {
+    const config = getLLMConfig();
+    const taskConfig = config.tasks[task];
+
+    if (!config.provider) {
+      throw new Error("No LLM provider configured");
+    }
+
+    if (!taskConfig) {
+      throw new Error(`Unknown LLM task "${task}"`);
+    }
+
+    let model;
+    switch (config.provider) {
+      case "google":
+        if (!config.google.apiKey) {
+          throw new Error("GOOGLE_API_KEY is required for the google LLM provider");
+        }
+        model = new ChatGoogleGenerativeAI({
+          model: taskConfig.model,
+          apiKey: config.google.apiKey,
+          temperature: taskConfig.temperature,
+          maxOutputTokens: taskConfig.maxTokens,
+        });
+        break;
+
+      case "openai":
+        if (!config.openai.apiKey) {
+          throw new Error("OPENAI_API_KEY is required for the openai LLM provider");
+        }
+        model = new ChatOpenAI({
+          model: taskConfig.model,
+          apiKey: config.openai.apiKey,
+          temperature: taskConfig.temperature,
+          maxTokens: taskConfig.maxTokens,
+          configuration: { baseURL: config.openai.baseURL },
+        });
+        break;
+
+      case "local":
+        // Ollama and llama.cpp's server both expose an OpenAI-compatible API
+        model = new ChatOpenAI({
+          model: taskConfig.model,
+          apiKey: config.local.apiKey,
+          temperature: taskConfig.temperature,
+          maxTokens: taskConfig.maxTokens,
+          configuration: { baseURL: config.local.baseURL },
+        });
+        break;
+
+      case "scripted":
+        model = new ScriptedChatModel({
+          task,
+          scriptFile: config.scripted.scriptFile,
+        });
+        break;
+    }
+
+    if (tools) {
+      if (typeof model.bindTools !== "function") {
+        throw new Error(`The ${config.provider} LLM provider does not support tool calling`);
+      }
+      model = model.bindTools(tools);
+    }
+
+    // The timeout aborts the call; callers treat that like any other LLM failure
+    return model.withConfig({ timeout: taskConfig.timeoutMs });
+  }
+
+  // One model per task: { intent, creative, format }
+  createModels() {
+    return Object.fromEntries(TASKS.map((task) => [task, this.createModel(task)]));
+  }
+}
+
+module.exports = new LLMService();
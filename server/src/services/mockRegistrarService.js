@@ -0,0 +1,421 @@
+const fs = require("fs");
+const path = require("path");
+const { getZoneVersion } = require("./dnsChangeQueue.js");
+
+// Mock registrar used when REGISTRAR_MODE=mock. It answers the same calls as
+// the Namecheap API from a local JSON file, so purchases, renewals, transfers
+// and DNS changes can be exercised without network access or credentials.
+//
+// The state file can be edited by hand to set up scenarios:
+//   reserved  - domains that are registered elsewhere (unavailable, transferable)
+//   premium   - { "name.com": { registration, renewal, transfer } }
+//   pricing   - per-TLD yearly price overrides { com: { register, renew, transfer } }
+//   failures  - { register: [...domains], renew: [...domains], transfer: [...domains] }
+const DEFAULT_STATE = {
+  reserved: ["google.com", "example.com", "facebook.com", "amazon.com"],
+  premium: {},
+  pricing: {},
+  failures: { register: [], renew: [], transfer: [] },
+  domains: {},
+  transfers: {},
+  nextId: 100000,
+};
+
+const MAX_REGISTRATION_YEARS = 10;
+
+class MockRegistrarService {
+  constructor(registrar) {
+    this.registrar = registrar; // Real service, used for default prices
+    this.stateFile = path.resolve(
+      process.env.MOCK_REGISTRAR_STATE_FILE ||
+        path.join(__dirname, "../../.mock-registrar/state.json")
+    );
+    this.state = null;
+  }
+
+  loadState() {
+    if (this.state) {
+      return this.state;
+    }
+
+    let saved = {};
+    try {
+      saved = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("❌ Could not read mock registrar state, starting fresh:", error.message);
+      }
+    }
+
+    this.state = {
+      ...JSON.parse(JSON.stringify(DEFAULT_STATE)),
+      ...saved,
+    };
+    return this.state;
+  }
+
+  saveState() {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tempFile = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempFile, this.stateFile);
+  }
+
+  // Forget every registration and transfer, keeping the scenario settings
+  reset() {
+    const state = this.loadState();
+    state.domains = {};
+    state.transfers = {};
+    this.saveState();
+  }
+
+  nextId() {
+    const state = this.loadState();
+    state.nextId += 1;
+    return String(state.nextId);
+  }
+
+  normalize(domainName) {
+    return domainName.toLowerCase().replace(/\.$/, "");
+  }
+
+  isRegisteredElsewhere(domainName) {
+    return this.loadState().reserved.includes(this.normalize(domainName));
+  }
+
+  getDomain(domainName) {
+    return this.loadState().domains[this.normalize(domainName)] || null;
+  }
+
+  shouldFail(operation, domainName) {
+    const domains = this.loadState().failures?.[operation] || [];
+    return domains.includes(this.normalize(domainName));
+  }
+
+  getYearlyPrice(domainName, action) {
+    const tld = this.normalize(domainName).split(".").pop();
+    const override = this.loadState().pricing[tld]?.[action];
+    return override ?? this.registrar.getDefaultPrice(domainName);
+  }
+
+  async checkDomainAvailability(domainName) {
+    const name = this.normalize(domainName);
+    const premium = this.loadState().premium[name] || null;
+    const available = !this.getDomain(name) && !this.isRegisteredElsewhere(name);
+
+    console.log(`🧪 [mock registrar] ${name} is ${available ? "available" : "taken"}`);
+
+    return {
+      domain: domainName,
+      available,
+      price: available
+        ? premium?.registration ?? this.getYearlyPrice(name, "register")
+        : 0,
+      currency: "USD",
+      isPremium: !!premium,
+      premiumPrices: premium,
+    };
+  }
+
+  async registerDomain(domainName, years = 1, contactInfo, options = {}) {
+    const name = this.normalize(domainName);
+    const state = this.loadState();
+
+    if (this.getDomain(name) || this.isRegisteredElsewhere(name)) {
+      throw new Error(
+        "Namecheap Registration Error 2011154: Domain is not available"
+      );
+    }
+
+    if (this.shouldFail("register", name)) {
+      throw new Error(
+        "Namecheap Registration Error 2030280: Mock registration failure"
+      );
+    }
+
+    const registeredAt = new Date();
+    const expiresAt = new Date(registeredAt);
+    expiresAt.setFullYear(expiresAt.getFullYear() + years);
+
+    const registrationId = this.nextId();
+    state.domains[name] = {
+      registrationId,
+      registeredAt: registeredAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      whoisPrivacy: options.whoisPrivacy !== false,
+      contact: {
+        name: `${contactInfo.firstName} ${contactInfo.lastName}`,
+        email: contactInfo.email,
+        country: contactInfo.country,
+      },
+      // Namecheap parks new domains with these records
+      hosts: [
+        { HostName: "@", RecordType: "URL", Address: `http://www.${name}/`, TTL: 1800, MXPref: 10 },
+        { HostName: "www", RecordType: "CNAME", Address: "parkingpage.namecheap.com.", TTL: 1800, MXPref: 10 },
+      ],
+    };
+    this.saveState();
+
+    console.log(`🧪 [mock registrar] Registered ${name} for ${years} year(s)`);
+
+    return {
+      success: true,
+      domain: domainName,
+      registrationId,
+    };
+  }
+
+  async renewDomain(domainName, years = 1) {
+    const name = this.normalize(domainName);
+    const domain = this.getDomain(name);
+
+    if (!domain) {
+      throw new Error(
+        "Namecheap Renewal Error 2019166: Domain not found"
+      );
+    }
+
+    if (this.shouldFail("renew", name)) {
+      throw new Error(
+        "Namecheap Renewal Error 2030280: Mock renewal failure"
+      );
+    }
+
+    // Renewals extend the current expiration, or today if already expired
+    const expiresAt = new Date(
+      Math.max(new Date(domain.expiresAt).getTime(), Date.now())
+    );
+    expiresAt.setFullYear(expiresAt.getFullYear() + years);
+    domain.expiresAt = expiresAt.toISOString();
+    this.saveState();
+
+    console.log(`🧪 [mock registrar] Renewed ${name} until ${domain.expiresAt}`);
+
+    return {
+      success: true,
+      domain: domainName,
+      orderId: this.nextId(),
+      transactionId: this.nextId(),
+      chargedAmount: parseFloat((this.getYearlyPrice(name, "renew") * years).toFixed(2)),
+      expirationDate: domain.expiresAt,
+    };
+  }
+
+  async getTransferQuote(domainName) {
+    const name = this.normalize(domainName);
+    const premium = this.loadState().premium[name];
+
+    return {
+      domain: domainName,
+      available: !this.getDomain(name) && !this.isRegisteredElsewhere(name),
+      isPremium: !!premium,
+      price: parseFloat(
+        (premium?.transfer ?? this.getYearlyPrice(name, "transfer")).toFixed(2)
+      ),
+      currency: "USD",
+    };
+  }
+
+  async createTransfer(domainName, authCode, years = 1) {
+    const name = this.normalize(domainName);
+
+    if (!this.isRegisteredElsewhere(name)) {
+      throw new Error(
+        "Namecheap Transfer Error 2011280: Domain is not registered with another registrar"
+      );
+    }
+
+    // The domain's registration at the other registrar, which the transfer
+    // extends. Six months left is a typical case.
+    const currentExpiresAt = new Date();
+    currentExpiresAt.setMonth(currentExpiresAt.getMonth() + 6);
+
+    const transferId = this.nextId();
+    this.loadState().transfers[transferId] = {
+      domain: name,
+      years,
+      // An auth code of "invalid" lets the rejection path be tested
+      rejected: authCode?.toLowerCase() === "invalid" || this.shouldFail("transfer", name),
+      checks: 0,
+      submittedAt: new Date().toISOString(),
+      currentExpiresAt: currentExpiresAt.toISOString(),
+    };
+    this.saveState();
+
+    console.log(`🧪 [mock registrar] Transfer ${transferId} submitted for ${name}`);
+
+    return {
+      success: true,
+      domain: domainName,
+      transferId,
+      orderId: this.nextId(),
+      statusId: 0,
+      chargedAmount: parseFloat((this.getYearlyPrice(name, "transfer") * years).toFixed(2)),
+    };
+  }
+
+  // Each status check moves the transfer one step: in progress, then done
+  async getTransferStatus(transferId) {
+    const state = this.loadState();
+    const transfer = state.transfers[transferId];
+
+    if (!transfer) {
+      return { success: false, message: `Transfer ${transferId} not found` };
+    }
+
+    transfer.checks += 1;
+
+    let status = "Transfer in progress";
+    let statusId = 5;
+
+    if (transfer.rejected) {
+      status = "Cancelled - invalid EPP code";
+      statusId = 23;
+    } else if (transfer.checks > 1) {
+      status = "Completed";
+      statusId = 20;
+
+      if (!state.domains[transfer.domain]) {
+        const expiresAt = new Date(transfer.currentExpiresAt || Date.now());
+        expiresAt.setFullYear(expiresAt.getFullYear() + transfer.years);
+        state.domains[transfer.domain] = {
+          registrationId: this.nextId(),
+          registeredAt: new Date().toISOString(),
+          expiresAt: expiresAt.toISOString(),
+          whoisPrivacy: true,
+          contact: null,
+          hosts: [],
+        };
+        state.reserved = state.reserved.filter((name) => name !== transfer.domain);
+      }
+    }
+
+    this.saveState();
+
+    return {
+      success: true,
+      transferId,
+      status,
+      statusId,
+    };
+  }
+
+  async getDomainInfo(domainName) {
+    const name = this.normalize(domainName);
+    const domain = this.getDomain(name);
+
+    if (!domain) {
+      return { success: false, message: `Domain ${name} is not in this account` };
+    }
+
+    return { success: true, domain: domainName, expirationDate: domain.expiresAt };
+  }
+
+  // Same shape as extractPricingInfo: { register: { com: { "1": 12.99 } } }
+  async getPricing(tld = null, action = null) {
+    const state = this.loadState();
+    const tlds = tld ? [tld.toLowerCase()] : Object.keys(state.pricing);
+    const actions = action
+      ? [action.toLowerCase()]
+      : ["register", "renew", "transfer"];
+
+    const pricing = {};
+    actions.forEach((category) => {
+      pricing[category] = {};
+      tlds.forEach((extension) => {
+        const yearlyPrice = this.getYearlyPrice(`mock.${extension}`, category);
+        pricing[category][extension] = {};
+        for (let years = 1; years <= MAX_REGISTRATION_YEARS; years++) {
+          pricing[category][extension][years] = yearlyPrice;
+        }
+      });
+    });
+
+    return pricing;
+  }
+
+  // Host records in the setHosts format, or null if the domain is not ours
+  async getHosts(domainName) {
+    const domain = this.getDomain(domainName);
+    return domain ? domain.hosts.map((host) => ({ ...host })) : null;
+  }
+
+  // Same shape as the registrar's getZone: { hosts, emailType, version }
+  async getZone(domainName) {
+    const hosts = await this.getHosts(domainName);
+    if (!hosts) {
+      return null;
+    }
+
+    const emailType = this.getDomain(domainName).emailType || null;
+    return { hosts, emailType, version: getZoneVersion(hosts, emailType) };
+  }
+
+  async setHosts(domainName, hosts, options = {}) {
+    const domain = this.getDomain(domainName);
+
+    if (!domain) {
+      return false;
+    }
+
+    domain.hosts = hosts.map((host) => ({
+      ...host,
+      HostName: host.HostName,
+      RecordType: host.RecordType,
+      Address: host.Address,
+      TTL: parseInt(host.TTL) || 1800,
+      MXPref: parseInt(host.MXPref) || 0,
+    }));
+    // Namecheap only keeps MX records with EmailType=MX
+    domain.emailType =
+      options.emailType || (hosts.some((host) => host.RecordType === "MX") ? "MX" : null);
+    this.saveState();
+
+    console.log(`🧪 [mock registrar] Set ${hosts.length} host record(s) for ${domainName}`);
+    return true;
+  }
+
+  // Records are "live" as soon as they are set, there is nothing to propagate
+  async checkDnsPropagation(subdomain, domainName, recordType, expectedValue) {
+    const fullDomain = subdomain ? `${subdomain}.${domainName}` : domainName;
+    const hosts = (await this.getHosts(domainName)) || [];
+    const stripDot = (value) => String(value).replace(/\.$/, "");
+
+    const values = hosts
+      .filter(
+        (host) =>
+          host.HostName === (subdomain || "@") &&
+          host.RecordType === recordType.toUpperCase()
+      )
+      .map((host) => host.Address);
+
+    const propagated = values.some((value) => stripDot(value) === stripDot(expectedValue));
+    const status = propagated ? "propagated" : values.length > 0 ? "outdated" : "missing";
+
+    return {
+      success: true,
+      propagated,
+      actualValue: values.length > 0 ? values.join(", ") : null,
+      expectedValue,
+      recordType,
+      domain: fullDomain,
+      checkedAt: new Date().toISOString(),
+      summary: { total: 1, propagated: 0, outdated: 0, missing: 0, error: 0, [status]: 1 },
+      // The mock registrar is the only "resolver"
+      resolvers: [
+        {
+          id: "mock",
+          name: "Mock registrar",
+          region: "Authoritative",
+          address: "mock",
+          authoritative: true,
+          values,
+          status,
+          responseTime: 0,
+        },
+      ],
+    };
+  }
+}
+
+module.exports = MockRegistrarService;
@@ -1,7 +1,13 @@
 const axios = require("axios");
 const { parseString } = require("xml2js");
 const supabase = require("../config/database.js");
-const dns = require('dns').promises;
+const MockRegistrarService = require("./mockRegistrarService.js");
+const { DnsChangeQueue, getZoneVersion } = require("./dnsChangeQueue.js");
+const dnsChangeLogService = require("./dnsChangeLogService.js");
+const dnsPropagationService = require("./dnsPropagationService.js");
+
+// Namecheap accepts registrations of up to 10 years
+const MAX_REGISTRATION_YEARS = 10;
 
 class NamecheapService {
   constructor() {
@@ -12,6 +18,18 @@ class NamecheapService {
     this.baseUrl = this.sandbox
       ? "https://api.sandbox.namecheap.com/xml.response"
       : "https://api.namecheap.com/xml.response";
+
+    // REGISTRAR_MODE=mock serves every registrar call from local state instead
+    // of the Namecheap API, for offline development and tests
+    this.mode = process.env.REGISTRAR_MODE === "mock" ? "mock" : "live";
+    this.mock = this.mode === "mock" ? new MockRegistrarService(this) : null;
+
+    if (this.mock) {
+      console.log(`🧪 Using mock registrar (state: ${this.mock.stateFile})`);
+    }
+
+    // Every DNS write goes through a per-domain queue, see dnsChangeQueue.js
+    this.dnsQueue = new DnsChangeQueue(this);
   }
 
   // Method to get current public IP if not set in environment
@@ -53,6 +71,10 @@ class NamecheapService {
         };
       }
 
+      if (this.mock) {
+        return this.mock.checkDomainAvailability(domainName);
+      }
+
       // If not in database, check with Namecheap API
       console.log(
         `Domain ${domainName} not in database - checking with Namecheap`
@@ -161,10 +183,8 @@ class NamecheapService {
             const pricingResult = await this.parseXmlResponse(
               pricingResponse.data
             );
-            const extractedPrice = this.extractPricingForOneYear(
-              pricingResult,
-              extension
-            );
+            const pricing = this.extractPricingInfo(pricingResult);
+            const extractedPrice = pricing.register?.[extension]?.["1"] ?? null;
 
             if (extractedPrice !== null) {
               finalPrice = extractedPrice;
@@ -204,19 +224,12 @@ class NamecheapService {
         throw error;
       }
 
-      // Fallback to mock data for development/testing only for network errors
-      console.log("Using fallback pricing for domain:", domainName);
-      return {
-        domain: domainName,
-        available: true, // Assume available for testing
-        price: this.getDefaultPrice(domainName),
-        currency: "USD",
-        isPremium: false,
-      };
+      // Never guess availability, use REGISTRAR_MODE=mock to work offline
+      throw new Error(`Could not check availability of ${domainName}: ${error.message}`);
     }
   }
 
-  async registerDomain(domainName, years = 1, contactInfo) {
+  async registerDomain(domainName, years = 1, contactInfo, options = {}) {
     try {
       console.log("🚀 Starting domain registration process for:", domainName);
 
@@ -228,6 +241,10 @@ class NamecheapService {
         );
       }
 
+      if (this.mock) {
+        return await this.mock.registerDomain(domainName, years, contactInfo, options);
+      }
+
       // Format phone number for Namecheap API
       const formattedPhone = this.formatPhoneForNamecheap(
         contactInfo.phone,
@@ -299,6 +316,12 @@ class NamecheapService {
         AuxBillingEmailAddress: contactInfo.email,
       };
 
+      // WhoisGuard is free with Namecheap, only toggle it when the caller asked
+      if (typeof options.whoisPrivacy === "boolean") {
+        params.AddFreeWhoisguard = options.whoisPrivacy ? "yes" : "no";
+        params.WGEnabled = options.whoisPrivacy ? "yes" : "no";
+      }
+
       console.log("📤 Sending registration request to Namecheap API...");
       console.log("📞 Phone number being sent to API:", formattedPhone);
       const response = await axios.get(this.baseUrl, { params });
@@ -384,6 +407,281 @@ class NamecheapService {
     }
   }
 
+  async renewDomain(domainName, years = 1) {
+    try {
+      console.log(`🔄 Renewing domain ${domainName} for ${years} year(s)`);
+
+      if (this.mock) {
+        return await this.mock.renewDomain(domainName, years);
+      }
+
+      const clientIp = this.clientIp || (await this.getCurrentIP());
+
+      const params = {
+        ApiUser: this.apiUser,
+        ApiKey: this.apiKey,
+        UserName: this.apiUser,
+        Command: "namecheap.domains.renew",
+        ClientIp: clientIp,
+        DomainName: domainName,
+        Years: years,
+      };
+
+      const response = await axios.get(this.baseUrl, { params });
+      const result = await this.parseXmlResponse(response.data);
+      const apiResponse = result?.ApiResponse;
+
+      if (apiResponse?.$?.Status !== "OK") {
+        const errors = apiResponse?.Errors?.[0]?.Error || [];
+        const errorMessages = errors
+          .map((err) => `${err.$?.Number}: ${err._}`)
+          .join(", ");
+        throw new Error(
+          `Namecheap Renewal Error ${errorMessages || "Unknown error"}`
+        );
+      }
+
+      const renewResult =
+        apiResponse.CommandResponse?.[0]?.DomainRenewResult?.[0];
+      const attrs = renewResult?.$ || {};
+      const expiredDate =
+        renewResult?.DomainDetails?.[0]?.ExpiredDate?.[0] || null;
+
+      console.log("✅ Domain renewal successful:", {
+        domain: domainName,
+        orderId: attrs.OrderID,
+        chargedAmount: attrs.ChargedAmount,
+        expiredDate,
+      });
+
+      return {
+        success: true,
+        domain: domainName,
+        orderId: attrs.OrderID || null,
+        transactionId: attrs.TransactionID || null,
+        chargedAmount: parseFloat(attrs.ChargedAmount) || null,
+        expirationDate: expiredDate,
+      };
+    } catch (error) {
+      console.error("❌ Domain renewal error:", error.message);
+      throw new Error(`Failed to renew domain ${domainName}: ${error.message}`);
+    }
+  }
+
+  // Get transfer eligibility and price for a domain registered elsewhere
+  async getTransferQuote(domainName) {
+    if (this.mock) {
+      return this.mock.getTransferQuote(domainName);
+    }
+
+    const extension = domainName.split(".").pop().toLowerCase();
+
+    try {
+      const clientIp = this.clientIp || (await this.getCurrentIP());
+
+      const response = await axios.get(this.baseUrl, {
+        params: {
+          ApiUser: this.apiUser,
+          ApiKey: this.apiKey,
+          UserName: this.apiUser,
+          Command: "namecheap.domains.check",
+          ClientIp: clientIp,
+          DomainList: domainName,
+        },
+      });
+
+      const result = await this.parseXmlResponse(response.data);
+      const domainResult = this.extractDomainInfo(result, domainName);
+
+      if (domainResult.error) {
+        throw new Error(`Namecheap API Error: ${domainResult.error}`);
+      }
+
+      let price = null;
+      if (domainResult.isPremium && domainResult.premiumPrices?.transfer) {
+        price = domainResult.premiumPrices.transfer;
+      } else {
+        const pricing = await this.getPricing(extension, "TRANSFER");
+        price = pricing?.transfer?.[extension]?.["1"] || null;
+      }
+
+      if (!price) {
+        console.warn(`No transfer pricing found for ${extension}, using default`);
+        price = this.getDefaultPrice(domainName);
+      }
+
+      return {
+        domain: domainName,
+        available: domainResult.available,
+        isPremium: domainResult.isPremium,
+        price: parseFloat(price.toFixed(2)),
+        currency: "USD",
+      };
+    } catch (error) {
+      console.error("Error getting transfer quote:", error.message);
+      throw error;
+    }
+  }
+
+  async createTransfer(domainName, authCode, years = 1) {
+    try {
+      console.log(`🔄 Submitting transfer request for ${domainName}`);
+
+      if (this.mock) {
+        return await this.mock.createTransfer(domainName, authCode, years);
+      }
+
+      const clientIp = this.clientIp || (await this.getCurrentIP());
+
+      const params = {
+        ApiUser: this.apiUser,
+        ApiKey: this.apiKey,
+        UserName: this.apiUser,
+        Command: "namecheap.domains.transfer.create",
+        ClientIp: clientIp,
+        DomainName: domainName,
+        Years: years,
+        EPPCode: authCode,
+      };
+
+      const response = await axios.get(this.baseUrl, { params });
+      const result = await this.parseXmlResponse(response.data);
+      const apiResponse = result?.ApiResponse;
+
+      if (apiResponse?.$?.Status !== "OK") {
+        const errors = apiResponse?.Errors?.[0]?.Error || [];
+        const errorMessages = errors
+          .map((err) => `${err.$?.Number}: ${err._}`)
+          .join(", ");
+        throw new Error(
+          `Namecheap Transfer Error ${errorMessages || "Unknown error"}`
+        );
+      }
+
+      const attrs =
+        apiResponse.CommandResponse?.[0]?.DomainTransferCreateResult?.[0]?.$ ||
+        {};
+
+      if (attrs.Transfer !== "true") {
+        throw new Error("Namecheap did not accept the transfer request");
+      }
+
+      console.log("✅ Transfer request submitted:", {
+        domain: domainName,
+        transferId: attrs.TransferID,
+        statusId: attrs.StatusID,
+      });
+
+      return {
+        success: true,
+        domain: domainName,
+        transferId: attrs.TransferID || null,
+        orderId: attrs.OrderID || null,
+        statusId: parseInt(attrs.StatusID) || null,
+        chargedAmount: parseFloat(attrs.ChargedAmount) || null,
+      };
+    } catch (error) {
+      console.error("❌ Domain transfer error:", error.message);
+      throw new Error(
+        `Failed to transfer domain ${domainName}: ${error.message}`
+      );
+    }
+  }
+
+  async getTransferStatus(transferId) {
+    if (this.mock) {
+      return this.mock.getTransferStatus(transferId);
+    }
+
+    try {
+      const clientIp = this.clientIp || (await this.getCurrentIP());
+
+      const params = {
+        ApiUser: this.apiUser,
+        ApiKey: this.apiKey,
+        UserName: this.apiUser,
+        Command: "namecheap.domains.transfer.getStatus",
+        ClientIp: clientIp,
+        TransferID: transferId,
+      };
+
+      const response = await axios.get(this.baseUrl, { params });
+      const result = await this.parseXmlResponse(response.data);
+      const apiResponse = result?.ApiResponse;
+
+      if (apiResponse?.$?.Status !== "OK") {
+        const errors = apiResponse?.Errors?.[0]?.Error || [];
+        throw new Error(
+          errors.map((err) => err._).join(", ") || "Unknown error"
+        );
+      }
+
+      const attrs =
+        apiResponse.CommandResponse?.[0]?.DomainTransferGetStatusResult?.[0]
+          ?.$ || {};
+
+      return {
+        success: true,
+        transferId: attrs.TransferID || transferId,
+        status: attrs.Status || null,
+        statusId: parseInt(attrs.StatusID),
+      };
+    } catch (error) {
+      console.error("Error getting transfer status:", error.message);
+      return {
+        success: false,
+        message: error.message,
+      };
+    }
+  }
+
+  // Registration details of a domain in our account, e.g. after a transfer
+  async getDomainInfo(domainName) {
+    if (this.mock) {
+      return this.mock.getDomainInfo(domainName);
+    }
+
+    try {
+      const clientIp = this.clientIp || (await this.getCurrentIP());
+
+      const params = {
+        ApiUser: this.apiUser,
+        ApiKey: this.apiKey,
+        UserName: this.apiUser,
+        Command: "namecheap.domains.getinfo",
+        ClientIp: clientIp,
+        DomainName: domainName,
+      };
+
+      const response = await axios.get(this.baseUrl, { params });
+      const result = await this.parseXmlResponse(response.data);
+      const apiResponse = result?.ApiResponse;
+
+      if (apiResponse?.$?.Status !== "OK") {
+        const errors = apiResponse?.Errors?.[0]?.Error || [];
+        throw new Error(
+          errors.map((err) => err._).join(", ") || "Unknown error"
+        );
+      }
+
+      const details =
+        apiResponse.CommandResponse?.[0]?.DomainGetInfoResult?.[0]
+          ?.DomainDetails?.[0];
+
+      return {
+        success: true,
+        domain: domainName,
+        expirationDate: details?.ExpiredDate?.[0] || null,
+      };
+    } catch (error) {
+      console.error("Error getting domain info:", error.message);
+      return {
+        success: false,
+        message: error.message,
+      };
+    }
+  }
+
   async parseXmlResponse(xmlData) {
     return new Promise((resolve, reject) => {
       parseString(xmlData, (err, result) => {
@@ -540,7 +838,11 @@ class NamecheapService {
     return defaultPrices[tld] || 15.99; // Default fallback price
   }
 
-  async getPricing(tld = null) {
+  async getPricing(tld = null, action = null) {
+    if (this.mock) {
+      return this.mock.getPricing(tld, action);
+    }
+
     try {
       const params = {
         ApiUser: this.apiUser,
@@ -555,6 +857,10 @@ class NamecheapService {
         params.ProductName = tld.toUpperCase();
       }
 
+      if (action) {
+        params.ActionName = action.toUpperCase();
+      }
+
       const response = await axios.get(this.baseUrl, { params });
       const result = await this.parseXmlResponse(response.data);
 
@@ -565,6 +871,8 @@ class NamecheapService {
     }
   }
 
+  // Returns { category: { product: { duration: yearlyPrice } } }, e.g. pricing.renew.com["1"].
+  // Namecheap quotes domain prices per year for each supported duration.
   extractPricingInfo(xmlResult) {
     try {
       const commandResponse = xmlResult?.ApiResponse?.CommandResponse?.[0];
@@ -574,16 +882,27 @@ class NamecheapService {
       const pricing = {};
 
       productTypes.forEach((productType) => {
-        const products = productType.Product || [];
-        products.forEach((product) => {
-          const productName = product.$.Name;
-          const prices = product.Price || [];
-
-          pricing[productName] = {};
-          prices.forEach((price) => {
-            const duration = price.$.Duration;
-            const priceValue = parseFloat(price.$.Price);
-            pricing[productName][duration] = priceValue;
+        const productCategories = productType.ProductCategory || [];
+        productCategories.forEach((category) => {
+          const categoryName = category.$.Name.toLowerCase();
+          pricing[categoryName] = pricing[categoryName] || {};
+
+          const products = category.Product || [];
+          products.forEach((product) => {
+            const productName = product.$.Name.toLowerCase();
+            const prices = product.Price || [];
+
+            pricing[categoryName][productName] = {};
+            prices.forEach((price) => {
+              if (price.$.DurationType?.toLowerCase() !== "year") {
+                return;
+              }
+              const duration = price.$.Duration;
+              const priceValue = parseFloat(price.$.Price);
+              const additionalCost = parseFloat(price.$.AdditionalCost) || 0;
+              pricing[categoryName][productName][duration] =
+                priceValue + additionalCost;
+            });
           });
         });
       });
@@ -595,85 +914,69 @@ class NamecheapService {
     }
   }
 
-  extractPricingForOneYear(xmlResult, extension) {
+  // Get the renewal price for a domain over the given number of years
+  async getRenewalPrice(domainName, years = 1) {
+    const extension = domainName.split(".").pop().toLowerCase();
+
     try {
-      console.log(`Extracting pricing for extension: ${extension}`);
+      const pricing = await this.getPricing(extension, "RENEW");
+      const renewPrices = pricing?.renew?.[extension];
 
-      const commandResponse = xmlResult?.ApiResponse?.CommandResponse?.[0];
-      const userGetPricingResult = commandResponse?.UserGetPricingResult?.[0];
-      const productTypes = userGetPricingResult?.ProductType || [];
+      if (renewPrices?.[years]) {
+        console.log(
+          `Got ${years}-year renewal price from API: $${renewPrices[years]}/year for ${extension}`
+        );
+        return parseFloat((renewPrices[years] * years).toFixed(2));
+      }
 
-      console.log(`Found ${productTypes.length} product types`);
+      if (renewPrices?.["1"]) {
+        return parseFloat((renewPrices["1"] * years).toFixed(2));
+      }
 
-      // Look for the product type (it's "domains" not "DOMAIN" in the response)
-      for (const productType of productTypes) {
-        const productTypeName = productType.$.Name;
-        console.log(`Checking product type: ${productTypeName}`);
+      console.warn(`No renewal pricing found for ${extension}, using default`);
+    } catch (error) {
+      console.warn("Error getting renewal pricing:", error.message);
+    }
 
-        if (productTypeName.toLowerCase() === "domains") {
-          const productCategories = productType.ProductCategory || [];
-          console.log(`Found ${productCategories.length} product categories`);
+    return parseFloat((this.getDefaultPrice(domainName) * years).toFixed(2));
+  }
 
-          // Look for "register" category
-          for (const category of productCategories) {
-            const categoryName = category.$.Name;
-            console.log(`Checking category: ${categoryName}`);
+  // Registrar cost for every registration term, e.g. { 1: 12.98, 2: 27.96, ... }.
+  // Durations Namecheap does not list are priced as the first year plus renewals.
+  // Pass the availability result so premium domains use their own prices.
+  async getRegistrationPrices(domainName, availability = null) {
+    const extension = domainName.split(".").pop().toLowerCase();
+    const isPremium = !!availability?.isPremium;
+
+    let registerPrices = {};
+    if (!isPremium) {
+      const pricing = await this.getPricing(extension, "REGISTER");
+      registerPrices = pricing?.register?.[extension] || {};
+    }
 
-            if (categoryName.toLowerCase() === "register") {
-              const products = category.Product || [];
-              console.log(
-                `Found ${products.length} products in register category`
-              );
+    const firstYearPrice =
+      (isPremium && availability.premiumPrices?.registration) ||
+      registerPrices["1"] ||
+      availability?.price ||
+      this.getDefaultPrice(domainName);
+    const renewalPrice =
+      (isPremium && availability.premiumPrices?.renewal) ||
+      (await this.getRenewalPrice(domainName, 1));
+
+    const prices = {};
+    for (let years = 1; years <= MAX_REGISTRATION_YEARS; years++) {
+      const total = registerPrices[years]
+        ? registerPrices[years] * years
+        : firstYearPrice + renewalPrice * (years - 1);
+      prices[years] = parseFloat(total.toFixed(2));
+    }
 
-              // Find the product matching our extension
-              for (const product of products) {
-                const productName = product.$.Name.toLowerCase();
-                console.log(
-                  `Checking product: ${productName} against ${extension.toLowerCase()}`
-                );
-
-                if (productName === extension.toLowerCase()) {
-                  const prices = product.Price || [];
-                  console.log(
-                    `Found ${prices.length} price entries for ${extension}`
-                  );
-
-                  // Look for 1-year pricing
-                  for (const price of prices) {
-                    const duration = price.$.Duration;
-                    const durationType = price.$.DurationType;
-                    console.log(
-                      `Checking price: Duration=${duration}, DurationType=${durationType}`
-                    );
-
-                    if (
-                      duration === "1" &&
-                      durationType.toLowerCase() === "year"
-                    ) {
-                      const priceValue = parseFloat(price.$.Price);
-                      const additionalCost =
-                        parseFloat(price.$.AdditionalCost) || 0;
-                      const totalPrice = priceValue + additionalCost;
-
-                      console.log(
-                        `Found 1-year price for ${extension}: $${priceValue} + $${additionalCost} = $${totalPrice}`
-                      );
-                      return totalPrice;
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
+    return prices;
+  }
 
-      console.warn(`No 1-year pricing found for extension: ${extension}`);
-      return null;
-    } catch (error) {
-      console.error("Error extracting 1-year pricing:", error);
-      return null;
-    }
+  async getRegistrationPrice(domainName, years = 1, availability = null) {
+    const prices = await this.getRegistrationPrices(domainName, availability);
+    return prices[years] ?? prices[1] * years;
   }
 
   extractRegistrationId(xmlData) {
@@ -827,307 +1130,261 @@ class NamecheapService {
 
   // DNS Management Methods for Subdomain Creation
 
-  // Create a DNS record (A, CNAME, etc.)
-  async createDnsRecord(domainName, host, recordType, value, ttl = 3600) {
-    try {
-      console.log(`🌐 Creating DNS record: ${host}.${domainName} (${recordType}) -> ${value}`);
-      
-      // Split domain into SLD and TLD
-      const parts = domainName.split('.');
-      const tld = parts.pop();
-      const sld = parts.join('.');
-      
-      // Use environment IP or detect current IP
-      const clientIp = this.clientIp || (await this.getCurrentIP());
+  // Current host records of a domain in the format setHosts expects, with the
+  // domain's email setting and a version hash of both. Returns null if
+  // Namecheap does not return the records.
+  async getZone(domainName) {
+    if (this.mock) {
+      return this.mock.getZone(domainName);
+    }
 
-      // First, get current host records
-      const getHostsParams = {
-        ApiUser: this.apiUser,
-        ApiKey: this.apiKey,
-        UserName: this.apiUser,
-        Command: "namecheap.domains.dns.getHosts",
-        ClientIp: clientIp,
-        SLD: sld,
-        TLD: tld
-      };
+    // Split domain into SLD and TLD
+    const parts = domainName.split('.');
+    const tld = parts.pop();
+    const sld = parts.join('.');
+
+    // Use environment IP or detect current IP
+    const clientIp = this.clientIp || (await this.getCurrentIP());
+
+    const getHostsParams = {
+      ApiUser: this.apiUser,
+      ApiKey: this.apiKey,
+      UserName: this.apiUser,
+      Command: "namecheap.domains.dns.getHosts",
+      ClientIp: clientIp,
+      SLD: sld,
+      TLD: tld
+    };
 
-      console.log(`📋 Getting current DNS records for ${sld}.${tld}`);
-      const hostsResponse = await axios.get(this.baseUrl, {
-        params: getHostsParams,
-        timeout: 30000
-      });
+    console.log(`📋 Getting current DNS records for ${sld}.${tld}`);
+    const hostsResponse = await axios.get(this.baseUrl, {
+      params: getHostsParams,
+      timeout: 30000
+    });
 
-      // Parse the XML response
-      const hostsResult = await this.parseXmlResponse(hostsResponse.data);
-      
-      // Check for errors in the response
-      if (!hostsResult?.ApiResponse?.CommandResponse?.[0]?.DomainDNSGetHostsResult?.[0]) {
-        console.error("❌ Failed to get current DNS records");
-        return { success: false, message: "Failed to get current DNS records" };
-      }
+    // Parse the XML response
+    const hostsResult = await this.parseXmlResponse(hostsResponse.data);
+    const hostsData = hostsResult?.ApiResponse?.CommandResponse?.[0]?.DomainDNSGetHostsResult?.[0];
 
-      const currentHosts = hostsResult.ApiResponse.CommandResponse[0].DomainDNSGetHostsResult[0].host || [];
-      
-      // Check if record already exists
-      const existingRecord = currentHosts.find(record => 
-        record.$.Name === host && record.$.Type === recordType
-      );
+    if (!hostsData) {
+      return null;
+    }
 
-      if (existingRecord) {
-        console.log(`⚠️ DNS record ${host} already exists with type ${recordType}`);
-        return { success: false, message: "DNS record already exists" };
-      }
+    // Keep every attribute setHosts accepts, so rewriting the list is lossless
+    const hosts = (hostsData.host || []).map(record => ({
+      HostName: record.$.Name,
+      RecordType: record.$.Type,
+      Address: record.$.Address,
+      TTL: record.$.TTL,
+      MXPref: record.$.MXPref || 0,
+      ...(record.$.Flag !== undefined && { Flag: record.$.Flag }),
+      ...(record.$.Tag !== undefined && { Tag: record.$.Tag })
+    }));
+    const emailType = hostsData.$?.EmailType || null;
+
+    return { hosts, emailType, version: getZoneVersion(hosts, emailType) };
+  }
 
-      // Prepare the new host record
-      const newHost = {
-        HostName: host,
-        RecordType: recordType,
-        Address: value,
-        TTL: ttl,
-        MXPref: recordType === 'MX' ? 10 : 0
-      };
+  // Get the current host records of a domain in the format setHosts expects.
+  // Returns null if Namecheap does not return the records.
+  async getHosts(domainName) {
+    const zone = await this.getZone(domainName);
+    return zone ? zone.hosts : null;
+  }
 
-      // Add the new record to the current hosts
-      const hosts = currentHosts.map(record => ({
-        HostName: record.$.Name,
-        RecordType: record.$.Type,
-        Address: record.$.Address,
-        TTL: record.$.TTL,
-        MXPref: record.$.MXPref || 0
-      }));
+  // Replace all host records of a domain. Namecheap has no per-record API,
+  // so every change sends the complete list. Pass the domain's current
+  // emailType: without it Namecheap drops custom MX records. Use the DNS
+  // queue (applyDnsChanges) rather than calling this directly.
+  // Returns true on success.
+  async setHosts(domainName, hosts, options = {}) {
+    if (this.mock) {
+      return this.mock.setHosts(domainName, hosts, options);
+    }
 
-      hosts.push(newHost);
+    // Split domain into SLD and TLD
+    const parts = domainName.split('.');
+    const tld = parts.pop();
+    const sld = parts.join('.');
+
+    // Use environment IP or detect current IP
+    const clientIp = this.clientIp || (await this.getCurrentIP());
+
+    const setHostsParams = {
+      ApiUser: this.apiUser,
+      ApiKey: this.apiKey,
+      UserName: this.apiUser,
+      Command: "namecheap.domains.dns.setHosts",
+      ClientIp: clientIp,
+      SLD: sld,
+      TLD: tld
+    };
 
-      // Build parameters for setHosts
-      const setHostsParams = {
-        ApiUser: this.apiUser,
-        ApiKey: this.apiKey,
-        UserName: this.apiUser,
-        Command: "namecheap.domains.dns.setHosts",
-        ClientIp: clientIp,
-        SLD: sld,
-        TLD: tld
-      };
+    // Add host records to params
+    hosts.forEach((host, index) => {
+      setHostsParams[`HostName${index+1}`] = host.HostName;
+      setHostsParams[`RecordType${index+1}`] = host.RecordType;
+      setHostsParams[`Address${index+1}`] = host.Address;
+      setHostsParams[`TTL${index+1}`] = host.TTL;
+      setHostsParams[`MXPref${index+1}`] = host.MXPref ?? 10;
+      if (host.Flag !== undefined) {
+        setHostsParams[`Flag${index+1}`] = host.Flag;
+      }
+      if (host.Tag !== undefined) {
+        setHostsParams[`Tag${index+1}`] = host.Tag;
+      }
+    });
 
-      // Add host records to params
-      hosts.forEach((host, index) => {
-        setHostsParams[`HostName${index+1}`] = host.HostName;
-        setHostsParams[`RecordType${index+1}`] = host.RecordType;
-        setHostsParams[`Address${index+1}`] = host.Address;
-        setHostsParams[`TTL${index+1}`] = host.TTL;
-        if (host.RecordType === 'MX') {
-          setHostsParams[`MXPref${index+1}`] = host.MXPref;
-        }
-      });
+    // MX records are only kept with EmailType=MX
+    const emailType = options.emailType ||
+      (hosts.some(host => host.RecordType === 'MX') ? 'MX' : null);
+    if (emailType) {
+      setHostsParams.EmailType = emailType;
+    }
 
-      console.log(`📝 Setting DNS records for ${sld}.${tld}`);
-      const setHostsResponse = await axios.get(this.baseUrl, {
-        params: setHostsParams,
-        timeout: 30000
-      });
+    console.log(`📝 Setting ${hosts.length} DNS records for ${sld}.${tld}`);
+    const setHostsResponse = await axios.get(this.baseUrl, {
+      params: setHostsParams,
+      timeout: 30000
+    });
 
-      // Parse the XML response
-      const setHostsResult = await this.parseXmlResponse(setHostsResponse.data);
-      
-      // Check for success in the response
-      if (setHostsResult?.ApiResponse?.$ && setHostsResult.ApiResponse.$.Status === "OK") {
-        console.log(`✅ Successfully created DNS record: ${host}.${domainName}`);
-        return { success: true };
-      } else {
-        console.error("❌ Failed to create DNS record");
-        return { success: false, message: "Failed to create DNS record" };
-      }
-    } catch (error) {
-      console.error("❌ Error creating DNS record:", error);
-      return { 
-        success: false, 
-        message: error.message || "An error occurred while creating the DNS record" 
-      };
-    }
+    // Parse the XML response
+    const setHostsResult = await this.parseXmlResponse(setHostsResponse.data);
+
+    return setHostsResult?.ApiResponse?.$?.Status === "OK";
   }
 
-  // Delete a DNS record
-  async deleteDnsRecord(domainName, host, recordType) {
+  // Apply DNS changes to a domain in one write, all or nothing. Changes are
+  // queued per domain and batched with other pending writes; see
+  // dnsChangeQueue.js for the change format. options.expectedVersion rejects
+  // the changes if the records changed since that version was read.
+  // Every write is saved to the DNS change log with options.log:
+  // { domainId, userId, source, description, rolledBackFrom }.
+  // Returns { success, message, conflict, results, version, logEntryId }
+  async applyDnsChanges(domainName, changes, options = {}) {
     try {
-      console.log(`🗑️ Deleting DNS record: ${host}.${domainName} (${recordType})`);
-      
-      // Split domain into SLD and TLD
-      const parts = domainName.split('.');
-      const tld = parts.pop();
-      const sld = parts.join('.');
-      
-      // Use environment IP or detect current IP
-      const clientIp = this.clientIp || (await this.getCurrentIP());
+      const { snapshot, ...result } = await this.dnsQueue.submit(domainName, changes, options);
+
+      if (snapshot) {
+        const log = options.log || {};
+        const entry = await dnsChangeLogService.record({
+          ...log,
+          domainName,
+          description: log.description || dnsChangeLogService.describeChanges(changes),
+          before: snapshot.before,
+          after: snapshot.after
+        });
+        result.logEntryId = entry?.id;
+      }
 
-      // First, get current host records
-      const getHostsParams = {
-        ApiUser: this.apiUser,
-        ApiKey: this.apiKey,
-        UserName: this.apiUser,
-        Command: "namecheap.domains.dns.getHosts",
-        ClientIp: clientIp,
-        SLD: sld,
-        TLD: tld
+      return result;
+    } catch (error) {
+      console.error("❌ Error applying DNS changes:", error);
+      return {
+        success: false,
+        message: error.message || "An error occurred while updating DNS records"
       };
+    }
+  }
 
-      console.log(`📋 Getting current DNS records for ${sld}.${tld}`);
-      const hostsResponse = await axios.get(this.baseUrl, {
-        params: getHostsParams,
-        timeout: 30000
-      });
-
-      // Parse the XML response
-      const hostsResult = await this.parseXmlResponse(hostsResponse.data);
-      
-      // Check for errors in the response
-      if (!hostsResult?.ApiResponse?.CommandResponse?.[0]?.DomainDNSGetHostsResult?.[0]) {
-        console.error("❌ Failed to get current DNS records");
-        return { success: false, message: "Failed to get current DNS records" };
-      }
+  // Create a DNS record (A, CNAME, etc.)
+  async createDnsRecord(domainName, host, recordType, value, ttl = 3600, options = {}) {
+    console.log(`🌐 Creating DNS record: ${host}.${domainName} (${recordType}) -> ${value}`);
 
-      const currentHosts = hostsResult.ApiResponse.CommandResponse[0].DomainDNSGetHostsResult[0].host || [];
-      
-      // Filter out the record we want to delete
-      const filteredHosts = currentHosts.filter(record => 
-        !(record.$.Name === host && record.$.Type === recordType)
-      );
-      
-      // If no records were removed, the record didn't exist
-      if (filteredHosts.length === currentHosts.length) {
-        console.log(`⚠️ DNS record ${host} with type ${recordType} not found`);
-        return { success: true, message: "DNS record not found" };
+    const result = await this.applyDnsChanges(domainName, [{
+      type: "create",
+      record: {
+        HostName: host,
+        RecordType: recordType,
+        Address: value,
+        TTL: ttl,
+        MXPref: recordType === 'MX' ? options.mxPref ?? 10 : 0
       }
+    }], options);
 
-      // Prepare hosts for setHosts call
-      const hosts = filteredHosts.map(record => ({
-        HostName: record.$.Name,
-        RecordType: record.$.Type,
-        Address: record.$.Address,
-        TTL: record.$.TTL,
-        MXPref: record.$.MXPref || 0
-      }));
-
-      // Build parameters for setHosts
-      const setHostsParams = {
-        ApiUser: this.apiUser,
-        ApiKey: this.apiKey,
-        UserName: this.apiUser,
-        Command: "namecheap.domains.dns.setHosts",
-        ClientIp: clientIp,
-        SLD: sld,
-        TLD: tld
-      };
+    if (result.success) {
+      console.log(`✅ Successfully created DNS record: ${host}.${domainName}`);
+    } else {
+      console.error(`❌ Failed to create DNS record: ${result.message}`);
+    }
+    return result;
+  }
 
-      // Add host records to params
-      hosts.forEach((host, index) => {
-        setHostsParams[`HostName${index+1}`] = host.HostName;
-        setHostsParams[`RecordType${index+1}`] = host.RecordType;
-        setHostsParams[`Address${index+1}`] = host.Address;
-        setHostsParams[`TTL${index+1}`] = host.TTL;
-        if (host.RecordType === 'MX') {
-          setHostsParams[`MXPref${index+1}`] = host.MXPref;
-        }
-      });
+  // Delete a DNS record. With a value, only the record with that value is removed
+  async deleteDnsRecord(domainName, host, recordType, value = null, options = {}) {
+    console.log(`🗑️ Deleting DNS record: ${host}.${domainName} (${recordType})`);
 
-      console.log(`📝 Updating DNS records for ${sld}.${tld} (removing ${host})`);
-      const setHostsResponse = await axios.get(this.baseUrl, {
-        params: setHostsParams,
-        timeout: 30000
-      });
+    const result = await this.applyDnsChanges(domainName, [{
+      type: "delete",
+      hostName: host,
+      recordType,
+      address: value
+    }], options);
 
-      // Parse the XML response
-      const setHostsResult = await this.parseXmlResponse(setHostsResponse.data);
-      
-      // Check for success in the response
-      if (setHostsResult?.ApiResponse?.$ && setHostsResult.ApiResponse.$.Status === "OK") {
-        console.log(`✅ Successfully deleted DNS record: ${host}.${domainName}`);
-        return { success: true };
-      } else {
-        console.error("❌ Failed to delete DNS record");
-        return { success: false, message: "Failed to delete DNS record" };
-      }
-    } catch (error) {
-      console.error("❌ Error deleting DNS record:", error);
-      return { 
-        success: false, 
-        message: error.message || "An error occurred while deleting the DNS record" 
-      };
+    if (result.success) {
+      console.log(
+        result.message === "DNS record not found"
+          ? `⚠️ DNS record ${host} with type ${recordType} not found`
+          : `✅ Successfully deleted DNS record: ${host}.${domainName}`
+      );
+    } else {
+      console.error(`❌ Failed to delete DNS record: ${result.message}`);
     }
+    return result;
   }
 
-  // Update a DNS record (delete old and create new)
-  async updateDnsRecord(domainName, host, recordType, newValue, newTtl, oldValue) {
-    try {
-      console.log(`✏️ Updating DNS record: ${host}.${domainName} (${recordType}) ${oldValue} -> ${newValue}`);
-      
-      // First delete the old record
-      const deleteResult = await this.deleteDnsRecord(domainName, host, recordType);
-      if (!deleteResult.success) {
-        return deleteResult;
+  // Update a DNS record in place, keeping its other attributes. oldRecordType
+  // is the type before the change, when the record type changes too.
+  async updateDnsRecord(domainName, host, recordType, newValue, newTtl, oldValue, oldRecordType = recordType, options = {}) {
+    console.log(`✏️ Updating DNS record: ${host}.${domainName} (${recordType}) ${oldValue} -> ${newValue}`);
+
+    const result = await this.applyDnsChanges(domainName, [{
+      type: "update",
+      hostName: host,
+      recordType: oldRecordType,
+      address: oldValue,
+      record: {
+        HostName: host,
+        RecordType: recordType,
+        Address: newValue,
+        TTL: newTtl
       }
-      
-      // Then create a new one with updated values
-      return await this.createDnsRecord(domainName, host, recordType, newValue, newTtl);
-    } catch (error) {
-      console.error("❌ Error updating DNS record:", error);
-      return { 
-        success: false, 
-        message: error.message || "An error occurred while updating the DNS record" 
-      };
+    }], options);
+
+    if (result.success) {
+      console.log(`✅ Successfully updated DNS record: ${host}.${domainName}`);
+    } else {
+      console.error(`❌ Failed to update DNS record: ${result.message}`);
     }
+    return result;
   }
 
   // Get all DNS records for a domain
   async getDnsRecords(domainName) {
     try {
       console.log(`📋 Getting DNS records for: ${domainName}`);
-      
-      // Split domain into SLD and TLD
-      const parts = domainName.split('.');
-      const tld = parts.pop();
-      const sld = parts.join('.');
-      
-      // Use environment IP or detect current IP
-      const clientIp = this.clientIp || (await this.getCurrentIP());
-
-      // Get current host records
-      const getHostsParams = {
-        ApiUser: this.apiUser,
-        ApiKey: this.apiKey,
-        UserName: this.apiUser,
-        Command: "namecheap.domains.dns.getHosts",
-        ClientIp: clientIp,
-        SLD: sld,
-        TLD: tld
-      };
 
-      const hostsResponse = await axios.get(this.baseUrl, {
-        params: getHostsParams,
-        timeout: 30000
-      });
+      const zone = await this.getZone(domainName);
 
-      // Parse the XML response
-      const hostsResult = await this.parseXmlResponse(hostsResponse.data);
-      
-      // Check for errors in the response
-      if (!hostsResult?.ApiResponse?.CommandResponse?.[0]?.DomainDNSGetHostsResult?.[0]) {
+      if (!zone) {
         console.error("❌ Failed to get DNS records");
         return { success: false, message: "Failed to get DNS records" };
       }
 
-      const currentHosts = hostsResult.ApiResponse.CommandResponse[0].DomainDNSGetHostsResult[0].host || [];
-      
+      const { hosts, version } = zone;
+
       // Format the response
-      const records = currentHosts.map(record => ({
-        name: record.$.Name,
-        type: record.$.Type,
-        address: record.$.Address,
-        ttl: parseInt(record.$.TTL),
-        mxPref: record.$.MXPref ? parseInt(record.$.MXPref) : undefined
+      const records = hosts.map(record => ({
+        name: record.HostName,
+        type: record.RecordType,
+        address: record.Address,
+        ttl: parseInt(record.TTL),
+        mxPref: record.RecordType === 'MX' ? parseInt(record.MXPref) : undefined
       }));
 
       console.log(`✅ Found ${records.length} DNS records for ${domainName}`);
-      return { success: true, records };
+      // version identifies this set of records, pass it back as expectedVersion
+      return { success: true, records, version };
     } catch (error) {
       console.error("❌ Error getting DNS records:", error);
       return { 
@@ -1137,96 +1394,40 @@ class NamecheapService {
     }
   }
 
-  // Check DNS propagation for a specific record
+  // Check DNS propagation for a specific record on the public resolvers and
+  // the domain's authoritative nameservers; see dnsPropagationService.js.
+  // The result's resolvers list has each resolver's answer.
   async checkDnsPropagation(subdomain, domainName, recordType, expectedValue) {
+    if (this.mock) {
+      return this.mock.checkDnsPropagation(subdomain, domainName, recordType, expectedValue);
+    }
+
     try {
       const fullDomain = subdomain ? `${subdomain}.${domainName}` : domainName;
       console.log(`🔍 Checking DNS propagation for: ${fullDomain} (${recordType}) expecting: ${expectedValue}`);
-      
-      let actualValue = null;
-      let propagated = false;
-
-      try {
-        switch (recordType.toUpperCase()) {
-          case 'A':
-            const aRecords = await dns.resolve4(fullDomain);
-            actualValue = aRecords[0];
-            propagated = aRecords.includes(expectedValue);
-            break;
-            
-          case 'AAAA':
-            const aaaaRecords = await dns.resolve6(fullDomain);
-            actualValue = aaaaRecords[0];
-            propagated = aaaaRecords.includes(expectedValue);
-            break;
-            
-          case 'CNAME':
-            const cnameRecords = await dns.resolveCname(fullDomain);
-            actualValue = cnameRecords[0];
-            // CNAME records might have trailing dots
-            const expectedClean = expectedValue.endsWith('.') ? expectedValue.slice(0, -1) : expectedValue;
-            const actualClean = actualValue.endsWith('.') ? actualValue.slice(0, -1) : actualValue;
-            propagated = actualClean === expectedClean;
-            break;
-            
-          case 'MX':
-            const mxRecords = await dns.resolveMx(fullDomain);
-            actualValue = mxRecords.map(mx => `${mx.priority} ${mx.exchange}`).join(', ');
-            propagated = mxRecords.some(mx => mx.exchange === expectedValue || mx.exchange === expectedValue + '.');
-            break;
-            
-          case 'TXT':
-            const txtRecords = await dns.resolveTxt(fullDomain);
-            actualValue = txtRecords.map(txt => txt.join(' ')).join('; ');
-            propagated = txtRecords.some(txt => txt.join(' ') === expectedValue);
-            break;
-            
-          case 'NS':
-            const nsRecords = await dns.resolveNs(fullDomain);
-            actualValue = nsRecords.join(', ');
-            propagated = nsRecords.includes(expectedValue) || nsRecords.includes(expectedValue + '.');
-            break;
-            
-          default:
-            console.warn(`⚠️ Unsupported record type for propagation check: ${recordType}`);
-            return { 
-              success: false, 
-              propagated: false, 
-              message: `Unsupported record type: ${recordType}` 
-            };
-        }
-
-        console.log(`🔍 DNS propagation check result:`, {
-          domain: fullDomain,
-          recordType,
-          expected: expectedValue,
-          actual: actualValue,
-          propagated
-        });
 
-        return {
-          success: true,
-          propagated,
-          actualValue,
-          expectedValue,
-          recordType,
-          domain: fullDomain
-        };
+      const result = await dnsPropagationService.checkRecord({
+        domainName,
+        subdomain,
+        recordType,
+        expectedValue
+      });
 
-      } catch (dnsError) {
-        // DNS lookup failed - record probably not propagated yet
-        console.log(`⏳ DNS lookup failed for ${fullDomain} (${recordType}): ${dnsError.message}`);
-        return {
-          success: true,
-          propagated: false,
-          actualValue: null,
-          expectedValue,
-          recordType,
-          domain: fullDomain,
-          error: dnsError.message
-        };
+      if (!result.success) {
+        console.warn(`⚠️ ${result.message}`);
+        return result;
       }
 
+      console.log(`🔍 DNS propagation check result:`, {
+        domain: result.domain,
+        recordType,
+        expected: expectedValue,
+        actual: result.actualValue,
+        propagated: result.propagated,
+        resolvers: `${result.summary.propagated}/${result.summary.total}`
+      });
+
+      return result;
     } catch (error) {
       console.error("❌ Error checking DNS propagation:", error);
       return { 
@@ -1240,14 +1441,23 @@ class NamecheapService {
   async checkDnsPropagationWithRetry(subdomain, domainName, recordType, expectedValue, subdomainId = null, maxRetries = 3, delay = 10000) {
     console.log(`🔄 Starting DNS propagation check with retry for: ${subdomain}.${domainName}`);
     
+    let lastResult = null;
+
     // Phase 1: Quick immediate checks (reduced from 10 to 3 attempts)
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       console.log(`⏱️ DNS propagation check attempt ${attempt}/${maxRetries}`);
       
       const result = await this.checkDnsPropagation(subdomain, domainName, recordType, expectedValue);
+      lastResult = result;
       
       if (result.success && result.propagated) {
         console.log(`✅ DNS propagated successfully on attempt ${attempt}`);
+
+        // Keep the per-resolver answers for the propagation map
+        await dnsPropagationService.saveResults(
+          { domain: domainName, subdomain, recordType, expectedValue, subdomainId },
+          result
+        );
         
         // Update subdomain status if we have the ID
         if (subdomainId) {
@@ -1307,7 +1517,9 @@ class NamecheapService {
           next_check_at: nextCheckAt.toISOString(),
           check_count: 0,
           status: 'pending',
-          last_error: null
+          last_error: null,
+          resolver_results: lastResult?.resolvers || [],
+          last_check_at: lastResult?.checkedAt || null
         }, {
           onConflict: 'domain,subdomain,record_type,expected_value',
           ignoreDuplicates: false
@@ -1,6 +1,14 @@
 const supabase = require('../config/database');
 const emailService = require('./emailService');
 
+// Card details are only ever entered in Stripe Elements; never keep them here
+const CARD_FIELDS = ['paymentDetails', 'cardNumber', 'expiryDate', 'cvc', 'cvv'];
+
+const stripCardFields = (paymentData = {}) =>
+  Object.fromEntries(
+    Object.entries(paymentData).filter(([key]) => !CARD_FIELDS.includes(key))
+  );
+
 class OTPService {
   constructor() {
     this.OTP_EXPIRY_MINUTES = 3; // OTP expires in 3 minutes
@@ -31,7 +39,7 @@ class OTPService {
             user_id: userId,
             email: email.toLowerCase(),
             otp_code: otpCode,
-            payment_data: paymentData,
+            payment_data: stripCardFields(paymentData),
             expires_at: expiresAt.toISOString(),
             verified: false,
             attempts: 0,
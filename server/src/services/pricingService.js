@@ -0,0 +1,158 @@
+const supabase = require("../config/database.js");
+const namecheapService = require("./namecheapService.js");
+
+class PricingService {
+  constructor() {
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    this.cacheTtl = 60 * 1000; // Reload rules at most once a minute
+  }
+
+  // Load active pricing rules, cached to avoid a query per price calculation
+  async getActiveRules() {
+    if (this.rules && Date.now() - this.rulesLoadedAt < this.cacheTtl) {
+      return this.rules;
+    }
+
+    const { data, error } = await supabase
+      .from("pricing_rules")
+      .select("*")
+      .eq("is_active", true);
+
+    if (error) {
+      console.error("❌ Error loading pricing rules:", error);
+      // Keep using the last known rules if we have them
+      return this.rules || [];
+    }
+
+    this.rules = data || [];
+    this.rulesLoadedAt = Date.now();
+    return this.rules;
+  }
+
+  // Drop cached rules after they are changed
+  clearCache() {
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+  }
+
+  // Find the most specific rule for a domain: premium > per-TLD > global
+  selectRule(rules, domainName, cost, isPremium) {
+    const domainParts = domainName.toLowerCase().split(".");
+    const extension = domainParts.slice(1).join(".");
+    const tld = domainParts[domainParts.length - 1];
+
+    const matchesTld = (rule) =>
+      rule.tld && [extension, tld].includes(rule.tld.toLowerCase().replace(/^\./, ""));
+
+    if (isPremium) {
+      const premiumRules = rules.filter(
+        (rule) =>
+          rule.rule_type === "premium" &&
+          (!rule.tld || matchesTld(rule)) &&
+          (!rule.min_cost || cost >= parseFloat(rule.min_cost))
+      );
+
+      if (premiumRules.length > 0) {
+        // Prefer TLD-specific premium rules, then the highest cost threshold
+        premiumRules.sort(
+          (a, b) =>
+            (b.tld ? 1 : 0) - (a.tld ? 1 : 0) ||
+            (parseFloat(b.min_cost) || 0) - (parseFloat(a.min_cost) || 0)
+        );
+        return premiumRules[0];
+      }
+    }
+
+    const tldRules = rules.filter(
+      (rule) => rule.rule_type === "tld" && matchesTld(rule)
+    );
+    if (tldRules.length > 0) {
+      // Multi-part extensions (co.uk) win over their last label (uk)
+      tldRules.sort((a, b) => b.tld.length - a.tld.length);
+      return tldRules[0];
+    }
+
+    return rules.find((rule) => rule.rule_type === "global") || null;
+  }
+
+  // Calculate the selling price for a domain from its registrar cost.
+  // This is the single source of truth for every price shown or charged.
+  // For multi-year terms the cost covers every year; fixed markups and
+  // minimum margins are applied per year.
+  async calculatePrice(domainName, cost, isPremium = false, years = 1) {
+    const registrarCost = parseFloat(cost) || 0;
+    const term = Math.max(parseInt(years) || 1, 1);
+    const rules = await this.getActiveRules();
+    const rule = this.selectRule(
+      rules,
+      domainName,
+      registrarCost / term,
+      isPremium
+    );
+
+    let markup = 0;
+    if (rule) {
+      const markupValue = parseFloat(rule.markup_value) || 0;
+      markup =
+        rule.markup_type === "fixed"
+          ? markupValue * term
+          : (registrarCost * markupValue) / 100;
+      markup = Math.max(markup, (parseFloat(rule.min_margin) || 0) * term);
+    }
+
+    markup = Math.round(markup * 100) / 100;
+    const sellingPrice = Math.round((registrarCost + markup) * 100) / 100;
+
+    return {
+      cost: registrarCost,
+      markup,
+      sellingPrice,
+      ruleId: rule?.id || null,
+      ruleType: rule?.rule_type || null,
+      years: term,
+    };
+  }
+
+  // Price a new registration for the given term from a checkDomainAvailability result
+  async quoteRegistration(domainName, years = 1, availability = null) {
+    const cost = await namecheapService.getRegistrationPrice(
+      domainName,
+      years,
+      availability
+    );
+    return this.calculatePrice(
+      domainName,
+      cost,
+      availability?.isPremium || false,
+      years
+    );
+  }
+
+  // Selling prices for every registration term: [{ years, cost, markup, sellingPrice }]
+  async getRegistrationQuotes(domainName, availability = null) {
+    const costs = await namecheapService.getRegistrationPrices(
+      domainName,
+      availability
+    );
+    const isPremium = availability?.isPremium || false;
+
+    return Promise.all(
+      Object.entries(costs).map(([years, cost]) =>
+        this.calculatePrice(domainName, cost, isPremium, years)
+      )
+    );
+  }
+
+  // Shortcut when only the selling price is needed
+  async getSellingPrice(domainName, cost, isPremium = false) {
+    const { sellingPrice } = await this.calculatePrice(
+      domainName,
+      cost,
+      isPremium
+    );
+    return sellingPrice;
+  }
+}
+
+module.exports = new PricingService();
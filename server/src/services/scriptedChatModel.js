@@ -0,0 +1,124 @@
+const fs = require("fs");
+const { BaseChatModel } = require("@langchain/core/language_models/chat_models");
+const { AIMessage, AIMessageChunk } = require("@langchain/core/messages");
+const { ChatGenerationChunk } = require("@langchain/core/outputs");
+
+// Deterministic chat model used when LLM_PROVIDER=scripted. Replies come from
+// a script of rules per task, so agent flows can be tested without a real LLM:
+//
+//   {
+//     "intent": [
+//       { "match": "coffee", "toolCalls": [{ "name": "domain_search", "args": { "searchTerms": ["coffee"] } }] },
+//       { "afterTool": "domain_search", "response": "Here are some coffee domains!" }
+//     ],
+//     "creative": [{ "response": ["BrewHub", "BeanBox"] }]
+//   }
+//
+// "match" is a case-insensitive regular expression tested against the last
+// user message; a rule without it always matches. "afterTool" rules only apply
+// right after a tool result, and their regular expression is tested against
+// the tool's name; other rules only apply when the last message is not a tool
+// result. A rule replies with "toolCalls", "response" or both. Non-string
+// responses are returned as JSON. When no rule matches the call fails, which
+// sends the agent down the same fallback path as an unavailable LLM.
+class ScriptedChatModel extends BaseChatModel {
+  constructor({ task, script = null, scriptFile = null, ...params } = {}) {
+    super(params);
+    this.task = task;
+    this.script = script || ScriptedChatModel.loadScript(scriptFile);
+  }
+
+  static loadScript(scriptFile) {
+    if (!scriptFile) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(scriptFile, "utf8"));
+    } catch (error) {
+      throw new Error(`Failed to load LLM script ${scriptFile}: ${error.message}`);
+    }
+  }
+
+  _llmType() {
+    return "scripted";
+  }
+
+  // Rules name the tools they call, so there is nothing to bind
+  bindTools() {
+    return this;
+  }
+
+  getReply(messages) {
+    const lastMessage = messages[messages.length - 1];
+    const lastTool = lastMessage?._getType() === "tool" ? lastMessage.name : null;
+    const lastUserMessage = [...messages]
+      .reverse()
+      .find((message) => message._getType() === "human");
+    const text = String(lastUserMessage?.content || "");
+
+    const rule = (this.script[this.task] || []).find((candidate) => {
+      if (!!candidate.afterTool !== !!lastTool) return false;
+      if (lastTool && !new RegExp(candidate.afterTool).test(lastTool)) return false;
+      return !candidate.match || new RegExp(candidate.match, "i").test(text);
+    });
+
+    if (!rule) {
+      const after = lastTool ? ` after ${lastTool}` : "";
+      throw new Error(`Scripted LLM has no ${this.task} response${after} for: "${text.substring(0, 100)}"`);
+    }
+
+    const response = rule.response ?? "";
+
+    return {
+      text: typeof response === "string" ? response : JSON.stringify(response),
+      // IDs only need to be unique within the conversation
+      toolCalls: (rule.toolCalls || []).map((call, index) => ({
+        id: `call_${messages.length}_${index}`,
+        name: call.name,
+        args: call.args || {},
+        type: "tool_call",
+      })),
+    };
+  }
+
+  async _generate(messages) {
+    const { text, toolCalls } = this.getReply(messages);
+
+    return {
+      generations: [{ text, message: new AIMessage({ content: text, tool_calls: toolCalls }) }],
+    };
+  }
+
+  // Stream word by word so streaming clients see several tokens; tool calls
+  // arrive in one final chunk
+  async *_streamResponseChunks(messages) {
+    const { text, toolCalls } = this.getReply(messages);
+    const words = text.match(/\S+\s*/g) || [];
+
+    for (const word of words) {
+      yield new ChatGenerationChunk({
+        text: word,
+        message: new AIMessageChunk(word),
+      });
+    }
+
+    if (toolCalls.length > 0) {
+      yield new ChatGenerationChunk({
+        text: "",
+        message: new AIMessageChunk({
+          content: "",
+          tool_call_chunks: toolCalls.map((call, index) => ({
+            id: call.id,
+            name: call.name,
+            args: JSON.stringify(call.args),
+            index,
+            type: "tool_call_chunk",
+          })),
+        }),
+      });
+    }
+  }
+}
+
+module.exports = ScriptedChatModel;
@@ -2,6 +2,14 @@ const Stripe = require("stripe");
 const dotenv = require("dotenv");
 dotenv.config();
 
+// PaymentIntent statuses that can still be cancelled
+const CANCELLABLE_STATUSES = [
+  "requires_payment_method",
+  "requires_confirmation",
+  "requires_action",
+  "requires_capture",
+];
+
 class StripeService {
   constructor() {
     const stripeKey = process.env.STRIPE_SECRET_KEY;
@@ -60,6 +68,8 @@ class StripeService {
         automatic_payment_methods: {
           enabled: true,
         },
+        // Keep the card on the customer so auto-renewals can charge it
+        ...(customerId && { setup_future_usage: "off_session" }),
       });
 
       return paymentIntent;
@@ -69,6 +79,45 @@ class StripeService {
     }
   }
 
+  // Charge a saved card without the customer present (used for auto-renewals)
+  async chargeSavedPaymentMethod(
+    amount,
+    currency = "usd",
+    customerId,
+    paymentMethodId,
+    metadata = {}
+  ) {
+    try {
+      if (!this.stripe) {
+        throw new Error(
+          "Stripe not configured. Please set STRIPE_SECRET_KEY environment variable."
+        );
+      }
+
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount: Math.round(amount * 100), // Convert to cents
+        currency,
+        customer: customerId,
+        payment_method: paymentMethodId,
+        off_session: true,
+        confirm: true,
+        metadata,
+      });
+
+      return paymentIntent;
+    } catch (error) {
+      console.error("Stripe Off-Session Payment Error:", error.message);
+      // Card errors such as authentication_required still carry the PaymentIntent
+      const reason =
+        error.code === "authentication_required"
+          ? "The card requires authentication"
+          : error.message;
+      const chargeError = new Error(`Failed to charge saved card: ${reason}`);
+      chargeError.paymentIntent = error.raw?.payment_intent || null;
+      throw chargeError;
+    }
+  }
+
   async confirmPayment(paymentIntentId) {
     try {
       console.log("Retrieving PaymentIntent with ID:", paymentIntentId);
@@ -99,6 +148,45 @@ class StripeService {
     }
   }
 
+  async retrievePaymentIntent(paymentIntentId) {
+    try {
+      if (!this.stripe) {
+        throw new Error(
+          "Stripe not configured. Please set STRIPE_SECRET_KEY environment variable."
+        );
+      }
+
+      return await this.stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (error) {
+      console.error("Stripe Retrieve Payment Intent Error:", error.message);
+      throw new Error("Failed to retrieve payment intent");
+    }
+  }
+
+  // Cancel a PaymentIntent that has not been paid, so it can no longer be
+  // charged. Intents that already succeeded (or are processing) are returned
+  // unchanged; check the status. Returns null when Stripe is not configured.
+  async cancelPaymentIntent(paymentIntentId) {
+    if (!this.stripe) {
+      return null;
+    }
+
+    try {
+      const paymentIntent = await this.stripe.paymentIntents.retrieve(
+        paymentIntentId
+      );
+
+      if (!CANCELLABLE_STATUSES.includes(paymentIntent.status)) {
+        return paymentIntent;
+      }
+
+      return await this.stripe.paymentIntents.cancel(paymentIntentId);
+    } catch (error) {
+      console.error("Stripe Cancel Payment Intent Error:", error.message);
+      throw new Error("Failed to cancel payment intent");
+    }
+  }
+
   async getPaymentIntentCharges(paymentIntentId) {
     try {
       const charges = await this.stripe.charges.list({
@@ -1,4 +1,6 @@
 const namecheapService = require('./namecheapService');
+const supabase = require('../config/database');
+const { isSameRecord } = require('./dnsChangeQueue');
 
 /**
  * Service for managing subdomains with DNS providers
@@ -305,6 +307,535 @@ class SubdomainService {
       throw new Error(`Failed to check DNS propagation: ${error.message}`);
     }
   }
+
+  /**
+   * Validate a record's target value for its record type
+   * @param {string} recordType - DNS record type (A, AAAA, CNAME, MX, TXT, ...)
+   * @param {string} targetValue - Record value
+   * @throws {Error} "Invalid ..." message when the value does not fit the type
+   */
+  assertTargetValue(recordType, targetValue) {
+    switch (recordType) {
+      case 'A':
+        // IPv4 validation
+        const ipv4Regex = /^((25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+        if (!ipv4Regex.test(targetValue)) {
+          throw new Error('Invalid IPv4 address for A record');
+        }
+        break;
+
+      case 'AAAA':
+        // IPv6 validation (basic)
+        if (!targetValue.includes(':') || targetValue.length < 3) {
+          throw new Error('Invalid IPv6 address for AAAA record');
+        }
+        break;
+
+      case 'CNAME':
+        // Domain name validation
+        if (!targetValue.includes('.') || targetValue.endsWith('.')) {
+          throw new Error('Invalid domain name for CNAME record');
+        }
+        break;
+
+      case 'MX':
+        // Domain name validation for MX
+        if (!targetValue.includes('.') || targetValue.endsWith('.')) {
+          throw new Error('Invalid mail server domain for MX record');
+        }
+        break;
+
+      case 'TXT':
+        // TXT records can contain any text, just check it's not empty
+        if (!targetValue.trim()) {
+          throw new Error('TXT record cannot be empty');
+        }
+        break;
+
+      default:
+        // For SRV, NS and other types, basic validation
+        if (!targetValue.trim()) {
+          throw new Error('Target value cannot be empty');
+        }
+    }
+  }
+
+  /**
+   * Create a subdomain record and its DNS record, then start a background
+   * propagation check. Used by the subdomain API and the AI consultant.
+   * @param {Object} domain - Owned domain row ({ id, full_domain })
+   * @param {Object} subdomainData - { subdomain_name, record_type, target_value, ttl, priority, port, weight }
+   * @param {Object} changeLog - Who made the change, for the DNS change log ({ userId, source })
+   * @returns {Promise<Object>} The created subdomain row
+   * @throws {Error} With statusCode 400 (invalid value), 409 (already exists) or 500
+   */
+  async createSubdomain(domain, subdomainData, changeLog = {}) {
+    const {
+      subdomain_name,
+      record_type,
+      target_value,
+      ttl = 3600,
+      priority,
+      port,
+      weight
+    } = subdomainData;
+
+    const fail = (message, statusCode) => {
+      const error = new Error(message);
+      error.statusCode = statusCode;
+      return error;
+    };
+
+    try {
+      this.assertTargetValue(record_type, target_value);
+    } catch (error) {
+      throw fail(error.message, 400);
+    }
+
+    // Check if subdomain already exists
+    const { data: existingSubdomain } = await supabase
+      .from('subdomains')
+      .select('id')
+      .eq('domain_id', domain.id)
+      .eq('subdomain_name', subdomain_name.toLowerCase())
+      .eq('is_active', true)
+      .single();
+
+    if (existingSubdomain) {
+      throw fail(`Subdomain '${subdomain_name}' already exists for this domain`, 409);
+    }
+
+    // Create subdomain record
+    const record = {
+      domain_id: domain.id,
+      subdomain_name: subdomain_name.toLowerCase(),
+      record_type,
+      target_value: target_value.trim(),
+      ttl: parseInt(ttl),
+      status: 'pending',
+      is_active: true,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+
+    // Add optional fields if provided
+    if (priority !== undefined && (record_type === 'MX' || record_type === 'SRV')) {
+      record.priority = parseInt(priority);
+    }
+    if (port !== undefined && record_type === 'SRV') {
+      record.port = parseInt(port);
+    }
+    if (weight !== undefined && record_type === 'SRV') {
+      record.weight = parseInt(weight);
+    }
+
+    const { data: newSubdomain, error: createError } = await supabase
+      .from('subdomains')
+      .insert([record])
+      .select()
+      .single();
+
+    if (createError) {
+      console.error('Subdomain creation error:', createError);
+
+      if (createError.code === '23505') {
+        throw fail('Subdomain already exists', 409);
+      }
+
+      throw fail('Failed to create subdomain', 500);
+    }
+
+    // Create the actual DNS record with Namecheap
+    console.log(`🌐 Creating DNS record for subdomain: ${subdomain_name}.${domain.full_domain}`);
+
+    let dnsResult;
+    try {
+      dnsResult = await this.dnsProvider.createDnsRecord(
+        domain.full_domain,
+        subdomain_name,
+        record_type,
+        target_value,
+        ttl,
+        { log: { ...changeLog, domainId: domain.id } }
+      );
+    } catch (dnsError) {
+      console.error('DNS creation error:', dnsError);
+      dnsResult = { success: false, message: dnsError.message };
+    }
+
+    if (!dnsResult.success) {
+      console.error(`❌ Failed to create DNS record: ${dnsResult.message}`);
+
+      // Mark subdomain as failed
+      await supabase
+        .from('subdomains')
+        .update({
+          status: 'failed',
+          dns_error: dnsResult.message,
+          last_checked: new Date().toISOString()
+        })
+        .eq('id', newSubdomain.id);
+
+      throw fail(`Failed to create DNS record: ${dnsResult.message}`, dnsResult.statusCode || 500);
+    }
+
+    console.log(`✅ DNS record created successfully for ${subdomain_name}.${domain.full_domain}`);
+
+    // Update subdomain status to active since DNS was created
+    const { error: updateError } = await supabase
+      .from('subdomains')
+      .update({
+        status: 'active',
+        dns_created: true,
+        dns_propagated: false, // Will be checked later
+        last_checked: new Date().toISOString()
+      })
+      .eq('id', newSubdomain.id);
+
+    if (updateError) {
+      console.error('Error updating subdomain status:', updateError);
+    }
+
+    // Start DNS propagation check in the background (don't wait for it)
+    this.watchPropagation(domain, newSubdomain);
+
+    // Fetch the complete subdomain data
+    const { data: completeSubdomain } = await supabase
+      .from('subdomains')
+      .select('*')
+      .eq('id', newSubdomain.id)
+      .single();
+
+    return completeSubdomain || newSubdomain;
+  }
+
+  /**
+   * Check in the background (without waiting) whether a new subdomain's DNS
+   * record has propagated; unpropagated records are queued for monitoring
+   * @param {Object} domain - Domain row ({ id, full_domain })
+   * @param {Object} subdomain - Subdomain row
+   */
+  watchPropagation(domain, subdomain) {
+    const { subdomain_name, record_type, target_value } = subdomain;
+
+    setImmediate(async () => {
+      try {
+        console.log(`🔍 Starting background DNS propagation check for ${subdomain_name}.${domain.full_domain}`);
+        const propagationResult = await this.dnsProvider.checkDnsPropagationWithRetry(
+          subdomain_name,
+          domain.full_domain,
+          record_type,
+          target_value,
+          subdomain.id, // Pass subdomain ID for background monitoring
+          3, // max 3 immediate retries
+          10000 // 10 second delay
+        );
+
+        console.log(`📊 DNS propagation result for ${subdomain_name}.${domain.full_domain}:`, {
+          propagated: propagationResult.propagated,
+          backgroundMonitoring: propagationResult.backgroundMonitoring,
+          message: propagationResult.message
+        });
+      } catch (propagationError) {
+        console.error(`❌ DNS propagation check failed for ${subdomain_name}.${domain.full_domain}:`, propagationError);
+      }
+    });
+  }
+
+  /**
+   * Create a group of DNS records in one all-or-nothing write, e.g. from a
+   * DNS template. Records on a plain subdomain name (www, autodiscover) also
+   * get a subdomain row linked to the group and a propagation check, like
+   * createSubdomain; records on the root or on names such as
+   * google._domainkey only exist in DNS.
+   * @param {Object} domain - Owned domain row ({ id, full_domain })
+   * @param {Array} records - Host records to add ({ HostName, RecordType, Address, TTL, MXPref })
+   * @param {Object} options - { templateApplicationId, replace: host records removed in the
+   *   same write, expectedVersion, changeLog: { userId, source, description } }
+   * @returns {Promise<Object>} { subdomains, version, logEntryId }
+   * @throws {Error} With statusCode 409 (records changed or already exist) or 500
+   */
+  async createRecordGroup(domain, records, options = {}) {
+    const { templateApplicationId = null, replace = [], expectedVersion, changeLog = {} } = options;
+
+    const fail = (message, statusCode) => {
+      const error = new Error(message);
+      error.statusCode = statusCode;
+      return error;
+    };
+
+    const changes = [
+      ...replace.map((host) => ({
+        type: 'delete',
+        hostName: host.HostName,
+        recordType: host.RecordType,
+        address: host.Address
+      })),
+      ...records.map((record) => ({ type: 'add', record }))
+    ];
+
+    console.log(`🌐 Creating ${records.length} DNS records for ${domain.full_domain}`);
+
+    const dnsResult = await this.dnsProvider.applyDnsChanges(domain.full_domain, changes, {
+      expectedVersion,
+      log: { ...changeLog, domainId: domain.id }
+    });
+
+    if (!dnsResult.success) {
+      console.error(`❌ Failed to create DNS records: ${dnsResult.message}`);
+      throw fail(
+        `Failed to create DNS records: ${dnsResult.message}`,
+        dnsResult.statusCode || (dnsResult.message === 'DNS record already exists' ? 409 : 500)
+      );
+    }
+
+    console.log(`✅ DNS records created successfully for ${domain.full_domain}`);
+
+    // Subdomains whose record was replaced are gone from DNS
+    for (const host of replace.filter((host) => this.validateSubdomainName(host.HostName))) {
+      await supabase
+        .from('subdomains')
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq('domain_id', domain.id)
+        .eq('subdomain_name', host.HostName.toLowerCase())
+        .eq('record_type', host.RecordType)
+        .eq('is_active', true);
+    }
+
+    const subdomains = [];
+    const now = new Date().toISOString();
+
+    for (const record of records) {
+      const name = record.HostName.toLowerCase();
+      if (!this.validateSubdomainName(name) || subdomains.some((row) => row.subdomain_name === name)) {
+        continue;
+      }
+
+      const { data: subdomain, error } = await supabase
+        .from('subdomains')
+        .insert([{
+          domain_id: domain.id,
+          subdomain_name: name,
+          record_type: record.RecordType,
+          target_value: record.Address,
+          ttl: parseInt(record.TTL),
+          ...(record.RecordType === 'MX' && { priority: record.MXPref }),
+          status: 'active',
+          is_active: true,
+          dns_created: true,
+          dns_propagated: false,
+          template_application_id: templateApplicationId,
+          last_checked: now,
+          created_at: now,
+          updated_at: now,
+        }])
+        .select()
+        .single();
+
+      // The DNS record exists either way; an existing subdomain row of the
+      // same name just keeps it out of the subdomain list
+      if (error) {
+        console.warn(`⚠️ No subdomain row for ${name}.${domain.full_domain}:`, error.message);
+        continue;
+      }
+
+      subdomains.push(subdomain);
+      this.watchPropagation(domain, subdomain);
+    }
+
+    return {
+      subdomains,
+      version: dnsResult.version,
+      logEntryId: dnsResult.logEntryId
+    };
+  }
+
+  /**
+   * Remove a group of DNS records in one write, and the subdomain rows of its
+   * template application that had those records. Records already gone are
+   * skipped.
+   * @param {Object} domain - Owned domain row ({ id, full_domain })
+   * @param {Array} records - Host records of the group
+   * @param {Object} options - { templateApplicationId, expectedVersion, changeLog }
+   * @returns {Promise<Object>} { version, logEntryId }
+   * @throws {Error} With statusCode 409 (records changed) or 500
+   */
+  async removeRecordGroup(domain, records, options = {}) {
+    const { templateApplicationId, expectedVersion, changeLog = {} } = options;
+
+    const dnsResult = await this.dnsProvider.applyDnsChanges(
+      domain.full_domain,
+      records.map((host) => ({
+        type: 'delete',
+        hostName: host.HostName,
+        recordType: host.RecordType,
+        address: host.Address
+      })),
+      { expectedVersion, log: { ...changeLog, domainId: domain.id } }
+    );
+
+    if (!dnsResult.success) {
+      console.error(`❌ Failed to delete DNS records: ${dnsResult.message}`);
+      const error = new Error(`Failed to delete DNS records: ${dnsResult.message}`);
+      error.statusCode = dnsResult.statusCode || 500;
+      throw error;
+    }
+
+    if (templateApplicationId) {
+      const { data: rows, error } = await supabase
+        .from('subdomains')
+        .select('id, subdomain_name, record_type')
+        .eq('template_application_id', templateApplicationId)
+        .eq('is_active', true);
+
+      if (error) {
+        console.error('Error loading template subdomains:', error);
+      }
+
+      const removedIds = (rows || [])
+        .filter((row) =>
+          records.some((host) =>
+            host.HostName.toLowerCase() === row.subdomain_name && host.RecordType === row.record_type
+          )
+        )
+        .map((row) => row.id);
+
+      if (removedIds.length > 0) {
+        const { error: updateError } = await supabase
+          .from('subdomains')
+          .update({ is_active: false, updated_at: new Date().toISOString() })
+          .in('id', removedIds);
+
+        if (updateError) {
+          console.error('Error deactivating template subdomains:', updateError);
+        }
+      }
+    }
+
+    console.log(`✅ Deleted ${records.length} DNS records for ${domain.full_domain}`);
+
+    return {
+      version: dnsResult.version,
+      logEntryId: dnsResult.logEntryId
+    };
+  }
+
+  /**
+   * Bring the subdomain rows in line with DNS after a bulk change such as a
+   * zone import or a rollback. Only names the change touched are looked at:
+   * rows whose record is gone are deactivated, rows whose record changed get
+   * the new value, and a plain subdomain name that gained records gets a row
+   * and a propagation check, like createRecordGroup.
+   * @param {Object} domain - Owned domain row ({ id, full_domain })
+   * @param {Object} diff - diffHosts(before, after) of the change
+   * @returns {Promise<Object>} { created, updated, deactivated } row counts
+   */
+  async reconcileSubdomains(domain, diff) {
+    const after = [
+      ...diff.unchanged,
+      ...diff.added,
+      ...diff.changed.map(({ after: record }) => record)
+    ];
+    const names = new Set(
+      [...diff.added, ...diff.removed, ...diff.changed.map(({ after: record }) => record)]
+        .map((host) => String(host.HostName).toLowerCase())
+        .filter((name) => this.validateSubdomainName(name))
+    );
+    const counts = { created: 0, updated: 0, deactivated: 0 };
+    const now = new Date().toISOString();
+
+    for (const name of names) {
+      const records = after.filter((host) => String(host.HostName).toLowerCase() === name);
+
+      const { data: rows, error } = await supabase
+        .from('subdomains')
+        .select('*')
+        .eq('domain_id', domain.id)
+        .eq('subdomain_name', name)
+        .eq('is_active', true);
+
+      if (error) {
+        console.error(`Error loading subdomain rows for ${name}.${domain.full_domain}:`, error);
+        continue;
+      }
+
+      let active = 0;
+      for (const row of rows || []) {
+        const rowRecord = { HostName: name, RecordType: row.record_type, Address: row.target_value };
+        const record =
+          records.find((host) => isSameRecord(host, rowRecord)) ||
+          records.find((host) => host.RecordType === row.record_type);
+
+        if (!record) {
+          await supabase
+            .from('subdomains')
+            .update({ is_active: false, updated_at: now })
+            .eq('id', row.id);
+          counts.deactivated += 1;
+          continue;
+        }
+
+        active += 1;
+        const valueChanged = !isSameRecord(record, rowRecord);
+        if (!valueChanged && parseInt(record.TTL) === row.ttl) {
+          continue;
+        }
+
+        const { data: updated } = await supabase
+          .from('subdomains')
+          .update({
+            target_value: record.Address,
+            ttl: parseInt(record.TTL),
+            ...(record.RecordType === 'MX' && { priority: parseInt(record.MXPref) }),
+            ...(valueChanged && { status: 'active', dns_created: true, dns_propagated: false }),
+            updated_at: now
+          })
+          .eq('id', row.id)
+          .select()
+          .single();
+        counts.updated += 1;
+
+        if (valueChanged && updated) {
+          this.watchPropagation(domain, updated);
+        }
+      }
+
+      if (active > 0 || records.length === 0) {
+        continue;
+      }
+
+      const [record] = records;
+      const { data: subdomain, error: insertError } = await supabase
+        .from('subdomains')
+        .insert([{
+          domain_id: domain.id,
+          subdomain_name: name,
+          record_type: record.RecordType,
+          target_value: record.Address,
+          ttl: parseInt(record.TTL),
+          ...(record.RecordType === 'MX' && { priority: parseInt(record.MXPref) }),
+          status: 'active',
+          is_active: true,
+          dns_created: true,
+          dns_propagated: false,
+          last_checked: now,
+          created_at: now,
+          updated_at: now,
+        }])
+        .select()
+        .single();
+
+      if (insertError) {
+        console.warn(`⚠️ No subdomain row for ${name}.${domain.full_domain}:`, insertError.message);
+        continue;
+      }
+
+      counts.created += 1;
+      this.watchPropagation(domain, subdomain);
+    }
+
+    return counts;
+  }
 }
 
 module.exports = new SubdomainService();
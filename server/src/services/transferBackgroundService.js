@@ -0,0 +1,368 @@
+const supabase = require("../config/database.js");
+const namecheapService = require("./namecheapService.js");
+const stripeService = require("./stripeService.js");
+const checkoutService = require("./checkoutService.js");
+
+class TransferBackgroundService {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.checkInterval = 30 * 60 * 1000; // 30 minutes
+    this.paymentTimeout = 60 * 60 * 1000; // Cancel unpaid transfers after 1 hour
+  }
+
+  // Start the background transfer polling service
+  start() {
+    if (this.isRunning) {
+      console.log("🔄 Transfer background service is already running");
+      return;
+    }
+
+    console.log("🚀 Starting transfer background service");
+    this.isRunning = true;
+
+    // Run initial check
+    this.checkActiveTransfers();
+
+    // Set up interval for regular checks
+    this.interval = setInterval(() => {
+      this.checkActiveTransfers();
+    }, this.checkInterval);
+
+    console.log(`✅ Transfer background service started (checking every ${this.checkInterval / 1000} seconds)`);
+  }
+
+  // Stop the background transfer polling service
+  stop() {
+    if (!this.isRunning) {
+      console.log("⏹️ Transfer background service is not running");
+      return;
+    }
+
+    console.log("⏹️ Stopping transfer background service");
+    this.isRunning = false;
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    console.log("✅ Transfer background service stopped");
+  }
+
+  // Poll Namecheap for every submitted transfer that has not reached a final status
+  async checkActiveTransfers() {
+    try {
+      console.log("🔍 Checking active domain transfers...");
+
+      await this.cancelUnpaidTransfers();
+
+      const { data: transfers, error } = await supabase
+        .from("domain_transfers")
+        .select("*")
+        .in("status", ["pending", "approved"])
+        .not("namecheap_transfer_id", "is", null)
+        .order("last_check_at", { ascending: true, nullsFirst: true })
+        .limit(50);
+
+      if (error) {
+        console.error("❌ Error fetching active transfers:", error);
+        return;
+      }
+
+      if (!transfers || transfers.length === 0) {
+        console.log("✅ No active transfers to check");
+        return;
+      }
+
+      console.log(`📋 Found ${transfers.length} transfers to check`);
+
+      for (const transfer of transfers) {
+        await this.checkTransferStatus(transfer);
+
+        // Small delay between checks to stay within API rate limits
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+
+      console.log("✅ Completed transfer check cycle");
+    } catch (error) {
+      console.error("❌ Error in transfer background check:", error);
+    }
+  }
+
+  // Check and record the registrar status of a single transfer
+  async checkTransferStatus(transfer) {
+    try {
+      console.log(`🔍 Checking transfer status for: ${transfer.full_domain}`);
+
+      const statusResult = await namecheapService.getTransferStatus(
+        transfer.namecheap_transfer_id
+      );
+
+      const updateData = {
+        last_check_at: new Date().toISOString(),
+        check_count: (transfer.check_count || 0) + 1,
+      };
+
+      if (!statusResult.success) {
+        updateData.last_error = statusResult.message;
+        await supabase
+          .from("domain_transfers")
+          .update(updateData)
+          .eq("id", transfer.id);
+        return;
+      }
+
+      const newStatus = this.mapTransferStatus(statusResult.status);
+
+      updateData.namecheap_status = statusResult.status;
+      updateData.namecheap_status_id = Number.isNaN(statusResult.statusId)
+        ? null
+        : statusResult.statusId;
+      updateData.status = newStatus;
+      updateData.last_error = null;
+
+      if (newStatus === "completed") {
+        console.log(`✅ Transfer completed for ${transfer.full_domain}`);
+        updateData.completed_at = new Date().toISOString();
+
+        const expirationDate = await this.getTransferredExpiration(transfer);
+
+        if (transfer.domain_id) {
+          await supabase
+            .from("domains")
+            .update({
+              status: "registered",
+              registration_date: new Date().toISOString(),
+              expiration_date: expirationDate.toISOString(),
+              updated_at: new Date().toISOString(),
+            })
+            .eq("id", transfer.domain_id);
+        }
+      } else if (newStatus === "rejected") {
+        console.log(`❌ Transfer rejected for ${transfer.full_domain}: ${statusResult.status}`);
+        updateData.last_error = statusResult.status;
+
+        await this.refundRejectedTransfer(transfer, statusResult.status);
+      } else if (newStatus !== transfer.status) {
+        console.log(`🔄 Transfer for ${transfer.full_domain} is now ${newStatus}`);
+      }
+
+      const { error: updateError } = await supabase
+        .from("domain_transfers")
+        .update(updateData)
+        .eq("id", transfer.id);
+
+      if (updateError) {
+        console.error(`❌ Error updating transfer ${transfer.id}:`, updateError);
+      }
+    } catch (error) {
+      console.error(`❌ Error checking transfer ${transfer.id}:`, error);
+    }
+  }
+
+  // A transfer adds the purchased years to the current registration, so the
+  // new expiration date comes from the registrar. Without one, the years are
+  // added to the expiration date we know of (or today).
+  async getTransferredExpiration(transfer) {
+    const info = await namecheapService.getDomainInfo(transfer.full_domain);
+    if (info.success && info.expirationDate) {
+      return new Date(info.expirationDate);
+    }
+
+    console.warn(
+      `⚠️ No expiration date from the registrar for ${transfer.full_domain}: ${info.message}`
+    );
+
+    const { data: domain } = transfer.domain_id
+      ? await supabase
+          .from("domains")
+          .select("expiration_date")
+          .eq("id", transfer.domain_id)
+          .maybeSingle()
+      : { data: null };
+
+    const expirationDate = new Date(
+      Math.max(
+        domain?.expiration_date ? new Date(domain.expiration_date).getTime() : 0,
+        Date.now()
+      )
+    );
+    expirationDate.setFullYear(expirationDate.getFullYear() + (transfer.years || 1));
+    return expirationDate;
+  }
+
+  /**
+   * Refund the payment of a transfer the registrar refused and free the
+   * domain name so the transfer can be retried
+   * @param {Object} transfer - { transaction_id, domain_id, full_domain }
+   * @param {string} reason - Why the transfer failed, kept with the refund
+   */
+  async refundRejectedTransfer(transfer, reason) {
+    const { data: transaction } = transfer.transaction_id
+      ? await supabase
+          .from("transactions")
+          .select("*")
+          .eq("id", transfer.transaction_id)
+          .eq("status", "completed")
+          .maybeSingle()
+      : { data: null };
+
+    if (transaction) {
+      try {
+        let chargeId = transaction.stripe_charge_id;
+        if (!chargeId && transaction.stripe_payment_intent_id) {
+          const charges = await stripeService.getPaymentIntentCharges(
+            transaction.stripe_payment_intent_id
+          );
+          chargeId = charges[0]?.id || null;
+        }
+
+        if (!chargeId) {
+          throw new Error("No charge found for the transfer payment");
+        }
+
+        const refund = await stripeService.createRefund(
+          chargeId,
+          parseFloat(transaction.amount)
+        );
+
+        // A pending refund is finished by the charge.refunded webhook
+        await supabase
+          .from("transactions")
+          .update({
+            ...(refund.status === "succeeded" && { status: "refunded" }),
+            stripe_charge_id: chargeId,
+            metadata: {
+              ...(transaction.metadata || {}),
+              refundId: refund.id,
+              refundAmount: refund.amount / 100,
+              refundReason: `Transfer failed: ${reason}`,
+            },
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", transaction.id);
+
+        console.log(`💸 Refunded the transfer of ${transfer.full_domain}`);
+      } catch (error) {
+        console.error(`❌ Could not refund the transfer of ${transfer.full_domain}:`, error.message);
+        // Keep the error so the refund can be made by hand
+        await supabase
+          .from("transactions")
+          .update({
+            metadata: {
+              ...(transaction.metadata || {}),
+              refundError: error.message,
+            },
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", transaction.id);
+      }
+    }
+
+    // Free the domain name so the transfer can be retried
+    if (transfer.domain_id) {
+      await supabase.from("domains").delete().eq("id", transfer.domain_id);
+    }
+  }
+
+  // Map the Namecheap status text onto our transfer statuses. Words are
+  // matched from their start and failures are checked first, so a status
+  // such as "Incomplete" or "Completion failed" never activates the domain.
+  mapTransferStatus(namecheapStatus) {
+    const words = (namecheapStatus || "").toLowerCase().match(/[a-z]+/g) || [];
+    const has = (...stems) =>
+      words.some((word) => stems.some((stem) => word.startsWith(stem)));
+
+    if (has("cancel", "reject", "fail", "invalid", "denied")) {
+      return "rejected";
+    }
+
+    if (has("incomplete", "not", "await", "waiting", "pending")) {
+      return "pending";
+    }
+
+    if (has("complete", "success")) {
+      return "completed";
+    }
+
+    if (has("approv", "progress")) {
+      return "approved";
+    }
+
+    return "pending";
+  }
+
+  // Cancel transfers whose payment was never completed. Their PaymentIntent
+  // is cancelled first; a transfer whose payment went through after all is
+  // left for confirm-payment and the webhook.
+  async cancelUnpaidTransfers() {
+    try {
+      const cutoff = new Date(Date.now() - this.paymentTimeout).toISOString();
+
+      const { data: expiredTransfers, error } = await supabase
+        .from("domain_transfers")
+        .select("id, domain_id, transaction_id, full_domain")
+        .eq("status", "awaiting_payment")
+        .lt("created_at", cutoff);
+
+      if (error) {
+        console.error("❌ Error cancelling unpaid transfers:", error);
+        return;
+      }
+
+      let cancelled = 0;
+      for (const transfer of expiredTransfers || []) {
+        const { data: transaction } = transfer.transaction_id
+          ? await supabase
+              .from("transactions")
+              .select("id, domain_id, status, stripe_payment_intent_id")
+              .eq("id", transfer.transaction_id)
+              .maybeSingle()
+          : { data: null };
+
+        if (transaction && transaction.status !== "pending") {
+          continue;
+        }
+
+        if (transaction) {
+          const released = await checkoutService.releasePendingTransactions([transaction]);
+          if (released.length === 0) {
+            continue;
+          }
+        }
+
+        await supabase
+          .from("domain_transfers")
+          .update({ status: "cancelled", auth_code: null })
+          .eq("id", transfer.id)
+          .eq("status", "awaiting_payment");
+
+        if (transfer.domain_id) {
+          await supabase.from("domains").delete().eq("id", transfer.domain_id);
+        }
+        cancelled += 1;
+      }
+
+      if (cancelled > 0) {
+        console.log(`🗑️ Cancelled ${cancelled} unpaid transfers`);
+      }
+    } catch (error) {
+      console.error("❌ Error in unpaid transfer cleanup:", error);
+    }
+  }
+
+  // Get service status
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      checkInterval: this.checkInterval,
+      lastCheck: new Date().toISOString()
+    };
+  }
+}
+
+// Create a singleton instance
+const transferBackgroundService = new TransferBackgroundService();
+
+module.exports = transferBackgroundService;
@@ -0,0 +1,410 @@
+const subdomainService = require("./subdomainService");
+
+// Converts between Namecheap host records and BIND-style zone files, for
+// moving domains between DNS providers. Only record types the registrar's
+// host records can hold are imported; SOA and the apex NS records belong to
+// the DNS provider and are skipped instead of treated as errors.
+
+const SUPPORTED_TYPES = ["A", "AAAA", "CNAME", "MX", "TXT", "NS"];
+const DEFAULT_TTL = 3600;
+const MIN_TTL = 60;
+const MAX_TTL = 86400;
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// "3600", "1h", "1h30m" -> seconds, or null if the token is not a TTL
+const parseTtl = (token) => {
+  if (/^\d+$/.test(token)) {
+    return parseInt(token, 10);
+  }
+
+  const parts = token.toLowerCase().match(/\d+[smhdw]/g);
+  if (!parts || parts.join("") !== token.toLowerCase()) {
+    return null;
+  }
+
+  return parts.reduce((total, part) => total + parseInt(part, 10) * TTL_UNITS[part.slice(-1)], 0);
+};
+
+// Split a zone file into entries of tokens, joining parenthesized lines and
+// dropping comments. Quoted strings keep their spaces and escapes.
+const tokenize = (text) => {
+  const entries = [];
+  let entry = null;
+  let token = null;
+  let depth = 0;
+  let line = 1;
+
+  const endToken = () => {
+    if (token) {
+      entry.tokens.push(token);
+      token = null;
+    }
+  };
+
+  const endEntry = () => {
+    endToken();
+    if (entry && entry.tokens.length > 0) {
+      entries.push(entry);
+    }
+    entry = null;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (!entry) {
+      entry = { line, indented: char === " " || char === "\t", tokens: [] };
+    }
+
+    if (token?.quoted && !token.closed) {
+      if (char === "\\" && i + 1 < text.length) {
+        const code = text.slice(i + 1, i + 4);
+        if (/^\d{3}$/.test(code)) {
+          token.value += String.fromCharCode(parseInt(code, 10));
+          i += 3;
+        } else {
+          token.value += text[++i];
+        }
+      } else if (char === '"') {
+        token.closed = true;
+        endToken();
+      } else {
+        if (char === "\n") line++;
+        token.value += char;
+      }
+      continue;
+    }
+
+    if (char === ";") {
+      while (i + 1 < text.length && text[i + 1] !== "\n") i++;
+    } else if (char === "\n") {
+      line++;
+      if (depth === 0) {
+        endEntry();
+      } else {
+        endToken();
+      }
+    } else if (char === " " || char === "\t" || char === "\r") {
+      endToken();
+    } else if (char === "(" || char === ")") {
+      endToken();
+      depth = Math.max(0, depth + (char === "(" ? 1 : -1));
+    } else if (char === '"') {
+      endToken();
+      token = { value: "", quoted: true, closed: false };
+    } else {
+      token = token || { value: "", quoted: false };
+      token.value += char;
+    }
+  }
+
+  if (token?.quoted && !token.closed) {
+    entry.unterminated = true;
+  }
+  endEntry();
+
+  return entries;
+};
+
+const sameValue = (a, b) =>
+  String(a ?? "").toLowerCase().replace(/\.$/, "") ===
+  String(b ?? "").toLowerCase().replace(/\.$/, "");
+
+class ZoneFileService {
+  /**
+   * Write host records as a BIND zone file
+   * @param {string} domainName - Zone apex, e.g. "example.com"
+   * @param {Array} hosts - Host records { HostName, RecordType, Address, TTL, MXPref }
+   * @returns {string} Zone file text
+   */
+  exportZone(domainName, hosts) {
+    const origin = domainName.toLowerCase().replace(/\.$/, "");
+    const ttls = hosts.map((host) => parseInt(host.TTL, 10)).filter(Boolean);
+    const defaultTtl = ttls.length > 0 ? Math.max(...ttls) : DEFAULT_TTL;
+    const lines = [
+      `; Zone file for ${origin}`,
+      `; Exported by DomainBuddy on ${new Date().toISOString()}`,
+      `$ORIGIN ${origin}.`,
+      `$TTL ${defaultTtl}`,
+    ];
+    const unsupported = [];
+
+    for (const host of hosts) {
+      const name = host.HostName || "@";
+      const type = String(host.RecordType).toUpperCase();
+      const ttl = parseInt(host.TTL, 10) || defaultTtl;
+
+      if (!SUPPORTED_TYPES.includes(type)) {
+        unsupported.push(`; ${name}\t${type}\t${host.Address}`);
+        continue;
+      }
+
+      lines.push(`${name}\t${ttl}\tIN\t${type}\t${this.formatData(type, host)}`);
+    }
+
+    if (unsupported.length > 0) {
+      lines.push(
+        "",
+        "; Registrar-specific records (URL redirects, ALIAS, ...) have no zone file form:",
+        ...unsupported
+      );
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  formatData(type, host) {
+    const target = `${String(host.Address).replace(/\.$/, "")}.`;
+
+    switch (type) {
+      case "CNAME":
+      case "NS":
+        return target;
+      case "MX":
+        return `${parseInt(host.MXPref, 10) || 0} ${target}`;
+      case "TXT":
+        // Strings are limited to 255 characters; longer values are split
+        return (String(host.Address).match(/[\s\S]{1,255}/g) || [""])
+          .map((part) => `"${part.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`)
+          .join(" ");
+      default:
+        return host.Address;
+    }
+  }
+
+  /**
+   * Parse a BIND zone file into host records for a domain. Every record is
+   * checked with subdomainService's name and value validation.
+   * @param {string} text - Zone file contents
+   * @param {string} domainName - Domain the zone belongs to
+   * @returns {Object} { records, errors: [{ line, message }], skipped: [{ line, type, name, reason }], warnings: [{ line, message }] }
+   */
+  parseZone(text, domainName) {
+    const domain = domainName.toLowerCase().replace(/\.$/, "");
+    const records = [];
+    const lines = []; // line of each record, for errors found across records
+    const errors = [];
+    const skipped = [];
+    const warnings = [];
+    let origin = domain;
+    let defaultTtl = null;
+    let lastOwner = null;
+
+    for (const entry of tokenize(String(text))) {
+      const { line } = entry;
+      const tokens = entry.tokens.map((token) => token.value);
+
+      if (entry.unterminated) {
+        errors.push({ line, message: "Unterminated quoted string" });
+        continue;
+      }
+
+      if (tokens[0].startsWith("$")) {
+        const directive = tokens[0].toUpperCase();
+
+        if (directive === "$ORIGIN") {
+          const name = this.resolveName(tokens[1] || "", origin);
+          if (!name || this.toHostName(name, domain) === null) {
+            errors.push({ line, message: `$ORIGIN ${tokens[1] || ""} is outside ${domain}` });
+          } else {
+            origin = name;
+          }
+        } else if (directive === "$TTL") {
+          defaultTtl = parseTtl(tokens[1] || "");
+          if (defaultTtl === null) {
+            errors.push({ line, message: `Invalid $TTL "${tokens[1] || ""}"` });
+          }
+        } else {
+          errors.push({ line, message: `${directive} is not supported` });
+        }
+        continue;
+      }
+
+      // Records on indented lines belong to the previous record's name
+      let owner = lastOwner;
+      if (!entry.indented) {
+        owner = this.resolveName(tokens.shift(), origin);
+        lastOwner = owner;
+      }
+
+      if (!owner) {
+        errors.push({ line, message: "Record has no name" });
+        continue;
+      }
+
+      let ttl = null;
+      let type = null;
+      while (tokens.length > 0 && !type) {
+        const token = tokens.shift();
+        const upper = token.toUpperCase();
+
+        if (ttl === null && parseTtl(token) !== null) {
+          ttl = parseTtl(token);
+        } else if (["IN", "CH", "HS"].includes(upper)) {
+          if (upper !== "IN") {
+            skipped.push({ line, type: upper, name: owner, reason: `Class ${upper} is not supported` });
+            type = "";
+          }
+        } else {
+          type = upper;
+        }
+      }
+
+      if (type === "") {
+        continue;
+      }
+
+      if (!type) {
+        errors.push({ line, message: "Record has no type" });
+        continue;
+      }
+
+      const hostName = this.toHostName(owner, domain);
+      if (hostName === null) {
+        errors.push({ line, message: `${owner} is outside ${domain}` });
+        continue;
+      }
+
+      if (type === "SOA" || (type === "NS" && hostName === "@")) {
+        skipped.push({ line, type, name: hostName, reason: "Managed by the DNS provider" });
+        continue;
+      }
+
+      if (!SUPPORTED_TYPES.includes(type)) {
+        skipped.push({ line, type, name: hostName, reason: `${type} records are not supported` });
+        continue;
+      }
+
+      ttl = ttl ?? defaultTtl ?? DEFAULT_TTL;
+      if (ttl < MIN_TTL || ttl > MAX_TTL) {
+        const clamped = Math.min(MAX_TTL, Math.max(MIN_TTL, ttl));
+        warnings.push({ line, message: `TTL ${ttl} changed to ${clamped} (allowed ${MIN_TTL}-${MAX_TTL})` });
+        ttl = clamped;
+      }
+
+      try {
+        const record = this.parseRecord(type, hostName, tokens, origin);
+        records.push({ ...record, TTL: ttl });
+        lines.push(line);
+      } catch (error) {
+        errors.push({ line, message: `${hostName} ${type}: ${error.message}` });
+      }
+    }
+
+    this.findConflicts(records).forEach(({ index, message }) => {
+      errors.push({ line: lines[index], message });
+    });
+    errors.sort((a, b) => a.line - b.line);
+
+    return { records, errors, skipped, warnings };
+  }
+
+  // Build and validate one host record from its data tokens
+  parseRecord(type, hostName, data, origin) {
+    let address;
+    let mxPref = 0;
+
+    switch (type) {
+      case "MX":
+        if (data.length !== 2 || !/^\d+$/.test(data[0])) {
+          throw new Error("MX records need a preference and a mail server");
+        }
+        mxPref = parseInt(data[0], 10);
+        address = this.resolveName(data[1], origin);
+        break;
+      case "CNAME":
+      case "NS":
+        if (data.length !== 1) {
+          throw new Error(`${type} records need exactly one target`);
+        }
+        address = this.resolveName(data[0], origin);
+        break;
+      case "TXT":
+        address = data.join("");
+        break;
+      default:
+        if (data.length !== 1) {
+          throw new Error(`${type} records need exactly one address`);
+        }
+        address = data[0];
+    }
+
+    const record = { HostName: hostName, RecordType: type, Address: address, MXPref: mxPref };
+    this.validateRecord(record);
+    return record;
+  }
+
+  /**
+   * Check a host record's name and value with subdomainService's rules
+   * @param {Object} record - { HostName, RecordType, Address, MXPref }
+   * @throws {Error} Describing the first problem found
+   */
+  validateRecord(record) {
+    const { HostName: hostName, RecordType: type, Address: address, MXPref: mxPref } = record;
+    const labels = hostName === "@" ? [] : String(hostName || "").split(".");
+
+    labels.forEach((label, index) => {
+      // Wildcards and service labels (_dmarc, _domainkey) are valid record names
+      const valid =
+        (label === "*" && index === 0) ||
+        subdomainService.validateSubdomainName(label.replace(/^_/, ""));
+      if (!valid) {
+        throw new Error(`Invalid name "${label}"`);
+      }
+    });
+
+    if (!SUPPORTED_TYPES.includes(type)) {
+      throw new Error(`${type} records are not supported`);
+    }
+
+    if (type === "MX" && !(Number.isInteger(mxPref) && mxPref >= 0 && mxPref <= 65535)) {
+      throw new Error("MX preference must be between 0 and 65535");
+    }
+
+    subdomainService.assertTargetValue(type === "NS" ? "CNAME" : type, address || "");
+  }
+
+  /**
+   * Rules across records: a CNAME must be the only record of its name, and
+   * the root cannot have one
+   * @param {Array} records - Host records
+   * @returns {Array} [{ index, message }] for the offending CNAME records
+   */
+  findConflicts(records) {
+    const conflicts = [];
+
+    records.forEach((record, index) => {
+      if (record.RecordType !== "CNAME") {
+        return;
+      }
+      if (record.HostName === "@") {
+        conflicts.push({ index, message: "The root domain cannot have a CNAME record" });
+      } else if (records.some((other) => other !== record && sameValue(other.HostName, record.HostName))) {
+        conflicts.push({ index, message: `${record.HostName} has a CNAME record and other records` });
+      }
+    });
+
+    return conflicts;
+  }
+
+  // Absolute name without the trailing dot; relative names are under origin
+  resolveName(name, origin) {
+    if (!name) {
+      return null;
+    }
+    if (name === "@") {
+      return origin;
+    }
+    return name.endsWith(".") ? name.slice(0, -1).toLowerCase() : `${name}.${origin}`.toLowerCase();
+  }
+
+  // "www.example.com" -> "www", "example.com" -> "@", null outside the domain
+  toHostName(name, domain) {
+    if (name === domain) {
+      return "@";
+    }
+    return name.endsWith(`.${domain}`) ? name.slice(0, -(domain.length + 1)) : null;
+  }
+}
+
+module.exports = new ZoneFileService();
@@ -0,0 +1,32 @@
+// Card numbers are only ever entered in Stripe Elements. Chat messages are
+// sent to the LLM, logged and stored, so card numbers typed into them are
+// replaced before any of that happens.
+
+const CARD_NUMBER_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+// Luhn checksum, so order numbers and the like are left alone
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Replace card numbers in free text with a placeholder
+const redactCardNumbers = (text) => {
+  if (typeof text !== "string") return text;
+
+  return text.replace(CARD_NUMBER_PATTERN, (match) =>
+    passesLuhn(match.replace(/\D/g, "")) ? "[card number removed]" : match
+  );
+};
+
+module.exports = {
+  redactCardNumbers,
+};
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Replays the golden conversations in ./conversations through
+// aiAgentService.processUserMessage with an in-memory database, the mock
+// registrar and a fake Stripe service.
+//
+// By default the LLM is the scripted provider, driven by each conversation's
+// "script", and every expectation must hold. With AI_EVAL=1 the scripts are
+// ignored and the configured provider (LLM_PROVIDER, API keys) answers
+// instead; mismatches are then counted rather than failed, and the accuracy
+// report is printed and written to AI_EVAL_REPORT when set. AI_EVAL_MIN_ACCURACY
+// (0-1) fails the run when turn accuracy drops below it.
+
+const EVAL_MODE = process.env.AI_EVAL === "1";
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "domainbuddy-ai-"));
+const scriptFile = path.join(workDir, "script.json");
+
+process.env.REGISTRAR_MODE = "mock";
+process.env.MOCK_REGISTRAR_STATE_FILE = path.join(workDir, "registrar.json");
+fs.copyFileSync(path.join(__dirname, "registrar.json"), process.env.MOCK_REGISTRAR_STATE_FILE);
+
+if (!EVAL_MODE) {
+  process.env.LLM_PROVIDER = "scripted";
+  process.env.LLM_SCRIPT_FILE = scriptFile;
+  fs.writeFileSync(scriptFile, "{}");
+}
+
+jest.mock("../../src/config/database", () =>
+  require("../helpers/fakeSupabase").createFakeSupabase()
+);
+
+jest.mock("../../src/services/stripeService", () => {
+  let nextId = 0;
+  return {
+    createCustomer: async (user) => ({ id: `cus_${user.id}` }),
+    createPaymentIntent: async (amount, currency = "usd", customerId, metadata = {}) => {
+      nextId += 1;
+      return {
+        id: `pi_golden_${nextId}`,
+        client_secret: `pi_golden_${nextId}_secret`,
+        amount: Math.round(amount * 100),
+        currency,
+        customer: customerId,
+        metadata,
+      };
+    },
+    // Checkouts the test doesn't pay for are still waiting for a card
+    retrievePaymentIntent: async (paymentIntentId) => ({
+      id: paymentIntentId,
+      status: "requires_payment_method",
+    }),
+    cancelPaymentIntent: async (paymentIntentId) => ({
+      id: paymentIntentId,
+      status: "canceled",
+    }),
+  };
+});
+
+// The services log every step; keep the test output readable
+jest.spyOn(console, "log").mockImplementation(() => {});
+jest.spyOn(console, "warn").mockImplementation(() => {});
+
+const db = require("../../src/config/database");
+const aiAgentService = require("../../src/services/aiAgentService");
+const conversationService = require("../../src/services/conversationService");
+const llmService = require("../../src/services/llmService");
+const {
+  loadConversations,
+  runConversation,
+  checkTurn,
+  summarize,
+} = require("../helpers/goldenConversations");
+
+const conversations = loadConversations(path.join(__dirname, "conversations"));
+const evaluated = [];
+
+jest.setTimeout(EVAL_MODE ? 300000 : 15000);
+
+describe("AI consultant golden conversations", () => {
+  beforeAll(async () => {
+    if (EVAL_MODE) {
+      const provider = llmService.getProvider();
+      if (!provider || provider === "scripted") {
+        throw new Error("AI_EVAL=1 needs a real LLM provider, set LLM_PROVIDER and its API key");
+      }
+      await aiAgentService.initializeAgent();
+    }
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+
+    if (!EVAL_MODE) return;
+
+    const report = summarize(evaluated);
+    console.log(
+      `AI evaluation (${llmService.getProvider()}): ` +
+        `${report.passedTurns}/${report.turns} turns correct\n` +
+        Object.entries(report.metrics)
+          .map(([metric, { passed, total, accuracy }]) =>
+            `  ${metric}: ${passed}/${total} (${(accuracy * 100).toFixed(1)}%)`
+          )
+          .join("\n")
+    );
+
+    if (process.env.AI_EVAL_REPORT) {
+      fs.writeFileSync(process.env.AI_EVAL_REPORT, JSON.stringify(report, null, 2));
+    }
+  });
+
+  test.each(conversations.map((conversation) => [conversation.name, conversation]))(
+    "%s",
+    async (name, conversation) => {
+      if (!EVAL_MODE) {
+        fs.writeFileSync(scriptFile, JSON.stringify(conversation.script || {}));
+        await aiAgentService.initializeAgent();
+      }
+
+      const results = await runConversation(conversation, {
+        aiAgentService,
+        conversationService,
+        db,
+      });
+
+      results.forEach((result, index) => {
+        const checks = checkTurn(result);
+        evaluated.push({ conversation: conversation.file, index, checks });
+
+        if (!EVAL_MODE) {
+          const label = result.turn.user || `checkout ${result.turn.checkout}`;
+          expect({ turn: label, checks: checks.filter(({ pass }) => !pass) })
+            .toEqual({ turn: label, checks: [] });
+        }
+      });
+    }
+  );
+
+  if (EVAL_MODE && process.env.AI_EVAL_MIN_ACCURACY) {
+    test("turn accuracy meets AI_EVAL_MIN_ACCURACY", () => {
+      const { accuracy } = summarize(evaluated);
+      expect(accuracy).toBeGreaterThanOrEqual(parseFloat(process.env.AI_EVAL_MIN_ACCURACY));
+    });
+  }
+});
@@ -0,0 +1,76 @@
+// Checks the DNS change log: what a snapshot keeps and how the timeline pages.
+
+jest.mock("../../src/config/database", () =>
+  require("../helpers/fakeSupabase").createFakeSupabase()
+);
+
+jest.spyOn(console, "log").mockImplementation(() => {});
+
+const db = require("../../src/config/database");
+const dnsChangeLogService = require("../../src/services/dnsChangeLogService");
+
+const CAA = {
+  HostName: "@",
+  RecordType: "CAA",
+  Address: "letsencrypt.org",
+  TTL: "1800",
+  MXPref: "10",
+  Flag: "0",
+  Tag: "issue",
+};
+const WWW = { HostName: "www", RecordType: "A", Address: "203.0.113.10", TTL: "1800", MXPref: "10" };
+
+describe("DNS change log", () => {
+  beforeEach(async () => {
+    db.reset();
+    await db.from("users").insert({ id: "user-1", first_name: "Sam", last_name: "Lee", email: "sam@example.com" });
+  });
+
+  const record = (description, before, after) =>
+    dnsChangeLogService.record({
+      domainName: "example.com",
+      domainId: 1,
+      userId: "user-1",
+      source: "ui",
+      description,
+      before,
+      after,
+    });
+
+  test("keeps Flag and Tag of CAA records in the snapshots", async () => {
+    const entry = await record("Added www", [CAA], [CAA, WWW]);
+
+    expect(entry.records_before).toEqual([
+      { HostName: "@", RecordType: "CAA", Address: "letsencrypt.org", TTL: 1800, MXPref: 10, Flag: "0", Tag: "issue" },
+    ]);
+    expect(entry.records_after[1]).toEqual({
+      HostName: "www",
+      RecordType: "A",
+      Address: "203.0.113.10",
+      TTL: 1800,
+      MXPref: 10,
+    });
+    expect(entry.summary).toEqual({ added: 1, removed: 0, changed: 0 });
+
+    const snapshot = await dnsChangeLogService.getSnapshot(1, { entryId: entry.id, state: "before" });
+    expect(snapshot[0]).toMatchObject({ Flag: "0", Tag: "issue" });
+  });
+
+  test("pages the timeline newest first", async () => {
+    const descriptions = ["first", "second", "third"];
+    for (const [index, description] of descriptions.entries()) {
+      const entry = await record(description, [], [WWW]);
+      await db
+        .from("dns_change_log")
+        .update({ created_at: new Date(Date.UTC(2026, 0, index + 1)).toISOString() })
+        .eq("id", entry.id);
+    }
+
+    const firstPage = await dnsChangeLogService.getHistory(1, { limit: 2 });
+    const secondPage = await dnsChangeLogService.getHistory(1, { limit: 2, offset: 2 });
+
+    expect(firstPage.map(({ description }) => description)).toEqual(["third", "second"]);
+    expect(secondPage.map(({ description }) => description)).toEqual(["first"]);
+    expect(firstPage[0].user).toEqual({ name: "Sam Lee" });
+  });
+});
@@ -0,0 +1,146 @@
+// Checks the per-domain DNS write queue against an in-memory registrar whose
+// only write call replaces the whole host list, like Namecheap setHosts.
+
+jest.spyOn(console, "log").mockImplementation(() => {});
+jest.spyOn(console, "warn").mockImplementation(() => {});
+
+const { DnsChangeQueue, getZoneVersion } = require("../../src/services/dnsChangeQueue");
+
+const DOMAIN = "example.test";
+
+const createRegistrar = (hosts, emailType = "MX") => {
+  const zone = { hosts, emailType };
+
+  return {
+    zone,
+    getZone: jest.fn(async () => ({
+      hosts: zone.hosts.map((host) => ({ ...host })),
+      emailType: zone.emailType,
+      version: getZoneVersion(zone.hosts, zone.emailType),
+    })),
+    setHosts: jest.fn(async (domainName, newHosts, options = {}) => {
+      zone.hosts = newHosts.map((host) => ({ ...host }));
+      zone.emailType = options.emailType || zone.emailType;
+      return true;
+    }),
+  };
+};
+
+const initialHosts = () => [
+  { HostName: "www", RecordType: "A", Address: "203.0.113.10", TTL: "1800", MXPref: "10" },
+  { HostName: "@", RecordType: "MX", Address: "mx1.example.net", TTL: "1800", MXPref: "5" },
+  { HostName: "@", RecordType: "CAA", Address: "letsencrypt.org", TTL: "1800", MXPref: "10", Flag: "0", Tag: "issue" },
+];
+
+const findHost = (registrar, hostName, recordType) =>
+  registrar.zone.hosts.find(
+    (host) => host.HostName === hostName && host.RecordType === recordType
+  );
+
+describe("DNS change queue", () => {
+  let registrar;
+  let queue;
+
+  beforeEach(() => {
+    registrar = createRegistrar(initialHosts());
+    queue = new DnsChangeQueue(registrar);
+  });
+
+  test("writes concurrent submissions for a domain with one setHosts", async () => {
+    const results = await Promise.all([
+      queue.submit(DOMAIN, [
+        { type: "create", record: { HostName: "blog", RecordType: "CNAME", Address: "sites.example.net", TTL: "1800" } },
+      ]),
+      queue.submit(DOMAIN, [
+        { type: "add", record: { HostName: "@", RecordType: "TXT", Address: "v=spf1 -all", TTL: "1800" } },
+      ]),
+    ]);
+
+    expect(results.map(({ success }) => success)).toEqual([true, true]);
+    expect(registrar.setHosts).toHaveBeenCalledTimes(1);
+    expect(findHost(registrar, "blog", "CNAME")).toBeDefined();
+    expect(findHost(registrar, "@", "TXT")).toBeDefined();
+    expect(results[0].version).toBe(getZoneVersion(registrar.zone.hosts, registrar.zone.emailType));
+  });
+
+  test("rejects a submission based on a stale version with a 409", async () => {
+    const { version } = await registrar.getZone(DOMAIN);
+    registrar.zone.hosts[0].Address = "198.51.100.7";
+
+    const result = await queue.submit(
+      DOMAIN,
+      [{ type: "delete", hostName: "www", recordType: "A" }],
+      { expectedVersion: version }
+    );
+
+    expect(result).toMatchObject({ success: false, conflict: true, statusCode: 409 });
+    expect(registrar.setHosts).not.toHaveBeenCalled();
+  });
+
+  test("keeps MXPref, Flag and Tag of records a change does not touch", async () => {
+    const result = await queue.submit(DOMAIN, [
+      {
+        type: "update",
+        hostName: "www",
+        recordType: "A",
+        address: "203.0.113.10",
+        record: { HostName: "www", RecordType: "A", Address: "203.0.113.20", TTL: "300" },
+      },
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(findHost(registrar, "www", "A")).toMatchObject({ Address: "203.0.113.20", TTL: "300" });
+    expect(findHost(registrar, "@", "MX")).toMatchObject({ MXPref: "5" });
+    expect(findHost(registrar, "@", "CAA")).toMatchObject({ Flag: "0", Tag: "issue" });
+    expect(registrar.setHosts.mock.calls[0][2]).toEqual({ emailType: "MX" });
+  });
+
+  test("rejects an update whose old value is stale instead of changing other records", async () => {
+    await queue.submit(DOMAIN, [
+      { type: "add", record: { HostName: "www", RecordType: "A", Address: "203.0.113.11", TTL: "1800" } },
+    ]);
+    registrar.setHosts.mockClear();
+
+    const result = await queue.submit(DOMAIN, [
+      {
+        type: "update",
+        hostName: "www",
+        recordType: "A",
+        address: "192.0.2.1",
+        record: { HostName: "www", RecordType: "A", Address: "203.0.113.99", TTL: "1800" },
+      },
+    ]);
+
+    expect(result).toMatchObject({ success: false, conflict: true, statusCode: 409 });
+    expect(registrar.setHosts).not.toHaveBeenCalled();
+    expect(
+      registrar.zone.hosts.filter((host) => host.RecordType === "A").map((host) => host.Address)
+    ).toEqual(["203.0.113.10", "203.0.113.11"]);
+  });
+
+  test("does not create the record when updating one that is gone", async () => {
+    const result = await queue.submit(DOMAIN, [
+      {
+        type: "update",
+        hostName: "shop",
+        recordType: "CNAME",
+        record: { HostName: "shop", RecordType: "CNAME", Address: "shops.example.net", TTL: "1800" },
+      },
+    ]);
+
+    expect(result).toMatchObject({ success: false, message: "DNS record not found" });
+    expect(registrar.setHosts).not.toHaveBeenCalled();
+    expect(findHost(registrar, "shop", "CNAME")).toBeUndefined();
+  });
+
+  test("applies a submission all or nothing", async () => {
+    const result = await queue.submit(DOMAIN, [
+      { type: "delete", hostName: "www", recordType: "A" },
+      { type: "create", record: { HostName: "@", RecordType: "MX", Address: "mx2.example.net", TTL: "1800" } },
+    ]);
+
+    expect(result).toMatchObject({ success: false, message: "DNS record already exists" });
+    expect(registrar.setHosts).not.toHaveBeenCalled();
+    expect(findHost(registrar, "www", "A")).toBeDefined();
+  });
+});
@@ -0,0 +1,250 @@
+// Checks how DNS templates are filled in, compared with a domain's records
+// and removed again.
+
+jest.mock("../../src/config/database", () =>
+  require("../helpers/fakeSupabase").createFakeSupabase()
+);
+
+jest.spyOn(console, "log").mockImplementation(() => {});
+
+const db = require("../../src/config/database");
+const dnsTemplateService = require("../../src/services/dnsTemplateService");
+const subdomainService = require("../../src/services/subdomainService");
+
+const template = (id) => dnsTemplateService.loadBuiltInTemplates().find((item) => item.id === id);
+
+const host = (HostName, RecordType, Address, MXPref = 0) => ({
+  HostName,
+  RecordType,
+  Address,
+  TTL: 3600,
+  MXPref,
+});
+
+describe("DNS templates", () => {
+  describe("renderRecords", () => {
+    test("fills in parameters and the domain variables", () => {
+      const { records, parameters, errors } = dnsTemplateService.renderRecords(
+        template("microsoft-365"),
+        "example.com",
+        { verification: " MS=ms12345678 " }
+      );
+
+      expect(errors).toEqual([]);
+      expect(parameters).toEqual({ verification: "MS=ms12345678" });
+      expect(records).toEqual([
+        host("@", "MX", "example-com.mail.protection.outlook.com", 0),
+        host("@", "TXT", "v=spf1 include:spf.protection.outlook.com -all"),
+        host("autodiscover", "CNAME", "autodiscover.outlook.com"),
+        host("@", "TXT", "MS=ms12345678"),
+      ]);
+    });
+
+    test("leaves out records whose optional parameter is empty", () => {
+      const { records, errors } = dnsTemplateService.renderRecords(
+        template("google-workspace"),
+        "example.com",
+        { verification: "google-site-verification=abc" }
+      );
+
+      expect(errors).toEqual([]);
+      expect(records.map(({ HostName, RecordType }) => [HostName, RecordType])).toEqual([
+        ["@", "MX"],
+        ["@", "TXT"],
+        ["@", "TXT"],
+      ]);
+    });
+
+    test("reports missing required parameters", () => {
+      const { errors } = dnsTemplateService.renderRecords(template("github-pages"), "example.com", {});
+
+      expect(errors).toEqual(["GitHub user or organization is required"]);
+    });
+
+    test("reports invalid and conflicting records", () => {
+      const { records, errors } = dnsTemplateService.renderRecords(
+        {
+          parameters: [{ name: "ip" }],
+          records: [
+            { name: "@", type: "A", value: "{{ip}}" },
+            { name: "www", type: "CNAME", value: "{{domain}}" },
+            { name: "www", type: "TXT", value: "hello" },
+          ],
+        },
+        "example.com",
+        { ip: "not-an-ip" }
+      );
+
+      expect(records).toHaveLength(2);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toMatch(/^A @ -> not-an-ip: /);
+      expect(errors[1]).toBe("CNAME www -> example.com: www has a CNAME record and other records");
+    });
+
+    test("reports a template left without records", () => {
+      const { records, errors } = dnsTemplateService.renderRecords(
+        { parameters: [{ name: "key" }], records: [{ name: "@", type: "TXT", value: "{{key}}" }] },
+        "example.com"
+      );
+
+      expect(records).toEqual([]);
+      expect(errors).toEqual(["The template has no records to create with these parameters"]);
+    });
+  });
+
+  describe("findConflicts", () => {
+    test("treats identical records as existing, not as conflicts", () => {
+      const records = [host("@", "A", "76.76.21.21"), host("www", "CNAME", "cname.vercel-dns.com")];
+
+      const { existing, conflicts } = dnsTemplateService.findConflicts(records, [
+        host("@", "A", "76.76.21.21"),
+      ]);
+
+      expect(existing).toEqual([records[0]]);
+      expect(conflicts).toEqual([]);
+    });
+
+    test("reports a CNAME on a name with records, and records on a CNAME", () => {
+      const www = host("www", "A", "203.0.113.10");
+      const blog = host("blog", "CNAME", "sites.example.net");
+
+      const { conflicts } = dnsTemplateService.findConflicts(
+        [host("www", "CNAME", "cname.vercel-dns.com"), host("blog", "TXT", "hello")],
+        [www, blog]
+      );
+
+      expect(conflicts).toEqual([
+        {
+          record: host("www", "CNAME", "cname.vercel-dns.com"),
+          existing: [www],
+          message: "www already has records, and a CNAME must be the only record of its name",
+        },
+        {
+          record: host("blog", "TXT", "hello"),
+          existing: [blog],
+          message: "blog is a CNAME, which cannot have other records",
+        },
+      ]);
+    });
+
+    test("reports A and MX records of another service, ignoring ones the template also creates", () => {
+      const records = [host("@", "MX", "mx.zoho.com", 10), host("@", "MX", "mx2.zoho.com", 20)];
+      const otherMx = host("@", "MX", "smtp.google.com", 1);
+
+      const { existing, conflicts } = dnsTemplateService.findConflicts(records, [
+        host("@", "MX", "mx2.zoho.com", 20),
+        otherMx,
+        host("@", "A", "203.0.113.10"),
+      ]);
+
+      expect(existing).toEqual([records[1]]);
+      expect(conflicts).toEqual([
+        {
+          record: records[0],
+          existing: [otherMx],
+          message: "@ already has MX records for another service",
+        },
+      ]);
+    });
+
+    test("allows only one SPF and one DMARC record on a name", () => {
+      const spf = host("@", "TXT", "v=spf1 include:_spf.google.com ~all");
+      const dmarc = host("_dmarc", "TXT", "v=DMARC1; p=none");
+
+      const { conflicts } = dnsTemplateService.findConflicts(
+        [
+          host("@", "TXT", "v=spf1 include:zohomail.com ~all"),
+          host("@", "TXT", "zoho-verification=zb1"),
+          host("_dmarc", "TXT", "v=DMARC1; p=reject"),
+        ],
+        [spf, dmarc, host("@", "TXT", "google-site-verification=abc")]
+      );
+
+      expect(conflicts.map(({ existing, message }) => [existing, message])).toEqual([
+        [[spf], "@ already has an SPF record, and only one is allowed"],
+        [[dmarc], "_dmarc already has a DMARC record, and only one is allowed"],
+      ]);
+    });
+
+    test("reports a redirect on a name that gets A or CNAME records", () => {
+      const redirect = host("@", "URL301", "https://example.net");
+
+      const { conflicts } = dnsTemplateService.findConflicts(
+        [host("@", "A", "76.76.21.21"), host("@", "TXT", "hello")],
+        [redirect]
+      );
+
+      expect(conflicts).toEqual([
+        {
+          record: host("@", "A", "76.76.21.21"),
+          existing: [redirect],
+          message: "@ has a redirect, which takes the place of A records",
+        },
+      ]);
+    });
+  });
+
+  describe("removeApplication", () => {
+    const domain = { id: 1, full_domain: "example.com" };
+    const apex = host("@", "A", "76.76.21.21");
+    const www = host("www", "CNAME", "cname.vercel-dns.com");
+    const replaced = host("www", "A", "203.0.113.10");
+
+    beforeEach(async () => {
+      db.reset();
+      jest
+        .spyOn(subdomainService, "removeRecordGroup")
+        .mockImplementation(async () => ({ version: "v2", logEntryId: 5 }));
+
+      await db.from("dns_template_applications").insert([
+        {
+          id: "app-1",
+          domain_id: 1,
+          template_id: "vercel",
+          template_name: "Vercel",
+          records: [apex, www],
+          existing_records: [],
+          replaced_records: [replaced],
+        },
+        {
+          id: "app-2",
+          domain_id: 1,
+          template_id: "user:7",
+          template_name: "Landing page",
+          records: [host("@", "TXT", "hello")],
+          existing_records: [apex],
+          replaced_records: [],
+        },
+      ]);
+    });
+
+    afterEach(() => subdomainService.removeRecordGroup.mockRestore());
+
+    test("keeps records another application uses and reports the replaced ones", async () => {
+      const result = await dnsTemplateService.removeApplication(domain, "app-1", {
+        changeLog: { userId: "user-1", source: "ui" },
+      });
+
+      expect(subdomainService.removeRecordGroup).toHaveBeenCalledWith(domain, [www], {
+        templateApplicationId: "app-1",
+        expectedVersion: undefined,
+        changeLog: { userId: "user-1", source: "ui", description: "Removed the Vercel template" },
+      });
+      expect(result).toMatchObject({
+        removed: [www],
+        kept: [apex],
+        notRestored: [replaced],
+        version: "v2",
+        logEntryId: 5,
+      });
+      expect(db.rows("dns_template_applications").map(({ id }) => id)).toEqual(["app-2"]);
+    });
+
+    test("returns null for an application of another domain", async () => {
+      const result = await dnsTemplateService.removeApplication({ id: 2, full_domain: "other.com" }, "app-1");
+
+      expect(result).toBeNull();
+      expect(subdomainService.removeRecordGroup).not.toHaveBeenCalled();
+    });
+  });
+});
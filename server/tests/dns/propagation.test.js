@@ -0,0 +1,169 @@
+// Checks dnsPropagationService against stub DNS servers standing in for the
+// public resolvers and the domain's authoritative nameserver.
+
+jest.mock("../../src/config/database", () =>
+  require("../helpers/fakeSupabase").createFakeSupabase()
+);
+
+jest.spyOn(console, "warn").mockImplementation(() => {});
+
+const db = require("../../src/config/database");
+const dnsPropagationService = require("../../src/services/dnsPropagationService");
+const { startStubDnsServer } = require("../helpers/stubDnsServer");
+
+const LONG_TXT = `v=DKIM1; k=rsa; p=${"A".repeat(300)}`;
+
+// What every resolver knows about the zone's nameserver
+const DELEGATION = {
+  "example.test": { NS: ["ns1.example.test"] },
+  "ns1.example.test": { A: ["127.0.0.1"] },
+};
+
+const CURRENT_RECORDS = {
+  ...DELEGATION,
+  "www.example.test": { A: ["203.0.113.10"] },
+  "blog.example.test": { CNAME: ["Sites.Example.NET."] },
+  "mail.example.test": { MX: [{ priority: 10, exchange: "mx1.example.net" }] },
+  "dkim.example.test": { TXT: [LONG_TXT] },
+};
+
+const CHECK_OPTIONS = { timeout: 500, tries: 1 };
+
+describe("DNS propagation checker", () => {
+  const servers = {};
+  let options;
+
+  beforeAll(async () => {
+    servers.authoritative = await startStubDnsServer(CURRENT_RECORDS);
+    servers.current = await startStubDnsServer(CURRENT_RECORDS);
+    servers.stale = await startStubDnsServer({
+      ...DELEGATION,
+      "www.example.test": { A: ["198.51.100.7"] },
+    });
+    servers.empty = await startStubDnsServer(DELEGATION);
+    servers.broken = await startStubDnsServer({}, { rcode: 2 });
+
+    options = {
+      ...CHECK_OPTIONS,
+      authoritativePort: servers.authoritative.port,
+      resolvers: [
+        { id: "current", name: "Current", region: "Europe", address: servers.current.address },
+        { id: "stale", name: "Stale", region: "Asia", address: servers.stale.address },
+        { id: "empty", name: "Empty", region: "Asia", address: servers.empty.address },
+        { id: "broken", name: "Broken", region: "North America", address: servers.broken.address },
+      ],
+    };
+  });
+
+  afterAll(async () => {
+    await Promise.all(Object.values(servers).map((server) => server.close()));
+  });
+
+  beforeEach(() => db.reset());
+
+  const statuses = (result) =>
+    Object.fromEntries(result.resolvers.map((resolver) => [resolver.id, resolver.status]));
+
+  test("reports each resolver's answer, with the nameserver found via NS", async () => {
+    const result = await dnsPropagationService.checkRecord(
+      { domainName: "example.test", subdomain: "www", recordType: "A", expectedValue: "203.0.113.10" },
+      options
+    );
+
+    expect(result).toMatchObject({
+      success: true,
+      propagated: false,
+      domain: "www.example.test",
+      recordType: "A",
+      summary: { total: 5, propagated: 2, outdated: 1, missing: 1, error: 1 },
+    });
+    expect(statuses(result)).toEqual({
+      "ns:ns1.example.test": "propagated",
+      current: "propagated",
+      stale: "outdated",
+      empty: "missing",
+      broken: "error",
+    });
+
+    const [authoritative] = result.resolvers;
+    expect(authoritative).toMatchObject({
+      region: "Authoritative",
+      authoritative: true,
+      address: servers.authoritative.address,
+      values: ["203.0.113.10"],
+    });
+    expect(result.resolvers.find((resolver) => resolver.id === "stale")).toMatchObject({
+      region: "Asia",
+      values: ["198.51.100.7"],
+    });
+    expect(result.resolvers.find((resolver) => resolver.id === "broken").error).toBe("ESERVFAIL");
+    expect(servers.authoritative.queries).toContainEqual({ name: "www.example.test", type: "A" });
+  });
+
+  test("is propagated once every answering resolver has the value", async () => {
+    const result = await dnsPropagationService.checkRecord(
+      { domainName: "example.test", subdomain: "www", recordType: "A", expectedValue: "203.0.113.10" },
+      { ...options, resolvers: options.resolvers.filter(({ id }) => ["current", "broken"].includes(id)) }
+    );
+
+    expect(result.propagated).toBe(true);
+    expect(result.summary).toEqual({ total: 3, propagated: 2, outdated: 0, missing: 0, error: 1 });
+  });
+
+  test.each([
+    ["CNAME", "blog", "sites.example.net"],
+    ["MX", "mail", "mx1.example.net."],
+    ["TXT", "dkim", LONG_TXT],
+  ])("compares %s answers", async (recordType, subdomain, expectedValue) => {
+    const result = await dnsPropagationService.checkRecord(
+      { domainName: "example.test", subdomain, recordType, expectedValue },
+      { ...options, resolvers: options.resolvers.filter(({ id }) => id === "current") }
+    );
+
+    expect(statuses(result)).toEqual({ "ns:ns1.example.test": "propagated", current: "propagated" });
+    expect(result.propagated).toBe(true);
+  });
+
+  test("rejects record types it cannot look up", async () => {
+    const result = await dnsPropagationService.checkRecord(
+      { domainName: "example.test", subdomain: "www", recordType: "SRV", expectedValue: "x" },
+      options
+    );
+
+    expect(result).toMatchObject({ success: false, message: "Unsupported record type: SRV" });
+  });
+
+  test("stores the per-resolver results on the propagation queue entry", async () => {
+    const record = {
+      domain: "example.test",
+      subdomain: "www",
+      recordType: "A",
+      expectedValue: "203.0.113.10",
+      subdomainId: 7,
+    };
+
+    const first = await dnsPropagationService.checkRecord(
+      { domainName: "example.test", subdomain: "www", recordType: "A", expectedValue: "203.0.113.10" },
+      options
+    );
+    await dnsPropagationService.saveResults(record, first);
+
+    expect(db.rows("dns_propagation_queue")).toHaveLength(1);
+    expect(db.rows("dns_propagation_queue")[0].status).not.toBe("confirmed");
+
+    const second = await dnsPropagationService.checkRecord(
+      { domainName: "example.test", subdomain: "www", recordType: "A", expectedValue: "203.0.113.10" },
+      { ...options, resolvers: options.resolvers.slice(0, 1) }
+    );
+    await dnsPropagationService.saveResults(record, second);
+
+    expect(db.rows("dns_propagation_queue")).toHaveLength(1);
+
+    const latest = await dnsPropagationService.getLatestResults(7);
+    expect(latest.status).toBe("confirmed");
+    expect(latest.resolver_results.map(({ id, status }) => [id, status])).toEqual([
+      ["ns:ns1.example.test", "propagated"],
+      ["current", "propagated"],
+    ]);
+  });
+});
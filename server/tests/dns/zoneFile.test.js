@@ -0,0 +1,161 @@
+// Checks the BIND zone file parser and how an applied import is reflected in
+// the subdomain rows.
+
+jest.mock("../../src/config/database", () =>
+  require("../helpers/fakeSupabase").createFakeSupabase()
+);
+
+jest.spyOn(console, "warn").mockImplementation(() => {});
+
+const db = require("../../src/config/database");
+const zoneFileService = require("../../src/services/zoneFileService");
+const subdomainService = require("../../src/services/subdomainService");
+const { diffHosts } = require("../../src/services/dnsChangeQueue");
+
+const ZONE = `
+$ORIGIN example.com.
+$TTL 1h
+@       IN SOA  ns1.provider.net. admin.example.com. (
+                2024010101 ; serial
+                3600 900 604800 300 )
+@       IN NS   ns1.provider.net.
+@       IN A    203.0.113.10
+        IN MX   10 mail
+        IN MX   20 mx.backup.net.
+        IN TXT  "v=spf1 include:_spf.example.net " "-all"
+@       IN CAA  0 issue "letsencrypt.org"
+www     300 IN CNAME @
+mail    IN A    203.0.113.20
+blog.example.com. IN CNAME sites.example.net.
+$ORIGIN shop.example.com.
+api     30 IN A 203.0.113.30
+dkim._domainkey IN TXT ( "v=DKIM1; k=rsa; "
+                         "p=MIGfMA0GCSqGSIb3" )
+`;
+
+const find = (records, hostName, type) =>
+  records.filter((record) => record.HostName === hostName && record.RecordType === type);
+
+describe("zone file import", () => {
+  describe("parseZone", () => {
+    const { records, errors, skipped, warnings } = zoneFileService.parseZone(ZONE, "example.com");
+
+    test("parses a zone without errors", () => {
+      expect(errors).toEqual([]);
+      expect(records).toHaveLength(9);
+    });
+
+    test("skips SOA, apex NS and unsupported records", () => {
+      expect(skipped.map(({ type, name }) => [type, name])).toEqual([
+        ["SOA", "@"],
+        ["NS", "@"],
+        ["CAA", "@"],
+      ]);
+      expect(skipped[2].reason).toBe("CAA records are not supported");
+    });
+
+    test("applies $TTL, explicit TTLs and the allowed TTL range", () => {
+      expect(find(records, "@", "A")[0].TTL).toBe(3600);
+      expect(find(records, "www", "CNAME")[0].TTL).toBe(300);
+      expect(find(records, "api.shop", "A")[0].TTL).toBe(60);
+      expect(warnings).toEqual([{ line: 17, message: "TTL 30 changed to 60 (allowed 60-86400)" }]);
+    });
+
+    test("resolves relative names against $ORIGIN and keeps FQDNs", () => {
+      expect(find(records, "@", "MX").map(({ Address, MXPref }) => [Address, MXPref])).toEqual([
+        ["mail.example.com", 10],
+        ["mx.backup.net", 20],
+      ]);
+      expect(find(records, "www", "CNAME")[0].Address).toBe("example.com");
+      expect(find(records, "blog", "CNAME")[0].Address).toBe("sites.example.net");
+      expect(find(records, "api.shop", "A")[0].Address).toBe("203.0.113.30");
+    });
+
+    test("joins multi-string and multi-line TXT records", () => {
+      expect(find(records, "@", "TXT")[0].Address).toBe("v=spf1 include:_spf.example.net -all");
+      expect(find(records, "dkim._domainkey.shop", "TXT")[0].Address).toBe(
+        "v=DKIM1; k=rsa; p=MIGfMA0GCSqGSIb3"
+      );
+    });
+
+    test("reports names outside the domain and records that conflict", () => {
+      const result = zoneFileService.parseZone(
+        [
+          "$ORIGIN other.org.",
+          "www.other.org. IN A 203.0.113.10",
+          "shop IN CNAME shops.example.net.",
+          "shop IN TXT \"hello\"",
+          "@ IN TXT \"unterminated",
+        ].join("\n"),
+        "example.com"
+      );
+
+      expect(result.errors).toEqual([
+        { line: 1, message: "$ORIGIN other.org. is outside example.com" },
+        { line: 2, message: "www.other.org is outside example.com" },
+        { line: 3, message: "shop has a CNAME record and other records" },
+        { line: 5, message: "Unterminated quoted string" },
+      ]);
+    });
+  });
+
+  describe("reconcileSubdomains", () => {
+    const domain = { id: 1, full_domain: "example.com" };
+
+    const host = (HostName, RecordType, Address, TTL = 3600) => ({
+      HostName,
+      RecordType,
+      Address,
+      TTL,
+      MXPref: 0,
+    });
+
+    beforeEach(() => {
+      db.reset();
+      jest.spyOn(subdomainService, "watchPropagation").mockImplementation(() => {});
+    });
+
+    test("deactivates, updates and creates subdomain rows from an import's diff", async () => {
+      const before = [
+        host("@", "A", "203.0.113.10"),
+        host("www", "A", "203.0.113.10"),
+        host("old", "A", "203.0.113.11"),
+        host("api", "CNAME", "api.example.net"),
+      ];
+      const after = [
+        host("@", "A", "203.0.113.10"),
+        host("www", "A", "203.0.113.99", 300),
+        host("api", "CNAME", "api.example.net"),
+        host("blog", "CNAME", "sites.example.net"),
+        host("_dmarc", "TXT", "v=DMARC1; p=none"),
+      ];
+
+      await db.from("subdomains").insert([
+        { id: 10, domain_id: 1, subdomain_name: "www", record_type: "A", target_value: "203.0.113.10", ttl: 3600, is_active: true },
+        { id: 11, domain_id: 1, subdomain_name: "old", record_type: "A", target_value: "203.0.113.11", ttl: 3600, is_active: true },
+        { id: 12, domain_id: 1, subdomain_name: "api", record_type: "CNAME", target_value: "api.example.net", ttl: 3600, is_active: true },
+      ]);
+
+      const counts = await subdomainService.reconcileSubdomains(domain, diffHosts(before, after));
+
+      expect(counts).toEqual({ created: 1, updated: 1, deactivated: 1 });
+
+      const rows = db.rows("subdomains");
+      expect(rows.find((row) => row.id === 10)).toMatchObject({
+        target_value: "203.0.113.99",
+        ttl: 300,
+        is_active: true,
+        dns_propagated: false,
+      });
+      expect(rows.find((row) => row.id === 11).is_active).toBe(false);
+      expect(rows.find((row) => row.id === 12).is_active).toBe(true);
+      expect(rows.find((row) => row.subdomain_name === "blog")).toMatchObject({
+        record_type: "CNAME",
+        target_value: "sites.example.net",
+        is_active: true,
+      });
+      expect(rows.some((row) => row.subdomain_name === "_dmarc")).toBe(false);
+      expect(subdomainService.watchPropagation).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const crypto = require("crypto");
+
+// In-memory stand-in for the Supabase client, covering the query builder
+// calls the services make: select/insert/upsert/update/delete with eq, neq,
+// in, is, gt(e)/lt(e), order, limit, range, single and maybeSingle. Embedded foreign rows
+// such as "domains!transactions_domain_id_fkey(*)" are resolved from the
+// constraint name (<table>_<column>_fkey). Plain column lists are applied to
+// the returned rows; embedded rows are returned whole.
+
+const EMBED_PATTERN = /(\w+)!(\w+)\s*\(/g;
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = "select";
+    this.values = null;
+    this.columns = "*";
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.maxRows = null;
+    this.offset = 0;
+    this.mode = "many";
+  }
+
+  select(columns = "*") {
+    this.columns = columns;
+    if (this.action !== "select") {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.values = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  // Rows matching an existing one on all onConflict columns update it
+  upsert(rows, { onConflict = "id" } = {}) {
+    this.action = "upsert";
+    this.values = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumns = onConflict.split(",").map((column) => column.trim());
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  filter(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filter((row) => row[column] === value);
+  }
+
+  neq(column, value) {
+    return this.filter((row) => row[column] !== value);
+  }
+
+  in(column, values) {
+    return this.filter((row) => values.includes(row[column]));
+  }
+
+  is(column, value) {
+    return this.filter((row) => (row[column] ?? null) === value);
+  }
+
+  gt(column, value) {
+    return this.filter((row) => row[column] > value);
+  }
+
+  gte(column, value) {
+    return this.filter((row) => row[column] >= value);
+  }
+
+  lt(column, value) {
+    return this.filter((row) => row[column] < value);
+  }
+
+  lte(column, value) {
+    return this.filter((row) => row[column] <= value);
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.maxRows = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.mode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = "maybeSingle";
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every((test) => test(row));
+  }
+
+  execute() {
+    const rows = this.db.rows(this.table);
+    let result;
+
+    if (this.action === "insert") {
+      result = this.values.map((values) => this.db.insertRow(this.table, values));
+    } else if (this.action === "upsert") {
+      result = this.values.map((values) => {
+        const existing = rows.find((row) =>
+          this.conflictColumns.every((column) => row[column] === values[column])
+        );
+        return existing ? Object.assign(existing, values) : this.db.insertRow(this.table, values);
+      });
+    } else if (this.action === "update") {
+      result = rows.filter((row) => this.matches(row));
+      result.forEach((row) => Object.assign(row, this.values));
+    } else if (this.action === "delete") {
+      result = rows.filter((row) => this.matches(row));
+      this.db.tables[this.table] = rows.filter((row) => !result.includes(row));
+    } else {
+      result = rows.filter((row) => this.matches(row));
+      this.returning = true;
+    }
+
+    result = this.sort(result).map((row) => this.project(this.embed({ ...row })));
+    if (this.maxRows !== null) {
+      result = result.slice(this.offset, this.offset + this.maxRows);
+    }
+
+    if (this.action !== "select" && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    if (this.mode === "many") {
+      return { data: result, error: null };
+    }
+
+    if (result.length === 1) {
+      return { data: result[0], error: null };
+    }
+
+    if (result.length === 0 && this.mode === "maybeSingle") {
+      return { data: null, error: null };
+    }
+
+    return {
+      data: null,
+      error: {
+        code: "PGRST116",
+        message: `JSON object requested, ${result.length} rows returned`,
+      },
+    };
+  }
+
+  sort(rows) {
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending } of this.orders) {
+        if (a[column] === b[column]) continue;
+        const order = a[column] > b[column] ? 1 : -1;
+        return ascending ? order : -order;
+      }
+      return 0;
+    });
+  }
+
+  // Keep the selected columns, e.g. "id, email" or "*, domains!..._fkey(*)"
+  project(row) {
+    const columns = this.columns
+      .replace(/\([^()]*\)/g, "")
+      .split(",")
+      .map((column) => column.trim())
+      .filter(Boolean);
+
+    if (columns.includes("*")) {
+      return row;
+    }
+
+    return Object.fromEntries(
+      columns.map((column) => {
+        const embedded = column.match(/^(\w+)!/);
+        const name = embedded ? embedded[1] : column;
+        return [name, row[name]];
+      })
+    );
+  }
+
+  embed(row) {
+    for (const [, foreignTable, constraint] of this.columns.matchAll(EMBED_PATTERN)) {
+      const column = constraint
+        .replace(new RegExp(`^${this.table}_`), "")
+        .replace(/_fkey$/, "");
+      const foreignRow = this.db
+        .rows(foreignTable)
+        .find((candidate) => candidate.id === row[column]);
+      row[foreignTable] = foreignRow ? { ...foreignRow } : null;
+    }
+    return row;
+  }
+}
+
+const createFakeSupabase = () => {
+  let clock = Date.parse("2026-01-01T00:00:00Z");
+
+  const db = {
+    tables: {},
+
+    rows(table) {
+      this.tables[table] = this.tables[table] || [];
+      return this.tables[table];
+    },
+
+    // Timestamps tick forward per insert so ordering by created_at is stable
+    insertRow(table, values) {
+      const timestamp = new Date((clock += 1000)).toISOString();
+      const row = {
+        id: crypto.randomUUID(),
+        created_at: timestamp,
+        updated_at: timestamp,
+        ...values,
+      };
+      this.rows(table).push(row);
+      return row;
+    },
+
+    // Replace all tables with copies of the given rows
+    reset(seed = {}) {
+      this.tables = {};
+      Object.entries(seed).forEach(([table, rows]) =>
+        rows.forEach((row) => this.insertRow(table, row))
+      );
+    },
+
+    from(table) {
+      return new FakeQuery(db, table);
+    },
+  };
+
+  return db;
+};
+
+module.exports = {
+  createFakeSupabase,
+};
@@ -0,0 +1,230 @@
+const fs = require("fs");
+const path = require("path");
+
+// Golden conversations are JSON files describing a dialogue with the AI
+// consultant and what each turn should produce:
+//
+//   {
+//     "name": "Search, then buy",
+//     "profile": { "phone": "" },            // overrides for the test user
+//     "seed": { "domains": [ { ... } ] },    // extra rows, owner_id defaults to the user
+//     "script": { "intent": [ ...rules ] },  // scripted LLM rules (see scriptedChatModel.js)
+//     "turns": [
+//       { "user": "find coffeehub domains",
+//         "expect": { "intent": "domain_search", "tools": ["domain_search"],
+//                     "domains": ["coffeehub.com", { "name": "coffeehub.net", "available": false }] } },
+//       { "user": "buy coffeehub.com", "expect": { "state": { "checkout": true } } },
+//       { "checkout": "paid", "expect": { "state": { "paymentCompleted": true } } }
+//     ]
+//   }
+//
+// A "checkout" turn pays ("paid") or abandons ("abandoned") the checkout from
+// the previous reply, the way the chat's Stripe form would, and then records
+// the outcome. Expected domains must appear in the reply; other expectations
+// must match exactly. "state" compares response flags, with "checkout"
+// meaning a checkout was handed to the client.
+
+const DEFAULT_USER = {
+  id: "7b0f8a52-5c1e-4c4e-9a53-2f4d1c6b9e01",
+  email: "golden@example.com",
+  first_name: "Golden",
+  last_name: "Tester",
+  phone: "+1.5555550100",
+  street: "1 Test Street",
+  city: "Testville",
+  state: "CA",
+  country: "US",
+  zip_code: "94000",
+  stripe_customer_id: null,
+};
+
+const loadConversations = (directory) =>
+  fs
+    .readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => ({
+      file,
+      ...JSON.parse(fs.readFileSync(path.join(directory, file), "utf8")),
+    }));
+
+const buildSeed = (conversation) => {
+  const user = { ...DEFAULT_USER, ...(conversation.profile || {}) };
+  const seed = { users: [user] };
+
+  Object.entries(conversation.seed || {}).forEach(([table, rows]) => {
+    seed[table] = rows.map((row) => ({ owner_id: user.id, ...row }));
+  });
+
+  return { user, seed };
+};
+
+// Settle the checkout in the fake database the way confirm-payment would
+// after a successful payment; an abandoned checkout stays pending
+const settleCheckout = (db, checkout, outcome) => {
+  if (outcome !== "paid") {
+    return;
+  }
+
+  const transaction = db
+    .rows("transactions")
+    .find((row) => row.stripe_payment_intent_id === checkout.paymentIntentId);
+  const domain = transaction && db.rows("domains").find((row) => row.id === transaction.domain_id);
+
+  if (!transaction || !domain) {
+    return;
+  }
+
+  const expiresAt = new Date();
+  expiresAt.setFullYear(expiresAt.getFullYear() + (checkout.years || 1));
+
+  transaction.status = "completed";
+  Object.assign(domain, {
+    status: "registered",
+    registration_date: new Date().toISOString(),
+    expiration_date: expiresAt.toISOString(),
+  });
+};
+
+/**
+ * Play a conversation through the agent
+ * @returns {Promise<Array>} One { turn, response } per turn
+ */
+const runConversation = async (conversation, { aiAgentService, conversationService, db }) => {
+  const { user, seed } = buildSeed(conversation);
+  db.reset(seed);
+
+  const { id: conversationId } = await conversationService.createConversation(
+    user.id,
+    conversation.name
+  );
+
+  const results = [];
+  let lastCheckout = null;
+
+  for (const turn of conversation.turns) {
+    let response;
+
+    if (turn.checkout) {
+      if (lastCheckout) {
+        settleCheckout(db, lastCheckout, turn.checkout);
+        response = await aiAgentService.recordCheckoutOutcome(
+          user.id,
+          conversationId,
+          lastCheckout.paymentIntentId
+        );
+      }
+      response = response || { message: "No checkout was shown", domains: [] };
+      lastCheckout = null;
+    } else {
+      response = await aiAgentService.processUserMessage(turn.user, user.id, conversationId);
+      lastCheckout = response.checkout || lastCheckout;
+    }
+
+    results.push({ turn, response });
+  }
+
+  return results;
+};
+
+const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare a turn's response with its expectations
+ * @returns {Array} { metric, expected, actual, pass } per expectation
+ */
+const checkTurn = ({ turn, response }) => {
+  const expected = turn.expect || {};
+  const checks = [];
+
+  if (expected.intent !== undefined) {
+    checks.push({
+      metric: "intent",
+      expected: expected.intent,
+      actual: response.intent,
+      pass: response.intent === expected.intent,
+    });
+  }
+
+  if (expected.tools !== undefined) {
+    const tools = response.tools || [];
+    checks.push({
+      metric: "tools",
+      expected: expected.tools,
+      actual: tools,
+      pass: sameList(tools, expected.tools),
+    });
+  }
+
+  if (expected.domains !== undefined) {
+    const domains = response.domains || [];
+    const missing = expected.domains.filter((domain) => {
+      const { name, available } = typeof domain === "string" ? { name: domain } : domain;
+      const found = domains.find((candidate) => candidate.name === name);
+      return !found || (available !== undefined && found.available !== available);
+    });
+    checks.push({
+      metric: "domains",
+      expected: expected.domains,
+      actual: domains.map(({ name, available }) => ({ name, available })),
+      pass: missing.length === 0,
+    });
+  }
+
+  Object.entries(expected.state || {}).forEach(([flag, value]) => {
+    const actual = flag === "checkout" ? !!response.checkout : response[flag];
+    checks.push({
+      metric: "state",
+      flag,
+      expected: value,
+      actual,
+      pass: typeof value === "boolean" ? !!actual === value : sameList(actual, value),
+    });
+  });
+
+  return checks;
+};
+
+/**
+ * Accuracy per metric and per turn over checked turns
+ * @param {Array} turns - { conversation, checks } per turn
+ */
+const summarize = (turns) => {
+  const metrics = {};
+
+  turns.forEach(({ checks }) =>
+    checks.forEach(({ metric, pass }) => {
+      metrics[metric] = metrics[metric] || { passed: 0, total: 0 };
+      metrics[metric].total += 1;
+      metrics[metric].passed += pass ? 1 : 0;
+    })
+  );
+
+  Object.values(metrics).forEach((metric) => {
+    metric.accuracy = metric.total ? metric.passed / metric.total : 1;
+  });
+
+  const passedTurns = turns.filter(({ checks }) => checks.every(({ pass }) => pass)).length;
+
+  return {
+    turns: turns.length,
+    passedTurns,
+    accuracy: turns.length ? passedTurns / turns.length : 1,
+    metrics,
+    failures: turns
+      .filter(({ checks }) => checks.some(({ pass }) => !pass))
+      .map(({ conversation, index, checks }) => ({
+        conversation,
+        turn: index + 1,
+        failed: checks.filter(({ pass }) => !pass),
+      })),
+  };
+};
+
+module.exports = {
+  DEFAULT_USER,
+  loadConversations,
+  runConversation,
+  checkTurn,
+  summarize,
+};
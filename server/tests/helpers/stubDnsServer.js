@@ -0,0 +1,144 @@
+const dgram = require("dgram");
+
+// Minimal authoritative-style DNS server on 127.0.0.1 for tests. It answers
+// UDP queries from a fixed record set:
+//
+//   startStubDnsServer({
+//     "www.example.test": { A: ["203.0.113.10"], TXT: ["v=spf1 -all"] },
+//     "example.test": { MX: [{ priority: 10, exchange: "mail.example.test" }] },
+//   })
+//
+// Unknown names get NXDOMAIN and known names without the asked-for type an
+// empty answer (NODATA). With { rcode } every query gets that response code
+// instead, e.g. 2 (SERVFAIL) for a broken resolver.
+
+const TYPES = { A: 1, NS: 2, CNAME: 5, MX: 15, TXT: 16, AAAA: 28 };
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, code]) => [code, name]));
+
+const RCODE_NXDOMAIN = 3;
+
+const encodeName = (name) => {
+  const labels = String(name).replace(/\.$/, "").split(".").filter(Boolean);
+  return Buffer.concat([
+    ...labels.map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+    Buffer.from([0]),
+  ]);
+};
+
+const encodeIPv6 = (address) => {
+  const [head, tail = ""] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups = address.includes("::")
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill("0"), ...tailGroups]
+    : headGroups;
+
+  const buffer = Buffer.alloc(16);
+  groups.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16), index * 2));
+  return buffer;
+};
+
+const encodeData = (type, value) => {
+  switch (type) {
+    case "A":
+      return Buffer.from(value.split(".").map(Number));
+    case "AAAA":
+      return encodeIPv6(value);
+    case "CNAME":
+    case "NS":
+      return encodeName(value);
+    case "MX": {
+      const preference = Buffer.alloc(2);
+      preference.writeUInt16BE(value.priority);
+      return Buffer.concat([preference, encodeName(value.exchange)]);
+    }
+    case "TXT": {
+      // Character strings hold at most 255 bytes each
+      const text = Buffer.from(value);
+      const chunks = [];
+      for (let offset = 0; offset < text.length || offset === 0; offset += 255) {
+        const chunk = text.subarray(offset, offset + 255);
+        chunks.push(Buffer.from([chunk.length]), chunk);
+      }
+      return Buffer.concat(chunks);
+    }
+    default:
+      throw new Error(`Stub DNS server cannot encode ${type} records`);
+  }
+};
+
+const encodeAnswer = (type, value, ttl) => {
+  const data = encodeData(type, value);
+  const fixed = Buffer.alloc(12);
+  fixed.writeUInt16BE(0xc00c, 0); // name: pointer to the question
+  fixed.writeUInt16BE(TYPES[type], 2);
+  fixed.writeUInt16BE(1, 4); // class IN
+  fixed.writeUInt32BE(ttl, 6);
+  fixed.writeUInt16BE(data.length, 10);
+  return Buffer.concat([fixed, data]);
+};
+
+// Name, type and the raw question section of a query
+const parseQuestion = (message) => {
+  const labels = [];
+  let offset = 12;
+  while (message[offset] !== 0) {
+    const length = message[offset];
+    labels.push(message.toString("ascii", offset + 1, offset + 1 + length));
+    offset += length + 1;
+  }
+  offset += 1;
+
+  return {
+    name: labels.join(".").toLowerCase(),
+    type: TYPE_NAMES[message.readUInt16BE(offset)] || message.readUInt16BE(offset),
+    raw: message.subarray(12, offset + 4),
+  };
+};
+
+const startStubDnsServer = (records = {}, { rcode = 0, ttl = 300 } = {}) =>
+  new Promise((resolve, reject) => {
+    const socket = dgram.createSocket("udp4");
+    const zone = Object.fromEntries(
+      Object.entries(records).map(([name, types]) => [name.toLowerCase(), types])
+    );
+    const queries = [];
+
+    socket.on("message", (message, remote) => {
+      const question = parseQuestion(message);
+      queries.push({ name: question.name, type: question.type });
+
+      const types = zone[question.name];
+      const answers = rcode === 0 && types ? types[question.type] || [] : [];
+      const responseCode = rcode || (types ? 0 : RCODE_NXDOMAIN);
+
+      const header = Buffer.alloc(12);
+      message.copy(header, 0, 0, 2); // id
+      // QR, AA, RD (copied from the query), RA and the response code
+      header.writeUInt16BE(0x8480 | (message.readUInt16BE(2) & 0x0100) | responseCode, 2);
+      header.writeUInt16BE(1, 4);
+      header.writeUInt16BE(answers.length, 6);
+
+      const response = Buffer.concat([
+        header,
+        question.raw,
+        ...answers.map((value) => encodeAnswer(question.type, value, ttl)),
+      ]);
+      socket.send(response, remote.port, remote.address);
+    });
+
+    socket.once("error", reject);
+    socket.bind(0, "127.0.0.1", () => {
+      const { port } = socket.address();
+      resolve({
+        port,
+        address: `127.0.0.1:${port}`,
+        queries,
+        close: () => new Promise((done) => socket.close(done)),
+      });
+    });
+  });
+
+module.exports = {
+  startStubDnsServer,
+};
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+// Checks single-domain checkouts from the authenticated user through the
+// Stripe webhook, with an in-memory database and a fake Stripe service.
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "domainbuddy-checkout-"));
+
+process.env.JWT_SECRET = "checkout-test-secret";
+process.env.REGISTRAR_MODE = "mock";
+process.env.MOCK_REGISTRAR_STATE_FILE = path.join(workDir, "registrar.json");
+
+jest.mock("../../src/config/database", () =>
+  require("../helpers/fakeSupabase").createFakeSupabase()
+);
+
+jest.mock("../../src/services/stripeService", () => ({
+  createCustomer: jest.fn(),
+  createPaymentIntent: jest.fn(),
+  cancelPaymentIntent: jest.fn(),
+  getPaymentIntentCharges: jest.fn(),
+  webhookHandler: jest.fn(),
+}));
+
+jest.spyOn(console, "log").mockImplementation(() => {});
+
+const db = require("../../src/config/database");
+const authMiddleware = require("../../src/middleware/auth");
+const stripeService = require("../../src/services/stripeService");
+const namecheapService = require("../../src/services/namecheapService");
+const pricingService = require("../../src/services/pricingService");
+const invoiceService = require("../../src/services/invoiceService");
+const checkoutService = require("../../src/services/checkoutService");
+const { handleWebhook } = require("../../src/controllers/paymentController");
+
+const USER = {
+  id: "user-1",
+  first_name: "Sam",
+  last_name: "Lee",
+  email: "sam@example.com",
+  is_active: true,
+};
+
+// The user as authMiddleware puts it on the request
+const authenticate = async () => {
+  const token = jwt.sign({ userId: USER.id }, process.env.JWT_SECRET);
+  const req = { header: (name) => (name === "Authorization" ? `Bearer ${token}` : undefined) };
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+  const next = jest.fn();
+
+  await authMiddleware(req, res, next);
+
+  expect(next).toHaveBeenCalled();
+  return req.user;
+};
+
+describe("domain checkout", () => {
+  let nextIntent;
+
+  beforeEach(() => {
+    db.reset({ users: [USER] });
+    nextIntent = 0;
+
+    stripeService.createCustomer.mockResolvedValue({ id: "cus_1" });
+    stripeService.createPaymentIntent.mockImplementation(
+      async (amount, currency, customerId, metadata) => {
+        nextIntent += 1;
+        return {
+          id: `pi_${nextIntent}`,
+          client_secret: `pi_${nextIntent}_secret`,
+          amount: Math.round(amount * 100),
+          currency,
+          customer: customerId,
+          metadata,
+        };
+      }
+    );
+    stripeService.getPaymentIntentCharges.mockResolvedValue([{ id: "ch_1" }]);
+
+    jest
+      .spyOn(namecheapService, "checkDomainAvailability")
+      .mockResolvedValue({ available: true, isPremium: false });
+    jest
+      .spyOn(pricingService, "quoteRegistration")
+      .mockResolvedValue({ cost: 8, markup: 2, sellingPrice: 10 });
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test("reuses the user's Stripe customer on a second checkout", async () => {
+    await checkoutService.createDomainPurchase(await authenticate(), "first-shop.com");
+    await checkoutService.createDomainPurchase(await authenticate(), "second-shop.com");
+
+    expect(stripeService.createCustomer).toHaveBeenCalledTimes(1);
+    expect(stripeService.createPaymentIntent.mock.calls.map((call) => call[2])).toEqual([
+      "cus_1",
+      "cus_1",
+    ]);
+    expect(db.rows("users")[0].stripe_customer_id).toBe("cus_1");
+  });
+
+  test("keeps only the caller metadata it allows on the PaymentIntent", async () => {
+    const checkout = await checkoutService.createDomainPurchase(
+      await authenticate(),
+      "first-shop.com",
+      {
+        metadata: {
+          source: "web",
+          autoRenew: "true",
+          type: "cart",
+          userId: "user-2",
+          domainName: "other.com",
+        },
+      }
+    );
+
+    expect(stripeService.createPaymentIntent.mock.calls[0][3]).toEqual({
+      source: "web",
+      type: "purchase",
+      domainId: checkout.domainId,
+      userId: "user-1",
+      domainName: "first-shop.com",
+      years: "1",
+    });
+  });
+
+  test("fulfils a paid purchase from its transaction, whatever the PaymentIntent metadata says", async () => {
+    const checkout = await checkoutService.createDomainPurchase(
+      await authenticate(),
+      "first-shop.com"
+    );
+
+    jest
+      .spyOn(namecheapService, "registerDomain")
+      .mockResolvedValue({ success: true, registrationId: "order-1" });
+    jest.spyOn(invoiceService, "sendReceipt").mockResolvedValue();
+    stripeService.webhookHandler.mockResolvedValue({
+      id: "evt_1",
+      type: "payment_intent.succeeded",
+      created: Math.floor(Date.now() / 1000),
+      data: {
+        object: {
+          id: checkout.paymentIntentId,
+          status: "succeeded",
+          metadata: { autoRenew: "true", type: "cart", cartId: "cart-1" },
+        },
+      },
+    });
+
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    await handleWebhook({ headers: { "stripe-signature": "sig" }, body: Buffer.from("{}") }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(namecheapService.registerDomain).toHaveBeenCalledWith(
+      "first-shop.com",
+      1,
+      expect.objectContaining({ email: "sam@example.com" })
+    );
+    expect(db.rows("transactions")[0]).toMatchObject({
+      status: "completed",
+      stripe_charge_id: "ch_1",
+    });
+    expect(db.rows("domains")[0].status).toBe("registered");
+  });
+});
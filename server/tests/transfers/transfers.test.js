@@ -0,0 +1,138 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Checks how inbound transfers are started and how the registrar's transfer
+// statuses are read, with an in-memory database and a fake Stripe service.
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "domainbuddy-transfers-"));
+
+process.env.REGISTRAR_MODE = "mock";
+process.env.MOCK_REGISTRAR_STATE_FILE = path.join(workDir, "registrar.json");
+
+jest.mock("../../src/config/database", () =>
+  require("../helpers/fakeSupabase").createFakeSupabase()
+);
+
+jest.mock("../../src/services/stripeService", () => ({
+  createCustomer: jest.fn(),
+  createPaymentIntent: jest.fn(),
+  cancelPaymentIntent: jest.fn(),
+}));
+
+jest.spyOn(console, "log").mockImplementation(() => {});
+jest.spyOn(console, "error").mockImplementation(() => {});
+
+const db = require("../../src/config/database");
+const stripeService = require("../../src/services/stripeService");
+const namecheapService = require("../../src/services/namecheapService");
+const pricingService = require("../../src/services/pricingService");
+const transferBackgroundService = require("../../src/services/transferBackgroundService");
+const { initiateTransfer } = require("../../src/controllers/transferController");
+
+const USER = {
+  id: "user-1",
+  first_name: "Sam",
+  last_name: "Lee",
+  email: "sam@example.com",
+  stripe_customer_id: "cus_1",
+};
+
+describe("domain transfers", () => {
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe("initiateTransfer", () => {
+    const request = () => ({
+      body: { domain: "moving.com", authCode: "EPP-123", years: 2 },
+      user: USER,
+      ip: "127.0.0.1",
+      get: () => "jest",
+    });
+    const response = () => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      return res;
+    };
+
+    beforeEach(() => {
+      db.reset();
+      jest.clearAllMocks();
+
+      jest
+        .spyOn(namecheapService, "getTransferQuote")
+        .mockResolvedValue({ available: false, price: 10, isPremium: false });
+      jest
+        .spyOn(pricingService, "calculatePrice")
+        .mockResolvedValue({ cost: 20, markup: 4, sellingPrice: 24 });
+      stripeService.createPaymentIntent.mockResolvedValue({
+        id: "pi_1",
+        client_secret: "pi_1_secret",
+        currency: "usd",
+      });
+      stripeService.cancelPaymentIntent.mockResolvedValue({ id: "pi_1", status: "canceled" });
+    });
+
+    test("reserves the domain until the transfer is paid", async () => {
+      const res = response();
+      await initiateTransfer(request(), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(db.rows("domains")).toMatchObject([{ full_domain: "moving.com", status: "transfer_pending" }]);
+      expect(db.rows("domain_transfers")).toMatchObject([{ status: "awaiting_payment", years: 2 }]);
+    });
+
+    test("releases the domain when the PaymentIntent cannot be created", async () => {
+      const stripeError = new Error("Stripe is unavailable");
+      stripeService.createPaymentIntent.mockRejectedValue(stripeError);
+      const next = jest.fn();
+
+      await initiateTransfer(request(), response(), next);
+
+      expect(next).toHaveBeenCalledWith(stripeError);
+      expect(db.rows("domains")).toEqual([]);
+      expect(stripeService.cancelPaymentIntent).not.toHaveBeenCalled();
+    });
+
+    test("cancels the PaymentIntent when the transfer cannot be saved", async () => {
+      const from = db.from;
+      jest.spyOn(db, "from").mockImplementation((table) => {
+        const query = from.call(db, table);
+        if (table === "domain_transfers") {
+          query.insert = () => ({
+            select: () => ({ single: async () => ({ data: null, error: { message: "down" } }) }),
+          });
+        }
+        return query;
+      });
+      const res = response();
+
+      await initiateTransfer(request(), res, jest.fn());
+      db.from.mockRestore();
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(stripeService.cancelPaymentIntent).toHaveBeenCalledWith("pi_1");
+      expect(db.rows("domains")).toEqual([]);
+      expect(db.rows("transactions")).toEqual([]);
+    });
+  });
+
+  describe("mapTransferStatus", () => {
+    test.each([
+      ["Completed", "completed"],
+      ["Transfer successful", "completed"],
+      ["Incomplete", "pending"],
+      ["Transfer incomplete - awaiting release", "pending"],
+      ["Not completed", "pending"],
+      ["Completion failed", "rejected"],
+      ["Cancelled - invalid EPP code", "rejected"],
+      ["Transfer in progress", "approved"],
+      ["Approved by registrant", "approved"],
+      ["Awaiting payment", "pending"],
+      [null, "pending"],
+    ])("maps %p to %p", (status, expected) => {
+      expect(transferBackgroundService.mapTransferStatus(status)).toBe(expected);
+    });
+  });
+});